@@ -1,10 +1,14 @@
-import { Routes, Route, Navigate } from 'react-router-dom'
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom'
 import { useSelector } from 'react-redux'
 import { useEffect } from 'react'
 import { useAuth } from './hooks/useAuth'
 import Layout from './components/Layout/Layout'
 import Login from './pages/Auth/Login'
 import Register from './pages/Auth/Register'
+import VerifyEmail from './pages/Auth/VerifyEmail'
+import ForgotPassword from './pages/Auth/ForgotPassword'
+import ResetPassword from './pages/Auth/ResetPassword'
+import OidcCallback from './pages/Auth/OidcCallback'
 import Dashboard from './pages/Dashboard/Dashboard'
 import Books from './pages/Books/Books'
 import BookDetail from './pages/Books/BookDetail'
@@ -17,15 +21,36 @@ import AdminBooks from './pages/Admin/AdminBooks'
 import AdminBorrows from './pages/Admin/AdminBorrows'
 import AdminReports from './pages/Admin/AdminReports'
 import NotFound from './pages/NotFound/NotFound'
+import Kiosk from './pages/Kiosk/Kiosk'
 
 function App() {
     const { user, isLoading } = useAuth()
     const isAuthenticated = useSelector((state) => state.auth.isAuthenticated)
+    const location = useLocation()
 
     useEffect(() => {
         // Initialize auth state
     }, [])
 
+    // The kiosk authenticates as a device, not as a logged-in user
+    if (location.pathname.startsWith('/kiosk')) {
+        return (
+            <Routes>
+                <Route path="/kiosk" element={<Kiosk />} />
+            </Routes>
+        )
+    }
+
+    // Links sent by email work whether or not someone is signed in
+    if (['/verify-email/', '/reset-password/'].some((path) => location.pathname.startsWith(path))) {
+        return (
+            <Routes>
+                <Route path="/verify-email/:token" element={<VerifyEmail />} />
+                <Route path="/reset-password/:token" element={<ResetPassword />} />
+            </Routes>
+        )
+    }
+
     if (isLoading) {
         return (
             <div className="min-h-screen flex items-center justify-center">
@@ -39,6 +64,8 @@ function App() {
             <Routes>
                 <Route path="/login" element={<Login />} />
                 <Route path="/register" element={<Register />} />
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/auth/callback" element={<OidcCallback />} />
                 <Route path="*" element={<Navigate to="/login" replace />} />
             </Routes>
         )
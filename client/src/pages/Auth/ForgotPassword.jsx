@@ -0,0 +1,79 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { authService } from '../../services/authService'
+import { BookOpen } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const ForgotPassword = () => {
+    const [email, setEmail] = useState('')
+    const [isSubmitting, setIsSubmitting] = useState(false)
+    const [sentMessage, setSentMessage] = useState('')
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+
+        setIsSubmitting(true)
+        try {
+            const response = await authService.forgotPassword(email)
+            setSentMessage(response.data.message)
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Could not send a reset link')
+        } finally {
+            setIsSubmitting(false)
+        }
+    }
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+            <div className="max-w-md w-full space-y-8">
+                <div>
+                    <div className="flex justify-center">
+                        <BookOpen className="h-12 w-12 text-primary-600" />
+                    </div>
+                    <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+                        Reset your password
+                    </h2>
+                </div>
+
+                {sentMessage ? (
+                    <p className="text-center text-gray-600">{sentMessage}</p>
+                ) : (
+                    <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+                        <div>
+                            <label htmlFor="email" className="label">
+                                Email address
+                            </label>
+                            <input
+                                id="email"
+                                name="email"
+                                type="email"
+                                autoComplete="email"
+                                required
+                                className="input mt-1"
+                                placeholder="Enter your email"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                            />
+                        </div>
+
+                        <button
+                            type="submit"
+                            disabled={isSubmitting}
+                            className="btn-primary btn-lg w-full"
+                        >
+                            {isSubmitting ? 'Sending...' : 'Email me a reset link'}
+                        </button>
+                    </form>
+                )}
+
+                <p className="text-center text-sm">
+                    <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+                        Back to sign in
+                    </Link>
+                </p>
+            </div>
+        </div>
+    )
+}
+
+export default ForgotPassword
@@ -1,7 +1,8 @@
 import { useState } from 'react'
 import { Link, useNavigate } from 'react-router-dom'
 import { useDispatch, useSelector } from 'react-redux'
-import { loginUser, clearError } from '../../store/slices/authSlice'
+import { loginUser, clearError, setCredentials } from '../../store/slices/authSlice'
+import { authService } from '../../services/authService'
 import { BookOpen, Eye, EyeOff } from 'lucide-react'
 import toast from 'react-hot-toast'
 
@@ -11,6 +12,10 @@ const Login = () => {
         password: '',
     })
     const [showPassword, setShowPassword] = useState(false)
+    // Set once the password is accepted for an account with two-factor authentication
+    const [twoFactorToken, setTwoFactorToken] = useState(null)
+    const [code, setCode] = useState('')
+    const [isVerifying, setIsVerifying] = useState(false)
 
     const dispatch = useDispatch()
     const navigate = useNavigate()
@@ -26,6 +31,23 @@ const Login = () => {
         }
     }
 
+    const signIn = (data) => {
+        toast.success('Login successful!')
+        if (data.twoFactorSetupRequired) {
+            toast.error('Two-factor authentication is required for your role. Enable it before using staff features.')
+        }
+        navigate('/dashboard')
+    }
+
+    const handleSingleSignOn = async () => {
+        try {
+            const response = await authService.startOidcLogin()
+            window.location.assign(response.data.data.authorizationUrl)
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Could not start single sign-on')
+        }
+    }
+
     const handleSubmit = async (e) => {
         e.preventDefault()
 
@@ -37,8 +59,11 @@ const Login = () => {
         try {
             const result = await dispatch(loginUser(formData))
             if (result.type === 'auth/login/fulfilled') {
-                toast.success('Login successful!')
-                navigate('/dashboard')
+                if (result.payload.twoFactorRequired) {
+                    setTwoFactorToken(result.payload.twoFactorToken)
+                } else {
+                    signIn(result.payload)
+                }
             } else {
                 toast.error(result.payload || 'Login failed')
             }
@@ -47,6 +72,22 @@ const Login = () => {
         }
     }
 
+    const handleTwoFactor = async (e) => {
+        e.preventDefault()
+
+        setIsVerifying(true)
+        try {
+            const response = await authService.verifyTwoFactorLogin({ twoFactorToken, code })
+            dispatch(setCredentials(response.data.data))
+            signIn(response.data.data)
+        } catch (error) {
+            const data = error.response?.data
+            toast.error(data?.errors?.[0]?.msg || data?.message || 'Code not accepted')
+        } finally {
+            setIsVerifying(false)
+        }
+    }
+
     return (
         <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
             <div className="max-w-md w-full space-y-8">
@@ -68,79 +109,130 @@ const Login = () => {
                     </p>
                 </div>
 
-                <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-                    <div className="space-y-4">
+                {twoFactorToken ? (
+                    <form className="mt-8 space-y-6" onSubmit={handleTwoFactor}>
                         <div>
-                            <label htmlFor="email" className="label">
-                                Email address
+                            <label htmlFor="code" className="label">
+                                Enter the code from your authenticator app
                             </label>
                             <input
-                                id="email"
-                                name="email"
-                                type="email"
-                                autoComplete="email"
+                                id="code"
+                                name="code"
+                                inputMode="numeric"
+                                autoComplete="one-time-code"
                                 required
                                 className="input mt-1"
-                                placeholder="Enter your email"
-                                value={formData.email}
-                                onChange={handleChange}
+                                maxLength={6}
+                                value={code}
+                                onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
                             />
                         </div>
 
                         <div>
-                            <label htmlFor="password" className="label">
-                                Password
-                            </label>
-                            <div className="relative mt-1">
+                            <button
+                                type="submit"
+                                disabled={isVerifying}
+                                className="btn-primary btn-lg w-full"
+                            >
+                                {isVerifying ? 'Checking...' : 'Verify'}
+                            </button>
+                        </div>
+                    </form>
+                ) : (
+                    <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+                        <div className="space-y-4">
+                            <div>
+                                <label htmlFor="email" className="label">
+                                    Email address
+                                </label>
                                 <input
-                                    id="password"
-                                    name="password"
-                                    type={showPassword ? 'text' : 'password'}
-                                    autoComplete="current-password"
+                                    id="email"
+                                    name="email"
+                                    type="email"
+                                    autoComplete="email"
                                     required
-                                    className="input pr-10"
-                                    placeholder="Enter your password"
-                                    value={formData.password}
+                                    className="input mt-1"
+                                    placeholder="Enter your email"
+                                    value={formData.email}
                                     onChange={handleChange}
                                 />
-                                <button
-                                    type="button"
-                                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                                    onClick={() => setShowPassword(!showPassword)}
-                                >
-                                    {showPassword ? (
-                                        <EyeOff className="h-5 w-5 text-gray-400" />
-                                    ) : (
-                                        <Eye className="h-5 w-5 text-gray-400" />
-                                    )}
-                                </button>
+                            </div>
+
+                            <div>
+                                <label htmlFor="password" className="label">
+                                    Password
+                                </label>
+                                <div className="relative mt-1">
+                                    <input
+                                        id="password"
+                                        name="password"
+                                        type={showPassword ? 'text' : 'password'}
+                                        autoComplete="current-password"
+                                        required
+                                        className="input pr-10"
+                                        placeholder="Enter your password"
+                                        value={formData.password}
+                                        onChange={handleChange}
+                                    />
+                                    <button
+                                        type="button"
+                                        className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                                        onClick={() => setShowPassword(!showPassword)}
+                                    >
+                                        {showPassword ? (
+                                            <EyeOff className="h-5 w-5 text-gray-400" />
+                                        ) : (
+                                            <Eye className="h-5 w-5 text-gray-400" />
+                                        )}
+                                    </button>
+                                </div>
+                                <div className="mt-2 text-right text-sm">
+                                    <Link
+                                        to="/forgot-password"
+                                        className="font-medium text-primary-600 hover:text-primary-500"
+                                    >
+                                        Forgot your password?
+                                    </Link>
+                                </div>
                             </div>
                         </div>
-                    </div>
 
-                    {error && (
-                        <div className="rounded-md bg-danger-50 p-4">
-                            <div className="text-sm text-danger-700">{error}</div>
+                        {error && (
+                            <div className="rounded-md bg-danger-50 p-4">
+                                <div className="text-sm text-danger-700">{error}</div>
+                            </div>
+                        )}
+
+                        <div>
+                            <button
+                                type="submit"
+                                disabled={isLoading}
+                                className="btn-primary btn-lg w-full"
+                            >
+                                {isLoading ? (
+                                    <div className="flex items-center justify-center">
+                                        <div className="loading-spinner h-4 w-4 mr-2"></div>
+                                        Signing in...
+                                    </div>
+                                ) : (
+                                    'Sign in'
+                                )}
+                            </button>
                         </div>
-                    )}
 
-                    <div>
-                        <button
-                            type="submit"
-                            disabled={isLoading}
-                            className="btn-primary btn-lg w-full"
-                        >
-                            {isLoading ? (
-                                <div className="flex items-center justify-center">
-                                    <div className="loading-spinner h-4 w-4 mr-2"></div>
-                                    Signing in...
-                                </div>
-                            ) : (
-                                'Sign in'
-                            )}
-                        </button>
-                    </div>
-                </form>
+                        {import.meta.env.VITE_OIDC_ENABLED === 'true' && (
+                            <div>
+                                <button
+                                    type="button"
+                                    className="btn-secondary btn-lg w-full"
+                                    onClick={handleSingleSignOn}
+                                >
+                                    Sign in with single sign-on
+                                </button>
+                            </div>
+                        )}
+                    </form>
+                )}
             </div>
         </div>
     )
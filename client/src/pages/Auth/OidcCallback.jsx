@@ -0,0 +1,126 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { useDispatch } from 'react-redux'
+import { setCredentials } from '../../store/slices/authSlice'
+import { authService } from '../../services/authService'
+import { BookOpen } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+// The identity provider sends the browser back here with a code and state,
+// which the server exchanges to finish signing in. The server only accepts a
+// state matching the cookie it set in this browser when the login started.
+const OidcCallback = () => {
+    const [searchParams] = useSearchParams()
+    const [error, setError] = useState('')
+    const [twoFactorToken, setTwoFactorToken] = useState(null)
+    const [code, setCode] = useState('')
+    const [isSubmitting, setIsSubmitting] = useState(false)
+    // Each login can only be finished once
+    const sent = useRef(false)
+
+    const dispatch = useDispatch()
+    const navigate = useNavigate()
+
+    const signIn = useCallback((data) => {
+        dispatch(setCredentials(data))
+        toast.success('Login successful!')
+        navigate('/dashboard', { replace: true })
+    }, [dispatch, navigate])
+
+    useEffect(() => {
+        if (sent.current) {
+            return
+        }
+        sent.current = true
+
+        if (searchParams.get('error')) {
+            setError(searchParams.get('error_description') || 'The identity provider did not sign you in')
+            return
+        }
+
+        authService.completeOidcLogin({ code: searchParams.get('code'), state: searchParams.get('state') })
+            .then((response) => {
+                const { data } = response.data
+                if (data.twoFactorRequired) {
+                    setTwoFactorToken(data.twoFactorToken)
+                } else {
+                    signIn(data)
+                }
+            })
+            .catch((error) => {
+                setError(error.response?.data?.message || 'Single sign-on failed. Please try again.')
+            })
+    }, [searchParams, signIn])
+
+    const handleTwoFactor = async (e) => {
+        e.preventDefault()
+
+        setIsSubmitting(true)
+        try {
+            const response = await authService.verifyTwoFactorLogin({ twoFactorToken, code })
+            signIn(response.data.data)
+        } catch (error) {
+            const data = error.response?.data
+            toast.error(data?.errors?.[0]?.msg || data?.message || 'Code not accepted')
+        } finally {
+            setIsSubmitting(false)
+        }
+    }
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+            <div className="max-w-md w-full space-y-8 text-center">
+                <div className="flex justify-center">
+                    <BookOpen className="h-12 w-12 text-primary-600" />
+                </div>
+                <h2 className="text-3xl font-extrabold text-gray-900">Single sign-on</h2>
+
+                {error && (
+                    <>
+                        <div className="rounded-md bg-danger-50 p-4">
+                            <div className="text-sm text-danger-700">{error}</div>
+                        </div>
+                        <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+                            Back to sign in
+                        </Link>
+                    </>
+                )}
+
+                {!error && !twoFactorToken && (
+                    <div className="flex items-center justify-center text-gray-600">
+                        <div className="loading-spinner h-4 w-4 mr-2"></div>
+                        Signing you in...
+                    </div>
+                )}
+
+                {twoFactorToken && (
+                    <form className="space-y-4 text-left" onSubmit={handleTwoFactor}>
+                        <label htmlFor="code" className="label">
+                            Enter the code from your authenticator app
+                        </label>
+                        <input
+                            id="code"
+                            name="code"
+                            inputMode="numeric"
+                            autoComplete="one-time-code"
+                            required
+                            className="input"
+                            maxLength={6}
+                            value={code}
+                            onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+                        />
+                        <button
+                            type="submit"
+                            disabled={isSubmitting}
+                            className="btn-primary btn-lg w-full"
+                        >
+                            {isSubmitting ? 'Checking...' : 'Verify'}
+                        </button>
+                    </form>
+                )}
+            </div>
+        </div>
+    )
+}
+
+export default OidcCallback
@@ -0,0 +1,131 @@
+import { useState } from 'react'
+import { Link, useNavigate, useParams } from 'react-router-dom'
+import { useDispatch } from 'react-redux'
+import { clearAuth } from '../../store/slices/authSlice'
+import { authService } from '../../services/authService'
+import { BookOpen } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const ResetPassword = () => {
+    const { token } = useParams()
+    const [formData, setFormData] = useState({
+        password: '',
+        confirmPassword: '',
+    })
+    const [isSubmitting, setIsSubmitting] = useState(false)
+    const [error, setError] = useState('')
+
+    const dispatch = useDispatch()
+    const navigate = useNavigate()
+
+    const handleChange = (e) => {
+        setFormData({
+            ...formData,
+            [e.target.name]: e.target.value,
+        })
+        setError('')
+    }
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+
+        if (formData.password !== formData.confirmPassword) {
+            setError('Passwords do not match')
+            return
+        }
+
+        setIsSubmitting(true)
+        try {
+            const response = await authService.resetPassword(token, formData)
+            // A reset signs the account out everywhere, this browser included
+            dispatch(clearAuth())
+            toast.success(response.data.message)
+            navigate('/login')
+        } catch (error) {
+            const data = error.response?.data
+            setError(data?.errors?.[0]?.msg || data?.message || 'Could not reset your password')
+        } finally {
+            setIsSubmitting(false)
+        }
+    }
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+            <div className="max-w-md w-full space-y-8">
+                <div>
+                    <div className="flex justify-center">
+                        <BookOpen className="h-12 w-12 text-primary-600" />
+                    </div>
+                    <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+                        Choose a new password
+                    </h2>
+                    <p className="mt-2 text-center text-sm text-gray-600">
+                        You will be signed out of every device.
+                    </p>
+                </div>
+
+                <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+                    <div className="space-y-4">
+                        <div>
+                            <label htmlFor="password" className="label">
+                                New password
+                            </label>
+                            <input
+                                id="password"
+                                name="password"
+                                type="password"
+                                autoComplete="new-password"
+                                required
+                                className="input mt-1"
+                                placeholder="Enter a new password"
+                                value={formData.password}
+                                onChange={handleChange}
+                            />
+                        </div>
+
+                        <div>
+                            <label htmlFor="confirmPassword" className="label">
+                                Confirm password
+                            </label>
+                            <input
+                                id="confirmPassword"
+                                name="confirmPassword"
+                                type="password"
+                                autoComplete="new-password"
+                                required
+                                className="input mt-1"
+                                placeholder="Enter it again"
+                                value={formData.confirmPassword}
+                                onChange={handleChange}
+                            />
+                        </div>
+                    </div>
+
+                    {error && (
+                        <div className="rounded-md bg-danger-50 p-4">
+                            <div className="text-sm text-danger-700">{error}</div>
+                        </div>
+                    )}
+
+                    <div>
+                        <button
+                            type="submit"
+                            disabled={isSubmitting}
+                            className="btn-primary btn-lg w-full"
+                        >
+                            {isSubmitting ? 'Saving...' : 'Reset password'}
+                        </button>
+                    </div>
+
+                    <p className="text-center text-sm">
+                        <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+                            Back to sign in
+                        </Link>
+                    </p>
+                </form>
+            </div>
+        </div>
+    )
+}
+
+export default ResetPassword
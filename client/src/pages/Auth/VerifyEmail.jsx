@@ -0,0 +1,73 @@
+import { useEffect, useRef, useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { useDispatch, useSelector } from 'react-redux'
+import { getCurrentUser } from '../../store/slices/authSlice'
+import { authService } from '../../services/authService'
+import { BookOpen } from 'lucide-react'
+
+const VerifyEmail = () => {
+    const { token } = useParams()
+    const [status, setStatus] = useState('verifying')
+    const [message, setMessage] = useState('')
+    // A link only works once, so make sure it is not sent twice
+    const sent = useRef(false)
+
+    const dispatch = useDispatch()
+    const isAuthenticated = useSelector((state) => state.auth.isAuthenticated)
+
+    useEffect(() => {
+        if (sent.current) {
+            return
+        }
+        sent.current = true
+
+        authService.verifyEmail(token)
+            .then(() => {
+                setStatus('verified')
+                if (isAuthenticated) {
+                    dispatch(getCurrentUser())
+                }
+            })
+            .catch((error) => {
+                setStatus('failed')
+                setMessage(error.response?.data?.message || 'Verification link is invalid or has expired')
+            })
+    }, [token, isAuthenticated, dispatch])
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+            <div className="max-w-md w-full space-y-8 text-center">
+                <div className="flex justify-center">
+                    <BookOpen className="h-12 w-12 text-primary-600" />
+                </div>
+                <h2 className="text-3xl font-extrabold text-gray-900">Email verification</h2>
+
+                {status === 'verifying' && (
+                    <div className="flex items-center justify-center text-gray-600">
+                        <div className="loading-spinner h-4 w-4 mr-2"></div>
+                        Verifying your email address...
+                    </div>
+                )}
+                {status === 'verified' && (
+                    <p className="text-gray-600">Your email address has been verified.</p>
+                )}
+                {status === 'failed' && (
+                    <div className="rounded-md bg-danger-50 p-4">
+                        <div className="text-sm text-danger-700">{message}</div>
+                    </div>
+                )}
+
+                {status !== 'verifying' && (
+                    <Link
+                        to={isAuthenticated ? '/dashboard' : '/login'}
+                        className="font-medium text-primary-600 hover:text-primary-500"
+                    >
+                        {isAuthenticated ? 'Go to your dashboard' : 'Sign in'}
+                    </Link>
+                )}
+            </div>
+        </div>
+    )
+}
+
+export default VerifyEmail
@@ -0,0 +1,431 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { BookOpen, CheckCircle, XCircle, Printer, Mail, LogOut } from 'lucide-react'
+import { format } from 'date-fns'
+import { kioskService } from '../../services/kioskService'
+
+const DEFAULT_IDLE_SECONDS = 120
+
+const errorMessage = (error, fallback) => error.response?.data?.message || fallback
+
+// Text input that keeps focus so barcode scanners (which type the code and
+// press Enter) always land in it
+const ScanInput = ({ placeholder, onScan, disabled }) => {
+    const [value, setValue] = useState('')
+    const inputRef = useRef(null)
+
+    useEffect(() => {
+        inputRef.current?.focus()
+    })
+
+    const handleSubmit = (e) => {
+        e.preventDefault()
+        const code = value.trim()
+        setValue('')
+        if (code) {
+            onScan(code)
+        }
+    }
+
+    return (
+        <form onSubmit={handleSubmit}>
+            <input
+                ref={inputRef}
+                type="text"
+                className="input text-lg py-3"
+                placeholder={placeholder}
+                value={value}
+                disabled={disabled}
+                onChange={(e) => setValue(e.target.value)}
+                onBlur={() => setTimeout(() => inputRef.current?.focus(), 100)}
+                autoComplete="off"
+            />
+        </form>
+    )
+}
+
+// PIN entry after a card is scanned; cards carry no secret of their own
+const PinEntry = ({ onSubmit, onCancel, disabled }) => {
+    const [pin, setPin] = useState('')
+
+    const handleSubmit = (e) => {
+        e.preventDefault()
+        if (pin) {
+            onSubmit(pin)
+            setPin('')
+        }
+    }
+
+    return (
+        <form className="space-y-4" onSubmit={handleSubmit}>
+            <input
+                type="password"
+                inputMode="numeric"
+                className="input text-lg py-3"
+                placeholder="PIN"
+                maxLength={8}
+                value={pin}
+                disabled={disabled}
+                onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+                autoComplete="off"
+                autoFocus
+            />
+            <div className="flex gap-4">
+                <button type="submit" className="btn-primary btn-lg flex-1" disabled={disabled}>
+                    Continue
+                </button>
+                <button type="button" className="btn-secondary btn-lg" onClick={onCancel} disabled={disabled}>
+                    Cancel
+                </button>
+            </div>
+        </form>
+    )
+}
+
+const DeviceSetup = ({ onSaved }) => {
+    const [token, setToken] = useState('')
+
+    const handleSubmit = (e) => {
+        e.preventDefault()
+        if (token.trim()) {
+            kioskService.setDeviceToken(token.trim())
+            onSaved()
+        }
+    }
+
+    return (
+        <form className="card p-8 space-y-4" onSubmit={handleSubmit}>
+            <h2 className="text-2xl font-bold text-gray-900">Kiosk setup</h2>
+            <p className="text-gray-600">
+                Enter the device token issued when this kiosk was registered by an administrator.
+            </p>
+            <input
+                type="password"
+                className="input"
+                placeholder="Device token"
+                value={token}
+                onChange={(e) => setToken(e.target.value)}
+            />
+            <button type="submit" className="btn-primary btn-lg w-full">
+                Save
+            </button>
+        </form>
+    )
+}
+
+const Receipt = ({ receipt, onEmail, emailed, onDone }) => (
+    <div className="card p-8 space-y-6 print:shadow-none">
+        <h2 className="text-2xl font-bold text-gray-900">Receipt</h2>
+        <p className="text-gray-600">
+            {receipt.patron.firstName} {receipt.patron.lastName} &middot;{' '}
+            {format(new Date(receipt.issuedAt), 'PPpp')}
+        </p>
+
+        {receipt.checkedOut.length > 0 && (
+            <div>
+                <h3 className="font-semibold text-gray-900 mb-2">Checked out</h3>
+                <ul className="divide-y divide-gray-200">
+                    {receipt.checkedOut.map((item, index) => (
+                        <li key={index} className="py-2 flex justify-between">
+                            <span>{item.title}</span>
+                            <span className="font-semibold">
+                                Due {format(new Date(item.dueDate), 'PP')}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        )}
+
+        {receipt.returned.length > 0 && (
+            <div>
+                <h3 className="font-semibold text-gray-900 mb-2">Returned</h3>
+                <ul className="divide-y divide-gray-200">
+                    {receipt.returned.map((item, index) => (
+                        <li key={index} className="py-2">{item.title}</li>
+                    ))}
+                </ul>
+            </div>
+        )}
+
+        <div className="flex gap-4 print:hidden">
+            <button type="button" className="btn-secondary btn-lg flex-1" onClick={() => window.print()}>
+                <Printer className="h-5 w-5 mr-2" /> Print
+            </button>
+            <button type="button" className="btn-secondary btn-lg flex-1" onClick={onEmail} disabled={emailed}>
+                <Mail className="h-5 w-5 mr-2" /> {emailed ? 'Emailed' : 'Email me'}
+            </button>
+            <button type="button" className="btn-primary btn-lg flex-1" onClick={onDone}>
+                Done
+            </button>
+        </div>
+    </div>
+)
+
+const Kiosk = () => {
+    const [hasDevice, setHasDevice] = useState(Boolean(kioskService.getDeviceToken()))
+    const [session, setSession] = useState(null)
+    const [card, setCard] = useState(null)
+    const [mode, setMode] = useState('checkout')
+    const [results, setResults] = useState([])
+    const [loans, setLoans] = useState([])
+    const [receipt, setReceipt] = useState(null)
+    const [emailed, setEmailed] = useState(false)
+    const [message, setMessage] = useState(null)
+    const [busy, setBusy] = useState(false)
+    const idleTimer = useRef(null)
+
+    const resetKiosk = useCallback(() => {
+        kioskService.setSessionToken(null)
+        setSession(null)
+        setCard(null)
+        setMode('checkout')
+        setResults([])
+        setLoans([])
+        setReceipt(null)
+        setEmailed(false)
+    }, [])
+
+    const endSession = useCallback(async () => {
+        try {
+            await kioskService.endSession()
+        } catch (error) {
+            // The session may already have expired on the server
+        }
+        resetKiosk()
+    }, [resetKiosk])
+
+    // Patron sessions end after a period without activity
+    const resetIdleTimer = useCallback(() => {
+        clearTimeout(idleTimer.current)
+        if (session) {
+            const seconds = session.idleTimeoutSeconds || DEFAULT_IDLE_SECONDS
+            idleTimer.current = setTimeout(endSession, seconds * 1000)
+        }
+    }, [session, endSession])
+
+    useEffect(() => {
+        resetIdleTimer()
+        const events = ['keydown', 'pointerdown']
+        events.forEach((event) => window.addEventListener(event, resetIdleTimer))
+        return () => {
+            clearTimeout(idleTimer.current)
+            events.forEach((event) => window.removeEventListener(event, resetIdleTimer))
+        }
+    }, [resetIdleTimer])
+
+    const handleError = (error, fallback) => {
+        if (error.response?.status === 401) {
+            if (error.response.data?.message?.includes('device')) {
+                kioskService.clearDeviceToken()
+                setHasDevice(false)
+            }
+            resetKiosk()
+        }
+        setMessage({ type: 'error', text: errorMessage(error, fallback) })
+    }
+
+    const handleCard = (scanned) => {
+        setMessage(null)
+        setCard(scanned)
+    }
+
+    const handlePin = async (pin) => {
+        setBusy(true)
+        setMessage(null)
+        try {
+            const response = await kioskService.startSession(card, pin)
+            const data = response.data.data
+            kioskService.setSessionToken(data.sessionToken)
+            setSession({ patron: data.patron, idleTimeoutSeconds: data.idleTimeoutSeconds, blocks: data.blocks || [] })
+            setMode(data.blocks?.length > 0 ? 'return' : 'checkout')
+            setLoans(data.loans)
+            setMessage({ type: 'success', text: response.data.message })
+        } catch (error) {
+            setCard(null)
+            handleError(error, 'Could not read library card')
+        } finally {
+            setBusy(false)
+        }
+    }
+
+    const refreshLoans = async () => {
+        const response = await kioskService.getSession()
+        setLoans(response.data.data.loans)
+    }
+
+    const handleItem = async (item) => {
+        setBusy(true)
+        setMessage(null)
+        try {
+            const response = mode === 'checkout'
+                ? await kioskService.checkout(item)
+                : await kioskService.returnItem(item)
+            const borrow = response.data.data.borrow
+            setResults((previous) => [
+                { success: true, text: response.data.message, dueDate: mode === 'checkout' ? borrow.dueDate : null },
+                ...previous,
+            ])
+            await refreshLoans()
+        } catch (error) {
+            setResults((previous) => [
+                { success: false, text: errorMessage(error, 'Could not process item') },
+                ...previous,
+            ])
+            if (error.response?.status === 401) {
+                handleError(error, 'Session expired')
+            }
+        } finally {
+            setBusy(false)
+        }
+    }
+
+    const handleFinish = async () => {
+        try {
+            const response = await kioskService.getReceipt(false)
+            setReceipt(response.data.data.receipt)
+        } catch (error) {
+            handleError(error, 'Could not create receipt')
+        }
+    }
+
+    const handleEmailReceipt = async () => {
+        try {
+            const response = await kioskService.getReceipt(true)
+            setEmailed(response.data.data.emailed)
+            setMessage({ type: response.data.data.emailed ? 'success' : 'error', text: response.data.message })
+        } catch (error) {
+            handleError(error, 'Could not email receipt')
+        }
+    }
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex flex-col items-center py-12 px-4">
+            <div className="flex items-center mb-8 print:hidden">
+                <BookOpen className="h-10 w-10 text-primary-600 mr-3" />
+                <h1 className="text-3xl font-extrabold text-gray-900">Self-service</h1>
+            </div>
+
+            <div className="max-w-2xl w-full space-y-6">
+                {message && (
+                    <div className={`rounded-md p-4 text-lg print:hidden ${message.type === 'error' ? 'bg-danger-50 text-danger-700' : 'bg-success-50 text-success-700'}`}>
+                        {message.text}
+                    </div>
+                )}
+
+                {!hasDevice && <DeviceSetup onSaved={() => setHasDevice(true)} />}
+
+                {hasDevice && !session && !card && (
+                    <div className="card p-8 space-y-4">
+                        <h2 className="text-2xl font-bold text-gray-900">Scan your library card to begin</h2>
+                        <ScanInput placeholder="Library card" onScan={handleCard} disabled={busy} />
+                    </div>
+                )}
+
+                {hasDevice && !session && card && (
+                    <div className="card p-8 space-y-4">
+                        <h2 className="text-2xl font-bold text-gray-900">Enter your kiosk PIN</h2>
+                        <PinEntry onSubmit={handlePin} onCancel={() => setCard(null)} disabled={busy} />
+                    </div>
+                )}
+
+                {hasDevice && session && receipt && (
+                    <Receipt receipt={receipt} emailed={emailed} onEmail={handleEmailReceipt} onDone={endSession} />
+                )}
+
+                {hasDevice && session && !receipt && (
+                    <>
+                        <div className="card p-8 space-y-4">
+                            <div className="flex items-center justify-between">
+                                <h2 className="text-2xl font-bold text-gray-900">
+                                    Hello, {session.patron.firstName}
+                                </h2>
+                                <button type="button" className="btn-ghost btn-md" onClick={endSession}>
+                                    <LogOut className="h-5 w-5 mr-2" /> Cancel
+                                </button>
+                            </div>
+
+                            {session.blocks.length > 0 && (
+                                <div className="rounded-md p-4 bg-danger-50 text-danger-700">
+                                    <p className="font-semibold">You can return books but not borrow right now.</p>
+                                    <ul className="list-disc list-inside">
+                                        {session.blocks.map((block, index) => (
+                                            <li key={index}>{block.message}</li>
+                                        ))}
+                                    </ul>
+                                    <p>Please see a librarian.</p>
+                                </div>
+                            )}
+
+                            <div className="flex gap-4">
+                                <button
+                                    type="button"
+                                    className={`${mode === 'checkout' ? 'btn-primary' : 'btn-outline'} btn-lg flex-1`}
+                                    onClick={() => setMode('checkout')}
+                                >
+                                    Borrow
+                                </button>
+                                <button
+                                    type="button"
+                                    className={`${mode === 'return' ? 'btn-primary' : 'btn-outline'} btn-lg flex-1`}
+                                    onClick={() => setMode('return')}
+                                >
+                                    Return
+                                </button>
+                            </div>
+
+                            <ScanInput
+                                placeholder={mode === 'checkout' ? 'Scan a book to borrow' : 'Scan a book to return'}
+                                onScan={handleItem}
+                                disabled={busy}
+                            />
+
+                            {results.length > 0 && (
+                                <ul className="space-y-2">
+                                    {results.map((result, index) => (
+                                        <li key={index} className="flex items-center text-lg">
+                                            {result.success ? (
+                                                <CheckCircle className="h-6 w-6 text-success-600 mr-2" />
+                                            ) : (
+                                                <XCircle className="h-6 w-6 text-danger-600 mr-2" />
+                                            )}
+                                            <span>{result.text}</span>
+                                            {result.dueDate && (
+                                                <span className="ml-auto font-semibold">
+                                                    Due {format(new Date(result.dueDate), 'PP')}
+                                                </span>
+                                            )}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+
+                            <button type="button" className="btn-success btn-lg w-full" onClick={handleFinish}>
+                                Finish and get receipt
+                            </button>
+                        </div>
+
+                        <div className="card p-8">
+                            <h3 className="font-semibold text-gray-900 mb-2">Your current loans</h3>
+                            {loans.length === 0 ? (
+                                <p className="text-gray-500">You have no books on loan.</p>
+                            ) : (
+                                <ul className="divide-y divide-gray-200">
+                                    {loans.map((loan) => (
+                                        <li key={loan._id} className="py-2 flex justify-between">
+                                            <span>{loan.book?.title}</span>
+                                            <span className={loan.status === 'overdue' ? 'text-danger-600 font-semibold' : ''}>
+                                                Due {format(new Date(loan.dueDate), 'PP')}
+                                            </span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    )
+}
+
+export default Kiosk
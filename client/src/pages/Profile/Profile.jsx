@@ -1,8 +1,84 @@
+import { useState } from 'react'
+import toast from 'react-hot-toast'
+import { authService } from '../../services/authService'
+
+// Library cards carry no secret, so kiosks ask for this PIN as well
+const KioskPinForm = () => {
+    const [formData, setFormData] = useState({ pin: '', confirmPin: '' })
+    const [saving, setSaving] = useState(false)
+
+    const handleChange = (e) => {
+        setFormData({
+            ...formData,
+            [e.target.name]: e.target.value.replace(/\D/g, ''),
+        })
+    }
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+
+        if (!/^\d{4,8}$/.test(formData.pin)) {
+            toast.error('PIN must be 4 to 8 digits')
+            return
+        }
+        if (formData.pin !== formData.confirmPin) {
+            toast.error('PINs do not match')
+            return
+        }
+
+        setSaving(true)
+        try {
+            await authService.setKioskPin(formData)
+            toast.success('Kiosk PIN set')
+            setFormData({ pin: '', confirmPin: '' })
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Could not set kiosk PIN')
+        } finally {
+            setSaving(false)
+        }
+    }
+
+    return (
+        <form className="card p-6 space-y-4 max-w-md" onSubmit={handleSubmit}>
+            <div>
+                <h2 className="text-lg font-semibold text-gray-900">Kiosk PIN</h2>
+                <p className="text-sm text-gray-500">Enter this PIN after scanning your library card at a self-service kiosk.</p>
+            </div>
+            <input
+                type="password"
+                name="pin"
+                inputMode="numeric"
+                autoComplete="new-password"
+                className="input"
+                placeholder="New PIN (4 to 8 digits)"
+                maxLength={8}
+                value={formData.pin}
+                onChange={handleChange}
+            />
+            <input
+                type="password"
+                name="confirmPin"
+                inputMode="numeric"
+                autoComplete="new-password"
+                className="input"
+                placeholder="Confirm PIN"
+                maxLength={8}
+                value={formData.confirmPin}
+                onChange={handleChange}
+            />
+            <button type="submit" className="btn-primary" disabled={saving}>
+                {saving ? 'Saving...' : 'Set PIN'}
+            </button>
+        </form>
+    )
+}
+
 const Profile = () => {
     return (
         <div className="space-y-6">
             <h1 className="text-2xl font-bold text-gray-900">Profile</h1>
             <p className="text-sm text-gray-500">This page will allow you to manage your profile information and preferences.</p>
+            <KioskPinForm />
         </div>
     )
 }
@@ -2,10 +2,18 @@ import api from './api'
 
 export const authService = {
     login: (credentials) => api.post('/auth/login', credentials),
+    verifyTwoFactorLogin: (data) => api.post('/auth/login/2fa', data),
+    // The server ties a login to this browser with a cookie, so send it along
+    startOidcLogin: () => api.get('/auth/oidc/authorize', { withCredentials: true }),
+    completeOidcLogin: (params) => api.post('/auth/oidc/callback', params, { withCredentials: true }),
     register: (userData) => api.post('/auth/register', userData),
     logout: () => api.post('/auth/logout'),
     getCurrentUser: () => api.get('/auth/me'),
     updateProfile: (userData) => api.put('/auth/profile', userData),
     changePassword: (passwordData) => api.put('/auth/change-password', passwordData),
+    setKioskPin: (pinData) => api.put('/auth/me/kiosk-pin', pinData),
+    verifyEmail: (token) => api.post(`/auth/verify-email/${token}`),
+    forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+    resetPassword: (token, passwordData) => api.post(`/auth/reset-password/${token}`, passwordData),
     refreshToken: (refreshToken) => api.post('/auth/refresh', { refreshToken }),
 }
@@ -0,0 +1,44 @@
+import axios from 'axios'
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api'
+
+const DEVICE_TOKEN_KEY = 'kioskDeviceToken'
+
+// The kiosk never uses a user's login, so it has its own axios instance
+// without the auth interceptors of the shared one
+const kioskApi = axios.create({
+    baseURL: `${API_BASE_URL}/kiosk`,
+    timeout: 10000,
+    headers: {
+        'Content-Type': 'application/json',
+    },
+})
+
+let sessionToken = null
+
+kioskApi.interceptors.request.use((config) => {
+    const deviceToken = localStorage.getItem(DEVICE_TOKEN_KEY)
+    if (deviceToken) {
+        config.headers['X-Kiosk-Token'] = deviceToken
+    }
+    if (sessionToken) {
+        config.headers['X-Kiosk-Session'] = sessionToken
+    }
+    return config
+})
+
+export const kioskService = {
+    getDeviceToken: () => localStorage.getItem(DEVICE_TOKEN_KEY),
+    setDeviceToken: (token) => localStorage.setItem(DEVICE_TOKEN_KEY, token),
+    clearDeviceToken: () => localStorage.removeItem(DEVICE_TOKEN_KEY),
+    setSessionToken: (token) => {
+        sessionToken = token
+    },
+
+    startSession: (card, pin) => kioskApi.post('/session', { card, pin }),
+    getSession: () => kioskApi.get('/session'),
+    endSession: () => kioskApi.delete('/session'),
+    checkout: (item) => kioskApi.post('/checkout', { item }),
+    returnItem: (item) => kioskApi.post('/return', { item }),
+    getReceipt: (email = false) => kioskApi.post('/receipt', { email }),
+}
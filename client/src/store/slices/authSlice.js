@@ -7,8 +7,13 @@ export const loginUser = createAsyncThunk(
     async (credentials, { rejectWithValue }) => {
         try {
             const response = await authService.login(credentials)
-            localStorage.setItem('token', response.data.token)
-            return response.data
+            const { data } = response.data
+            // Accounts with two-factor authentication get a challenge for
+            // the second step instead of a token
+            if (!data.twoFactorRequired) {
+                localStorage.setItem('token', data.token)
+            }
+            return data
         } catch (error) {
             return rejectWithValue(error.response?.data?.message || 'Login failed')
         }
@@ -93,6 +98,14 @@ const authSlice = createSlice({
         clearError: (state) => {
             state.error = null
         },
+        // For sign-ins finished outside the login thunk, such as single sign-on
+        setCredentials: (state, action) => {
+            state.user = action.payload.user
+            state.token = action.payload.token
+            state.isAuthenticated = true
+            state.error = null
+            localStorage.setItem('token', action.payload.token)
+        },
         clearAuth: (state) => {
             state.user = null
             state.token = null
@@ -110,10 +123,14 @@ const authSlice = createSlice({
             })
             .addCase(loginUser.fulfilled, (state, action) => {
                 state.isLoading = false
+                state.error = null
+                // Not signed in until the code is verified
+                if (action.payload.twoFactorRequired) {
+                    return
+                }
                 state.isAuthenticated = true
                 state.user = action.payload.user
                 state.token = action.payload.token
-                state.error = null
             })
             .addCase(loginUser.rejected, (state, action) => {
                 state.isLoading = false
@@ -212,5 +229,5 @@ const authSlice = createSlice({
     },
 })
 
-export const { clearError, clearAuth } = authSlice.actions
+export const { clearError, setCredentials, clearAuth } = authSlice.actions
 export default authSlice.reducer
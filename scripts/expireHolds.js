@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { expireUncollectedHolds } = require('../server/utils/holdService');
+
+// Usage: node scripts/expireHolds.js
+// Run it daily (e.g. from cron) so uncollected holds move down the queue.
+const runExpiry = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('📡 Connected to MongoDB');
+
+        const report = await expireUncollectedHolds();
+
+        console.log(
+            `✅ ${report.expired} of ${report.checked} uncollected hold(s) expired, ` +
+            `${report.passedOn} passed on to the next patron`
+        );
+
+        await mongoose.connection.close();
+        console.log('📡 Database connection closed');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Hold expiry failed:', error);
+        process.exit(1);
+    }
+};
+
+runExpiry();
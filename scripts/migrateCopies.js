@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Book = require('../server/models/Book');
+const Borrow = require('../server/models/Borrow');
+const Copy = require('../server/models/Copy');
+
+// Creates copy records for books added before item-level tracking and
+// links each outstanding loan to one of the new copies.
+const migrateCopies = async () => {
+    const books = await Book.find({});
+    let migratedBooks = 0;
+    let createdCopies = 0;
+
+    for (const book of books) {
+        const existingCopies = await Copy.countDocuments({ book: book._id });
+        if (existingCopies > 0) {
+            continue;
+        }
+
+        const copies = await Copy.createCopiesForBook(book, book.totalCopies);
+        createdCopies += copies.length;
+
+        const activeBorrows = await Borrow.find({
+            book: book._id,
+            status: { $in: ['borrowed', 'overdue'] },
+            isActive: true
+        }).sort({ borrowDate: 1 });
+
+        for (let i = 0; i < activeBorrows.length && i < copies.length; i++) {
+            copies[i].status = 'on_loan';
+            copies[i].currentBorrow = activeBorrows[i]._id;
+            await copies[i].save();
+
+            activeBorrows[i].copy = copies[i]._id;
+            await activeBorrows[i].save();
+        }
+
+        await book.syncAvailability();
+        await Book.updateOne(
+            { _id: book._id },
+            { totalCopies: book.totalCopies, availableCopies: book.availableCopies }
+        );
+        migratedBooks += 1;
+    }
+
+    return { migratedBooks, createdCopies };
+};
+
+const runMigration = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('📡 Connected to MongoDB');
+
+        const { migratedBooks, createdCopies } = await migrateCopies();
+        console.log(`✅ Created ${createdCopies} copies for ${migratedBooks} books`);
+
+        await mongoose.connection.close();
+        console.log('📡 Database connection closed');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Copy migration failed:', error);
+        process.exit(1);
+    }
+};
+
+runMigration();
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Borrow = require('../server/models/Borrow');
+const FineTransaction = require('../server/models/FineTransaction');
+
+// Posts the fines recorded on returned loans before the ledger existed: a
+// charge for each fine and, when it was marked paid, a matching payment.
+// Loans that already have ledger entries are skipped, so it is safe to re-run.
+const migrateFines = async () => {
+    const borrows = await Borrow.find({
+        status: 'returned',
+        fineAmount: { $gt: 0 }
+    }).sort({ returnDate: 1 });
+
+    let charges = 0;
+    let payments = 0;
+
+    for (const borrow of borrows) {
+        const existing = await FineTransaction.countDocuments({ borrow: borrow._id });
+        if (existing > 0) {
+            continue;
+        }
+
+        const chargedAt = borrow.returnDate || borrow.updatedAt;
+        await FineTransaction.collection.insertOne({
+            user: borrow.user,
+            borrow: borrow._id,
+            type: 'charge',
+            category: 'overdue',
+            amount: Math.round(borrow.fineAmount * 100) / 100,
+            reason: 'Migrated from loan record',
+            createdAt: chargedAt,
+            updatedAt: chargedAt
+        });
+        charges += 1;
+
+        if (borrow.finePaid) {
+            const paidAt = borrow.finePaidDate || chargedAt;
+            await FineTransaction.collection.insertOne({
+                user: borrow.user,
+                borrow: borrow._id,
+                type: 'payment',
+                amount: Math.round(borrow.fineAmount * 100) / 100,
+                reason: 'Migrated from loan record',
+                createdAt: paidAt,
+                updatedAt: paidAt
+            });
+            payments += 1;
+        }
+    }
+
+    return { charges, payments };
+};
+
+const runMigration = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('📡 Connected to MongoDB');
+
+        const { charges, payments } = await migrateFines();
+        console.log(`✅ Posted ${charges} charges and ${payments} payments to the fines ledger`);
+
+        await mongoose.connection.close();
+        console.log('📡 Database connection closed');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Fine migration failed:', error);
+        process.exit(1);
+    }
+};
+
+runMigration();
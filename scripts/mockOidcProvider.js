@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+// A minimal OpenID Connect provider for trying single sign-on locally. It
+// signs users in without asking for a password: pass `login_hint` with one of
+// the test users' emails, or get the first one.
+//
+// Usage: node scripts/mockOidcProvider.js
+// then set OIDC_ENABLED=true and OIDC_ISSUER=http://localhost:9400 for the server.
+
+const DEFAULT_USERS = [
+    {
+        sub: 'mock-student-1',
+        email: 'student@campus.example',
+        email_verified: true,
+        given_name: 'Sam',
+        family_name: 'Student',
+        student_id: 'S1000001',
+        groups: ['students']
+    },
+    {
+        sub: 'mock-librarian-1',
+        email: 'librarian@campus.example',
+        email_verified: true,
+        given_name: 'Lee',
+        family_name: 'Librarian',
+        groups: ['library-staff']
+    }
+];
+
+const createMockProvider = ({
+    issuer,
+    clientId = 'library-app',
+    clientSecret = '',
+    users = DEFAULT_USERS
+}) => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString('hex');
+    const codes = new Map();
+    const accessTokens = new Map();
+
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    const tokenError = (res, status, error) => res.status(status).json({ error });
+
+    app.get('/.well-known/openid-configuration', (req, res) => {
+        res.json({
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            userinfo_endpoint: `${issuer}/userinfo`,
+            jwks_uri: `${issuer}/jwks`,
+            response_types_supported: ['code'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: ['RS256'],
+            code_challenge_methods_supported: ['S256'],
+            token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none']
+        });
+    });
+
+    app.get('/jwks', (req, res) => {
+        res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+    });
+
+    app.get('/authorize', (req, res) => {
+        const { response_type, client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+
+        if (client_id !== clientId || !redirect_uri) {
+            return res.status(400).send('Unknown client or missing redirect_uri');
+        }
+
+        const redirect = new URL(redirect_uri);
+        if (state) {
+            redirect.searchParams.set('state', state);
+        }
+
+        if (response_type !== 'code' || !code_challenge || code_challenge_method !== 'S256') {
+            redirect.searchParams.set('error', 'invalid_request');
+            return res.redirect(redirect.toString());
+        }
+
+        const user = login_hint ? users.find(candidate => candidate.email === login_hint) : users[0];
+        if (!user) {
+            redirect.searchParams.set('error', 'access_denied');
+            return res.redirect(redirect.toString());
+        }
+
+        const code = crypto.randomBytes(24).toString('base64url');
+        codes.set(code, {
+            redirectUri: redirect_uri,
+            codeChallenge: code_challenge,
+            nonce,
+            user,
+            expiresAt: Date.now() + 60 * 1000
+        });
+
+        redirect.searchParams.set('code', code);
+        res.redirect(redirect.toString());
+    });
+
+    app.post('/token', (req, res) => {
+        let id = req.body.client_id;
+        let secret = req.body.client_secret;
+        const authorization = req.get('authorization') || '';
+        if (authorization.startsWith('Basic ')) {
+            const [user, password] = Buffer.from(authorization.substring(6), 'base64').toString().split(':');
+            id = decodeURIComponent(user);
+            secret = decodeURIComponent(password || '');
+        }
+
+        if (id !== clientId || (clientSecret && secret !== clientSecret)) {
+            return tokenError(res, 401, 'invalid_client');
+        }
+
+        const grant = codes.get(req.body.code);
+        codes.delete(req.body.code);
+
+        if (req.body.grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now() ||
+            grant.redirectUri !== req.body.redirect_uri) {
+            return tokenError(res, 400, 'invalid_grant');
+        }
+
+        const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+        if (challenge !== grant.codeChallenge) {
+            return tokenError(res, 400, 'invalid_grant');
+        }
+
+        const idToken = jwt.sign({ ...grant.user, nonce: grant.nonce }, privateKey, {
+            algorithm: 'RS256',
+            keyid: kid,
+            issuer,
+            audience: clientId,
+            expiresIn: '5m'
+        });
+
+        const accessToken = crypto.randomBytes(24).toString('base64url');
+        accessTokens.set(accessToken, grant.user);
+
+        res.json({
+            access_token: accessToken,
+            token_type: 'Bearer',
+            expires_in: 300,
+            id_token: idToken
+        });
+    });
+
+    app.get('/userinfo', (req, res) => {
+        const user = accessTokens.get((req.get('authorization') || '').replace(/^Bearer /, ''));
+        if (!user) {
+            return res.status(401).json({ error: 'invalid_token' });
+        }
+        res.json(user);
+    });
+
+    return app;
+};
+
+if (require.main === module) {
+    const port = parseInt(process.env.MOCK_OIDC_PORT) || 9400;
+    const issuer = `http://localhost:${port}`;
+
+    createMockProvider({
+        issuer,
+        clientId: process.env.OIDC_CLIENT_ID || 'library-app',
+        clientSecret: process.env.OIDC_CLIENT_SECRET || ''
+    }).listen(port, () => {
+        console.log(`🔑 Mock OIDC provider running at ${issuer}`);
+        DEFAULT_USERS.forEach(user => console.log(`   login_hint=${user.email} (${user.groups.join(', ')})`));
+    });
+}
+
+module.exports = { createMockProvider, DEFAULT_USERS };
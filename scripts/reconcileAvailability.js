@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { reconcileAll } = require('../server/utils/availabilityReconciler');
+
+// Usage: node scripts/reconcileAvailability.js [--dry-run]
+const runReconciliation = async () => {
+    const dryRun = process.argv.includes('--dry-run');
+
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('📡 Connected to MongoDB');
+
+        const report = await reconcileAll({ dryRun });
+
+        for (const change of report.changes) {
+            console.log(
+                `• ${change.title}: available ${change.before.availableCopies} → ${change.after.availableCopies}, ` +
+                `total ${change.before.totalCopies} → ${change.after.totalCopies}` +
+                (change.copyFixes.length ? `, ${change.copyFixes.length} copy status fix(es)` : '')
+            );
+        }
+
+        console.log(
+            `${dryRun ? '🔍 Dry run: ' : '✅ '}${report.booksChanged} of ${report.booksChecked} books ` +
+            `${dryRun ? 'would change' : 'reconciled'}`
+        );
+
+        await mongoose.connection.close();
+        console.log('📡 Database connection closed');
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Reconciliation failed:', error);
+        process.exit(1);
+    }
+};
+
+runReconciliation();
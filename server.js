@@ -1,12 +1,16 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const { swaggerUi, specs, swaggerOptions } = require('./server/config/swagger');
 require('dotenv').config();
+const { startScheduler } = require('./server/utils/jobScheduler');
+const { assignRequestId } = require('./server/middleware/requestId');
+require('./server/utils/scheduledJobs');
 
 const app = express();
 
@@ -27,12 +31,17 @@ app.use(limiter);
 // CORS configuration
 app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Request-Id']
 }));
 
+// Request IDs for logs and audit events
+app.use(assignRequestId);
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
 
 // Logging middleware
 if (process.env.NODE_ENV === 'development') {
@@ -56,14 +65,25 @@ const connectDB = async () => {
   }
 };
 
-// Connect to database
-connectDB();
+// Connect to database, then start the background jobs (not under test)
+connectDB().then(() => {
+  if (process.env.NODE_ENV !== 'test') {
+    startScheduler().catch(error => console.error('Job scheduler failed to start:', error));
+  }
+});
 
 // Routes
 app.use('/api/auth', require('./server/routes/auth'));
 app.use('/api/users', require('./server/routes/users'));
+app.use('/api/roles', require('./server/routes/roles'));
 app.use('/api/books', require('./server/routes/books'));
+app.use('/api/copies', require('./server/routes/copies'));
+app.use('/api/policies', require('./server/routes/policies'));
+app.use('/api/calendar', require('./server/routes/calendar'));
+app.use('/api/kiosk', require('./server/routes/kiosk'));
 app.use('/api/borrows', require('./server/routes/borrows'));
+app.use('/api/fines', require('./server/routes/fines'));
+app.use('/api/patrons', require('./server/routes/patrons'));
 app.use('/api/reservations', require('./server/routes/reservations'));
 app.use('/api/notifications', require('./server/routes/notifications'));
 app.use('/api/comments', require('./server/routes/comments'));
@@ -71,6 +91,8 @@ app.use('/api/dashboard', require('./server/routes/dashboard'));
 app.use('/api/analytics', require('./server/routes/analytics'));
 app.use('/api/search', require('./server/routes/search'));
 app.use('/api/barcode', require('./server/routes/barcode'));
+app.use('/api/jobs', require('./server/routes/jobs'));
+app.use('/api/audit', require('./server/routes/audit'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
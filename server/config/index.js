@@ -35,6 +35,41 @@ module.exports = {
   BORROW_DURATION_DAYS: parseInt(process.env.BORROW_DURATION_DAYS) || 14,
   RENEWAL_DURATION_DAYS: parseInt(process.env.RENEWAL_DURATION_DAYS) || 7,
   MAX_RENEWALS: parseInt(process.env.MAX_RENEWALS) || 2,
+  MAX_LOANS: parseInt(process.env.MAX_LOANS) || 5,
+  
+  // Patron blocks; zero is a valid limit, so these do not fall back on falsy values
+  MAX_FINE_BALANCE: parseFloat(process.env.MAX_FINE_BALANCE ?? 10.00),
+  MAX_OVERDUE_LOANS: parseInt(process.env.MAX_OVERDUE_LOANS ?? 2),
+  
+  // Charged on top of the replacement cost when a book is declared lost
+  LOST_PROCESSING_FEE: parseFloat(process.env.LOST_PROCESSING_FEE ?? 5.00),
+  
+  // Days a patron has to collect a reserved book once it is on the hold shelf
+  HOLD_PICKUP_DAYS: parseInt(process.env.HOLD_PICKUP_DAYS) || 3,
+  
+  // Days a reservation waits in the queue for a copy before it expires
+  RESERVATION_EXPIRY_DAYS: parseInt(process.env.RESERVATION_EXPIRY_DAYS) || 30,
+  
+  // Background jobs; turn off on instances that should only serve requests
+  JOBS_ENABLED: process.env.JOBS_ENABLED !== 'false',
+  JOB_POLL_SECONDS: parseInt(process.env.JOB_POLL_SECONDS) || 30,
+  JOB_HISTORY_DAYS: parseInt(process.env.JOB_HISTORY_DAYS) || 30,
+  UPLOAD_RETENTION_DAYS: parseInt(process.env.UPLOAD_RETENTION_DAYS) || 30,
+  
+  // Days returned loans stay linked to the patron before they are anonymized;
+  // zero keeps reading history until the patron opts out
+  READING_HISTORY_RETENTION_DAYS: parseInt(process.env.READING_HISTORY_RETENTION_DAYS ?? 0),
+  
+  // Largest number of rows accepted in one catalogue import file
+  BOOK_IMPORT_MAX_ROWS: parseInt(process.env.BOOK_IMPORT_MAX_ROWS) || 5000,
+  // Largest size of the rows read from one import file, which are stored on a
+  // single document until processed; MongoDB documents cannot exceed 16 MB
+  BOOK_IMPORT_MAX_DATA_MB: parseFloat(process.env.BOOK_IMPORT_MAX_DATA_MB) || 12,
+  // Running imports without a heartbeat for this long are marked failed
+  BOOK_IMPORT_TIMEOUT_MINUTES: parseInt(process.env.BOOK_IMPORT_TIMEOUT_MINUTES) || 60,
+  
+  // Self-service kiosk
+  KIOSK_IDLE_TIMEOUT_MINUTES: parseInt(process.env.KIOSK_IDLE_TIMEOUT_MINUTES) || 2,
   
   // Frontend URL
   CLIENT_URL: process.env.CLIENT_URL || 'http://localhost:3000',
@@ -45,8 +80,51 @@ module.exports = {
   
   // Security
   BCRYPT_ROUNDS: parseInt(process.env.BCRYPT_ROUNDS) || 12,
+  PASSWORD_RESET_EXPIRE_MINUTES: parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60,
+  // Unverified accounts can browse but not borrow or reserve
+  REQUIRE_EMAIL_VERIFICATION: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+  EMAIL_VERIFICATION_EXPIRE_HOURS: parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24,
+  EMAIL_VERIFICATION_RESEND_MINUTES: parseInt(process.env.EMAIL_VERIFICATION_RESEND_MINUTES) || 5,
+  // Admins and librarians must set up two-factor authentication
+  REQUIRE_STAFF_2FA: process.env.REQUIRE_STAFF_2FA === 'true',
+  TWO_FACTOR_ISSUER: process.env.TWO_FACTOR_ISSUER || 'Library Management System',
+  TWO_FACTOR_LOGIN_MINUTES: parseInt(process.env.TWO_FACTOR_LOGIN_MINUTES) || 5,
   SESSION_SECRET: process.env.SESSION_SECRET || 'fallback_session_secret_change_in_production',
-  
+
+  // OpenID Connect single sign-on
+  OIDC_ENABLED: process.env.OIDC_ENABLED === 'true',
+  OIDC_ISSUER: process.env.OIDC_ISSUER || '',
+  OIDC_CLIENT_ID: process.env.OIDC_CLIENT_ID || '',
+  OIDC_CLIENT_SECRET: process.env.OIDC_CLIENT_SECRET || '',
+  OIDC_REDIRECT_URI: process.env.OIDC_REDIRECT_URI || `${process.env.CLIENT_URL || 'http://localhost:3000'}/auth/callback`,
+  OIDC_SCOPES: process.env.OIDC_SCOPES || 'openid email profile',
+  OIDC_LOGIN_MINUTES: parseInt(process.env.OIDC_LOGIN_MINUTES) || 10,
+  // Claim holding the user's groups, and which groups map to which role,
+  // e.g. "library-admins:admin,library-staff:librarian"
+  OIDC_ROLE_CLAIM: process.env.OIDC_ROLE_CLAIM || 'groups',
+  OIDC_ROLE_MAP: process.env.OIDC_ROLE_MAP || '',
+  OIDC_STUDENT_ID_CLAIM: process.env.OIDC_STUDENT_ID_CLAIM || 'student_id',
+  // Accounts linked to the identity provider can only sign in through it
+  OIDC_DISABLE_LOCAL_LOGIN: process.env.OIDC_DISABLE_LOCAL_LOGIN === 'true',
+
+  // LDAP directory. The sync creates, updates and deactivates accounts to
+  // match the directory; with auth on, synced accounts log in with their
+  // directory password.
+  LDAP_URL: process.env.LDAP_URL || 'ldap://localhost:389',
+  LDAP_BIND_DN: process.env.LDAP_BIND_DN || '',
+  LDAP_BIND_PASSWORD: process.env.LDAP_BIND_PASSWORD || '',
+  LDAP_BASE_DN: process.env.LDAP_BASE_DN || '',
+  LDAP_USER_FILTER: process.env.LDAP_USER_FILTER || '(objectClass=inetOrgPerson)',
+  LDAP_TIMEOUT_MS: parseInt(process.env.LDAP_TIMEOUT_MS) || 10000,
+  LDAP_STUDENT_ID_ATTRIBUTE: process.env.LDAP_STUDENT_ID_ATTRIBUTE || 'employeeNumber',
+  LDAP_EMAIL_ATTRIBUTE: process.env.LDAP_EMAIL_ATTRIBUTE || 'mail',
+  LDAP_FIRST_NAME_ATTRIBUTE: process.env.LDAP_FIRST_NAME_ATTRIBUTE || 'givenName',
+  LDAP_LAST_NAME_ATTRIBUTE: process.env.LDAP_LAST_NAME_ATTRIBUTE || 'sn',
+  LDAP_GROUP_ATTRIBUTE: process.env.LDAP_GROUP_ATTRIBUTE || 'memberOf',
+  LDAP_ROLE_MAP: process.env.LDAP_ROLE_MAP || '',
+  LDAP_SYNC_ENABLED: process.env.LDAP_SYNC_ENABLED === 'true',
+  LDAP_AUTH_ENABLED: process.env.LDAP_AUTH_ENABLED === 'true',
+
   // API Documentation
   API_DOCS_URL: process.env.API_DOCS_URL || '/api-docs'
 };
@@ -0,0 +1,86 @@
+// Named permissions that roles bundle. Routes check these with
+// `requirePermission`; a user with none of them is a patron using their own
+// account.
+const PERMISSIONS = {
+  'books.create': 'Add books to the catalogue',
+  'books.update': 'Edit catalogue records',
+  'books.delete': 'Delete books from the catalogue',
+  'books.import': 'Import books from CSV, Excel or MARC files and export the catalogue as MARC',
+  'copies.view': 'Look up copies and their history',
+  'copies.manage': 'Add and edit copies',
+  'barcodes.generate': 'Print copy barcodes and book QR codes',
+  'circulation.view': "See everyone's loans, overdue loans and loan history",
+  'circulation.checkout': 'Check books out at the desk and return or renew loans for patrons',
+  'circulation.manage': 'Declare books lost, record claims returned and run the overdue sweep',
+  'reservations.view': "See everyone's reservations",
+  'reservations.manage': 'Place and cancel reservations for patrons',
+  'patrons.view': 'See patron standing, blocks and overrides',
+  'patrons.manage': 'Change memberships and add or lift blocks',
+  'patrons.override': 'Override patron blocks at checkout, renewal and reservation',
+  'fines.view': "See everyone's fines and outstanding balances",
+  'fines.collect': 'Record payments and add charges',
+  'fines.waive': 'Waive fines',
+  'fines.refund': 'Refund credit',
+  'policies.view': 'See circulation policies',
+  'policies.manage': 'Create, edit and delete circulation policies',
+  'calendar.manage': 'Change opening hours and holidays',
+  'comments.moderate': "Edit and delete other users' comments",
+  'notifications.view': "See everyone's notifications",
+  'notifications.send': "Send notifications, due date reminders and overdue notices, and delete anyone's notifications",
+  'reports.summary': 'See the librarian dashboard and circulation statistics',
+  'reports.view': 'See analytics, the admin dashboard and custom reports',
+  'users.view': 'List users and see their accounts',
+  'users.update': 'Edit user details',
+  'users.roles': 'Change user roles',
+  'users.deactivate': 'Deactivate and reactivate accounts',
+  'users.security': 'Verify emails, sign users out and reset their two-factor authentication',
+  'users.sync': 'Sync accounts with the LDAP directory',
+  'users.privacy': "Export and erase users' personal data",
+  'roles.manage': 'Create, edit and delete roles',
+  'audit.view': 'Search and export the audit log',
+  'jobs.manage': 'See, run and pause background jobs',
+  'kiosk.manage': 'Register and revoke self-service kiosks'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Built-in roles. They cannot be deleted; admin always has every permission,
+// while the librarian and student bundles can be edited.
+const SYSTEM_ROLES = {
+  admin: {
+    name: 'Administrator',
+    description: 'Full access, including users, roles and system settings',
+    permissions: ALL_PERMISSIONS
+  },
+  librarian: {
+    name: 'Librarian',
+    description: 'Runs the catalogue, circulation and patron accounts',
+    permissions: ALL_PERMISSIONS.filter(permission => ![
+      'books.delete',
+      'fines.refund',
+      'policies.manage',
+      'calendar.manage',
+      'reports.view',
+      'users.roles',
+      'users.deactivate',
+      'users.security',
+      'users.sync',
+      'users.privacy',
+      'roles.manage',
+      'audit.view',
+      'jobs.manage',
+      'kiosk.manage'
+    ].includes(permission))
+  },
+  student: {
+    name: 'Student',
+    description: 'Borrows, reserves and reviews books with their own account',
+    permissions: []
+  }
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  SYSTEM_ROLES
+};
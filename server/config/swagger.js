@@ -69,8 +69,7 @@ const options = {
                         },
                         role: {
                             type: 'string',
-                            enum: ['student', 'librarian', 'admin'],
-                            description: 'User role',
+                            description: 'Key of a built-in (student, librarian, admin) or admin-defined role',
                         },
                         studentId: {
                             type: 'string',
@@ -90,6 +89,10 @@ const options = {
                                         sms: { type: 'boolean' },
                                     },
                                 },
+                                readingHistory: {
+                                    type: 'boolean',
+                                    description: 'Keep returned loans linked to the account',
+                                },
                             },
                         },
                         isActive: {
@@ -231,7 +234,7 @@ const options = {
                         },
                         status: {
                             type: 'string',
-                            enum: ['borrowed', 'returned', 'overdue'],
+                            enum: ['borrowed', 'returned', 'overdue', 'lost', 'claims_returned'],
                             description: 'Current status of the borrow',
                         },
                         renewals: {
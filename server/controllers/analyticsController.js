@@ -3,6 +3,7 @@ const Book = require('../models/Book');
 const Borrow = require('../models/Borrow');
 const Comment = require('../models/Comment');
 const Reservation = require('../models/Reservation');
+const FineTransaction = require('../models/FineTransaction');
 const mongoose = require('mongoose');
 
 // @desc    Get comprehensive analytics dashboard
@@ -451,29 +452,10 @@ const getOverdueStats = async () => {
     ]);
 };
 
+// Fines are reported from the ledger: charges, payments, waivers and refunds
+// recorded in the period, plus the current outstanding balance
 const getFineAnalytics = async (startDate, endDate) => {
-    return await Borrow.aggregate([
-        {
-            $match: {
-                borrowDate: { $gte: startDate, $lte: endDate },
-                isActive: true,
-                fineAmount: { $gt: 0 }
-            }
-        },
-        {
-            $group: {
-                _id: null,
-                totalFines: { $sum: '$fineAmount' },
-                paidFines: {
-                    $sum: { $cond: ['$finePaid', '$fineAmount', 0] }
-                },
-                unpaidFines: {
-                    $sum: { $cond: ['$finePaid', 0, '$fineAmount'] }
-                },
-                averageFine: { $avg: '$fineAmount' }
-            }
-        }
-    ]);
+    return await FineTransaction.getSummary(startDate, endDate);
 };
 
 const getCommentTrends = async (startDate, endDate) => {
@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const { toCsvRow } = require('../utils/csv');
+const { validationResult } = require('express-validator');
+
+// Build the audit event filter from the query string
+const buildFilter = (query) => {
+  const filter = {};
+
+  if (query.actor) filter.actor = new mongoose.Types.ObjectId(query.actor);
+  if (query.outcome) filter.outcome = query.outcome;
+  if (query.entityType) filter['entity.type'] = query.entityType;
+  if (query.entityId) filter['entity.id'] = query.entityId;
+  if (query.requestId) filter.requestId = query.requestId;
+  if (query.ip) filter.ip = query.ip;
+
+  // 'fine' matches every fine action, 'fine.waive' only waivers
+  if (query.action) {
+    const action = query.action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    filter.action = { $regex: `^${action}(\\.|$)` };
+  }
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = new Date(query.to);
+  }
+
+  if (query.search) {
+    const pattern = query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    filter.$or = [
+      { actorEmail: { $regex: pattern, $options: 'i' } },
+      { 'entity.label': { $regex: pattern, $options: 'i' } },
+      { 'entity.id': pattern }
+    ];
+  }
+
+  return filter;
+};
+
+// Changes as one readable cell, e.g. "title: Old -> New; isActive: true -> false"
+const formatChanges = (changes) => changes
+  .map(change => `${change.path}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`)
+  .join('; ');
+
+const CSV_COLUMNS = [
+  'Time', 'Actor', 'Actor role', 'Action', 'Outcome', 'Status', 'Entity type', 'Entity ID', 'Entity',
+  'Changes', 'Details', 'IP', 'Request ID', 'Method', 'Path'
+];
+
+// @desc    Search the audit log
+// @route   GET /api/audit
+// @access  Private (audit.view)
+const getAuditEvents = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+    const filter = buildFilter(req.query);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .populate('actor', 'firstName lastName email')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditEvent.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalEvents: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit events',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Download the matching audit events as CSV
+// @route   GET /api/audit/export
+// @access  Private (audit.view)
+const exportAuditEvents = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const cursor = AuditEvent.find(buildFilter(req.query))
+      .sort({ createdAt: -1, _id: -1 })
+      .lean()
+      .cursor();
+
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`
+    });
+    res.write(toCsvRow(CSV_COLUMNS));
+
+    for await (const event of cursor) {
+      const row = toCsvRow([
+        event.createdAt,
+        event.actorEmail || (event.actor ? event.actor.toString() : 'system'),
+        event.actorRole,
+        event.action,
+        event.outcome,
+        event.statusCode,
+        event.entity && event.entity.type,
+        event.entity && event.entity.id,
+        event.entity && event.entity.label,
+        formatChanges(event.changes || []),
+        event.details === undefined ? '' : JSON.stringify(event.details),
+        event.ip,
+        event.requestId,
+        event.method,
+        event.path
+      ]);
+
+      // Wait for the client to catch up rather than buffering the whole log,
+      // and stop if it goes away
+      if (!res.write(row)) {
+        await new Promise(resolve => {
+          const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+          };
+          res.on('drain', done);
+          res.on('close', done);
+        });
+      }
+      if (res.destroyed) {
+        await cursor.close();
+        return;
+      }
+    }
+
+    res.end();
+  } catch (error) {
+    console.error('Export audit events error:', error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export audit events',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get an audit event
+// @route   GET /api/audit/:id
+// @access  Private (audit.view)
+const getAuditEventById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await AuditEvent.findById(req.params.id)
+      .populate('actor', 'firstName lastName email role');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit event not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { event }
+    });
+  } catch (error) {
+    console.error('Get audit event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit event',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getAuditEvents,
+  exportAuditEvents,
+  getAuditEventById
+};
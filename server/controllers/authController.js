@@ -1,8 +1,88 @@
 const User = require('../models/User');
+const Session = require('../models/Session');
 const jwt = require('jsonwebtoken');
 const config = require('../config');
+const { sendPasswordResetEmail, sendEmailVerificationEmail } = require('../utils/emailService');
+const oidc = require('../utils/oidc');
+const ldapDirectory = require('../utils/ldapDirectory');
+const { keepsReadingHistory, anonymizeUserHistory } = require('../utils/readingHistory');
 const { validationResult } = require('express-validator');
 
+// Cookie that ties a single sign-on login to the browser that started it
+const OIDC_STATE_COOKIE = 'oidc_state';
+const oidcStateCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  // Lax so the cookie survives the redirect back from the provider
+  sameSite: 'lax',
+  path: '/api/auth/oidc'
+};
+
+// Record a new signed-in device and issue its access and refresh tokens
+const startSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    userAgent: (req.get('user-agent') || '').substring(0, 500),
+    ipAddress: req.ip
+  });
+
+  const refreshToken = user.generateRefreshToken(session._id);
+  session.tokenHash = Session.hashToken(refreshToken);
+  session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+  await session.save();
+
+  return {
+    token: user.generateAuthToken(session._id),
+    refreshToken
+  };
+};
+
+// Finish a successful login: start a session, set the token cookie and send
+// the tokens
+const completeLogin = async (user, req, res) => {
+  // Reset login attempts on successful login
+  if (user.loginAttempts > 0) {
+    await user.resetLoginAttempts();
+  }
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Generate JWT token
+  const { token, refreshToken } = await startSession(user, req);
+
+  // Remove password and two-factor secrets from response
+  const userResponse = user.toObject();
+  delete userResponse.password;
+  userResponse.twoFactor = {
+    enabled: user.twoFactor.enabled,
+    enabledAt: user.twoFactor.enabledAt
+  };
+
+  // Set cookie options
+  const cookieOptions = {
+    expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict'
+  };
+
+  // Set token in cookie
+  res.cookie('token', token, cookieOptions);
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: userResponse,
+      token,
+      refreshToken,
+      twoFactorSetupRequired: (await user.requiresTwoFactor()) && !user.twoFactor.enabled
+    }
+  });
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -40,17 +120,26 @@ const register = async (req, res) => {
       address
     });
 
+    // Send the email verification link
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    await sendEmailVerificationEmail(
+      user,
+      `${config.CLIENT_URL}/verify-email/${verificationToken}`,
+      config.EMAIL_VERIFICATION_EXPIRE_HOURS
+    );
+
     // Generate JWT token
-    const token = user.generateAuthToken();
-    const refreshToken = user.generateRefreshToken();
+    const { token, refreshToken } = await startSession(user, req);
 
-    // Remove password from response
+    // Remove password and verification token from response
     const userResponse = user.toObject();
     delete userResponse.password;
+    delete userResponse.emailVerificationToken;
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your address.',
       data: {
         user: userResponse,
         token,
@@ -110,8 +199,18 @@ const login = async (req, res) => {
       });
     }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
+    if (user.isLocalLoginDisabled()) {
+      return res.status(403).json({
+        success: false,
+        code: 'SSO_LOGIN_REQUIRED',
+        message: 'This account signs in through single sign-on'
+      });
+    }
+
+    // Check password, against the directory for accounts synced from LDAP
+    const isPasswordValid = user.usesDirectoryPassword()
+      ? await ldapDirectory.authenticate(user.studentId, password)
+      : await user.comparePassword(password);
     
     if (!isPasswordValid) {
       // Increment login attempts
@@ -123,48 +222,219 @@ const login = async (req, res) => {
       });
     }
 
-    // Reset login attempts on successful login
-    if (user.loginAttempts > 0) {
-      await user.resetLoginAttempts();
+    // With two-factor authentication the password only earns a token for the
+    // second step
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorRequired: true,
+          twoFactorToken: user.generateTwoFactorToken()
+        }
+      });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
 
-    // Generate JWT token
-    const token = user.generateAuthToken();
-    const refreshToken = user.generateRefreshToken();
+// @desc    Second step of a two-factor login
+// @route   POST /api/auth/login/2fa
+// @access  Public
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    // Remove password from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
+    const { twoFactorToken, code, recoveryCode } = req.body;
 
-    // Set cookie options
-    const cookieOptions = {
-      expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict'
-    };
+    const decoded = User.decodeTwoFactorToken(twoFactorToken);
+    const user = decoded
+      ? await User.findById(decoded.id).select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep')
+      : null;
+
+    if (!user || !user.isActive || !user.twoFactor.enabled || !user.isTokenCurrent(decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login has expired. Please enter your email and password again.'
+      });
+    }
+
+    if (user.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked due to too many failed login attempts'
+      });
+    }
+
+    const verified = code ? user.verifyTwoFactorCode(code) : user.useRecoveryCode(recoveryCode);
+
+    if (!verified) {
+      // Wrong codes count towards the account lock like wrong passwords
+      await user.incLoginAttempts();
+
+      return res.status(401).json({
+        success: false,
+        message: code ? 'Invalid authentication code' : 'Invalid recovery code'
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
 
-    // Set token in cookie
-    res.cookie('token', token, cookieOptions);
+// @desc    Start a single sign-on login with the identity provider
+// @route   GET /api/auth/oidc/authorize
+// @access  Public
+const startOidcLogin = async (req, res) => {
+  try {
+    if (!config.OIDC_ENABLED) {
+      return res.status(404).json({
+        success: false,
+        message: 'Single sign-on is not enabled'
+      });
+    }
+
+    const loginHint = typeof req.query.loginHint === 'string' ? req.query.loginHint.substring(0, 254) : undefined;
+    const { authorizationUrl, state } = await oidc.beginLogin({ loginHint });
+
+    res.cookie(OIDC_STATE_COOKIE, state, {
+      ...oidcStateCookieOptions,
+      maxAge: config.OIDC_LOGIN_MINUTES * 60 * 1000
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Login successful',
-      data: {
-        user: userResponse,
-        token,
-        refreshToken
-      }
+      data: { authorizationUrl }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Start single sign-on error:', error);
     res.status(500).json({
       success: false,
-      message: 'Login failed',
+      message: 'Failed to start single sign-on',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Finish a single sign-on login with the code the provider returned
+// @route   POST /api/auth/oidc/callback
+// @access  Public
+const completeOidcLogin = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!config.OIDC_ENABLED) {
+      return res.status(404).json({
+        success: false,
+        message: 'Single sign-on is not enabled'
+      });
+    }
+
+    // Whatever the outcome, the login cannot be finished again
+    const browserState = req.cookies && req.cookies[OIDC_STATE_COOKIE];
+    res.clearCookie(OIDC_STATE_COOKIE, oidcStateCookieOptions);
+
+    let user;
+    try {
+      const claims = await oidc.finishLogin({ ...req.body, browserState });
+      user = await oidc.provisionUser(await oidc.mapClaims(claims));
+    } catch (error) {
+      if ([
+        'Login request is invalid or has expired',
+        'Identity provider rejected the authorization code',
+        'Invalid ID token'
+      ].includes(error.message)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Single sign-on failed. Please try again.'
+        });
+      }
+
+      if ([
+        'Identity provider did not share an email address',
+        'Identity provider has not verified the email address',
+        'Account is linked to a different single sign-on identity'
+      ].includes(error.message)) {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'The student ID from the identity provider belongs to another account'
+        });
+      }
+
+      throw error;
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    if (user.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked due to too many failed login attempts'
+      });
+    }
+
+    // Two-factor authentication still applies after the provider signs the
+    // user in
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorRequired: true,
+          twoFactorToken: user.generateTwoFactorToken()
+        }
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Single sign-on error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Single sign-on failed',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
@@ -175,6 +445,13 @@ const login = async (req, res) => {
 // @access  Private
 const logout = async (req, res) => {
   try {
+    if (req.sessionId) {
+      await Session.updateOne(
+        { _id: req.sessionId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'logout' }
+      );
+    }
+
     // Clear the token cookie
     res.cookie('token', '', {
       expires: new Date(0),
@@ -261,6 +538,11 @@ const updateProfile = async (req, res) => {
       });
     }
 
+    // Opting out of reading history removes what is already kept
+    if (preferences?.readingHistory === false && keepsReadingHistory(req.user)) {
+      await anonymizeUserHistory(userId);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
@@ -303,6 +585,13 @@ const changePassword = async (req, res) => {
       });
     }
 
+    if (user.usesDirectoryPassword()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your password is managed by the university directory'
+      });
+    }
+
     // Check current password
     const isCurrentPasswordValid = await user.comparePassword(currentPassword);
     
@@ -330,6 +619,45 @@ const changePassword = async (req, res) => {
   }
 };
 
+// @desc    Set the PIN used at self-service kiosks
+// @route   PUT /api/auth/me/kiosk-pin
+// @access  Private
+const setKioskPin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await user.setKioskPin(req.body.pin);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Kiosk PIN set'
+    });
+  } catch (error) {
+    console.error('Set kiosk PIN error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set kiosk PIN',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 // @desc    Refresh token
 // @route   POST /api/auth/refresh
 // @access  Public
@@ -348,13 +676,37 @@ const refreshToken = async (req, res) => {
       // Verify refresh token
       const decoded = jwt.verify(refreshToken, config.JWT_REFRESH_SECRET);
       
-      if (decoded.type !== 'refresh') {
+      // Refresh tokens issued before sessions were recorded carry no session ID
+      if (decoded.type !== 'refresh' || !decoded.sid) {
         return res.status(401).json({
           success: false,
           message: 'Invalid refresh token'
         });
       }
 
+      const session = await Session.findById(decoded.sid).select('+tokenHash');
+
+      if (!session || session.revokedAt) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked. Please log in again.'
+        });
+      }
+
+      // A validly signed token that is not the session's current one was
+      // rotated out already: someone is replaying a copy, so end the session
+      const presentedHash = Session.hashToken(refreshToken);
+      if (presentedHash !== session.tokenHash) {
+        session.revoke('token_reuse');
+        await session.save();
+        console.warn(`Refresh token reuse detected for session ${session._id}; session revoked`);
+
+        return res.status(401).json({
+          success: false,
+          message: 'Refresh token has already been used. Please log in again.'
+        });
+      }
+
       // Get user
       const user = await User.findById(decoded.id);
       
@@ -365,9 +717,39 @@ const refreshToken = async (req, res) => {
         });
       }
 
-      // Generate new tokens
-      const newToken = user.generateAuthToken();
-      const newRefreshToken = user.generateRefreshToken();
+      if (!user.isTokenCurrent(decoded)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked. Please log in again.'
+        });
+      }
+
+      // Rotate the refresh token. The update only matches while the presented
+      // token is still current, so of two concurrent refreshes one loses.
+      const newRefreshToken = user.generateRefreshToken(session._id);
+      const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+        {
+          tokenHash: Session.hashToken(newRefreshToken),
+          expiresAt: new Date(jwt.decode(newRefreshToken).exp * 1000),
+          lastUsedAt: new Date(),
+          ipAddress: req.ip
+        }
+      );
+
+      if (!rotated) {
+        await Session.updateOne(
+          { _id: session._id, revokedAt: null },
+          { revokedAt: new Date(), revokedReason: 'token_reuse' }
+        );
+
+        return res.status(401).json({
+          success: false,
+          message: 'Refresh token has already been used. Please log in again.'
+        });
+      }
+
+      const newToken = user.generateAuthToken(session._id);
 
       res.status(200).json({
         success: true,
@@ -400,12 +782,315 @@ const refreshToken = async (req, res) => {
   }
 };
 
+// Email a password reset link to the account with this address, if there is
+// one. Deactivated, single sign-on only and directory accounts cannot reset
+// their password and are sent nothing.
+const sendPasswordResetLink = async (email) => {
+  const user = await User.findOne({ email });
+  if (!user || !user.isActive || user.isLocalLoginDisabled() || user.usesDirectoryPassword()) {
+    return;
+  }
+
+  const resetToken = user.createPasswordResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  const resetLink = `${config.CLIENT_URL}/reset-password/${resetToken}`;
+  await sendPasswordResetEmail(user, resetLink, config.PASSWORD_RESET_EXPIRE_MINUTES);
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // The link is sent after responding, so neither a failure to send it nor
+    // the time it takes reveals who is registered
+    sendPasswordResetLink(req.body.email).catch((error) => {
+      console.error('Password reset email error:', error);
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request'
+    });
+  }
+};
+
+// @desc    Set a new password with a reset token and sign out everywhere
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.consumePasswordResetToken(req.params.token);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    user.password = req.body.password;
+    user.revokeSessions();
+    await Session.revokeForUser(user._id, 'password_reset');
+    // A reset also unlocks an account locked by failed logins
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    // Clear the token cookie
+    res.cookie('token', '', {
+      expires: new Date(0),
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+};
+
+// @desc    Verify an email address from a verification link
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const user = await User.consumeEmailVerificationToken(req.params.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email'
+    });
+  }
+};
+
+// @desc    Send a new email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const waitMs = config.EMAIL_VERIFICATION_RESEND_MINUTES * 60 * 1000;
+    const sentAgoMs = user.emailVerificationSentAt ? Date.now() - user.emailVerificationSentAt.getTime() : Infinity;
+
+    if (sentAgoMs < waitMs) {
+      const retryAfter = Math.ceil((waitMs - sentAgoMs) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `A verification email was sent recently. Please try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+        data: { retryAfter }
+      });
+    }
+
+    // Links sent earlier stop working
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    const result = await sendEmailVerificationEmail(
+      user,
+      `${config.CLIENT_URL}/verify-email/${verificationToken}`,
+      config.EMAIL_VERIFICATION_EXPIRE_HOURS
+    );
+
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to send verification email'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend verification email'
+    });
+  }
+};
+
+// @desc    Get the current user's signed-in devices
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          _id: session._id,
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session._id.equals(req.sessionId)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+};
+
+// @desc    Sign out one of the current user's devices
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+const revokeSession = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    session.revoke('logout', req.user._id);
+    await session.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Session signed out successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out session'
+    });
+  }
+};
+
+// @desc    Sign out every device except the current one
+// @route   POST /api/auth/sessions/logout-others
+// @access  Private
+const logoutOtherSessions = async (req, res) => {
+  try {
+    if (!req.sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current session is not recorded. Please log in again first.'
+      });
+    }
+
+    const result = await Session.revokeForUser(req.user._id, 'logout_others', {
+      except: req.sessionId,
+      revokedBy: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Signed out of ${result.modifiedCount} other session(s)`,
+      data: { revoked: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Logout other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out other sessions'
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
+  startOidcLogin,
+  completeOidcLogin,
   logout,
   getMe,
   updateProfile,
   changePassword,
-  refreshToken
+  setKioskPin,
+  refreshToken,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getSessions,
+  revokeSession,
+  logoutOtherSessions
 };
@@ -1,4 +1,6 @@
 const Book = require('../models/Book');
+const Copy = require('../models/Copy');
+const { recordAudit, snapshot } = require('../utils/audit');
 const { validationResult } = require('express-validator');
 
 // @desc    Get all books
@@ -134,12 +136,23 @@ const createBook = async (req, res) => {
       lastModifiedBy: req.user._id
     };
     
+    delete bookData.availableCopies;
+    
     const book = await Book.create(bookData);
     
+    // Every copy gets its own accession record
+    await Copy.createCopiesForBook(book, book.totalCopies, { addedBy: req.user._id });
+    
     const populatedBook = await Book.findById(book._id)
       .populate('addedBy', 'firstName lastName email')
       .populate('lastModifiedBy', 'firstName lastName email');
     
+    await recordAudit(req, {
+      action: 'book.create',
+      entity: { type: 'Book', id: book._id, label: book.title },
+      after: populatedBook
+    });
+    
     res.status(201).json({
       success: true,
       message: 'Book created successfully',
@@ -187,11 +200,29 @@ const updateBook = async (req, res) => {
       });
     }
     
-    // Update book data
+    const before = snapshot(book);
+    
+    // Update book data (copy counts are derived from the copies themselves)
     const updateData = {
       ...req.body,
       lastModifiedBy: req.user._id
     };
+    delete updateData.totalCopies;
+    delete updateData.availableCopies;
+    
+    // Add or withdraw copies when the total changes
+    const requestedTotal = req.body.totalCopies !== undefined ? parseInt(req.body.totalCopies) : book.totalCopies;
+    try {
+      await Copy.setCopyCount(book, requestedTotal, { addedBy: req.user._id });
+    } catch (error) {
+      if (error.message === 'Cannot reduce total copies below the number of copies on loan or in repair') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
     
     const updatedBook = await Book.findByIdAndUpdate(
       req.params.id,
@@ -200,6 +231,13 @@ const updateBook = async (req, res) => {
     ).populate('addedBy', 'firstName lastName email')
      .populate('lastModifiedBy', 'firstName lastName email');
     
+    await recordAudit(req, {
+      action: 'book.update',
+      entity: { type: 'Book', id: book._id, label: updatedBook.title },
+      before,
+      after: updatedBook
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Book updated successfully',
@@ -238,10 +276,18 @@ const deleteBook = async (req, res) => {
     }
     
     // Soft delete - set isActive to false
+    const before = snapshot(book);
     book.isActive = false;
     book.lastModifiedBy = req.user._id;
     await book.save();
     
+    await recordAudit(req, {
+      action: 'book.delete',
+      entity: { type: 'Book', id: book._id, label: book.title },
+      before,
+      after: book
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Book deleted successfully'
@@ -0,0 +1,176 @@
+const BookImport = require('../models/BookImport');
+const { parseImportFile, startBookImport } = require('../utils/bookImport');
+const { validationResult } = require('express-validator');
+
+// @desc    Start a bulk import of books from a CSV, Excel or MARC file
+// @route   POST /api/books/import
+// @access  Private (books.import)
+const createBookImport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A .csv, .xlsx, .mrc, .marc or .xml file is required'
+      });
+    }
+
+    const onDuplicate = req.body.onDuplicate || 'skip';
+    if (onDuplicate === 'merge' && !req.permissions.has('books.update')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Merging into existing books requires the books.update permission'
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = await parseImportFile(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const bookImport = await BookImport.create({
+      fileName: req.file.originalname,
+      format: parsed.format,
+      dryRun: req.body.dryRun === true,
+      onDuplicate,
+      defaults: {
+        category: req.body.category,
+        totalCopies: req.body.totalCopies
+      },
+      columns: parsed.columns,
+      ignoredColumns: parsed.ignoredColumns,
+      rows: parsed.rows,
+      summary: { total: parsed.rows.length },
+      createdBy: req.user._id
+    });
+
+    startBookImport(bookImport);
+
+    const { rows, ...summary } = bookImport.toObject();
+
+    res.status(202).json({
+      success: true,
+      message: bookImport.dryRun
+        ? `Checking ${rows.length} rows; nothing will be changed`
+        : `Importing ${rows.length} rows`,
+      data: { import: summary }
+    });
+  } catch (error) {
+    console.error('Create book import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start book import',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    List bulk imports, newest first
+// @route   GET /api/books/imports
+// @access  Private (books.import)
+const getBookImports = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const filter = req.query.status ? { status: req.query.status } : {};
+
+    const [imports, total] = await Promise.all([
+      BookImport.find(filter)
+        .select('-rows -results')
+        .populate('createdBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      BookImport.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        imports,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalImports: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get book imports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch book imports',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get a bulk import with its per-row report
+// @route   GET /api/books/imports/:id
+// @access  Private (books.import)
+const getBookImportById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const bookImport = await BookImport.findById(req.params.id)
+      .select('-rows')
+      .populate('createdBy', 'firstName lastName email');
+
+    if (!bookImport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { import: bookImport }
+    });
+  } catch (error) {
+    console.error('Get book import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch book import',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  createBookImport,
+  getBookImports,
+  getBookImportById
+};
@@ -1,6 +1,21 @@
 const Borrow = require('../models/Borrow');
 const Book = require('../models/Book');
 const User = require('../models/User');
+const Copy = require('../models/Copy');
+const LibraryCalendar = require('../models/LibraryCalendar');
+const FineTransaction = require('../models/FineTransaction');
+const { withTransaction } = require('../utils/transaction');
+const {
+  resolveItem,
+  getPatronBlock,
+  getCheckoutBlock,
+  checkout,
+  checkin,
+  declareLost
+} = require('../utils/circulationService');
+const { getStandingBlock } = require('../utils/patronStanding');
+const { runOverdueSweep } = require('../utils/overdueSweep');
+const { recordAudit, snapshot } = require('../utils/audit');
 const { validationResult } = require('express-validator');
 const config = require('../config');
 
@@ -77,6 +92,7 @@ const getBorrowById = async (req, res) => {
     const borrow = await Borrow.findById(req.params.id)
       .populate('user', 'firstName lastName email studentId')
       .populate('book', 'title author isbn coverImage')
+      .populate('copy', 'barcode condition location status')
       .populate('borrowedBy', 'firstName lastName email')
       .populate('returnedBy', 'firstName lastName email')
       .populate('renewalHistory.renewedBy', 'firstName lastName email');
@@ -89,8 +105,8 @@ const getBorrowById = async (req, res) => {
     }
     
     // Check if user can access this record
-    if (req.user.role !== 'admin' && req.user.role !== 'librarian' && 
-        borrow.user._id.toString() !== req.user._id.toString()) {
+    if (!req.permissions.has('circulation.view') && 
+        borrow.user?._id.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -126,69 +142,61 @@ const borrowBook = async (req, res) => {
       });
     }
     
-    const { bookId } = req.body;
+    const { copyId, copyBarcode } = req.body;
     const userId = req.user._id;
     
-    // Check if book exists and is available
-    const book = await Book.findById(bookId);
-    if (!book) {
-      return res.status(404).json({
-        success: false,
-        message: 'Book not found'
-      });
+    // Resolve a specific copy when one was scanned or selected
+    let copy = null;
+    if (copyBarcode || copyId) {
+      copy = copyBarcode ? await Copy.findByBarcode(copyBarcode) : await Copy.findById(copyId);
+      if (!copy) {
+        return res.status(404).json({
+          success: false,
+          message: 'Copy not found'
+        });
+      }
     }
     
-    if (!book.isBookAvailable()) {
+    const bookId = req.body.bookId || copy.book;
+    if (copy && copy.book.toString() !== bookId.toString()) {
       return res.status(400).json({
         success: false,
-        message: 'Book is not available for borrowing'
+        message: 'Copy does not belong to this book'
       });
     }
     
-    // Check if user already has this book borrowed
-    const existingBorrow = await Borrow.findOne({
-      user: userId,
-      book: bookId,
-      status: 'borrowed',
-      isActive: true
-    });
-    
-    if (existingBorrow) {
-      return res.status(409).json({
+    // Check if book exists
+    const book = await Book.findById(bookId);
+    if (!book) {
+      return res.status(404).json({
         success: false,
-        message: 'You already have this book borrowed'
+        message: 'Book not found'
       });
     }
     
-    // Check if user has too many books borrowed (limit to 5)
-    const userBorrowCount = await Borrow.countDocuments({
-      user: userId,
-      status: 'borrowed',
-      isActive: true
-    });
-    
-    if (userBorrowCount >= 5) {
-      return res.status(400).json({
+    // Check availability, duplicate loans and the user's loan limit
+    const block = await getCheckoutBlock(req.user, book, copy);
+    if (block) {
+      return res.status(block.status).json({
         success: false,
-        message: 'You have reached the maximum borrowing limit (5 books)'
+        message: block.message,
+        code: block.code,
+        blocks: block.blocks
       });
     }
     
-    // Create borrow record
-    const borrow = await Borrow.create({
-      user: userId,
-      book: bookId,
+    const borrow = await checkout({
+      patron: req.user,
+      book,
+      copy,
       borrowedBy: userId
     });
     
-    // Update book availability
-    book.borrowCopy();
-    await book.save();
-    
     // Populate the borrow record
     const populatedBorrow = await Borrow.findById(borrow._id)
       .populate('user', 'firstName lastName email studentId')
       .populate('book', 'title author isbn coverImage')
+      .populate('copy', 'barcode condition location')
       .populate('borrowedBy', 'firstName lastName email');
     
     res.status(201).json({
@@ -198,6 +206,21 @@ const borrowBook = async (req, res) => {
     });
   } catch (error) {
     console.error('Borrow book error:', error);
+    
+    if (error.message === 'Book is not available for borrowing') {
+      return res.status(400).json({
+        success: false,
+        message: 'Book is not available for borrowing'
+      });
+    }
+    
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have this book borrowed'
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Failed to borrow book',
@@ -206,13 +229,137 @@ const borrowBook = async (req, res) => {
   }
 };
 
+// @desc    Check items out to a patron at the circulation desk
+// @route   POST /api/borrows/desk/checkout
+// @access  Private (Admin/Librarian only)
+const deskCheckout = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { patron: patronIdentifier, items, notes, overrideNote } = req.body;
+
+    const patron = await User.findByPatronIdentifier(patronIdentifier);
+    if (!patron) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patron not found'
+      });
+    }
+
+    // Staff can override the patron's blocks with a note, once for the
+    // whole checkout
+    const canOverride = overrideNote && req.permissions.has('patrons.override');
+    const patronBlock = await getPatronBlock(patron, canOverride ? { staff: req.user._id, note: overrideNote } : null);
+    if (patronBlock) {
+      return res.status(patronBlock.status).json({
+        success: false,
+        message: patronBlock.message,
+        code: patronBlock.code,
+        blocks: patronBlock.blocks
+      });
+    }
+
+    // Items are checked out one at a time so each one sees the loans created
+    // before it when the patron's limit is checked
+    const results = [];
+    for (const item of items) {
+      try {
+        const resolved = await resolveItem(item);
+        if (!resolved) {
+          results.push({ item, success: false, message: 'Item not found' });
+          continue;
+        }
+
+        const { book, copy } = resolved;
+        const block = await getCheckoutBlock(patron, book, copy, { skipPatronBlock: true });
+        if (block) {
+          results.push({ item, success: false, message: block.message, code: block.code });
+          continue;
+        }
+
+        const borrow = await checkout({
+          patron,
+          book,
+          copy,
+          borrowedBy: req.user._id,
+          notes
+        });
+
+        const populatedBorrow = await Borrow.findById(borrow._id)
+          .populate('book', 'title author isbn coverImage')
+          .populate('copy', 'barcode condition location');
+
+        results.push({ item, success: true, message: 'Checked out', borrow: populatedBorrow });
+      } catch (error) {
+        console.error(`Desk checkout error for item ${item}:`, error);
+
+        let message = 'Failed to check out item';
+        if (error.message === 'Book is not available for borrowing') {
+          message = error.message;
+        } else if (error.code === 11000) {
+          message = 'Patron already has this book borrowed';
+        }
+        results.push({ item, success: false, message });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+
+    res.status(200).json({
+      success: succeeded > 0,
+      message: `${succeeded} of ${results.length} item${results.length === 1 ? '' : 's'} checked out`,
+      data: {
+        patron: {
+          _id: patron._id,
+          firstName: patron.firstName,
+          lastName: patron.lastName,
+          email: patron.email,
+          studentId: patron.studentId
+        },
+        results,
+        summary: {
+          total: results.length,
+          succeeded,
+          failed: results.length - succeeded
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Desk checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check out items',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 // @desc    Return a borrowed book
 // @route   POST /api/borrows/:id/return
 // @access  Private
 const returnBook = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
     const borrowId = req.params.id;
-    const { notes } = req.body;
+    const { notes, damaged, damageNotes, repairFee } = req.body;
+    const canCheckout = req.permissions.has('circulation.checkout');
     
     const borrow = await Borrow.findById(borrowId);
     if (!borrow) {
@@ -223,8 +370,8 @@ const returnBook = async (req, res) => {
     }
     
     // Check if user can return this book
-    if (req.user.role !== 'admin' && req.user.role !== 'librarian' && 
-        borrow.user.toString() !== req.user._id.toString()) {
+    if (!canCheckout && 
+        borrow.user?.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -238,31 +385,75 @@ const returnBook = async (req, res) => {
       });
     }
     
-    // Return the book
-    borrow.returnBook(req.user._id, notes);
-    await borrow.save();
+    // Checking in a lost or claims-returned loan reverses charges and puts the
+    // copy back in stock, so staff must have the book in hand
+    if (!canCheckout && !Borrow.LIVE_STATUSES.includes(borrow.status)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only staff can check in a lost or claims-returned book'
+      });
+    }
     
-    // Update book availability
-    const book = await Book.findById(borrow.book);
-    if (book) {
-      book.returnCopy();
-      await book.save();
+    if (damaged && !canCheckout) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only staff can report damage'
+      });
     }
     
+    const wasLost = borrow.status === 'lost';
+    const before = snapshot(borrow);
+    const { hold } = await checkin({
+      borrowId,
+      returnedBy: req.user._id,
+      notes,
+      damage: damaged ? { notes: damageNotes, repairFee } : null
+    });
+    
     // Populate the updated borrow record
     const updatedBorrow = await Borrow.findById(borrowId)
       .populate('user', 'firstName lastName email studentId')
       .populate('book', 'title author isbn coverImage')
+      .populate('copy', 'barcode condition location')
       .populate('borrowedBy', 'firstName lastName email')
       .populate('returnedBy', 'firstName lastName email');
     
+    await recordAudit(req, {
+      action: 'borrow.return',
+      entity: { type: 'Borrow', id: borrowId, label: updatedBorrow.book ? updatedBorrow.book.title : undefined },
+      before,
+      after: updatedBorrow,
+      details: damaged ? { damaged, damageNotes, repairFee } : undefined
+    });
+    
+    let message = 'Book returned successfully';
+    if (wasLost) {
+      message = 'Lost book returned and its replacement cost reversed';
+    } else if (damaged) {
+      message = 'Damaged book returned and sent for repair';
+    }
+    if (hold) {
+      message += '. Place it on the hold shelf: it is reserved for the next patron';
+    }
+    
     res.status(200).json({
       success: true,
-      message: 'Book returned successfully',
-      data: { borrow: updatedBorrow }
+      message,
+      data: {
+        borrow: updatedBorrow,
+        hold: hold ? { _id: hold._id, user: hold.user, copy: hold.copy, pickupBy: hold.pickupBy } : null
+      }
     });
   } catch (error) {
     console.error('Return book error:', error);
+    
+    if (error.message === 'Book is already returned') {
+      return res.status(400).json({
+        success: false,
+        message: 'Book is already returned'
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Failed to return book',
@@ -271,11 +462,134 @@ const returnBook = async (req, res) => {
   }
 };
 
+// @desc    Declare a borrowed book lost
+// @route   POST /api/borrows/:id/lost
+// @access  Private (Admin/Librarian only)
+const declareBookLost = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const borrowId = req.params.id;
+    const borrow = await Borrow.findById(borrowId);
+    if (!borrow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Borrow record not found'
+      });
+    }
+    
+    await declareLost({
+      borrowId,
+      declaredBy: req.user._id,
+      replacementCost: req.body.replacementCost,
+      notes: req.body.notes
+    });
+    
+    const updatedBorrow = await Borrow.findById(borrowId)
+      .populate('user', 'firstName lastName email studentId')
+      .populate('book', 'title author isbn price')
+      .populate('copy', 'barcode condition status');
+    
+    const charges = await FineTransaction.find({ borrow: borrowId, type: 'charge' }).sort({ createdAt: 1 });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Book declared lost',
+      data: { borrow: updatedBorrow, charges }
+    });
+  } catch (error) {
+    console.error('Declare lost error:', error);
+    
+    if (error.message === 'Only books on loan can be declared lost') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to declare book lost',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Record a patron's claim that a book was returned
+// @route   POST /api/borrows/:id/claims-returned
+// @access  Private (Admin/Librarian only)
+const claimReturned = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const borrow = await Borrow.findById(req.params.id);
+    if (!borrow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Borrow record not found'
+      });
+    }
+    
+    borrow.claimReturned();
+    if (req.body.notes) {
+      borrow.notes = req.body.notes;
+    }
+    await borrow.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Claim recorded. Fines are suspended until the book is found or declared lost.',
+      data: { borrow }
+    });
+  } catch (error) {
+    console.error('Claim returned error:', error);
+    
+    if (error.message === 'Only books on loan can be claimed as returned') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record claim',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 // @desc    Renew a borrowed book
 // @route   POST /api/borrows/:id/renew
 // @access  Private
 const renewBook = async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
     const borrowId = req.params.id;
     
     const borrow = await Borrow.findById(borrowId);
@@ -287,8 +601,8 @@ const renewBook = async (req, res) => {
     }
     
     // Check if user can renew this book
-    if (req.user.role !== 'admin' && req.user.role !== 'librarian' && 
-        borrow.user.toString() !== req.user._id.toString()) {
+    if (!req.permissions.has('circulation.checkout') && 
+        borrow.user?.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -302,9 +616,29 @@ const renewBook = async (req, res) => {
       });
     }
     
-    // Renew the book
-    borrow.renewBook(req.user._id);
-    await borrow.save();
+    // Blocked patrons cannot renew unless staff override with a note
+    const patron = await User.findById(borrow.user);
+    const override = req.permissions.has('patrons.override') && req.body.overrideNote
+      ? { staff: req.user._id, note: req.body.overrideNote, action: 'renewal', book: borrow.book, borrow: borrow._id }
+      : null;
+    const block = await getStandingBlock(patron, override);
+    if (block) {
+      return res.status(block.status).json({
+        success: false,
+        message: block.message,
+        code: block.code,
+        blocks: block.blocks
+      });
+    }
+    
+    // Renew the book, re-checking eligibility inside the transaction so two
+    // concurrent renewals cannot both pass the renewal limit
+    await withTransaction(async (session) => {
+      const current = await Borrow.findById(borrowId).session(session);
+      const calendar = await LibraryCalendar.getCalendar(session);
+      current.renewBook(req.user._id, calendar);
+      await current.save({ session });
+    });
     
     // Populate the updated borrow record
     const updatedBorrow = await Borrow.findById(borrowId)
@@ -320,6 +654,14 @@ const renewBook = async (req, res) => {
     });
   } catch (error) {
     console.error('Renew book error:', error);
+    
+    if (error.message === 'Book cannot be renewed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Book cannot be renewed. Check if you have reached maximum renewals or if the book is overdue.'
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Failed to renew book',
@@ -336,7 +678,7 @@ const getUserBorrowHistory = async (req, res) => {
     const userId = req.params.userId;
     
     // Check if user can access this history
-    if (req.user.role !== 'admin' && req.user.role !== 'librarian' && 
+    if (!req.permissions.has('circulation.view') && 
         userId !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
@@ -394,7 +736,7 @@ const getOverdueBorrows = async (req, res) => {
       .limit(limit);
     
     const total = await Borrow.countDocuments({
-      status: 'borrowed',
+      status: { $in: Borrow.LIVE_STATUSES },
       dueDate: { $lt: new Date() },
       isActive: true
     });
@@ -422,6 +764,39 @@ const getOverdueBorrows = async (req, res) => {
   }
 };
 
+// @desc    Mark loans past their due date overdue and accrue their fines now
+// @route   POST /api/borrows/overdue/sweep
+// @access  Private (Admin/Librarian only)
+const sweepOverdueBorrows = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const report = await runOverdueSweep({ dryRun: req.body.dryRun === true });
+
+    res.status(200).json({
+      success: true,
+      message: report.dryRun
+        ? `${report.newlyOverdue} loan(s) would become overdue and ${report.finesUpdated} fine(s) would be updated`
+        : `${report.newlyOverdue} loan(s) marked overdue and ${report.finesUpdated} fine(s) updated`,
+      data: { report }
+    });
+  } catch (error) {
+    console.error('Overdue sweep error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sweep overdue borrows',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 // @desc    Get borrow statistics
 // @route   GET /api/borrows/stats
 // @access  Private (Admin/Librarian only)
@@ -453,9 +828,13 @@ module.exports = {
   getBorrows,
   getBorrowById,
   borrowBook,
+  deskCheckout,
   returnBook,
+  declareBookLost,
+  claimReturned,
   renewBook,
   getUserBorrowHistory,
   getOverdueBorrows,
+  sweepOverdueBorrows,
   getBorrowStats
 };
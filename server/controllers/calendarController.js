@@ -0,0 +1,285 @@
+const LibraryCalendar = require('../models/LibraryCalendar');
+const { parseHolidays } = require('../utils/icalParser');
+const { validationResult } = require('express-validator');
+
+// Parse a YYYY-MM-DD string as a local date
+const parseDayKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const sortHolidays = (calendar) => {
+  calendar.holidays.sort((a, b) => a.startDate.localeCompare(b.startDate));
+};
+
+// @desc    Get the library calendar
+// @route   GET /api/calendar
+// @access  Public
+const getCalendar = async (req, res) => {
+  try {
+    const calendar = await LibraryCalendar.findOne({ name: 'default' })
+      .populate('lastModifiedBy', 'firstName lastName email');
+
+    res.status(200).json({
+      success: true,
+      data: { calendar: calendar || new LibraryCalendar() }
+    });
+  } catch (error) {
+    console.error('Get calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch library calendar',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Check whether the library is open on a date
+// @route   GET /api/calendar/status
+// @access  Public
+const getDayStatus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const calendar = await LibraryCalendar.getCalendar();
+    const date = req.query.date ? parseDayKey(req.query.date) : new Date();
+    const holiday = calendar.getHoliday(date);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        date: LibraryCalendar.toDayKey(date),
+        isOpen: calendar.isOpen(date),
+        holiday: holiday ? holiday.name : null,
+        openingHours: calendar.getOpeningHours(date),
+        nextOpenDay: LibraryCalendar.toDayKey(calendar.nextOpenDay(date))
+      }
+    });
+  } catch (error) {
+    console.error('Get day status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check library opening status',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Update opening hours and recurring closed weekdays
+// @route   PUT /api/calendar
+// @access  Private (Admin only)
+const updateCalendar = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { closedWeekdays, openingHours } = req.body;
+    const calendar = await LibraryCalendar.getOrCreate();
+
+    if (closedWeekdays !== undefined) {
+      calendar.closedWeekdays = [...new Set(closedWeekdays.map(Number))].sort();
+    }
+
+    if (openingHours !== undefined) {
+      calendar.openingHours = openingHours;
+    }
+
+    calendar.lastModifiedBy = req.user._id;
+    await calendar.save();
+    LibraryCalendar.setCached(calendar);
+
+    res.status(200).json({
+      success: true,
+      message: 'Library calendar updated successfully',
+      data: { calendar }
+    });
+  } catch (error) {
+    console.error('Update calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update library calendar',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Add a holiday or one-off closure
+// @route   POST /api/calendar/holidays
+// @access  Private (Admin only)
+const addHoliday = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, startDate, endDate } = req.body;
+
+    if (endDate && endDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date cannot be before start date'
+      });
+    }
+
+    const calendar = await LibraryCalendar.getOrCreate();
+    calendar.holidays.push({ name, startDate, endDate: endDate || startDate, source: 'manual' });
+    sortHolidays(calendar);
+    calendar.lastModifiedBy = req.user._id;
+    await calendar.save();
+    LibraryCalendar.setCached(calendar);
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday added successfully',
+      data: { calendar }
+    });
+  } catch (error) {
+    console.error('Add holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add holiday',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Remove a holiday
+// @route   DELETE /api/calendar/holidays/:holidayId
+// @access  Private (Admin only)
+const removeHoliday = async (req, res) => {
+  try {
+    const calendar = await LibraryCalendar.findOne({ name: 'default' });
+    const holiday = calendar ? calendar.holidays.id(req.params.holidayId) : null;
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    holiday.deleteOne();
+    calendar.lastModifiedBy = req.user._id;
+    await calendar.save();
+    LibraryCalendar.setCached(calendar);
+
+    res.status(200).json({
+      success: true,
+      message: 'Holiday removed successfully',
+      data: { calendar }
+    });
+  } catch (error) {
+    console.error('Remove holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove holiday',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Import holidays from an iCalendar (.ics) file
+// @route   POST /api/calendar/holidays/import
+// @access  Private (Admin only)
+const importHolidays = async (req, res) => {
+  try {
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.ics;
+
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: 'An .ics file or ics text is required'
+      });
+    }
+
+    const { holidays, errors } = parseHolidays(text);
+
+    if (holidays.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No holidays found in the calendar file',
+        errors
+      });
+    }
+
+    const calendar = await LibraryCalendar.getOrCreate();
+    const replace = req.body.replace === true || req.body.replace === 'true';
+
+    // Replacing drops previously imported holidays; manual ones are kept
+    if (replace) {
+      calendar.holidays = calendar.holidays.filter(holiday => holiday.source !== 'ical');
+    }
+
+    let created = 0;
+    let updated = 0;
+
+    for (const imported of holidays) {
+      // Re-importing the same feed updates events in place instead of
+      // duplicating them
+      const existing = calendar.holidays.find(holiday => holiday.source === 'ical' && (
+        imported.uid
+          ? holiday.uid === imported.uid
+          : holiday.startDate === imported.startDate && holiday.name === imported.name
+      ));
+
+      if (existing) {
+        existing.set({ name: imported.name, startDate: imported.startDate, endDate: imported.endDate });
+        updated += 1;
+      } else {
+        calendar.holidays.push({ ...imported, source: 'ical' });
+        created += 1;
+      }
+    }
+
+    sortHolidays(calendar);
+    calendar.lastImportedAt = new Date();
+    calendar.lastModifiedBy = req.user._id;
+    await calendar.save();
+    LibraryCalendar.setCached(calendar);
+
+    res.status(200).json({
+      success: true,
+      message: `Imported ${holidays.length} holiday${holidays.length === 1 ? '' : 's'}`,
+      data: {
+        created,
+        updated,
+        skipped: errors,
+        calendar
+      }
+    });
+  } catch (error) {
+    console.error('Import holidays error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import holidays',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getCalendar,
+  getDayStatus,
+  updateCalendar,
+  addHoliday,
+  removeHoliday,
+  importHolidays
+};
@@ -0,0 +1,288 @@
+const CirculationPolicy = require('../models/CirculationPolicy');
+const User = require('../models/User');
+const Book = require('../models/Book');
+const { validationResult } = require('express-validator');
+
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'userRole',
+  'patronCategory',
+  'bookCategory',
+  'loanPeriodDays',
+  'renewalPeriodDays',
+  'maxRenewals',
+  'finePerDay',
+  'maxFine',
+  'maxLoans',
+  'priority',
+  'isActive'
+];
+
+const pickEditableFields = (body) => EDITABLE_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) {
+    // An empty criterion means "any", which is stored as null
+    data[field] = body[field] === '' ? null : body[field];
+  }
+  return data;
+}, {});
+
+// @desc    Get circulation policies
+// @route   GET /api/policies
+// @access  Private (Admin/Librarian only)
+const getPolicies = async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    if (req.query.userRole) {
+      filter.userRole = req.query.userRole;
+    }
+
+    if (req.query.bookCategory) {
+      filter.bookCategory = req.query.bookCategory;
+    }
+
+    const policies = await CirculationPolicy.find(filter)
+      .populate('createdBy', 'firstName lastName email')
+      .populate('lastModifiedBy', 'firstName lastName email')
+      .sort({ priority: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        policies,
+        defaults: CirculationPolicy.getDefaultTerms()
+      }
+    });
+  } catch (error) {
+    console.error('Get policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch circulation policies',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get circulation policy by ID
+// @route   GET /api/policies/:id
+// @access  Private (Admin/Librarian only)
+const getPolicyById = async (req, res) => {
+  try {
+    const policy = await CirculationPolicy.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName email')
+      .populate('lastModifiedBy', 'firstName lastName email');
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Circulation policy not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { policy }
+    });
+  } catch (error) {
+    console.error('Get policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch circulation policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Resolve the loan terms that apply to a user and book
+// @route   GET /api/policies/resolve
+// @access  Private (Admin/Librarian only)
+const resolvePolicy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const criteria = {
+      userRole: req.query.userRole,
+      patronCategory: req.query.patronCategory,
+      bookCategory: req.query.bookCategory
+    };
+
+    if (req.query.userId) {
+      const user = await User.findById(req.query.userId).select('role patronCategory');
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      criteria.userRole = user.role;
+      criteria.patronCategory = user.patronCategory;
+    }
+
+    if (req.query.bookId) {
+      const book = await Book.findById(req.query.bookId).select('category');
+      if (!book) {
+        return res.status(404).json({
+          success: false,
+          message: 'Book not found'
+        });
+      }
+      criteria.bookCategory = book.category;
+    }
+
+    const terms = await CirculationPolicy.resolve(criteria);
+
+    res.status(200).json({
+      success: true,
+      data: { criteria, terms }
+    });
+  } catch (error) {
+    console.error('Resolve policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve circulation policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Create circulation policy
+// @route   POST /api/policies
+// @access  Private (Admin only)
+const createPolicy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const policy = await CirculationPolicy.create({
+      ...pickEditableFields(req.body),
+      createdBy: req.user._id,
+      lastModifiedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Circulation policy created successfully',
+      data: { policy }
+    });
+  } catch (error) {
+    console.error('Create policy error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A circulation policy with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create circulation policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Update circulation policy
+// @route   PUT /api/policies/:id
+// @access  Private (Admin only)
+const updatePolicy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const policy = await CirculationPolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Circulation policy not found'
+      });
+    }
+
+    // Existing loans keep the terms they were issued under
+    policy.set(pickEditableFields(req.body));
+    policy.lastModifiedBy = req.user._id;
+    await policy.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Circulation policy updated successfully',
+      data: { policy }
+    });
+  } catch (error) {
+    console.error('Update policy error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A circulation policy with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update circulation policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Delete circulation policy
+// @route   DELETE /api/policies/:id
+// @access  Private (Admin only)
+const deletePolicy = async (req, res) => {
+  try {
+    const policy = await CirculationPolicy.findByIdAndDelete(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Circulation policy not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Circulation policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete circulation policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getPolicies,
+  getPolicyById,
+  resolvePolicy,
+  createPolicy,
+  updatePolicy,
+  deletePolicy
+};
@@ -1,5 +1,6 @@
 const Comment = require('../models/Comment');
 const Book = require('../models/Book');
+const { recordAudit, snapshot } = require('../utils/audit');
 const { validationResult } = require('express-validator');
 
 // @desc    Get comments for a book
@@ -67,7 +68,7 @@ const getUserComments = async (req, res) => {
         const userId = req.params.userId;
 
         // Check if user can access these comments
-        if (req.user.role !== 'admin' && req.user.role !== 'librarian' &&
+        if (!req.permissions.has('comments.moderate') &&
             userId !== req.user._id.toString()) {
             return res.status(403).json({
                 success: false,
@@ -209,7 +210,7 @@ const updateComment = async (req, res) => {
         }
 
         // Check if user can edit this comment
-        if (req.user.role !== 'admin' && req.user.role !== 'librarian' &&
+        if (!req.permissions.has('comments.moderate') &&
             comment.user.toString() !== userId.toString()) {
             return res.status(403).json({
                 success: false,
@@ -218,6 +219,7 @@ const updateComment = async (req, res) => {
         }
 
         // Update comment
+        const before = snapshot(comment);
         comment.content = content;
         comment.rating = rating;
         comment.isEdited = true;
@@ -225,6 +227,16 @@ const updateComment = async (req, res) => {
 
         await comment.save();
 
+        // Moderators editing someone else's comment are audited
+        if (comment.user.toString() !== userId.toString()) {
+            await recordAudit(req, {
+                action: 'comment.moderate_update',
+                entity: { type: 'Comment', id: comment._id },
+                before,
+                after: comment
+            });
+        }
+
         // Populate the updated comment
         const updatedComment = await Comment.findById(commentId)
             .populate('user', 'firstName lastName profileImage')
@@ -263,7 +275,7 @@ const deleteComment = async (req, res) => {
         }
 
         // Check if user can delete this comment
-        if (req.user.role !== 'admin' && req.user.role !== 'librarian' &&
+        if (!req.permissions.has('comments.moderate') &&
             comment.user.toString() !== userId.toString()) {
             return res.status(403).json({
                 success: false,
@@ -272,9 +284,20 @@ const deleteComment = async (req, res) => {
         }
 
         // Soft delete
+        const before = snapshot(comment);
         comment.isActive = false;
         await comment.save();
 
+        // Moderators deleting someone else's comment are audited
+        if (comment.user.toString() !== userId.toString()) {
+            await recordAudit(req, {
+                action: 'comment.moderate_delete',
+                entity: { type: 'Comment', id: comment._id },
+                before,
+                after: comment
+            });
+        }
+
         res.status(200).json({
             success: true,
             message: 'Comment deleted successfully'
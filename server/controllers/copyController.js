@@ -0,0 +1,303 @@
+const Copy = require('../models/Copy');
+const Book = require('../models/Book');
+const Borrow = require('../models/Borrow');
+const { validationResult } = require('express-validator');
+
+// @desc    Get copies
+// @route   GET /api/copies
+// @access  Private (Admin/Librarian only)
+const getCopies = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    const filter = { isActive: true };
+
+    if (req.query.book) {
+      filter.book = req.query.book;
+    }
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    if (req.query.condition) {
+      filter.condition = req.query.condition;
+    }
+
+    const copies = await Copy.find(filter)
+      .populate('book', 'title author isbn')
+      .populate('currentBorrow', 'user dueDate status')
+      .sort({ barcode: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Copy.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        copies,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalCopies: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get copies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch copies',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get copy by ID
+// @route   GET /api/copies/:id
+// @access  Private (Admin/Librarian only)
+const getCopyById = async (req, res) => {
+  try {
+    const copy = await Copy.findById(req.params.id)
+      .populate('book', 'title author isbn')
+      .populate('currentBorrow', 'user dueDate status');
+
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Copy not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { copy }
+    });
+  } catch (error) {
+    console.error('Get copy by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch copy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Look up a copy by its accession barcode
+// @route   GET /api/copies/barcode/:barcode
+// @access  Private (Admin/Librarian only)
+const getCopyByBarcode = async (req, res) => {
+  try {
+    const copy = await Copy.findByBarcode(req.params.barcode)
+      .populate('book', 'title author isbn coverImage')
+      .populate('currentBorrow', 'user dueDate status');
+
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Copy not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { copy }
+    });
+  } catch (error) {
+    console.error('Get copy by barcode error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch copy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Add copies to a book
+// @route   POST /api/copies
+// @access  Private (Admin/Librarian only)
+const createCopies = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { bookId, count = 1, condition, location, price } = req.body;
+
+    const book = await Book.findById(bookId);
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+
+    const copies = await Copy.createCopiesForBook(book, parseInt(count), {
+      condition,
+      location,
+      price,
+      addedBy: req.user._id
+    });
+
+    await book.syncAvailability();
+    book.lastModifiedBy = req.user._id;
+    await book.save();
+
+    res.status(201).json({
+      success: true,
+      message: `${copies.length} cop${copies.length === 1 ? 'y' : 'ies'} added successfully`,
+      data: {
+        copies,
+        totalCopies: book.totalCopies,
+        availableCopies: book.availableCopies
+      }
+    });
+  } catch (error) {
+    console.error('Create copies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add copies',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Update a copy (condition, location, status)
+// @route   PUT /api/copies/:id
+// @access  Private (Admin/Librarian only)
+const updateCopy = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const copy = await Copy.findById(req.params.id);
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Copy not found'
+      });
+    }
+
+    const { condition, status, location, notes } = req.body;
+
+    // Loan status is only changed through checkout and return
+    if (status && copy.status === 'on_loan') {
+      return res.status(400).json({
+        success: false,
+        message: 'Copy is on loan. Return it before changing its status'
+      });
+    }
+
+    // A copy on the hold shelf leaves it through checkout or when the hold
+    // expires or is cancelled
+    if (status && copy.status === 'on_hold') {
+      return res.status(400).json({
+        success: false,
+        message: 'Copy is on hold for a patron. Cancel the reservation before changing its status'
+      });
+    }
+
+    // A copy lost by a patron is put back through the return, which also
+    // reverses the patron's replacement charge
+    if (status && copy.status === 'lost') {
+      const lostLoan = await Borrow.exists({ copy: copy._id, status: 'lost' });
+      if (lostLoan) {
+        return res.status(400).json({
+          success: false,
+          message: 'Copy was lost on loan. Return the loan to put it back into stock'
+        });
+      }
+    }
+
+    if (condition) copy.condition = condition;
+    if (status) copy.status = status;
+    if (location) copy.location = { ...copy.location, ...location };
+    if (notes !== undefined) copy.notes = notes;
+
+    await copy.save();
+
+    if (status) {
+      const book = await Book.findById(copy.book);
+      if (book) {
+        await book.syncAvailability();
+        book.lastModifiedBy = req.user._id;
+        await book.save();
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Copy updated successfully',
+      data: { copy }
+    });
+  } catch (error) {
+    console.error('Update copy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update copy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get the loan history of a copy
+// @route   GET /api/copies/:id/history
+// @access  Private (Admin/Librarian only)
+const getCopyHistory = async (req, res) => {
+  try {
+    const copy = await Copy.findById(req.params.id).populate('book', 'title author isbn');
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Copy not found'
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 20;
+    const history = await Copy.getLoanHistory(copy._id, limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        copy,
+        lastBorrower: history[0] ? history[0].user : null,
+        history
+      }
+    });
+  } catch (error) {
+    console.error('Get copy history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch copy history',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getCopies,
+  getCopyById,
+  getCopyByBarcode,
+  createCopies,
+  updateCopy,
+  getCopyHistory
+};
@@ -2,7 +2,9 @@ const User = require('../models/User');
 const Book = require('../models/Book');
 const Borrow = require('../models/Borrow');
 const Comment = require('../models/Comment');
+const FineTransaction = require('../models/FineTransaction');
 const mongoose = require('mongoose');
+const { keepsReadingHistory } = require('../utils/readingHistory');
 
 // @desc    Get student dashboard data
 // @route   GET /api/dashboard/student
@@ -10,6 +12,7 @@ const mongoose = require('mongoose');
 const getStudentDashboard = async (req, res) => {
     try {
         const userId = req.user._id;
+        const keepsHistory = keepsReadingHistory(req.user);
 
         // Get current borrowed books
         const currentBorrows = await Borrow.find({
@@ -28,32 +31,19 @@ const getStudentDashboard = async (req, res) => {
         })
             .populate('book', 'title author coverImage isbn');
 
-        // Get recent borrow history
+        // Get recent borrow history; without reading history, only loans
+        // still open
         const recentBorrows = await Borrow.find({
             user: userId,
-            isActive: true
+            isActive: true,
+            ...(keepsHistory ? {} : { status: { $ne: 'returned' } })
         })
             .populate('book', 'title author coverImage isbn')
             .sort({ borrowDate: -1 })
             .limit(10);
 
-        // Calculate total fines
-        const totalFines = await Borrow.aggregate([
-            {
-                $match: {
-                    user: mongoose.Types.ObjectId(userId),
-                    isActive: true,
-                    fineAmount: { $gt: 0 },
-                    finePaid: false
-                }
-            },
-            {
-                $group: {
-                    _id: null,
-                    totalFines: { $sum: '$fineAmount' }
-                }
-            }
-        ]);
+        // Outstanding balance on the fines ledger
+        const fineBalance = await FineTransaction.getBalance(userId);
 
         // Get user's comments/ratings
         const userComments = await Comment.find({
@@ -65,7 +55,7 @@ const getStudentDashboard = async (req, res) => {
             .limit(5);
 
         // Get reading statistics
-        const readingStats = await Borrow.aggregate([
+        const readingStats = !keepsHistory ? [] : await Borrow.aggregate([
             {
                 $match: {
                     user: mongoose.Types.ObjectId(userId),
@@ -90,7 +80,7 @@ const getStudentDashboard = async (req, res) => {
         ]);
 
         // Get favorite categories
-        const favoriteCategories = await Borrow.aggregate([
+        const favoriteCategories = !keepsHistory ? [] : await Borrow.aggregate([
             {
                 $match: {
                     user: mongoose.Types.ObjectId(userId),
@@ -129,10 +119,11 @@ const getStudentDashboard = async (req, res) => {
                 currentBorrows,
                 overdueBorrows,
                 recentBorrows,
-                totalFines: totalFines[0]?.totalFines || 0,
+                totalFines: Math.max(0, fineBalance),
                 userComments,
                 readingStats: readingStats[0] || { totalBooksRead: 0, totalBorrowDays: 0 },
-                favoriteCategories
+                favoriteCategories,
+                readingHistory: keepsHistory
             }
         });
     } catch (error) {
@@ -202,31 +193,8 @@ const getAdminDashboard = async (req, res) => {
             getMonthlyStatistics()
         ]);
 
-        // Get fine statistics
-        const fineStats = await Borrow.aggregate([
-            {
-                $match: {
-                    isActive: true,
-                    fineAmount: { $gt: 0 }
-                }
-            },
-            {
-                $group: {
-                    _id: null,
-                    totalFines: { $sum: '$fineAmount' },
-                    paidFines: {
-                        $sum: {
-                            $cond: ['$finePaid', '$fineAmount', 0]
-                        }
-                    },
-                    unpaidFines: {
-                        $sum: {
-                            $cond: ['$finePaid', 0, '$fineAmount']
-                        }
-                    }
-                }
-            }
-        ]);
+        // Get fine statistics from the ledger
+        const fineStats = await FineTransaction.getSummary();
 
         // Get user growth over time
         const userGrowth = await User.aggregate([
@@ -259,14 +227,14 @@ const getAdminDashboard = async (req, res) => {
                     totalBorrows,
                     totalComments,
                     overdueCount: overdueStats[0]?.totalOverdue || 0,
-                    totalFines: fineStats[0]?.totalFines || 0,
-                    unpaidFines: fineStats[0]?.unpaidFines || 0
+                    totalFines: fineStats.totalFines,
+                    unpaidFines: fineStats.unpaidFines
                 },
                 userStats,
                 bookStats: bookStats[0] || {},
                 categoryStats,
                 overdueStats: overdueStats[0] || {},
-                fineStats: fineStats[0] || {},
+                fineStats,
                 recentActivity,
                 topBooks,
                 monthlyStats,
@@ -429,21 +397,7 @@ const getWeeklyStatistics = async () => {
             createdAt: { $gte: weekStart, $lte: weekEnd },
             isActive: true
         }),
-        Borrow.aggregate([
-            {
-                $match: {
-                    borrowDate: { $gte: weekStart, $lte: weekEnd },
-                    isActive: true,
-                    fineAmount: { $gt: 0 }
-                }
-            },
-            {
-                $group: {
-                    _id: null,
-                    totalFines: { $sum: '$fineAmount' }
-                }
-            }
-        ])
+        FineTransaction.getSummary(weekStart, weekEnd)
     ]);
 
     return {
@@ -452,7 +406,7 @@ const getWeeklyStatistics = async () => {
         borrows,
         returns,
         newUsers,
-        totalFines: fines[0]?.totalFines || 0
+        totalFines: fines.totalFines
     };
 };
 
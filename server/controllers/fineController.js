@@ -0,0 +1,410 @@
+const FineTransaction = require('../models/FineTransaction');
+const Borrow = require('../models/Borrow');
+const User = require('../models/User');
+const LibraryCalendar = require('../models/LibraryCalendar');
+const { withTransaction } = require('../utils/transaction');
+const { validationResult } = require('express-validator');
+
+// Errors thrown by the ledger that are the caller's fault
+const isLedgerError = (error) => [
+  'No outstanding fines',
+  'Patron has no credit to refund',
+  'Amount exceeds'
+].some(message => error.message.startsWith(message));
+
+// Build a patron's fine account: ledger balance, fines still accruing on
+// overdue loans (not yet charged) and an itemized statement
+const buildAccount = async (userId, query) => {
+  const calendar = await LibraryCalendar.getCalendar();
+
+  const [balance, outstanding, statement, overdueLoans] = await Promise.all([
+    FineTransaction.getBalance(userId),
+    FineTransaction.getOutstandingByBorrow(userId),
+    FineTransaction.getStatement(userId, {
+      from: query.from ? new Date(query.from) : undefined,
+      to: query.to ? new Date(query.to) : undefined
+    }),
+    Borrow.find({ user: userId, status: { $in: Borrow.LIVE_STATUSES }, dueDate: { $lt: new Date() } })
+      .populate('book', 'title isbn')
+  ]);
+
+  const accruing = overdueLoans
+    .map(borrow => ({
+      borrow: borrow._id,
+      book: borrow.book,
+      dueDate: borrow.dueDate,
+      fineAmount: borrow.calculateFine(calendar)
+    }))
+    .filter(entry => entry.fineAmount > 0);
+
+  return {
+    balance,
+    outstanding,
+    accruing,
+    accruingTotal: Math.round(accruing.reduce((sum, entry) => sum + entry.fineAmount, 0) * 100) / 100,
+    statement
+  };
+};
+
+// Record a payment or waiver and return the patron's new balance
+const settle = async (type, req) => {
+  const transactions = await withTransaction(session => FineTransaction.settle(type, {
+    user: req.params.userId,
+    borrow: req.body.borrowId,
+    amount: req.body.amount,
+    method: req.body.method,
+    reason: req.body.reason,
+    reference: req.body.reference,
+    recordedBy: req.user._id
+  }, session));
+
+  const balance = await FineTransaction.getBalance(req.params.userId);
+  return { transactions, balance };
+};
+
+// @desc    Get current user's fine account
+// @route   GET /api/fines/me
+// @access  Private
+const getMyFines = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const account = await buildAccount(req.user._id, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: account
+    });
+  } catch (error) {
+    console.error('Get my fines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch fines',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get a patron's fine account and statement
+// @route   GET /api/fines/users/:userId
+// @access  Private (Admin/Librarian or own account)
+const getUserFines = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+
+    if (!req.permissions.has('fines.view') && req.user._id.toString() !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view your own fines.'
+      });
+    }
+
+    const user = await User.findById(userId).select('firstName lastName email studentId');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const account = await buildAccount(userId, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: { user, ...account }
+    });
+  } catch (error) {
+    console.error('Get user fines error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch fines',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get patrons with an outstanding balance
+// @route   GET /api/fines/outstanding
+// @access  Private (Admin/Librarian only)
+const getOutstandingBalances = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const [result] = await FineTransaction.aggregate([
+      {
+        $group: {
+          _id: '$user',
+          balance: { $sum: FineTransaction.SIGNED_AMOUNT },
+          lastTransactionAt: { $max: '$createdAt' }
+        }
+      },
+      { $match: { balance: { $gt: 0.005 } } },
+      { $sort: { balance: -1 } },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          balances: [
+            { $skip: skip },
+            { $limit: limit },
+            {
+              $lookup: {
+                from: 'users',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'user',
+                pipeline: [{ $project: { firstName: 1, lastName: 1, email: 1, studentId: 1 } }]
+              }
+            },
+            { $unwind: '$user' },
+            {
+              $project: {
+                _id: 0,
+                user: 1,
+                balance: { $round: ['$balance', 2] },
+                lastTransactionAt: 1
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    const total = result.total[0] ? result.total[0].count : 0;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        balances: result.balances,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalBalances: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get outstanding balances error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch outstanding balances',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Record a payment, spread over outstanding charges oldest first
+// @route   POST /api/fines/users/:userId/payments
+// @access  Private (Admin/Librarian only)
+const recordPayment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await settle('payment', req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Record payment error:', error);
+
+    if (isLedgerError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Waive outstanding fines
+// @route   POST /api/fines/users/:userId/waivers
+// @access  Private (Admin/Librarian only)
+const waiveFines = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await settle('waiver', req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Fines waived successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Waive fines error:', error);
+
+    if (isLedgerError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to waive fines',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Refund a patron's credit
+// @route   POST /api/fines/users/:userId/refunds
+// @access  Private (Admin only)
+const refundCredit = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const transaction = await withTransaction(session => FineTransaction.refund({
+      user: req.params.userId,
+      amount: req.body.amount,
+      method: req.body.method,
+      reason: req.body.reason,
+      reference: req.body.reference,
+      recordedBy: req.user._id
+    }, session));
+
+    const balance = await FineTransaction.getBalance(req.params.userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund recorded successfully',
+      data: { transaction, balance }
+    });
+  } catch (error) {
+    console.error('Refund credit error:', error);
+
+    if (isLedgerError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record refund',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Charge a patron, e.g. for a damaged item
+// @route   POST /api/fines/users/:userId/charges
+// @access  Private (Admin/Librarian only)
+const addCharge = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+    const { borrowId, amount, category, reason } = req.body;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (borrowId) {
+      const borrow = await Borrow.findOne({ _id: borrowId, user: userId });
+      if (!borrow) {
+        return res.status(404).json({
+          success: false,
+          message: 'Borrow record not found for this user'
+        });
+      }
+    }
+
+    const transaction = await FineTransaction.charge({
+      user: userId,
+      borrow: borrowId || null,
+      category: category || 'manual',
+      amount,
+      reason,
+      recordedBy: req.user._id
+    });
+
+    const balance = await FineTransaction.getBalance(userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Charge recorded successfully',
+      data: { transaction, balance }
+    });
+  } catch (error) {
+    console.error('Add charge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record charge',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getMyFines,
+  getUserFines,
+  getOutstandingBalances,
+  recordPayment,
+  waiveFines,
+  refundCredit,
+  addCharge
+};
@@ -0,0 +1,295 @@
+const ScheduledJob = require('../models/ScheduledJob');
+const JobRun = require('../models/JobRun');
+const {
+  findDefinition,
+  getDefinitions,
+  syncJobs,
+  runJobNow,
+  setJobPaused
+} = require('../utils/jobScheduler');
+// Registers the job definitions
+require('../utils/scheduledJobs');
+const { validationResult } = require('express-validator');
+
+// Combine a job's definition with its stored state
+const formatJob = (definition, job) => ({
+  name: definition.name,
+  description: definition.description,
+  schedule: definition.schedule,
+  paused: job ? job.paused : false,
+  pausedBy: job ? job.pausedBy : null,
+  pausedAt: job ? job.pausedAt : null,
+  isRunning: job ? job.isRunning : false,
+  lockedBy: job && job.isRunning ? job.lockedBy : null,
+  nextRunAt: job ? job.nextRunAt : null,
+  lastRunAt: job ? job.lastRunAt : null,
+  lastStatus: job ? job.lastStatus : null,
+  lastError: job ? job.lastError : null,
+  lastDurationMs: job ? job.lastDurationMs : null
+});
+
+// @desc    Get all scheduled jobs
+// @route   GET /api/jobs
+// @access  Private (Admin only)
+const getJobs = async (req, res) => {
+  try {
+    await syncJobs();
+    const jobs = await ScheduledJob.find({}).populate('pausedBy', 'firstName lastName email');
+    const jobsByName = new Map(jobs.map(job => [job.name, job]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobs: getDefinitions().map(definition => formatJob(definition, jobsByName.get(definition.name)))
+      }
+    });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch jobs',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get a scheduled job and its most recent runs
+// @route   GET /api/jobs/:name
+// @access  Private (Admin only)
+const getJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const definition = findDefinition(req.params.name);
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    await syncJobs();
+    const [job, recentRuns] = await Promise.all([
+      ScheduledJob.findOne({ name: definition.name }).populate('pausedBy', 'firstName lastName email'),
+      JobRun.find({ job: definition.name })
+        .populate('triggeredBy', 'firstName lastName email')
+        .sort({ startedAt: -1 })
+        .limit(10)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        job: formatJob(definition, job),
+        recentRuns
+      }
+    });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch job',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get the run history of a scheduled job
+// @route   GET /api/jobs/:name/runs
+// @access  Private (Admin only)
+const getJobRuns = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!findDefinition(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { job: req.params.name };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [runs, total] = await Promise.all([
+      JobRun.find(filter)
+        .populate('triggeredBy', 'firstName lastName email')
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      JobRun.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalRuns: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get job runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch job runs',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Run a scheduled job now
+// @route   POST /api/jobs/:name/run
+// @access  Private (Admin only)
+const triggerJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const run = await runJobNow(req.params.name, req.user._id);
+
+    res.status(200).json({
+      success: run.status === 'succeeded',
+      message: run.status === 'succeeded' ? 'Job completed successfully' : `Job failed: ${run.error}`,
+      data: { run }
+    });
+  } catch (error) {
+    console.error('Trigger job error:', error);
+
+    if (error.message === 'Job not found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (error.message === 'Job is already running') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run job',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Pause a scheduled job; it can still be run manually
+// @route   POST /api/jobs/:name/pause
+// @access  Private (Admin only)
+const pauseJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const job = await setJobPaused(req.params.name, true, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Job paused successfully',
+      data: { job: formatJob(findDefinition(req.params.name), job) }
+    });
+  } catch (error) {
+    console.error('Pause job error:', error);
+
+    if (error.message === 'Job not found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pause job',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Resume a paused job from its next scheduled time
+// @route   POST /api/jobs/:name/resume
+// @access  Private (Admin only)
+const resumeJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const job = await setJobPaused(req.params.name, false, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Job resumed successfully',
+      data: { job: formatJob(findDefinition(req.params.name), job) }
+    });
+  } catch (error) {
+    console.error('Resume job error:', error);
+
+    if (error.message === 'Job not found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume job',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getJobs,
+  getJob,
+  getJobRuns,
+  triggerJob,
+  pauseJob,
+  resumeJob
+};
@@ -0,0 +1,483 @@
+const Borrow = require('../models/Borrow');
+const KioskDevice = require('../models/KioskDevice');
+const KioskSession = require('../models/KioskSession');
+const User = require('../models/User');
+const config = require('../config');
+const {
+  resolveItem,
+  getPatronBlock,
+  getCheckoutBlock,
+  checkout,
+  checkin
+} = require('../utils/circulationService');
+const { BLOCK_CODES } = require('../utils/patronStanding');
+const { sendKioskReceipt } = require('../utils/emailService');
+const { validationResult } = require('express-validator');
+
+// Current loans shown to the patron on the kiosk screen
+const getPatronLoans = (patronId) => {
+  return Borrow.find({
+    user: patronId,
+    status: { $in: Borrow.LIVE_STATUSES },
+    isActive: true
+  })
+    .populate('book', 'title author coverImage')
+    .populate('copy', 'barcode')
+    .select('book copy dueDate status renewals')
+    .sort({ dueDate: 1 });
+};
+
+// Only the patron's name is shown on a shared screen
+const toKioskPatron = (patron) => ({
+  firstName: patron.firstName,
+  lastName: patron.lastName
+});
+
+const toReceiptLine = (borrow) => ({
+  title: borrow.book ? borrow.book.title : 'Unknown title',
+  barcode: borrow.copy ? borrow.copy.barcode : null,
+  dueDate: borrow.dueDate
+});
+
+// @desc    Start a patron session by scanning a library card and entering a PIN
+// @route   POST /api/kiosk/session
+// @access  Kiosk device
+const startSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // An unknown card and a wrong PIN get the same answer
+    const patron = await User.findByLibraryCard(req.body.card);
+    const pinCheck = patron ? await patron.checkKioskPin(req.body.pin) : 'wrong';
+
+    if (pinCheck === 'wrong') {
+      return res.status(401).json({
+        success: false,
+        message: 'Library card or PIN not recognised'
+      });
+    }
+
+    if (pinCheck === 'locked') {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many wrong PINs. Try again later or ask a librarian for help.'
+      });
+    }
+
+    if (pinCheck === 'unset') {
+      return res.status(403).json({
+        success: false,
+        message: 'Set a kiosk PIN in your account before using the kiosk',
+        code: 'KIOSK_PIN_NOT_SET'
+      });
+    }
+
+    // Blocked patrons can still return items, so only a deactivated account
+    // is turned away. Other blocks are shown so the patron knows why
+    // borrowing is refused.
+    const block = await getPatronBlock(patron);
+    if (block && block.code === BLOCK_CODES.ACCOUNT_INACTIVE) {
+      return res.status(block.status).json({
+        success: false,
+        message: block.message,
+        code: block.code
+      });
+    }
+
+    const { session, token } = await KioskSession.start(req.kiosk._id, patron._id);
+    const loans = await getPatronLoans(patron._id);
+
+    res.status(201).json({
+      success: true,
+      message: `Welcome, ${patron.firstName}`,
+      data: {
+        sessionToken: token,
+        expiresAt: session.expiresAt,
+        idleTimeoutSeconds: config.KIOSK_IDLE_TIMEOUT_MINUTES * 60,
+        patron: toKioskPatron(patron),
+        loans,
+        blocks: block ? block.blocks : []
+      }
+    });
+  } catch (error) {
+    console.error('Start kiosk session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start kiosk session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get the current patron session and their loans
+// @route   GET /api/kiosk/session
+// @access  Kiosk session
+const getSession = async (req, res) => {
+  try {
+    const loans = await getPatronLoans(req.patron._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        expiresAt: req.kioskSession.expiresAt,
+        patron: toKioskPatron(req.patron),
+        loans
+      }
+    });
+  } catch (error) {
+    console.error('Get kiosk session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch kiosk session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    End the current patron session
+// @route   DELETE /api/kiosk/session
+// @access  Kiosk session
+const endSession = async (req, res) => {
+  try {
+    req.kioskSession.endedAt = new Date();
+    await req.kioskSession.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Session ended'
+    });
+  } catch (error) {
+    console.error('End kiosk session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to end kiosk session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Check out a scanned item to the session's patron
+// @route   POST /api/kiosk/checkout
+// @access  Kiosk session
+const checkoutItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const resolved = await resolveItem(req.body.item);
+    if (!resolved) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not recognised. Please ask a librarian for help.'
+      });
+    }
+
+    const { book, copy } = resolved;
+    const block = await getCheckoutBlock(req.patron, book, copy);
+    if (block) {
+      return res.status(block.status).json({
+        success: false,
+        message: block.message,
+        code: block.code
+      });
+    }
+
+    const borrow = await checkout({
+      patron: req.patron,
+      book,
+      copy,
+      borrowedBy: req.patron._id,
+      notes: `Self-service kiosk: ${req.kiosk.name}`
+    });
+
+    req.kioskSession.transactions.push({ type: 'checkout', borrow: borrow._id });
+    await req.kioskSession.save();
+
+    const populatedBorrow = await Borrow.findById(borrow._id)
+      .populate('book', 'title author coverImage')
+      .populate('copy', 'barcode');
+
+    res.status(201).json({
+      success: true,
+      message: `"${book.title}" checked out`,
+      data: { borrow: populatedBorrow }
+    });
+  } catch (error) {
+    console.error('Kiosk checkout error:', error);
+
+    if (error.message === 'Book is not available for borrowing') {
+      return res.status(400).json({
+        success: false,
+        message: 'Book is not available for borrowing'
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have this book borrowed'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check out item',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Return a scanned item on loan to the session's patron
+// @route   POST /api/kiosk/return
+// @access  Kiosk session
+const returnItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const resolved = await resolveItem(req.body.item);
+    if (!resolved) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not recognised. Please ask a librarian for help.'
+      });
+    }
+
+    const { book, copy } = resolved;
+    const loan = await Borrow.findOne({
+      ...(copy ? { copy: copy._id } : { book: book._id }),
+      user: req.patron._id,
+      status: { $in: Borrow.LIVE_STATUSES },
+      isActive: true
+    });
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'This item is not on loan to you'
+      });
+    }
+
+    const { borrow, hold } = await checkin({
+      borrowId: loan._id,
+      returnedBy: req.patron._id,
+      notes: `Returned at self-service kiosk: ${req.kiosk.name}`
+    });
+
+    req.kioskSession.transactions.push({ type: 'return', borrow: borrow._id });
+    await req.kioskSession.save();
+
+    res.status(200).json({
+      success: true,
+      message: hold
+        ? `"${book.title}" returned. Please hand it to the desk: another reader is waiting for it`
+        : `"${book.title}" returned`,
+      data: {
+        borrow: {
+          _id: borrow._id,
+          book: { _id: book._id, title: book.title },
+          returnDate: borrow.returnDate,
+          fineAmount: borrow.fineAmount
+        },
+        onHold: Boolean(hold)
+      }
+    });
+  } catch (error) {
+    console.error('Kiosk return error:', error);
+
+    if (error.message === 'Book is already returned') {
+      return res.status(400).json({
+        success: false,
+        message: 'Book is already returned'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to return item',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get (and optionally email) a receipt for the current session
+// @route   POST /api/kiosk/receipt
+// @access  Kiosk session
+const getReceipt = async (req, res) => {
+  try {
+    const borrowIds = req.kioskSession.transactions.map(transaction => transaction.borrow);
+    const borrows = await Borrow.find({ _id: { $in: borrowIds } })
+      .populate('book', 'title')
+      .populate('copy', 'barcode');
+    const byId = new Map(borrows.map(borrow => [borrow._id.toString(), borrow]));
+
+    const receipt = {
+      issuedAt: new Date(),
+      kiosk: req.kiosk.name,
+      patron: toKioskPatron(req.patron),
+      checkedOut: [],
+      returned: []
+    };
+
+    for (const transaction of req.kioskSession.transactions) {
+      const borrow = byId.get(transaction.borrow.toString());
+      if (!borrow) {
+        continue;
+      }
+
+      if (transaction.type === 'checkout') {
+        receipt.checkedOut.push(toReceiptLine(borrow));
+      } else {
+        receipt.returned.push(toReceiptLine(borrow));
+      }
+    }
+
+    let emailed = false;
+    if (req.body.email === true || req.body.email === 'true') {
+      const result = await sendKioskReceipt(req.patron, receipt);
+      emailed = result.success;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: emailed ? 'Receipt sent to your email' : 'Receipt generated',
+      data: { receipt, emailed }
+    });
+  } catch (error) {
+    console.error('Kiosk receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate receipt',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    List kiosk devices
+// @route   GET /api/kiosk/devices
+// @access  Private (Admin only)
+const getDevices = async (req, res) => {
+  try {
+    const devices = await KioskDevice.find()
+      .populate('registeredBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { devices }
+    });
+  } catch (error) {
+    console.error('Get kiosk devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch kiosk devices',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Register a kiosk device and issue its token
+// @route   POST /api/kiosk/devices
+// @access  Private (Admin only)
+const registerDevice = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { device, token } = await KioskDevice.register({
+      name: req.body.name,
+      location: req.body.location,
+      registeredBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Kiosk device registered. Store the token now; it will not be shown again.',
+      data: { device, token }
+    });
+  } catch (error) {
+    console.error('Register kiosk device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register kiosk device',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Revoke a kiosk device and end its sessions
+// @route   DELETE /api/kiosk/devices/:id
+// @access  Private (Admin only)
+const revokeDevice = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const device = await KioskDevice.findById(req.params.id);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Kiosk device not found'
+      });
+    }
+
+    device.isActive = false;
+    await device.save();
+    await KioskSession.updateMany({ device: device._id, endedAt: null }, { endedAt: new Date() });
+
+    res.status(200).json({
+      success: true,
+      message: 'Kiosk device revoked'
+    });
+  } catch (error) {
+    console.error('Revoke kiosk device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke kiosk device',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  startSession,
+  getSession,
+  endSession,
+  checkoutItem,
+  returnItem,
+  getReceipt,
+  getDevices,
+  registerDevice,
+  revokeDevice
+};
@@ -0,0 +1,282 @@
+const path = require('path');
+const Book = require('../models/Book');
+const MarcRecord = require('../models/MarcRecord');
+const { FORMATS, MARC_FORMATS, parseImportFile, loadCatalogue, importRow } = require('../utils/bookImport');
+const {
+  MARCXML_HEADER,
+  MARCXML_FOOTER,
+  serializeMarc21,
+  toMarcXml,
+  toMarcXmlRecord,
+  bookToRecord
+} = require('../utils/marc');
+const { validationResult } = require('express-validator');
+
+// Trailer listing the IDs of books left out of a catalogue export
+const SKIPPED_TRAILER = 'X-Marc-Skipped';
+
+const DOWNLOADS = {
+  marc21: { contentType: 'application/marc', extension: 'mrc' },
+  marcxml: { contentType: 'application/marcxml+xml; charset=utf-8', extension: 'xml' }
+};
+
+// @desc    Import a single MARC 21 or MARCXML record as a book
+// @route   POST /api/books/marc
+// @access  Private (books.import)
+const importMarcRecord = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A .mrc, .marc or .xml file is required'
+      });
+    }
+
+    const format = FORMATS[path.extname(req.file.originalname).toLowerCase()];
+    if (!MARC_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only .mrc, .marc and .xml files can be imported here; use POST /api/books/import for CSV and Excel files'
+      });
+    }
+
+    const onDuplicate = req.body.onDuplicate || 'skip';
+    if (onDuplicate === 'merge' && !req.permissions.has('books.update')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Merging into existing books requires the books.update permission'
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = await parseImportFile(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (parsed.rows.length !== 1) {
+      return res.status(400).json({
+        success: false,
+        message: `The file holds ${parsed.rows.length} records; use POST /api/books/import for more than one`
+      });
+    }
+
+    // The record goes through the same checks as a row of a bulk import
+    const result = await importRow({
+      format,
+      onDuplicate,
+      dryRun: false,
+      defaults: {
+        category: req.body.category,
+        totalCopies: req.body.totalCopies
+      },
+      createdBy: req.user._id
+    }, parsed.rows[0], await loadCatalogue(), new Map());
+
+    if (result.outcome === 'failed') {
+      return res.status(400).json({
+        success: false,
+        message: 'The record cannot be imported',
+        errors: result.problems
+      });
+    }
+
+    if (result.outcome === 'skipped') {
+      return res.status(409).json({
+        success: false,
+        message: result.problems[0].message,
+        data: { bookId: result.book }
+      });
+    }
+
+    const book = await Book.findById(result.book)
+      .populate('addedBy', 'firstName lastName');
+
+    res.status(result.outcome === 'created' ? 201 : 200).json({
+      success: true,
+      message: result.outcome === 'created'
+        ? 'Book imported successfully'
+        : 'Book updated from the record',
+      data: { book }
+    });
+  } catch (error) {
+    console.error('Import MARC record error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import MARC record',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Download a book as a MARC 21 or MARCXML record
+// @route   GET /api/books/:id/marc
+// @access  Private (books.import)
+const exportMarcRecord = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const book = await Book.findById(req.params.id);
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+
+    const format = req.query.format || 'marcxml';
+    const source = await MarcRecord.findOne({ book: book._id });
+
+    let content;
+    try {
+      const record = bookToRecord(book, source);
+      content = format === 'marc21' ? serializeMarc21(record) : toMarcXml([record]);
+    } catch (error) {
+      return res.status(422).json({
+        success: false,
+        message: `The record cannot be written as ${format === 'marc21' ? 'MARC 21' : 'MARCXML'}: ${error.message}`
+      });
+    }
+
+    res.status(200);
+    res.set({
+      'Content-Type': DOWNLOADS[format].contentType,
+      'Content-Disposition': `attachment; filename="book-${book._id}.${DOWNLOADS[format].extension}"`
+    });
+    res.send(content);
+  } catch (error) {
+    console.error('Export MARC record error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export MARC record',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Download the whole catalogue as MARC 21 or MARCXML
+// @route   GET /api/books/marc/export
+// @access  Private (books.import)
+const exportMarcCatalogue = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const format = req.query.format || 'marcxml';
+
+    // Each book comes with the record it was imported from, if any
+    const cursor = Book.aggregate([
+      { $match: { isActive: true } },
+      { $sort: { _id: 1 } },
+      {
+        $lookup: {
+          from: MarcRecord.collection.name,
+          localField: '_id',
+          foreignField: 'book',
+          as: 'marcRecords'
+        }
+      }
+    ]).cursor();
+
+    res.status(200);
+    res.set({
+      'Content-Type': DOWNLOADS[format].contentType,
+      'Content-Disposition': `attachment; filename="catalogue-${new Date().toISOString().slice(0, 10)}.${DOWNLOADS[format].extension}"`,
+      Trailer: SKIPPED_TRAILER
+    });
+    if (format === 'marcxml') {
+      res.write(MARCXML_HEADER);
+    }
+
+    // Books whose record cannot be written are left out and listed at the
+    // end, so one bad record does not cut the download short
+    const skipped = [];
+
+    for await (const { marcRecords, ...book } of cursor) {
+      let content;
+      try {
+        const record = bookToRecord(book, marcRecords[0] || null);
+        content = format === 'marc21' ? serializeMarc21(record) : toMarcXmlRecord(record);
+      } catch (error) {
+        skipped.push({ bookId: book._id.toString(), reason: error.message });
+        continue;
+      }
+
+      // Wait for the client to catch up rather than buffering the whole
+      // catalogue, and stop if it goes away
+      if (!res.write(content)) {
+        await new Promise(resolve => {
+          const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+          };
+          res.on('drain', done);
+          res.on('close', done);
+        });
+      }
+      if (res.destroyed) {
+        await cursor.close();
+        return;
+      }
+    }
+
+    if (skipped.length > 0) {
+      console.warn(`MARC catalogue export skipped ${skipped.length} record(s):`, skipped);
+      if (format === 'marcxml') {
+        res.write(`  <!-- Skipped ${skipped.length} record(s) that could not be written: ${skipped.map(entry => `book ${entry.bookId} (${entry.reason})`).join('; ').replace(/--/g, '- -')} -->\n`);
+      }
+    }
+    if (format === 'marcxml') {
+      res.write(MARCXML_FOOTER);
+    }
+    res.addTrailers({ [SKIPPED_TRAILER]: skipped.map(entry => entry.bookId).join(',') });
+    res.end();
+  } catch (error) {
+    console.error('Export MARC catalogue error:', error);
+
+    // Cut the connection so the client sees the download fail instead of
+    // a file that looks complete
+    if (res.headersSent) {
+      return res.destroy();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export catalogue',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  importMarcRecord,
+  exportMarcRecord,
+  exportMarcCatalogue
+};
@@ -1,7 +1,8 @@
 const Notification = require('../models/Notification');
 const User = require('../models/User');
-const Borrow = require('../models/Borrow');
 const { sendEmail } = require('../utils/emailService');
+const loanNotices = require('../utils/loanNotices');
+const { recordAudit } = require('../utils/audit');
 const { validationResult } = require('express-validator');
 
 // @desc    Get user notifications
@@ -84,7 +85,7 @@ const getNotificationById = async (req, res) => {
 
         // Check if user can access this notification
         if (notification.user.toString() !== req.user._id.toString() &&
-            req.user.role !== 'admin' && req.user.role !== 'librarian') {
+            !req.permissions.has('notifications.view')) {
             return res.status(403).json({
                 success: false,
                 message: 'Access denied'
@@ -121,7 +122,7 @@ const markAsRead = async (req, res) => {
 
         // Check if user can access this notification
         if (notification.user.toString() !== req.user._id.toString() &&
-            req.user.role !== 'admin' && req.user.role !== 'librarian') {
+            !req.permissions.has('notifications.view')) {
             return res.status(403).json({
                 success: false,
                 message: 'Access denied'
@@ -184,7 +185,7 @@ const deleteNotification = async (req, res) => {
 
         // Check if user can delete this notification
         if (notification.user.toString() !== req.user._id.toString() &&
-            req.user.role !== 'admin' && req.user.role !== 'librarian') {
+            !req.permissions.has('notifications.send')) {
             return res.status(403).json({
                 success: false,
                 message: 'Access denied'
@@ -256,6 +257,13 @@ const createNotification = async (req, res) => {
             }
         }
 
+        await recordAudit(req, {
+            action: 'notification.create',
+            entity: { type: 'Notification', id: notification._id, label: title },
+            after: notification,
+            details: { recipient: targetUser.email }
+        });
+
         res.status(201).json({
             success: true,
             message: 'Notification created successfully',
@@ -303,81 +311,12 @@ const getNotificationStats = async (req, res) => {
 // @access  Private (Admin/Librarian only)
 const sendDueDateReminders = async (req, res) => {
     try {
-        // Find books due in 2 days
-        const twoDaysFromNow = new Date();
-        twoDaysFromNow.setDate(twoDaysFromNow.getDate() + 2);
-
-        const dueBorrows = await Borrow.find({
-            status: 'borrowed',
-            dueDate: {
-                $gte: new Date(twoDaysFromNow.setHours(0, 0, 0, 0)),
-                $lt: new Date(twoDaysFromNow.setHours(23, 59, 59, 999))
-            },
-            isActive: true
-        })
-            .populate('user', 'firstName lastName email preferences')
-            .populate('book', 'title author');
-
-        const notifications = [];
-        const emailResults = [];
-
-        for (const borrow of dueBorrows) {
-            // Create notification
-            const notification = await Notification.createNotification({
-                user: borrow.user._id,
-                type: 'due_date',
-                title: 'Book Due Date Reminder',
-                message: `Your book "${borrow.book.title}" is due on ${new Date(borrow.dueDate).toLocaleDateString()}. Please return it on time to avoid late fees.`,
-                priority: 'medium',
-                relatedEntity: {
-                    type: 'borrow',
-                    id: borrow._id
-                },
-                metadata: {
-                    bookTitle: borrow.book.title,
-                    dueDate: borrow.dueDate
-                }
-            });
-
-            notifications.push(notification);
-
-            // Send email if enabled
-            if (borrow.user.email && borrow.user.preferences?.notifications?.email) {
-                try {
-                    const emailResult = await sendEmail(
-                        borrow.user.email,
-                        'dueDateReminder',
-                        [borrow.user.firstName, borrow.book.title, borrow.dueDate]
-                    );
-
-                    if (emailResult.success) {
-                        notification.emailSent = true;
-                        notification.emailSentAt = new Date();
-                        await notification.save();
-                    }
-
-                    emailResults.push({
-                        userEmail: borrow.user.email,
-                        success: emailResult.success,
-                        error: emailResult.error
-                    });
-                } catch (emailError) {
-                    emailResults.push({
-                        userEmail: borrow.user.email,
-                        success: false,
-                        error: emailError.message
-                    });
-                }
-            }
-        }
+        const result = await loanNotices.sendDueDateReminders();
 
         res.status(200).json({
             success: true,
-            message: `Due date reminders sent to ${notifications.length} users`,
-            data: {
-                notificationsSent: notifications.length,
-                emailResults
-            }
+            message: `Due date reminders sent to ${result.notificationsSent} users`,
+            data: result
         });
     } catch (error) {
         console.error('Send due date reminders error:', error);
@@ -394,77 +333,12 @@ const sendDueDateReminders = async (req, res) => {
 // @access  Private (Admin/Librarian only)
 const sendOverdueNotices = async (req, res) => {
     try {
-        const overdueBorrows = await Borrow.find({
-            status: 'overdue',
-            isActive: true
-        })
-            .populate('user', 'firstName lastName email preferences')
-            .populate('book', 'title author');
-
-        const notifications = [];
-        const emailResults = [];
-
-        for (const borrow of overdueBorrows) {
-            const daysOverdue = Math.ceil((new Date() - new Date(borrow.dueDate)) / (1000 * 60 * 60 * 24));
-            const fineAmount = daysOverdue * 1.00; // $1 per day
-
-            // Create notification
-            const notification = await Notification.createNotification({
-                user: borrow.user._id,
-                type: 'overdue',
-                title: 'Overdue Book Notice',
-                message: `Your book "${borrow.book.title}" is overdue by ${daysOverdue} day${daysOverdue > 1 ? 's' : ''}. Fine amount: $${fineAmount.toFixed(2)}. Please return the book immediately.`,
-                priority: 'high',
-                relatedEntity: {
-                    type: 'borrow',
-                    id: borrow._id
-                },
-                metadata: {
-                    bookTitle: borrow.book.title,
-                    daysOverdue,
-                    fineAmount
-                }
-            });
-
-            notifications.push(notification);
-
-            // Send email if enabled
-            if (borrow.user.email && borrow.user.preferences?.notifications?.email) {
-                try {
-                    const emailResult = await sendEmail(
-                        borrow.user.email,
-                        'overdueNotice',
-                        [borrow.user.firstName, borrow.book.title, daysOverdue, fineAmount]
-                    );
-
-                    if (emailResult.success) {
-                        notification.emailSent = true;
-                        notification.emailSentAt = new Date();
-                        await notification.save();
-                    }
-
-                    emailResults.push({
-                        userEmail: borrow.user.email,
-                        success: emailResult.success,
-                        error: emailResult.error
-                    });
-                } catch (emailError) {
-                    emailResults.push({
-                        userEmail: borrow.user.email,
-                        success: false,
-                        error: emailError.message
-                    });
-                }
-            }
-        }
+        const result = await loanNotices.sendOverdueNotices();
 
         res.status(200).json({
             success: true,
-            message: `Overdue notices sent to ${notifications.length} users`,
-            data: {
-                notificationsSent: notifications.length,
-                emailResults
-            }
+            message: `Overdue notices sent to ${result.notificationsSent} users`,
+            data: result
         });
     } catch (error) {
         console.error('Send overdue notices error:', error);
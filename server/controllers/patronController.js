@@ -0,0 +1,309 @@
+const User = require('../models/User');
+const PatronBlock = require('../models/PatronBlock');
+const BlockOverride = require('../models/BlockOverride');
+const { getPatronStanding } = require('../utils/patronStanding');
+const { validationResult } = require('express-validator');
+
+// @desc    Get current user's borrowing standing
+// @route   GET /api/patrons/me/standing
+// @access  Private
+const getMyStanding = async (req, res) => {
+  try {
+    const standing = await getPatronStanding(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: { standing }
+    });
+  } catch (error) {
+    console.error('Get my standing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch standing',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get a patron's borrowing standing
+// @route   GET /api/patrons/:userId/standing
+// @access  Private (Admin/Librarian only)
+const getStanding = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const patron = await User.findById(req.params.userId);
+    if (!patron) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const standing = await getPatronStanding(patron);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        patron: {
+          _id: patron._id,
+          firstName: patron.firstName,
+          lastName: patron.lastName,
+          email: patron.email,
+          studentId: patron.studentId
+        },
+        standing
+      }
+    });
+  } catch (error) {
+    console.error('Get standing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch standing',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Set or clear a patron's membership expiry date
+// @route   PUT /api/patrons/:userId/membership
+// @access  Private (Admin/Librarian only)
+const updateMembership = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { expiresAt } = req.body;
+
+    const patron = await User.findByIdAndUpdate(
+      req.params.userId,
+      { membershipExpiresAt: expiresAt ? new Date(expiresAt) : null },
+      { new: true, runValidators: true }
+    );
+
+    if (!patron) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: expiresAt ? 'Membership expiry updated successfully' : 'Membership expiry cleared successfully',
+      data: { membershipExpiresAt: patron.membershipExpiresAt }
+    });
+  } catch (error) {
+    console.error('Update membership error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update membership',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get a patron's manual blocks, including lifted ones
+// @route   GET /api/patrons/:userId/blocks
+// @access  Private (Admin/Librarian only)
+const getBlocks = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const blocks = await PatronBlock.find({ user: req.params.userId })
+      .populate('createdBy', 'firstName lastName email')
+      .populate('liftedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { blocks }
+    });
+  } catch (error) {
+    console.error('Get blocks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch blocks',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Block a patron from borrowing
+// @route   POST /api/patrons/:userId/blocks
+// @access  Private (Admin/Librarian only)
+const addBlock = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const patron = await User.findById(req.params.userId);
+    if (!patron) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const block = await PatronBlock.create({
+      user: patron._id,
+      reason: req.body.reason,
+      expiresAt: req.body.expiresAt || null,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Patron blocked successfully',
+      data: { block }
+    });
+  } catch (error) {
+    console.error('Add block error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to block patron',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Lift a manual block
+// @route   DELETE /api/patrons/:userId/blocks/:blockId
+// @access  Private (Admin/Librarian only)
+const liftBlock = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const block = await PatronBlock.findOne({ _id: req.params.blockId, user: req.params.userId });
+    if (!block) {
+      return res.status(404).json({
+        success: false,
+        message: 'Block not found'
+      });
+    }
+
+    block.lift(req.user._id, req.body.note);
+    await block.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Block lifted successfully',
+      data: { block }
+    });
+  } catch (error) {
+    console.error('Lift block error:', error);
+
+    if (error.message === 'Block is already lifted') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to lift block',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get the block override audit log
+// @route   GET /api/patrons/overrides
+// @access  Private (Admin/Librarian only)
+const getOverrides = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.patron) filter.patron = req.query.patron;
+    if (req.query.staff) filter.staff = req.query.staff;
+    if (req.query.action) filter.action = req.query.action;
+
+    const [overrides, total] = await Promise.all([
+      BlockOverride.find(filter)
+        .populate('patron', 'firstName lastName email studentId')
+        .populate('staff', 'firstName lastName email')
+        .populate('book', 'title isbn')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      BlockOverride.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        overrides,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalOverrides: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get overrides error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch overrides',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getMyStanding,
+  getStanding,
+  updateMembership,
+  getBlocks,
+  addBlock,
+  liftBlock,
+  getOverrides
+};
@@ -0,0 +1,264 @@
+const User = require('../models/User');
+const { writeExportArchive, eraseUser } = require('../utils/personalData');
+const { getPermissions, missingPermissions } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { validationResult } = require('express-validator');
+
+// Send the export archive as a download
+const sendExport = async (res, userId) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="personal-data-${new Date().toISOString().slice(0, 10)}.zip"`
+  });
+  await writeExportArchive(userId, res);
+};
+
+// Answer an erasure error, or return false if it is not one the caller caused
+const sendErasureError = (res, error) => {
+  if (error.message === 'User not found') {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  if (error.message === 'User has already been erased') {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  if (error.block) {
+    const { code, message, ...data } = error.block;
+    res.status(409).json({
+      success: false,
+      code,
+      message,
+      data
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// @desc    Download everything stored about the current user
+// @route   GET /api/auth/me/export
+// @access  Private
+const exportMyData = async (req, res) => {
+  try {
+    await recordAudit(req, {
+      action: 'user.data_export',
+      entity: { type: 'User', id: req.user._id, label: req.user.email }
+    });
+
+    await sendExport(res, req.user._id);
+  } catch (error) {
+    console.error('Export personal data error:', error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export personal data',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Erase the current user's personal data and close their account
+// @route   POST /api/auth/me/erase
+// @access  Private
+const eraseMyAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (req.body.confirmEmail !== user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Type your email address to confirm'
+      });
+    }
+
+    // Accounts that sign in elsewhere have no password here to confirm with
+    if (!user.isLocalLoginDisabled() && !user.usesDirectoryPassword() &&
+        !(await user.comparePassword(req.body.password || ''))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (user.role === 'admin' && await User.countDocuments({ role: 'admin', isActive: true }) <= 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'The last administrator cannot erase their account'
+      });
+    }
+
+    const result = await eraseUser(user._id);
+
+    await recordAudit(req, {
+      action: 'user.erase',
+      entity: { type: 'User', id: user._id },
+      actorEmail: null,
+      details: result
+    });
+
+    // Clear the token cookie
+    res.cookie('token', '', {
+      expires: new Date(0),
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict'
+    });
+    res.status(200).json({
+      success: true,
+      message: 'Your personal data has been erased and your account closed',
+      data: { erasure: result }
+    });
+  } catch (error) {
+    console.error('Erase account error:', error);
+
+    if (sendErasureError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to erase account',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Download everything stored about a user, for a subject access request
+// @route   GET /api/users/:id/export
+// @access  Private (users.privacy)
+const exportUserData = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('email');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'user.data_export',
+      entity: { type: 'User', id: user._id, label: user.email }
+    });
+
+    await sendExport(res, user._id);
+  } catch (error) {
+    console.error('Export user data error:', error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export personal data',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Erase a user's personal data, for an erasure request
+// @route   POST /api/users/:id/erase
+// @access  Private (users.privacy)
+const eraseUserData = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use POST /api/auth/me/erase to erase your own account'
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('role');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Staff cannot erase accounts with permissions they do not have
+    const missing = missingPermissions(req.permissions, await getPermissions(user.role));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot erase this account without the permissions: ${missing.join(', ')}`
+      });
+    }
+
+    const result = await eraseUser(user._id);
+
+    await recordAudit(req, {
+      action: 'user.erase',
+      entity: { type: 'User', id: user._id },
+      details: { reason: req.body.reason, ...result }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User personal data erased',
+      data: { erasure: result }
+    });
+  } catch (error) {
+    console.error('Erase user data error:', error);
+
+    if (sendErasureError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to erase user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  exportMyData,
+  eraseMyAccount,
+  exportUserData,
+  eraseUserData
+};
@@ -0,0 +1,270 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { PERMISSIONS } = require('../config/permissions');
+const { clearRoleCache, missingPermissions } = require('../utils/permissions');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { validationResult } = require('express-validator');
+
+// @desc    Get all roles with the number of users holding each
+// @route   GET /api/roles
+// @access  Private (roles.manage or users.roles)
+const getRoles = async (req, res) => {
+  try {
+    await Role.ensureSystemRoles();
+
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ isSystem: -1, name: 1 }).lean(),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+    const userCounts = new Map(counts.map(count => [count._id, count.count]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        roles: roles.map(role => ({ ...role, userCount: userCounts.get(role.key) || 0 }))
+      }
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch roles',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get the permissions roles can grant
+// @route   GET /api/roles/permissions
+// @access  Private (roles.manage or users.roles)
+const getPermissionCatalogue = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+    }
+  });
+};
+
+// @desc    Create a role
+// @route   POST /api/roles
+// @access  Private (roles.manage)
+const createRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const permissions = req.body.permissions || [];
+    const missing = missingPermissions(req.permissions, permissions);
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant permissions you do not have: ${missing.join(', ')}`
+      });
+    }
+
+    await Role.ensureSystemRoles();
+
+    const role = await Role.create({
+      key: req.body.key,
+      name: req.body.name,
+      description: req.body.description,
+      permissions,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+    clearRoleCache();
+
+    await recordAudit(req, {
+      action: 'role.create',
+      entity: { type: 'Role', id: role.key, label: role.name },
+      after: role
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: { role }
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A role with this key already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create role',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Update a role's name, description or permissions
+// @route   PUT /api/roles/:key
+// @access  Private (roles.manage)
+const updateRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await Role.ensureSystemRoles();
+
+    const role = await Role.findOne({ key: req.params.key });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const before = snapshot(role);
+
+    if (req.body.permissions !== undefined) {
+      if (role.key === 'admin') {
+        return res.status(400).json({
+          success: false,
+          message: 'The admin role always has every permission'
+        });
+      }
+
+      // Both granting and taking away are limited to the editor's own
+      // permissions, so a role cannot be edited out of reach of its peers
+      const changed = [
+        ...req.body.permissions.filter(permission => !role.permissions.includes(permission)),
+        ...role.permissions.filter(permission => !req.body.permissions.includes(permission))
+      ];
+      const missing = missingPermissions(req.permissions, changed);
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `You cannot change permissions you do not have: ${missing.join(', ')}`
+        });
+      }
+
+      role.permissions = req.body.permissions;
+    }
+
+    ['name', 'description'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        role[field] = req.body[field];
+      }
+    });
+    role.updatedBy = req.user._id;
+
+    await role.save();
+    clearRoleCache();
+
+    await recordAudit(req, {
+      action: 'role.update',
+      entity: { type: 'Role', id: role.key, label: role.name },
+      before,
+      after: role
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { role }
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Delete a role no user holds
+// @route   DELETE /api/roles/:key
+// @access  Private (roles.manage)
+const deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({ key: req.params.key });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const userCount = await User.countDocuments({ role: role.key });
+    if (userCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role is assigned to ${userCount} user(s). Move them to another role first.`
+      });
+    }
+
+    await role.deleteOne();
+    clearRoleCache();
+
+    await recordAudit(req, {
+      action: 'role.delete',
+      entity: { type: 'Role', id: role.key, label: role.name },
+      before: role
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete role',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getRoles,
+  getPermissionCatalogue,
+  createRole,
+  updateRole,
+  deleteRole
+};
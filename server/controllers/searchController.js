@@ -3,6 +3,7 @@ const User = require('../models/User');
 const Borrow = require('../models/Borrow');
 const Comment = require('../models/Comment');
 const mongoose = require('mongoose');
+const { keepsReadingHistory, getHistoryOptOuts } = require('../utils/readingHistory');
 
 // @desc    Advanced search with filters and sorting
 // @route   GET /api/search/books
@@ -155,12 +156,14 @@ const getBookRecommendations = async (req, res) => {
         const userId = req.user._id;
         const { limit = 10 } = req.query;
 
-        // Get user's borrowing history
-        const userBorrows = await Borrow.find({
-            user: userId,
-            isActive: true,
-            status: 'returned'
-        }).populate('book');
+        // Get user's borrowing history, unless they opted out of keeping it
+        const userBorrows = keepsReadingHistory(req.user)
+            ? await Borrow.find({
+                user: userId,
+                isActive: true,
+                status: 'returned'
+            }).populate('book')
+            : [];
 
         if (userBorrows.length === 0) {
             // If no borrowing history, return popular books
@@ -299,11 +302,14 @@ const getCollaborativeRecommendations = async (userId, limit) => {
 
         const userBookIds = userBorrows.map(borrow => borrow.book._id);
 
+        // Only the history of other users who keep theirs counts
+        const optOuts = await getHistoryOptOuts();
+
         // Find other users who borrowed similar books
         const similarUsers = await Borrow.aggregate([
             {
                 $match: {
-                    user: { $ne: userId },
+                    user: { $exists: true, $nin: [userId, ...optOuts] },
                     book: { $in: userBookIds },
                     isActive: true,
                     status: 'returned'
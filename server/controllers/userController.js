@@ -0,0 +1,788 @@
+const User = require('../models/User');
+const Borrow = require('../models/Borrow');
+const Reservation = require('../models/Reservation');
+const FineTransaction = require('../models/FineTransaction');
+const AccountChange = require('../models/AccountChange');
+const Session = require('../models/Session');
+const { getPatronStanding } = require('../utils/patronStanding');
+const { cancelPatronReservations } = require('../utils/holdService');
+const { withTransaction } = require('../utils/transaction');
+const { runDirectorySync } = require('../utils/ldapSync');
+const { getPermissions, missingPermissions } = require('../utils/permissions');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { validationResult } = require('express-validator');
+
+// Staff can only manage users whose role is within their own permissions,
+// as with editing in updateUser. Otherwise sends a 404 or 403 and returns false.
+const canManageUser = async (req, res, action) => {
+  const user = await User.findById(req.params.id).select('role');
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return false;
+  }
+
+  const missing = missingPermissions(req.permissions, await getPermissions(user.role));
+  if (missing.length > 0) {
+    res.status(403).json({
+      success: false,
+      message: `You cannot ${action} this user without the permissions: ${[...new Set(missing)].join(', ')}`
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// @desc    Get all users
+// @route   GET /api/users
+// @access  Private (Admin/Librarian only)
+const getUsers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.role) filter.role = req.query.role;
+    if (req.query.status) filter.isActive = req.query.status === 'active';
+    if (req.query.patronCategory) filter.patronCategory = req.query.patronCategory;
+
+    if (req.query.search) {
+      const pattern = req.query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { firstName: { $regex: pattern, $options: 'i' } },
+        { lastName: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } },
+        { studentId: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const sortBy = req.query.sortBy || 'createdAt';
+    const sortOrder = req.query.sort === 'asc' ? 1 : -1;
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ [sortBy]: sortOrder })
+        .skip(skip)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalUsers: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get a user with their loans, holds, fines and recent activity
+// @route   GET /api/users/:id
+// @access  Private (Admin/Librarian only)
+const getUserById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [currentLoans, holds, standing, recentFines, recentBorrows, accountChanges] = await Promise.all([
+      Borrow.find({ user: user._id, status: { $in: Borrow.LIVE_STATUSES }, isActive: true })
+        .populate('book', 'title author isbn coverImage')
+        .populate('copy', 'barcode')
+        .sort({ dueDate: 1 }),
+      Reservation.find({ user: user._id, status: { $in: ['active', 'ready'] }, isActive: true })
+        .populate('book', 'title author isbn')
+        .sort({ reservationDate: 1 }),
+      getPatronStanding(user),
+      FineTransaction.find({ user: user._id })
+        .sort({ createdAt: -1 })
+        .limit(10),
+      Borrow.find({ user: user._id })
+        .populate('book', 'title author')
+        .sort({ updatedAt: -1 })
+        .limit(10),
+      AccountChange.find({ user: user._id })
+        .populate('changedBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .limit(10)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user,
+        currentLoans,
+        holds,
+        fines: {
+          balance: standing.fineBalance,
+          recentTransactions: recentFines
+        },
+        standing,
+        recentActivity: {
+          lastLogin: user.lastLogin || null,
+          borrows: recentBorrows,
+          accountChanges
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Update a user's details; only admins can change roles
+// @route   PUT /api/users/:id
+// @access  Private (Admin/Librarian only)
+const updateUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const roleChange = req.body.role !== undefined && req.body.role !== user.role;
+
+    if (roleChange && !req.permissions.has('users.roles')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to change user roles'
+      });
+    }
+
+    // Staff can only edit users whose role is within their own permissions,
+    // and move them only to such roles. Otherwise a librarian could change an
+    // admin's email and take the account over with a password reset.
+    const missing = missingPermissions(req.permissions, [
+      ...await getPermissions(user.role),
+      ...(roleChange ? await getPermissions(req.body.role) : [])
+    ]);
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: roleChange
+          ? `You cannot change this role without the permissions: ${[...new Set(missing)].join(', ')}`
+          : `You cannot edit this user without the permissions: ${[...new Set(missing)].join(', ')}`
+      });
+    }
+
+    if (roleChange && user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const allowedFields = ['firstName', 'lastName', 'email', 'phone', 'address', 'dateOfBirth', 'patronCategory', 'membershipExpiresAt'];
+    const before = snapshot(user);
+
+    const updatedUser = await withTransaction(async (session) => {
+      const current = await User.findById(user._id).session(session);
+      const fromRole = current.role;
+      allowedFields.forEach(field => {
+        if (req.body[field] !== undefined) {
+          current[field] = req.body[field];
+        }
+      });
+
+      if (roleChange && fromRole !== req.body.role) {
+        current.role = req.body.role;
+        await AccountChange.create([{
+          user: current._id,
+          changedBy: req.user._id,
+          action: 'role_change',
+          fromRole,
+          toRole: req.body.role,
+          reason: req.body.reason
+        }], { session });
+      }
+
+      return current.save({ session });
+    });
+
+    await recordAudit(req, {
+      action: roleChange ? 'user.role_change' : 'user.update',
+      entity: { type: 'User', id: updatedUser._id, label: updatedUser.email },
+      before,
+      after: updatedUser,
+      details: req.body.reason ? { reason: req.body.reason } : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      message: roleChange ? `User updated and role changed to ${updatedUser.role}` : 'User updated successfully',
+      data: { user: updatedUser }
+    });
+  } catch (error) {
+    console.error('Update user error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Email is already in use'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Deactivate a user's account and cancel their reservations
+// @route   POST /api/users/:id/deactivate
+// @access  Private (Admin only)
+const deactivateUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    if (!(await canManageUser(req, res, 'deactivate'))) {
+      return;
+    }
+
+    const force = req.body.force === true;
+
+    const { user, itemsOut } = await withTransaction(async (session) => {
+      const user = await User.findById(req.params.id).session(session);
+      if (!user) {
+        throw new Error('User not found');
+      }
+      if (!user.isActive) {
+        throw new Error('User is already deactivated');
+      }
+
+      const itemsOut = await Borrow.countDocuments({
+        user: user._id,
+        status: { $in: Borrow.LIVE_STATUSES },
+        isActive: true
+      }).session(session);
+
+      if (itemsOut > 0 && !force) {
+        return { user: null, itemsOut };
+      }
+
+      user.isActive = false;
+      await user.save({ session });
+
+      await Session.updateMany(
+        { user: user._id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'deactivated', revokedBy: req.user._id },
+        { session }
+      );
+
+      await AccountChange.create([{
+        user: user._id,
+        changedBy: req.user._id,
+        action: 'deactivation',
+        reason: req.body.reason,
+        forced: itemsOut > 0,
+        itemsOut
+      }], { session });
+
+      return { user, itemsOut };
+    });
+
+    if (!user) {
+      return res.status(409).json({
+        success: false,
+        code: 'ITEMS_OUT',
+        message: `User still has ${itemsOut} item(s) out; return them first or deactivate with force`,
+        data: { itemsOut }
+      });
+    }
+
+    const reservationsCancelled = await cancelPatronReservations(user._id);
+
+    await recordAudit(req, {
+      action: 'user.deactivate',
+      entity: { type: 'User', id: user._id, label: user.email },
+      before: { isActive: true },
+      after: { isActive: false },
+      details: { reason: req.body.reason, itemsOut, reservationsCancelled }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User deactivated successfully',
+      data: { user, itemsOut, reservationsCancelled }
+    });
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message === 'User is already deactivated') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Reactivate a deactivated account
+// @route   POST /api/users/:id/reactivate
+// @access  Private (Admin only)
+const reactivateUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!(await canManageUser(req, res, 'reactivate'))) {
+      return;
+    }
+
+    const user = await withTransaction(async (session) => {
+      const user = await User.findById(req.params.id).session(session);
+      if (!user) {
+        throw new Error('User not found');
+      }
+      if (user.isActive) {
+        throw new Error('User is already active');
+      }
+      if (user.erasedAt) {
+        throw new Error('Erased accounts cannot be reactivated');
+      }
+
+      user.isActive = true;
+      await user.save({ session });
+
+      await AccountChange.create([{
+        user: user._id,
+        changedBy: req.user._id,
+        action: 'reactivation',
+        reason: req.body.reason
+      }], { session });
+
+      return user;
+    });
+
+    await recordAudit(req, {
+      action: 'user.reactivate',
+      entity: { type: 'User', id: user._id, label: user.email },
+      before: { isActive: false },
+      after: { isActive: true },
+      details: { reason: req.body.reason }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User reactivated successfully',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (['User is already active', 'Erased accounts cannot be reactivated'].includes(error.message)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reactivate user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Mark a user's email address verified without a verification link
+// @route   POST /api/users/:id/verify-email
+// @access  Private (Admin only)
+const verifyUserEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!(await canManageUser(req, res, 'verify the email of'))) {
+      return;
+    }
+
+    const user = await withTransaction(async (session) => {
+      const user = await User.findById(req.params.id).session(session);
+      if (!user) {
+        throw new Error('User not found');
+      }
+      if (user.isEmailVerified) {
+        throw new Error('Email is already verified');
+      }
+
+      user.isEmailVerified = true;
+      user.emailVerificationToken = undefined;
+      await user.save({ session });
+
+      await AccountChange.create([{
+        user: user._id,
+        changedBy: req.user._id,
+        action: 'email_verification',
+        reason: req.body.reason
+      }], { session });
+
+      return user;
+    });
+
+    await recordAudit(req, {
+      action: 'user.verify_email',
+      entity: { type: 'User', id: user._id, label: user.email },
+      before: { isEmailVerified: false },
+      after: { isEmailVerified: true },
+      details: { reason: req.body.reason }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email marked as verified',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Verify user email error:', error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message === 'Email is already verified') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Sign a user out of every device
+// @route   POST /api/users/:id/logout
+// @access  Private (Admin only)
+const forceLogout = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!(await canManageUser(req, res, 'sign out'))) {
+      return;
+    }
+
+    const revoked = await withTransaction(async (session) => {
+      const user = await User.findById(req.params.id).session(session);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      // Also invalidates access tokens that predate session records
+      user.revokeSessions();
+      await user.save({ session });
+
+      const result = await Session.updateMany(
+        { user: user._id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'admin', revokedBy: req.user._id },
+        { session }
+      );
+
+      await AccountChange.create([{
+        user: user._id,
+        changedBy: req.user._id,
+        action: 'force_logout',
+        reason: req.body.reason
+      }], { session });
+
+      return { user, sessionsRevoked: result.modifiedCount };
+    });
+
+    await recordAudit(req, {
+      action: 'user.force_logout',
+      entity: { type: 'User', id: revoked.user._id, label: revoked.user.email },
+      details: { reason: req.body.reason, sessionsRevoked: revoked.sessionsRevoked }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User signed out of all sessions',
+      data: { sessionsRevoked: revoked.sessionsRevoked }
+    });
+  } catch (error) {
+    console.error('Force logout error:', error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign user out',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Turn off a user's two-factor authentication, e.g. after they lost
+//          their device and recovery codes
+// @route   POST /api/users/:id/2fa/reset
+// @access  Private (Admin only)
+const resetTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!(await canManageUser(req, res, 'reset two-factor authentication for'))) {
+      return;
+    }
+
+    const user = await withTransaction(async (session) => {
+      const user = await User.findById(req.params.id).session(session);
+      if (!user) {
+        throw new Error('User not found');
+      }
+      if (!user.twoFactor.enabled) {
+        throw new Error('Two-factor authentication is not enabled');
+      }
+
+      user.clearTwoFactor();
+      await user.save({ session });
+
+      await AccountChange.create([{
+        user: user._id,
+        changedBy: req.user._id,
+        action: 'two_factor_reset',
+        reason: req.body.reason
+      }], { session });
+
+      return user;
+    });
+
+    await recordAudit(req, {
+      action: 'user.two_factor_reset',
+      entity: { type: 'User', id: user._id, label: user.email },
+      before: { twoFactor: { enabled: true } },
+      after: { twoFactor: { enabled: false } },
+      details: { reason: req.body.reason }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: (await user.requiresTwoFactor())
+        ? 'Two-factor authentication reset; the user must set it up again at their next login'
+        : 'Two-factor authentication reset',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message === 'Two-factor authentication is not enabled') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Sync accounts with the LDAP directory
+// @route   POST /api/users/directory-sync
+// @access  Private (Admin only)
+const syncDirectory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const report = await runDirectorySync({
+      dryRun: req.body.dryRun === true,
+      triggeredBy: req.user._id
+    });
+
+    const { changes, ...counts } = report;
+    await recordAudit(req, {
+      action: 'user.directory_sync',
+      details: counts
+    });
+
+    res.status(200).json({
+      success: true,
+      message: report.dryRun
+        ? `${report.created} account(s) would be created, ${report.updated} updated and ${report.deactivated} deactivated`
+        : `${report.created} account(s) created, ${report.updated} updated and ${report.deactivated} deactivated`,
+      data: { report }
+    });
+  } catch (error) {
+    console.error('Directory sync error:', error);
+
+    if (['LDAP base DN is not configured', 'LDAP search returned no users'].includes(error.message)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync with the directory',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUserById,
+  updateUser,
+  deactivateUser,
+  reactivateUser,
+  verifyUserEmail,
+  forceLogout,
+  resetTwoFactor,
+  syncDirectory
+};
@@ -0,0 +1,88 @@
+const { param, query } = require('express-validator');
+
+const validateAuditFilters = [
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('Actor must be a user ID'),
+
+  query('action')
+    .optional()
+    .matches(/^[a-z_]+(\.[a-z_]+)*$/)
+    .withMessage('Action must be a dotted action name such as book.update'),
+
+  query('outcome')
+    .optional()
+    .isIn(['success', 'failure'])
+    .withMessage('Outcome must be success or failure'),
+
+  query('entityType')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Entity type must be between 1 and 50 characters'),
+
+  query('entityId')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Entity ID must be between 1 and 100 characters'),
+
+  query('requestId')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 128 })
+    .withMessage('Request ID must be between 1 and 128 characters'),
+
+  query('ip')
+    .optional()
+    .isIP()
+    .withMessage('IP must be an IP address'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search term must be between 1 and 100 characters')
+];
+
+// Audit log search validation
+const validateAuditQuery = [
+  ...validateAuditFilters,
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+];
+
+// Audit log export validation
+const validateAuditExport = validateAuditFilters;
+
+// Audit event detail validation
+const validateAuditEventParam = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid audit event ID')
+];
+
+module.exports = {
+  validateAuditQuery,
+  validateAuditExport,
+  validateAuditEventParam
+};
@@ -1,9 +1,13 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const config = require('../config');
+const { getPermissions } = require('../utils/permissions');
 
-// Middleware to verify JWT token
-const authenticate = async (req, res, next) => {
+// Middleware to verify JWT token. Staff who must set up two-factor
+// authentication and have not are refused, except on the routes that use
+// `authenticateForTwoFactorSetup`.
+const verifyToken = ({ allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
   try {
     let token;
 
@@ -27,7 +31,16 @@ const authenticate = async (req, res, next) => {
     try {
       // Verify token
       const decoded = jwt.verify(token, config.JWT_SECRET);
-      
+
+      // Other signed tokens, such as two-factor login tokens and email
+      // verification links, carry a type; they are never access tokens
+      if (decoded.type) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid token.'
+        });
+      }
+
       // Get user from database
       const user = await User.findById(decoded.id).select('-password');
       
@@ -45,8 +58,27 @@ const authenticate = async (req, res, next) => {
         });
       }
 
-      // Add user to request object
+      // Tokens issued before sessions were recorded carry no session ID
+      if (!user.isTokenCurrent(decoded) ||
+          (decoded.sid && !(await Session.exists({ _id: decoded.sid, revokedAt: null })))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked. Please log in again.'
+        });
+      }
+
+      if (!allowTwoFactorSetup && (await user.requiresTwoFactor()) && !user.twoFactor.enabled) {
+        return res.status(403).json({
+          success: false,
+          code: 'TWO_FACTOR_SETUP_REQUIRED',
+          message: 'Two-factor authentication must be set up before using this account.'
+        });
+      }
+
+      // Add user, session and the permissions of their role to request object
       req.user = user;
+      req.sessionId = decoded.sid || null;
+      req.permissions = await getPermissions(user.role);
       next();
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
@@ -72,7 +104,11 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-// Middleware to check user roles
+const authenticate = verifyToken();
+const authenticateForTwoFactorSetup = verifyToken({ allowTwoFactorSetup: true });
+
+// Middleware to check user roles. Staff access is checked with
+// `requirePermission`; this is for routes only a role itself makes sense for.
 const authorize = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -93,11 +129,26 @@ const authorize = (...roles) => {
   };
 };
 
-// Middleware to check if user is admin
-const requireAdmin = authorize('admin');
+// Middleware to check the user's role grants any of the given permissions
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required.'
+      });
+    }
 
-// Middleware to check if user is admin or librarian
-const requireAdminOrLibrarian = authorize('admin', 'librarian');
+    if (!permissions.some(permission => req.permissions && req.permissions.has(permission))) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Required permission: ${permissions.join(' or ')}`
+      });
+    }
+
+    next();
+  };
+};
 
 // Middleware to check if user is student
 const requireStudent = authorize('student');
@@ -118,10 +169,17 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, config.JWT_SECRET);
+        if (decoded.type) {
+          throw new Error('Not an access token');
+        }
         const user = await User.findById(decoded.id).select('-password');
         
-        if (user && user.isActive) {
+        const sessionRevoked = decoded.sid && !(await Session.exists({ _id: decoded.sid, revokedAt: null }));
+
+        if (user && user.isActive && user.isTokenCurrent(decoded) && !sessionRevoked) {
           req.user = user;
+          req.sessionId = decoded.sid || null;
+          req.permissions = await getPermissions(user.role);
         }
       } catch (error) {
         // Token is invalid, but we don't fail the request
@@ -136,8 +194,9 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Middleware to check if user owns the resource or is admin
-const checkOwnershipOrAdmin = (resourceUserIdField = 'user') => {
+// Middleware to check if user owns the resource or has one of the given
+// permissions
+const checkOwnershipOrPermission = (resourceUserIdField = 'user', ...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -146,8 +205,8 @@ const checkOwnershipOrAdmin = (resourceUserIdField = 'user') => {
       });
     }
 
-    // Admin can access any resource
-    if (req.user.role === 'admin') {
+    // Staff with the permission can access any resource
+    if (permissions.some(permission => req.permissions && req.permissions.has(permission))) {
       return next();
     }
 
@@ -208,11 +267,11 @@ const loginRateLimit = (req, res, next) => {
 
 module.exports = {
   authenticate,
+  authenticateForTwoFactorSetup,
   authorize,
-  requireAdmin,
-  requireAdminOrLibrarian,
+  requirePermission,
   requireStudent,
   optionalAuth,
-  checkOwnershipOrAdmin,
+  checkOwnershipOrPermission,
   loginRateLimit
 };
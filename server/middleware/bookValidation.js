@@ -1,4 +1,7 @@
 const { body, param, query } = require('express-validator');
+const Book = require('../models/Book');
+
+const BOOK_CATEGORIES = Book.schema.path('category').enumValues;
 
 // Book creation/update validation
 const validateBook = [
@@ -350,9 +353,101 @@ const validateBookSearch = [
     .withMessage('Minimum rating must be between 0 and 5')
 ];
 
+// Bulk import validation (multipart fields arrive as strings)
+const validateBookImport = [
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+    .toBoolean(),
+  
+  body('onDuplicate')
+    .optional()
+    .isIn(['skip', 'merge'])
+    .withMessage('onDuplicate must be skip or merge'),
+  
+  // Used for new books whose row leaves them blank
+  body('category')
+    .optional()
+    .isIn(BOOK_CATEGORIES)
+    .withMessage('Invalid category'),
+  
+  body('totalCopies')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Total copies must be between 1 and 1000')
+    .toInt()
+];
+
+// Bulk import list validation
+const validateBookImportQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  query('status')
+    .optional()
+    .isIn(['queued', 'running', 'completed', 'failed'])
+    .withMessage('Status must be queued, running, completed or failed')
+];
+
+// Bulk import detail validation
+const validateBookImportParam = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid import ID')
+];
+
+// MARC record import validation
+const validateMarcImport = [
+  body('onDuplicate')
+    .optional()
+    .isIn(['skip', 'merge'])
+    .withMessage('onDuplicate must be skip or merge'),
+  
+  body('category')
+    .optional()
+    .isIn(BOOK_CATEGORIES)
+    .withMessage('Invalid category'),
+  
+  body('totalCopies')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Total copies must be between 1 and 1000')
+    .toInt()
+];
+
+// MARC export validation
+const validateMarcExport = [
+  query('format')
+    .optional()
+    .isIn(['marc21', 'marcxml'])
+    .withMessage('Format must be marc21 or marcxml')
+];
+
+const validateMarcRecordExport = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid book ID'),
+  
+  ...validateMarcExport
+];
+
 module.exports = {
   validateBook,
   validateBookUpdate,
   validateBookQuery,
-  validateBookSearch
+  validateBookSearch,
+  validateBookImport,
+  validateBookImportQuery,
+  validateBookImportParam,
+  validateMarcImport,
+  validateMarcExport,
+  validateMarcRecordExport
 };
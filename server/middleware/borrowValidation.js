@@ -3,12 +3,104 @@ const { body, param, query } = require('express-validator');
 // Borrow book validation
 const validateBorrowBook = [
   body('bookId')
+    .if((value, { req }) => value !== undefined || (!req.body.copyId && !req.body.copyBarcode))
     .isMongoId()
-    .withMessage('Book ID must be a valid MongoDB ObjectId')
+    .withMessage('Book ID must be a valid MongoDB ObjectId'),
+  
+  body('copyId')
+    .optional()
+    .isMongoId()
+    .withMessage('Copy ID must be a valid MongoDB ObjectId'),
+  
+  body('copyBarcode')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Copy barcode must be between 1 and 30 characters')
 ];
 
-// Return book validation
+// Staff note for overriding a patron's blocks
+const overrideNoteRule = () => body('overrideNote')
+  .optional()
+  .trim()
+  .isLength({ min: 1, max: 500 })
+  .withMessage('Override note must be between 1 and 500 characters');
+
+// Desk checkout validation
+const validateDeskCheckout = [
+  body('patron')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Patron identifier (library card, student ID or email) is required'),
+  
+  body('items')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Items must be an array of 1 to 20 book or copy barcodes'),
+  
+  body('items.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Each item must be a book or copy barcode'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+  
+  overrideNoteRule()
+];
+
+// Renew book validation
+const validateRenewBook = [
+  overrideNoteRule()
+];
+
+// Return book validation; damage can only be reported by staff
 const validateReturnBook = [
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+  
+  body('damaged')
+    .optional()
+    .isBoolean()
+    .withMessage('Damaged must be a boolean')
+    .toBoolean(),
+  
+  body('damageNotes')
+    .if(body('damaged').equals('true'))
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Damage notes are required for a damaged return and cannot exceed 500 characters'),
+  
+  body('repairFee')
+    .optional()
+    .isFloat({ min: 0, max: 10000 })
+    .withMessage('Repair fee must be a non-negative number')
+    .toFloat()
+];
+
+// Declare lost validation
+const validateDeclareLost = [
+  body('replacementCost')
+    .optional()
+    .isFloat({ min: 0, max: 10000 })
+    .withMessage('Replacement cost must be a non-negative number')
+    .toFloat(),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// Claims returned validation
+const validateClaimReturned = [
   body('notes')
     .optional()
     .trim()
@@ -30,8 +122,8 @@ const validateBorrowQuery = [
   
   query('status')
     .optional()
-    .isIn(['borrowed', 'returned', 'overdue'])
-    .withMessage('Status must be borrowed, returned, or overdue'),
+    .isIn(['borrowed', 'returned', 'overdue', 'lost', 'claims_returned'])
+    .withMessage('Status must be borrowed, returned, overdue, lost, or claims_returned'),
   
   query('user')
     .optional()
@@ -84,10 +176,24 @@ const validateOverdueBorrows = [
     .withMessage('Limit must be between 1 and 100')
 ];
 
+const validateOverdueSweep = [
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+    .toBoolean()
+];
+
 module.exports = {
+  overrideNoteRule,
   validateBorrowBook,
+  validateDeskCheckout,
+  validateRenewBook,
   validateReturnBook,
+  validateDeclareLost,
+  validateClaimReturned,
   validateBorrowQuery,
   validateUserBorrowHistory,
-  validateOverdueBorrows
+  validateOverdueBorrows,
+  validateOverdueSweep
 };
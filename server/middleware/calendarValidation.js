@@ -0,0 +1,64 @@
+const { body, query } = require('express-validator');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Update calendar validation
+const validateUpdateCalendar = [
+  body('closedWeekdays')
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage('Closed weekdays must be an array'),
+
+  body('closedWeekdays.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Closed weekdays must be between 0 (Sunday) and 6 (Saturday)'),
+
+  body('openingHours')
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage('Opening hours must be an array'),
+
+  body('openingHours.*.dayOfWeek')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)'),
+
+  body('openingHours.*.opens')
+    .matches(TIME_PATTERN)
+    .withMessage('Opening time must be in HH:MM format'),
+
+  body('openingHours.*.closes')
+    .matches(TIME_PATTERN)
+    .withMessage('Closing time must be in HH:MM format')
+];
+
+// Add holiday validation
+const validateAddHoliday = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Holiday name is required and cannot exceed 200 characters'),
+
+  body('startDate')
+    .matches(DATE_PATTERN)
+    .withMessage('Start date must be in YYYY-MM-DD format'),
+
+  body('endDate')
+    .optional()
+    .matches(DATE_PATTERN)
+    .withMessage('End date must be in YYYY-MM-DD format')
+];
+
+// Day status validation
+const validateDayStatus = [
+  query('date')
+    .optional()
+    .matches(DATE_PATTERN)
+    .withMessage('Date must be in YYYY-MM-DD format')
+];
+
+module.exports = {
+  validateUpdateCalendar,
+  validateAddHoliday,
+  validateDayStatus
+};
@@ -0,0 +1,114 @@
+const { body, param, query } = require('express-validator');
+
+// Create copies validation
+const validateCreateCopies = [
+  body('bookId')
+    .isMongoId()
+    .withMessage('Book ID must be a valid MongoDB ObjectId'),
+
+  body('count')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Count must be between 1 and 100'),
+
+  body('condition')
+    .optional()
+    .isIn(['new', 'good', 'fair', 'poor', 'damaged'])
+    .withMessage('Condition must be new, good, fair, poor, or damaged'),
+
+  body('location.shelf')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Shelf cannot exceed 20 characters'),
+
+  body('location.section')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Section cannot exceed 50 characters'),
+
+  body('location.floor')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Floor must be between 1 and 10'),
+
+  body('price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price cannot be negative')
+];
+
+// Update copy validation
+const validateUpdateCopy = [
+  param('id')
+    .isMongoId()
+    .withMessage('Copy ID must be a valid MongoDB ObjectId'),
+
+  body('condition')
+    .optional()
+    .isIn(['new', 'good', 'fair', 'poor', 'damaged'])
+    .withMessage('Condition must be new, good, fair, poor, or damaged'),
+
+  body('status')
+    .optional()
+    .isIn(['available', 'lost', 'in_repair', 'withdrawn'])
+    .withMessage('Status must be available, lost, in_repair, or withdrawn'),
+
+  body('location.shelf')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Shelf cannot exceed 20 characters'),
+
+  body('location.section')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Section cannot exceed 50 characters'),
+
+  body('location.floor')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Floor must be between 1 and 10'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// Copy query validation
+const validateCopyQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('book')
+    .optional()
+    .isMongoId()
+    .withMessage('Book ID must be a valid MongoDB ObjectId'),
+
+  query('status')
+    .optional()
+    .isIn(['available', 'on_loan', 'on_hold', 'lost', 'in_repair', 'withdrawn'])
+    .withMessage('Invalid copy status'),
+
+  query('condition')
+    .optional()
+    .isIn(['new', 'good', 'fair', 'poor', 'damaged'])
+    .withMessage('Invalid copy condition')
+];
+
+module.exports = {
+  validateCreateCopies,
+  validateUpdateCopy,
+  validateCopyQuery
+};
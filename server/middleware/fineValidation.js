@@ -0,0 +1,98 @@
+const { body, param, query } = require('express-validator');
+
+const PAYMENT_METHODS = ['cash', 'card', 'online', 'other'];
+
+const validateUserIdParam = param('userId')
+  .isMongoId()
+  .withMessage('Invalid user ID');
+
+const amountRule = (required) => (required ? body('amount') : body('amount').optional())
+  .isFloat({ min: 0.01, max: 100000 })
+  .withMessage('Amount must be a positive number')
+  .toFloat();
+
+const methodRule = body('method')
+  .optional()
+  .isIn(PAYMENT_METHODS)
+  .withMessage(`Method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+
+const referenceRule = body('reference')
+  .optional()
+  .trim()
+  .isLength({ max: 100 })
+  .withMessage('Reference cannot exceed 100 characters');
+
+const borrowIdRule = body('borrowId')
+  .optional()
+  .isMongoId()
+  .withMessage('Invalid borrow ID');
+
+const reasonRule = (required) => {
+  const rule = required ? body('reason') : body('reason').optional();
+
+  return rule
+    .trim()
+    .isLength({ min: required ? 1 : 0, max: 500 })
+    .withMessage(required ? 'Reason is required and cannot exceed 500 characters' : 'Reason cannot exceed 500 characters');
+};
+
+// Fine account statement validation
+const validateFineStatement = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+];
+
+// Payment validation; without an amount the full outstanding balance is paid
+const validatePayment = [
+  validateUserIdParam,
+  amountRule(false),
+  borrowIdRule,
+  methodRule,
+  referenceRule,
+  reasonRule(false)
+];
+
+// Waiver validation; staff must give a reason
+const validateWaiver = [
+  validateUserIdParam,
+  amountRule(false),
+  borrowIdRule,
+  reasonRule(true)
+];
+
+// Refund validation
+const validateRefund = [
+  validateUserIdParam,
+  amountRule(true),
+  methodRule,
+  referenceRule,
+  reasonRule(true)
+];
+
+// Manual charge validation
+const validateCharge = [
+  validateUserIdParam,
+  amountRule(true),
+  borrowIdRule,
+  body('category')
+    .optional()
+    .isIn(['lost', 'damage', 'manual'])
+    .withMessage('Category must be lost, damage, or manual'),
+  reasonRule(true)
+];
+
+module.exports = {
+  validateUserIdParam,
+  validateFineStatement,
+  validatePayment,
+  validateWaiver,
+  validateRefund,
+  validateCharge
+};
@@ -0,0 +1,35 @@
+const { param, query } = require('express-validator');
+
+const validateJobNameParam = param('name')
+  .matches(/^[a-z0-9-]+$/)
+  .withMessage('Invalid job name');
+
+// Single job validation
+const validateJobName = [
+  validateJobNameParam
+];
+
+// Run history query validation
+const validateJobRunsQuery = [
+  validateJobNameParam,
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('status')
+    .optional()
+    .isIn(['running', 'succeeded', 'failed'])
+    .withMessage('Status must be running, succeeded, or failed')
+];
+
+module.exports = {
+  validateJobName,
+  validateJobRunsQuery
+};
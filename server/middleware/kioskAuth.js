@@ -0,0 +1,72 @@
+const KioskDevice = require('../models/KioskDevice');
+const KioskSession = require('../models/KioskSession');
+const User = require('../models/User');
+
+// Middleware to verify the kiosk device token sent in the X-Kiosk-Token header
+const authenticateKiosk = async (req, res, next) => {
+  try {
+    const device = await KioskDevice.findByToken(req.headers['x-kiosk-token']);
+
+    if (!device) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unknown or revoked kiosk device.'
+      });
+    }
+
+    await KioskDevice.updateOne({ _id: device._id }, { lastSeenAt: new Date() });
+
+    req.kiosk = device;
+    next();
+  } catch (error) {
+    console.error('Kiosk authentication error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Kiosk authentication failed.'
+    });
+  }
+};
+
+// Middleware to verify the patron session sent in the X-Kiosk-Session header.
+// Must run after authenticateKiosk. Each request extends the idle timeout.
+const requireKioskSession = async (req, res, next) => {
+  try {
+    const session = await KioskSession.findLive(req.kiosk._id, req.headers['x-kiosk-session']);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Kiosk session has expired. Please scan your library card again.'
+      });
+    }
+
+    const patron = await User.findById(session.patron);
+
+    if (!patron || !patron.isActive) {
+      session.endedAt = new Date();
+      await session.save();
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated.'
+      });
+    }
+
+    session.touch();
+    await session.save();
+
+    req.kioskSession = session;
+    req.patron = patron;
+    next();
+  } catch (error) {
+    console.error('Kiosk session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Kiosk session check failed.'
+    });
+  }
+};
+
+module.exports = {
+  authenticateKiosk,
+  requireKioskSession
+};
@@ -0,0 +1,52 @@
+const { body, param } = require('express-validator');
+
+// Start kiosk session validation
+const validateStartSession = [
+  body('card')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Library card is required'),
+
+  body('pin')
+    .isString()
+    .matches(/^\d{4,8}$/)
+    .withMessage('PIN must be 4 to 8 digits')
+];
+
+// Kiosk checkout/return validation
+const validateKioskItem = [
+  body('item')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Item barcode is required')
+];
+
+// Register kiosk device validation
+const validateRegisterDevice = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Device name is required and cannot exceed 100 characters'),
+
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Location cannot exceed 200 characters')
+];
+
+// Kiosk device ID validation
+const validateDeviceId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Device ID must be a valid MongoDB ObjectId')
+];
+
+module.exports = {
+  validateStartSession,
+  validateKioskItem,
+  validateRegisterDevice,
+  validateDeviceId
+};
@@ -0,0 +1,88 @@
+const { body, param, query } = require('express-validator');
+
+const validateUserIdParam = param('userId')
+  .isMongoId()
+  .withMessage('Invalid user ID');
+
+// Patron standing / block list validation
+const validatePatronParam = [
+  validateUserIdParam
+];
+
+// Membership expiry validation; null clears the expiry date
+const validateMembership = [
+  validateUserIdParam,
+
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry date must be a valid date')
+];
+
+// Manual block validation
+const validateAddBlock = [
+  validateUserIdParam,
+
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason is required and cannot exceed 500 characters'),
+
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry date must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry date must be in the future')
+];
+
+// Lift block validation
+const validateLiftBlock = [
+  validateUserIdParam,
+
+  param('blockId')
+    .isMongoId()
+    .withMessage('Invalid block ID'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+// Override audit log query validation
+const validateOverrideQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('patron')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid patron ID'),
+
+  query('staff')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid staff ID'),
+
+  query('action')
+    .optional()
+    .isIn(['checkout', 'renewal', 'reservation'])
+    .withMessage('Action must be checkout, renewal, or reservation')
+];
+
+module.exports = {
+  validatePatronParam,
+  validateMembership,
+  validateAddBlock,
+  validateLiftBlock,
+  validateOverrideQuery
+};
@@ -0,0 +1,151 @@
+const { body, param, query } = require('express-validator');
+const Book = require('../models/Book');
+const { roleExists } = require('../utils/permissions');
+
+const BOOK_CATEGORIES = Book.schema.path('category').enumValues;
+
+// Matching criteria - an empty value or null matches anything
+const criteriaRules = [
+  body('userRole')
+    .optional({ nullable: true })
+    .custom(async (role) => {
+      if (role !== '' && (typeof role !== 'string' || !(await roleExists(role)))) {
+        throw new Error('Role does not exist');
+      }
+      return true;
+    }),
+
+  body('patronCategory')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Patron category cannot exceed 50 characters'),
+
+  body('bookCategory')
+    .optional({ nullable: true })
+    .isIn(['', ...BOOK_CATEGORIES])
+    .withMessage('Invalid book category')
+];
+
+// Loan term rules; `required` makes every term mandatory on create
+const termRules = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field('loanPeriodDays')
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Loan period must be between 1 and 365 days'),
+
+    field('renewalPeriodDays')
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Renewal period must be between 1 and 365 days'),
+
+    field('maxRenewals')
+      .isInt({ min: 0, max: 20 })
+      .withMessage('Maximum renewals must be between 0 and 20'),
+
+    field('finePerDay')
+      .isFloat({ min: 0 })
+      .withMessage('Fine per day cannot be negative'),
+
+    field('maxFine')
+      .isFloat({ min: 0 })
+      .withMessage('Fine cap cannot be negative'),
+
+    field('maxLoans')
+      .isInt({ min: 0, max: 500 })
+      .withMessage('Maximum loans must be between 0 and 500')
+  ];
+};
+
+// Create policy validation
+const validateCreatePolicy = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Policy name is required and cannot exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  ...criteriaRules,
+  ...termRules(true),
+
+  body('priority')
+    .optional()
+    .isInt()
+    .withMessage('Priority must be an integer'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+// Update policy validation
+const validateUpdatePolicy = [
+  param('id')
+    .isMongoId()
+    .withMessage('Policy ID must be a valid MongoDB ObjectId'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Policy name cannot be empty or exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  ...criteriaRules,
+  ...termRules(false),
+
+  body('priority')
+    .optional()
+    .isInt()
+    .withMessage('Priority must be an integer'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+// Resolve policy validation
+const validateResolvePolicy = [
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('User ID must be a valid MongoDB ObjectId'),
+
+  query('bookId')
+    .optional()
+    .isMongoId()
+    .withMessage('Book ID must be a valid MongoDB ObjectId'),
+
+  query('userRole')
+    .optional()
+    .custom(async (role) => {
+      if (typeof role !== 'string' || !(await roleExists(role))) {
+        throw new Error('Role does not exist');
+      }
+      return true;
+    }),
+
+  query('bookCategory')
+    .optional()
+    .isIn(BOOK_CATEGORIES)
+    .withMessage('Invalid book category')
+];
+
+module.exports = {
+  validateCreatePolicy,
+  validateUpdatePolicy,
+  validateResolvePolicy
+};
@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+// Accept a proxy's request ID if it looks like one, otherwise make one up
+const REQUEST_ID_PATTERN = /^[\w.:-]{8,128}$/;
+
+// Middleware to give every request an ID, echoed in the X-Request-Id header
+// so a client report can be matched with the logs and audit events
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.requestId);
+  next();
+};
+
+module.exports = {
+  assignRequestId
+};
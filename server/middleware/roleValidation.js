@@ -0,0 +1,63 @@
+const { body, param } = require('express-validator');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+
+const validatePermissions = () => body('permissions')
+  .optional()
+  .isArray()
+  .withMessage('Permissions must be an array')
+  .bail()
+  .custom(permissions => {
+    const unknown = permissions.filter(permission => !ALL_PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+    }
+    return true;
+  });
+
+// Create role validation
+const validateCreateRole = [
+  body('key')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9-]{1,39}$/)
+    .withMessage('Role key must be 2-40 lowercase letters, digits or hyphens, starting with a letter'),
+
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Role name is required and cannot exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  validatePermissions()
+];
+
+// Update role validation
+const validateUpdateRole = [
+  param('key')
+    .trim()
+    .toLowerCase(),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Role name cannot be empty or exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  validatePermissions()
+];
+
+module.exports = {
+  validateCreateRole,
+  validateUpdateRole
+};
@@ -90,6 +90,25 @@ const uploadFields = (fields) => {
   return upload.fields(fields);
 };
 
+// Data files (imports) are parsed in memory rather than stored on disk
+const uploadDataFile = (fieldName, extensions) => {
+  return multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+      const ext = path.extname(file.originalname).toLowerCase();
+      if (extensions.includes(ext)) {
+        cb(null, true);
+      } else {
+        cb(new Error(`File type ${ext || file.mimetype} is not allowed`), false);
+      }
+    },
+    limits: {
+      fileSize: config.MAX_FILE_SIZE,
+      files: 1
+    }
+  }).single(fieldName);
+};
+
 // Error handling middleware
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -156,10 +175,13 @@ const getFileSizeInMB = (file) => {
   return (file.size / (1024 * 1024)).toFixed(2);
 };
 
-// Clean up old files (can be used in a cron job)
-const cleanupOldFiles = (daysOld = 30) => {
+// Clean up old files (run by the upload-cleanup scheduled job). Files whose
+// names are in `keep` are still referenced and are left alone. Returns the
+// number of files deleted.
+const cleanupOldFiles = (daysOld = 30, { keep = new Set() } = {}) => {
   const cutoffDate = new Date();
   cutoffDate.setDate(cutoffDate.getDate() - daysOld);
+  let deleted = 0;
   
   const cleanupDirectory = (dir) => {
     try {
@@ -171,8 +193,9 @@ const cleanupOldFiles = (daysOld = 30) => {
         
         if (stats.isDirectory()) {
           cleanupDirectory(filePath);
-        } else if (stats.mtime < cutoffDate) {
+        } else if (stats.mtime < cutoffDate && !keep.has(file)) {
           fs.unlinkSync(filePath);
+          deleted += 1;
           console.log(`Deleted old file: ${filePath}`);
         }
       });
@@ -185,6 +208,8 @@ const cleanupOldFiles = (daysOld = 30) => {
     const subdirPath = path.join(uploadDir, subdir);
     cleanupDirectory(subdirPath);
   });
+
+  return deleted;
 };
 
 module.exports = {
@@ -192,6 +217,7 @@ module.exports = {
   uploadSingle,
   uploadMultiple,
   uploadFields,
+  uploadDataFile,
   handleUploadError,
   deleteFile,
   getFileUrl,
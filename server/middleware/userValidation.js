@@ -0,0 +1,163 @@
+const { body, param, query } = require('express-validator');
+const { roleExists } = require('../utils/permissions');
+
+const ROLE_KEY_PATTERN = /^[a-z][a-z0-9-]{1,39}$/;
+
+const validateUserIdParam = param('id')
+  .isMongoId()
+  .withMessage('Invalid user ID');
+
+// User list query validation
+const validateUserQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('role')
+    .optional()
+    .matches(ROLE_KEY_PATTERN)
+    .withMessage('Role must be a role key'),
+
+  query('status')
+    .optional()
+    .isIn(['active', 'inactive'])
+    .withMessage('Status must be active or inactive'),
+
+  query('patronCategory')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Patron category must be between 1 and 50 characters'),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search term must be between 1 and 100 characters'),
+
+  query('sortBy')
+    .optional()
+    .isIn(['createdAt', 'lastName', 'email', 'lastLogin'])
+    .withMessage('Sort field must be createdAt, lastName, email or lastLogin'),
+
+  query('sort')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort must be either asc or desc')
+];
+
+// User detail validation
+const validateUserParam = [
+  validateUserIdParam
+];
+
+// User update validation; account status has its own endpoints
+const validateUpdateUser = [
+  validateUserIdParam,
+
+  body('firstName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('First name must be between 2 and 50 characters'),
+
+  body('lastName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Last name must be between 2 and 50 characters'),
+
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+
+  body('phone')
+    .optional({ nullable: true })
+    .isMobilePhone()
+    .withMessage('Please provide a valid phone number'),
+
+  body('role')
+    .optional()
+    .custom(async (role) => {
+      if (typeof role !== 'string' || !ROLE_KEY_PATTERN.test(role) || !(await roleExists(role))) {
+        throw new Error('Role does not exist');
+      }
+      return true;
+    }),
+
+  body('patronCategory')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Patron category cannot exceed 50 characters'),
+
+  body('membershipExpiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Membership expiry must be a valid date'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  body('isActive')
+    .not()
+    .exists()
+    .withMessage('Use the deactivate and reactivate endpoints to change account status')
+];
+
+// Validation for admin account actions that take an optional reason
+const validateAccountStatus = [
+  validateUserIdParam,
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  body('force')
+    .optional()
+    .isBoolean()
+    .withMessage('Force must be a boolean')
+    .toBoolean()
+];
+
+// Personal data erasure validation
+const validateUserErasure = [
+  validateUserIdParam,
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+// Directory sync validation
+const validateDirectorySync = [
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+    .toBoolean()
+];
+
+module.exports = {
+  validateUserQuery,
+  validateUserParam,
+  validateUpdateUser,
+  validateAccountStatus,
+  validateUserErasure,
+  validateDirectorySync
+};
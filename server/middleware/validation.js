@@ -177,7 +177,13 @@ const validateProfileUpdate = [
   body('preferences.theme')
     .optional()
     .isIn(['light', 'dark'])
-    .withMessage('Theme must be either light or dark')
+    .withMessage('Theme must be either light or dark'),
+  
+  body('preferences.readingHistory')
+    .optional()
+    .isBoolean()
+    .withMessage('Reading history preference must be a boolean')
+    .toBoolean()
 ];
 
 // Password change validation
@@ -201,6 +207,116 @@ const validatePasswordChange = [
     })
 ];
 
+// Kiosk PIN validation
+const validateKioskPin = [
+  body('pin')
+    .isString()
+    .matches(/^\d{4,8}$/)
+    .withMessage('PIN must be 4 to 8 digits'),
+  
+  body('confirmPin')
+    .custom((value, { req }) => {
+      if (value !== req.body.pin) {
+        throw new Error('PIN confirmation does not match PIN');
+      }
+      return true;
+    })
+];
+
+// Password reset validation
+const validatePasswordReset = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid password reset token'),
+  
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  
+  body('confirmPassword')
+    .custom((value, { req }) => {
+      if (value !== req.body.password) {
+        throw new Error('Password confirmation does not match password');
+      }
+      return true;
+    })
+];
+
+// Either an authenticator app code or a recovery code
+const twoFactorCodeOrRecoveryRules = () => [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Invalid recovery code'),
+  
+  body()
+    .custom((value, { req }) => {
+      if (!req.body.code && !req.body.recoveryCode) {
+        throw new Error('An authentication code or recovery code is required');
+      }
+      return true;
+    })
+];
+
+// Authenticator app code validation
+const validateTwoFactorCode = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+];
+
+const validateTwoFactorLogin = [
+  body('twoFactorToken')
+    .notEmpty()
+    .withMessage('Two-factor login token is required'),
+  
+  ...twoFactorCodeOrRecoveryRules()
+];
+
+const validateDisableTwoFactor = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  ...twoFactorCodeOrRecoveryRules()
+];
+
+// Single sign-on callback validation
+const validateOidcCallback = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  
+  body('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required')
+];
+
+// Account erasure validation
+const validateAccountErasure = [
+  body('confirmEmail')
+    .isEmail()
+    .withMessage('Type your email address to confirm'),
+  
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string')
+];
+
 // MongoDB ObjectId validation
 const validateObjectId = (paramName) => [
   param(paramName)
@@ -282,6 +398,13 @@ module.exports = {
   validateLogin,
   validateProfileUpdate,
   validatePasswordChange,
+  validateKioskPin,
+  validatePasswordReset,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateDisableTwoFactor,
+  validateOidcCallback,
+  validateAccountErasure,
   validateObjectId,
   validatePagination,
   validateSearch,
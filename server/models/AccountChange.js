@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Audit record of an admin changing a user's role, deactivating or
+// reactivating their account, marking their email address verified, signing
+// them out everywhere or resetting their two-factor authentication. Changes
+// made by the scheduled directory sync have no admin.
+const accountChangeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    enum: ['role_change', 'deactivation', 'reactivation', 'email_verification', 'force_logout', 'two_factor_reset'],
+    required: [true, 'Action is required']
+  },
+  fromRole: {
+    type: String
+  },
+  toRole: {
+    type: String
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Set when an account was deactivated while the user still had items out
+  forced: {
+    type: Boolean,
+    default: false
+  },
+  itemsOut: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+accountChangeSchema.index({ user: 1, createdAt: -1 });
+accountChangeSchema.index({ changedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AccountChange', accountChangeSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Append-only record of a staff or security-sensitive action: who did what to
+// which record, what changed, and from which request. Events are never
+// updated or deleted; the query and document hooks below refuse it. The one
+// exception is erasing a user, which pseudonymises the events about them.
+const auditEventSchema = new mongoose.Schema({
+  // Null for actions taken by the server itself, such as scheduled jobs
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Role and email at the time, so events still read correctly after the
+  // account changes
+  actorRole: String,
+  actorEmail: String,
+  // Dotted name such as 'book.update' or 'fine.waive'
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  entity: {
+    type: {
+      type: String,
+      trim: true
+    },
+    id: String,
+    label: String
+  },
+  // Fields that differ between the record before and after the action
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // Anything else worth keeping, such as the reason given or request body
+  details: mongoose.Schema.Types.Mixed,
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+  statusCode: Number,
+  ip: String,
+  userAgent: String,
+  requestId: String,
+  method: String,
+  path: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ 'entity.type': 1, 'entity.id': 1, createdAt: -1 });
+auditEventSchema.index({ requestId: 1 });
+
+const refuseChange = function(next) {
+  next(new Error('Audit events cannot be changed or deleted'));
+};
+
+auditEventSchema.pre([
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'deleteOne',
+  'deleteMany'
+], { document: false, query: true }, refuseChange);
+
+auditEventSchema.pre('deleteOne', { document: true, query: false }, refuseChange);
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return refuseChange(next);
+  }
+  next();
+});
+
+// Static method to replace the personal data of an erased user in their
+// events. `updates` holds the new fields of each event as { _id, set }. It
+// writes to the collection directly since the hooks above refuse updates.
+auditEventSchema.statics.pseudonymise = async function(updates, session) {
+  if (updates.length === 0) {
+    return 0;
+  }
+
+  const result = await this.collection.bulkWrite(
+    updates.map(({ _id, set }) => ({ updateOne: { filter: { _id }, update: { $set: set } } })),
+    { session }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
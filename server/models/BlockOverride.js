@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Audit record of a staff member letting a blocked patron borrow, renew or
+// reserve anyway
+const blockOverrideSchema = new mongoose.Schema({
+  patron: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patron is required']
+  },
+  staff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Staff member is required']
+  },
+  action: {
+    type: String,
+    enum: ['checkout', 'renewal', 'reservation'],
+    required: [true, 'Action is required']
+  },
+  // Reason codes of the blocks that were overridden
+  codes: [{
+    type: String,
+    required: true
+  }],
+  note: {
+    type: String,
+    required: [true, 'A note is required to override a block'],
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book'
+  },
+  borrow: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Borrow'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+blockOverrideSchema.index({ patron: 1, createdAt: -1 });
+blockOverrideSchema.index({ staff: 1, createdAt: -1 });
+blockOverrideSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('BlockOverride', blockOverrideSchema);
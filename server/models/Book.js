@@ -77,7 +77,7 @@ const bookSchema = new mongoose.Schema({
   totalCopies: {
     type: Number,
     required: [true, 'Total copies is required'],
-    min: [1, 'Total copies must be at least 1'],
+    min: [0, 'Total copies cannot be negative'],
     max: [1000, 'Total copies cannot exceed 1000']
   },
   availableCopies: {
@@ -244,23 +244,240 @@ bookSchema.methods.isBookAvailable = function() {
   return this.availableCopies > 0 && this.isActive;
 };
 
-// Instance method to borrow a copy
-bookSchema.methods.borrowCopy = function() {
-  if (this.availableCopies > 0) {
-    this.availableCopies -= 1;
-    this.statistics.totalBorrows += 1;
-    return true;
+// Instance method to recalculate copy counts from the statuses of its copies
+bookSchema.methods.syncAvailability = async function() {
+  const Copy = mongoose.model('Copy');
+  const counts = await Copy.countByStatus(this._id);
+
+  this.totalCopies = Copy.HELD_STATUSES.reduce((sum, status) => sum + (counts[status] || 0), 0);
+  this.availableCopies = counts.available || 0;
+
+  return this;
+};
+
+// Instance method to borrow a copy (a specific one, or any available copy).
+// The copy is claimed and availableCopies decremented with conditional updates,
+// so concurrent checkouts cannot oversell. Pass a session to run inside a
+// transaction; if the counter is out of step with the copies this throws so
+// the transaction rolls the copy claim back.
+bookSchema.methods.borrowCopy = async function(copyId = null, session = null) {
+  const Copy = mongoose.model('Copy');
+  const filter = { book: this._id, status: 'available', isActive: true };
+  if (copyId) {
+    filter._id = copyId;
+  }
+
+  const copy = await Copy.findOneAndUpdate(filter, { status: 'on_loan' }, { new: true, session });
+  if (!copy) {
+    return null;
+  }
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, isActive: true, availableCopies: { $gt: 0 } },
+    { $inc: { availableCopies: -1, 'statistics.totalBorrows': 1 } },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw new Error('Book is not available for borrowing');
   }
-  return false;
+
+  return copy;
 };
 
 // Instance method to return a copy
-bookSchema.methods.returnCopy = function() {
-  if (this.availableCopies < this.totalCopies) {
-    this.availableCopies += 1;
-    return true;
+bookSchema.methods.returnCopy = async function(copyId, session = null) {
+  const Copy = mongoose.model('Copy');
+  let copy = null;
+
+  if (copyId) {
+    copy = await Copy.findOneAndUpdate(
+      { _id: copyId, book: this._id, status: 'on_loan' },
+      { status: 'available', currentBorrow: null },
+      { new: true, session }
+    );
+
+    // The copy was not on loan, so the counter never went down for it
+    if (!copy) {
+      return null;
+    }
+  }
+
+  await this.constructor.updateOne(
+    { _id: this._id, $expr: { $lt: ['$availableCopies', '$totalCopies'] } },
+    { $inc: { availableCopies: 1 } },
+    { session }
+  );
+
+  return copy;
+};
+
+// Instance method to take back a copy that came back damaged. It goes to
+// repair instead of the shelf, so the book's availability is unchanged.
+bookSchema.methods.returnDamagedCopy = async function(copyId, session = null) {
+  const Copy = mongoose.model('Copy');
+  if (!copyId) {
+    return null;
+  }
+
+  return Copy.findOneAndUpdate(
+    { _id: copyId, book: this._id, status: 'on_loan' },
+    { status: 'in_repair', condition: 'damaged', currentBorrow: null },
+    { new: true, session }
+  );
+};
+
+// Instance method to write off a copy on loan as lost. It no longer counts
+// towards the book's total copies.
+bookSchema.methods.loseCopy = async function(copyId, session = null) {
+  const Copy = mongoose.model('Copy');
+  let copy = null;
+
+  if (copyId) {
+    copy = await Copy.findOneAndUpdate(
+      { _id: copyId, book: this._id, status: 'on_loan' },
+      { status: 'lost', currentBorrow: null },
+      { new: true, session }
+    );
+
+    if (!copy) {
+      return null;
+    }
+  }
+
+  // The copy was already out of availableCopies while on loan
+  await this.constructor.updateOne(
+    { _id: this._id, $expr: { $gt: ['$totalCopies', '$availableCopies'] } },
+    { $inc: { totalCopies: -1 } },
+    { session }
+  );
+
+  return copy;
+};
+
+// Instance method to take in a lost copy that was found damaged. It counts
+// towards the book's total copies again but goes to repair, so availability
+// is unchanged.
+bookSchema.methods.restoreDamagedLostCopy = async function(copyId, session = null) {
+  const Copy = mongoose.model('Copy');
+  let copy = null;
+
+  if (copyId) {
+    copy = await Copy.findOneAndUpdate(
+      { _id: copyId, book: this._id, status: 'lost' },
+      { status: 'in_repair', condition: 'damaged', currentBorrow: null },
+      { new: true, session }
+    );
+
+    if (!copy) {
+      return null;
+    }
+  }
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { totalCopies: 1 } },
+    { session }
+  );
+
+  return copy;
+};
+
+// Instance method to put a lost copy that was found back into circulation
+bookSchema.methods.restoreLostCopy = async function(copyId, session = null) {
+  const Copy = mongoose.model('Copy');
+  let copy = null;
+
+  if (copyId) {
+    copy = await Copy.findOneAndUpdate(
+      { _id: copyId, book: this._id, status: 'lost' },
+      { status: 'available', currentBorrow: null },
+      { new: true, session }
+    );
+
+    if (!copy) {
+      return null;
+    }
+  }
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { totalCopies: 1, availableCopies: 1 } },
+    { session }
+  );
+
+  return copy;
+};
+
+// Instance method to put a copy (a specific one, or any available copy) on
+// the hold shelf for a reservation. Held copies are out of availableCopies, so
+// nobody else can borrow them. Returns null when no copy could be claimed.
+bookSchema.methods.holdCopy = async function(copyId = null, session = null) {
+  const Copy = mongoose.model('Copy');
+  const filter = { book: this._id, status: 'available', isActive: true };
+  if (copyId) {
+    filter._id = copyId;
+  }
+
+  const copy = await Copy.findOneAndUpdate(filter, { status: 'on_hold' }, { new: true, session });
+  if (!copy) {
+    return null;
   }
-  return false;
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, availableCopies: { $gt: 0 } },
+    { $inc: { availableCopies: -1 } },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw new Error('Book is not available for borrowing');
+  }
+
+  return copy;
+};
+
+// Instance method to put a copy from the hold shelf back on the open shelf
+bookSchema.methods.releaseHeldCopy = async function(copyId, session = null) {
+  const Copy = mongoose.model('Copy');
+  const copy = await Copy.findOneAndUpdate(
+    { _id: copyId, book: this._id, status: 'on_hold' },
+    { status: 'available' },
+    { new: true, session }
+  );
+
+  if (!copy) {
+    return null;
+  }
+
+  await this.constructor.updateOne(
+    { _id: this._id, $expr: { $lt: ['$availableCopies', '$totalCopies'] } },
+    { $inc: { availableCopies: 1 } },
+    { session }
+  );
+
+  return copy;
+};
+
+// Instance method to lend the copy held for a reservation to its patron. The
+// copy already left availableCopies when it went on hold.
+bookSchema.methods.borrowHeldCopy = async function(copyId, session = null) {
+  const Copy = mongoose.model('Copy');
+  const copy = await Copy.findOneAndUpdate(
+    { _id: copyId, book: this._id, status: 'on_hold' },
+    { status: 'on_loan' },
+    { new: true, session }
+  );
+
+  if (!copy) {
+    return null;
+  }
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { 'statistics.totalBorrows': 1 } },
+    { session }
+  );
+
+  return copy;
 };
 
 // Instance method to reserve a copy
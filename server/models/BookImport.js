@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+// A bulk catalogue import from an uploaded CSV, Excel or MARC file. The parsed rows
+// wait here until a background worker processes them; the per-row report
+// replaces them once it has.
+const bookImportSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: [true, 'File name is required'],
+    trim: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx', 'marc21', 'marcxml'],
+    required: [true, 'Format is required']
+  },
+  // Validate and report what would happen without changing the catalogue
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  // What to do with a row whose ISBN is already in the catalogue
+  onDuplicate: {
+    type: String,
+    enum: ['skip', 'merge'],
+    default: 'skip'
+  },
+  // Values for new books whose row leaves them blank
+  defaults: {
+    category: {
+      type: String,
+      default: null
+    },
+    totalCopies: {
+      type: Number,
+      default: null
+    }
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // Columns that matched a book field, and those that were ignored
+  columns: [String],
+  ignoredColumns: [String],
+  rows: [{
+    _id: false,
+    row: Number,
+    data: mongoose.Schema.Types.Mixed,
+    // The record a MARC row was read from
+    marc: mongoose.Schema.Types.Mixed
+  }],
+  results: [{
+    _id: false,
+    row: Number,
+    isbn: String,
+    title: String,
+    outcome: {
+      type: String,
+      enum: ['created', 'updated', 'skipped', 'failed']
+    },
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book'
+    },
+    // Why the row failed or was skipped
+    problems: [{
+      _id: false,
+      field: String,
+      message: String
+    }]
+  }],
+  summary: {
+    total: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by is required']
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  // Refreshed while the import runs, so an import a crash left behind can be
+  // told apart from a long one
+  heartbeatAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+bookImportSchema.index({ status: 1, createdAt: 1 });
+bookImportSchema.index({ createdBy: 1, createdAt: -1 });
+
+// Imports and their reports are kept for JOB_HISTORY_DAYS
+bookImportSchema.index({ createdAt: 1 }, { expireAfterSeconds: config.JOB_HISTORY_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('BookImport', bookImportSchema);
@@ -1,17 +1,25 @@
 const mongoose = require('mongoose');
-const config = require('../config');
+const CirculationPolicy = require('./CirculationPolicy');
+const LibraryCalendar = require('./LibraryCalendar');
 
 const borrowSchema = new mongoose.Schema({
+  // Removed when the loan is anonymized; see utils/readingHistory. Such
+  // loans read back with a null user.
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'User is required']
+    default: null,
+    required: [function() { return !this.anonymizedAt; }, 'User is required']
   },
   book: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Book',
     required: [true, 'Book is required']
   },
+  copy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Copy'
+  },
   borrowDate: {
     type: Date,
     default: Date.now,
@@ -27,9 +35,36 @@ const borrowSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['borrowed', 'returned', 'overdue'],
+    enum: ['borrowed', 'returned', 'overdue', 'lost', 'claims_returned'],
     default: 'borrowed'
   },
+  lostAt: {
+    type: Date,
+    default: null
+  },
+  // When the patron said they had returned a book the library has no record
+  // of receiving. Fines stop accruing while the claim is investigated.
+  claimedReturnedAt: {
+    type: Date,
+    default: null
+  },
+  // Condition report for a book that came back damaged
+  damage: {
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Damage notes cannot exceed 500 characters']
+    },
+    repairFee: {
+      type: Number,
+      min: [0, 'Repair fee cannot be negative']
+    },
+    reportedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reportedAt: Date
+  },
   fineAmount: {
     type: Number,
     default: 0,
@@ -47,7 +82,12 @@ const borrowSchema = new mongoose.Schema({
     type: Number,
     default: 0,
     min: [0, 'Renewals cannot be negative'],
-    max: [config.MAX_RENEWALS, `Maximum renewals allowed is ${config.MAX_RENEWALS}`]
+    validate: {
+      validator: function(value) {
+        return value <= this.getLoanTerms().maxRenewals;
+      },
+      message: 'Maximum renewals exceeded'
+    }
   },
   renewalHistory: [{
     renewalDate: {
@@ -60,10 +100,24 @@ const borrowSchema = new mongoose.Schema({
       ref: 'User'
     }
   }],
+  // Snapshot of the circulation policy terms the loan was issued under
+  loanTerms: {
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CirculationPolicy',
+      default: null
+    },
+    policyName: String,
+    loanPeriodDays: Number,
+    renewalPeriodDays: Number,
+    maxRenewals: Number,
+    finePerDay: Number,
+    maxFine: Number
+  },
   borrowedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() { return !this.anonymizedAt; }
   },
   returnedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -74,6 +128,11 @@ const borrowSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Notes cannot exceed 500 characters']
   },
+  // When the patron link was removed from this returned loan
+  anonymizedAt: {
+    type: Date,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -84,9 +143,16 @@ const borrowSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Statuses of loans that still hold a copy
+borrowSchema.statics.LIVE_STATUSES = ['borrowed', 'overdue'];
+
+// Statuses of loans that can still be closed by checking the book in: live
+// loans, disputed ones and lost books that turn up again
+borrowSchema.statics.RETURNABLE_STATUSES = ['borrowed', 'overdue', 'claims_returned', 'lost'];
+
 // Virtual for days overdue
 borrowSchema.virtual('daysOverdue').get(function() {
-  if (this.status === 'returned' || this.status === 'borrowed') {
+  if (this.status !== 'overdue') {
     return 0;
   }
   
@@ -100,29 +166,28 @@ borrowSchema.virtual('daysOverdue').get(function() {
 
 // Virtual for calculated fine
 borrowSchema.virtual('calculatedFine').get(function() {
-  if (this.status === 'returned' || this.finePaid) {
+  if (!this.constructor.LIVE_STATUSES.includes(this.status) || this.finePaid) {
     return 0;
   }
   
-  const daysOverdue = this.daysOverdue;
-  if (daysOverdue <= 0) {
+  if (this.daysOverdue <= 0) {
     return 0;
   }
   
-  const fine = daysOverdue * config.FINE_PER_DAY;
-  return Math.min(fine, config.MAX_FINE_AMOUNT);
+  return this.calculateFine();
 });
 
 // Virtual for can renew
 borrowSchema.virtual('canRenew').get(function() {
   return this.status === 'borrowed' && 
-         this.renewals < config.MAX_RENEWALS &&
+         this.renewals < this.getLoanTerms().maxRenewals &&
          new Date() < new Date(this.dueDate);
 });
 
 // Indexes for better query performance
 borrowSchema.index({ user: 1, status: 1 });
 borrowSchema.index({ book: 1, status: 1 });
+borrowSchema.index({ copy: 1, borrowDate: -1 });
 borrowSchema.index({ status: 1 });
 borrowSchema.index({ dueDate: 1 });
 borrowSchema.index({ borrowDate: -1 });
@@ -142,17 +207,43 @@ borrowSchema.index(
   }
 );
 
-// Pre-save middleware to calculate due date
-borrowSchema.pre('save', function(next) {
+// Resolve the circulation policy for new loans. This and the due date run on
+// validate rather than save because validation runs first and requires both.
+borrowSchema.pre('validate', async function() {
+  if (!this.isNew || (this.loanTerms && this.loanTerms.loanPeriodDays)) {
+    return;
+  }
+
+  const session = this.$session();
+  const [user, book] = await Promise.all([
+    mongoose.model('User').findById(this.user).select('role patronCategory').session(session),
+    mongoose.model('Book').findById(this.book).select('category').session(session)
+  ]);
+  const terms = await CirculationPolicy.resolveFor(user, book, session);
+
+  this.loanTerms = {
+    policy: terms.policyId,
+    policyName: terms.name,
+    loanPeriodDays: terms.loanPeriodDays,
+    renewalPeriodDays: terms.renewalPeriodDays,
+    maxRenewals: terms.maxRenewals,
+    finePerDay: terms.finePerDay,
+    maxFine: terms.maxFine
+  };
+});
+
+// Calculate the due date, rolled forward to an open day
+borrowSchema.pre('validate', async function() {
   if (this.isNew && !this.dueDate) {
+    const calendar = await LibraryCalendar.getCalendar(this.$session());
     const borrowDate = new Date(this.borrowDate);
-    this.dueDate = new Date(borrowDate.getTime() + (config.BORROW_DURATION_DAYS * 24 * 60 * 60 * 1000));
+    const { loanPeriodDays } = this.getLoanTerms();
+    this.dueDate = calendar.nextOpenDay(new Date(borrowDate.getTime() + (loanPeriodDays * 24 * 60 * 60 * 1000)));
   }
-  next();
 });
 
 // Pre-save middleware to update status based on dates
-borrowSchema.pre('save', function(next) {
+borrowSchema.pre('save', async function() {
   if (this.status === 'borrowed' && !this.returnDate) {
     const now = new Date();
     const dueDate = new Date(this.dueDate);
@@ -160,16 +251,31 @@ borrowSchema.pre('save', function(next) {
     if (now > dueDate) {
       this.status = 'overdue';
       // Calculate fine if overdue
-      const daysOverdue = Math.ceil((now - dueDate) / (1000 * 60 * 60 * 24));
-      this.fineAmount = Math.min(daysOverdue * config.FINE_PER_DAY, config.MAX_FINE_AMOUNT);
+      const calendar = await LibraryCalendar.getCalendar(this.$session());
+      this.fineAmount = this.calculateFine(calendar);
     }
   }
-  next();
 });
 
-// Instance method to calculate fine
-borrowSchema.methods.calculateFine = function() {
-  if (this.status === 'returned' || this.finePaid) {
+// Instance method to get the loan's terms, falling back to the configured
+// defaults for loans issued before circulation policies existed
+borrowSchema.methods.getLoanTerms = function() {
+  const terms = this.loanTerms || {};
+  const defaults = CirculationPolicy.getDefaultTerms();
+
+  return {
+    loanPeriodDays: terms.loanPeriodDays ?? defaults.loanPeriodDays,
+    renewalPeriodDays: terms.renewalPeriodDays ?? defaults.renewalPeriodDays,
+    maxRenewals: terms.maxRenewals ?? defaults.maxRenewals,
+    finePerDay: terms.finePerDay ?? defaults.finePerDay,
+    maxFine: terms.maxFine ?? defaults.maxFine
+  };
+};
+
+// Instance method to calculate fine. Only days the library was open count
+// towards the fine, and only live loans accrue one.
+borrowSchema.methods.calculateFine = function(calendar = LibraryCalendar.current()) {
+  if (!this.constructor.LIVE_STATUSES.includes(this.status) || this.finePaid) {
     return 0;
   }
   
@@ -180,20 +286,23 @@ borrowSchema.methods.calculateFine = function() {
     return 0;
   }
   
-  const daysOverdue = Math.ceil((now - dueDate) / (1000 * 60 * 60 * 24));
-  const fine = daysOverdue * config.FINE_PER_DAY;
+  const daysOverdue = calendar.countOpenDaysBetween(dueDate, now);
+  const terms = this.getLoanTerms();
+  const fine = daysOverdue * terms.finePerDay;
   
-  return Math.min(fine, config.MAX_FINE_AMOUNT);
+  return Math.min(fine, terms.maxFine);
 };
 
 // Instance method to renew book
-borrowSchema.methods.renewBook = function(renewedBy) {
+borrowSchema.methods.renewBook = function(renewedBy, calendar = LibraryCalendar.current()) {
   if (!this.canRenew) {
     throw new Error('Book cannot be renewed');
   }
   
   const oldDueDate = new Date(this.dueDate);
-  const newDueDate = new Date(oldDueDate.getTime() + (config.RENEWAL_DURATION_DAYS * 24 * 60 * 60 * 1000));
+  const newDueDate = calendar.nextOpenDay(
+    new Date(oldDueDate.getTime() + (this.getLoanTerms().renewalPeriodDays * 24 * 60 * 60 * 1000))
+  );
   
   this.dueDate = newDueDate;
   this.renewals += 1;
@@ -209,21 +318,63 @@ borrowSchema.methods.renewBook = function(renewedBy) {
 };
 
 // Instance method to return book
-borrowSchema.methods.returnBook = function(returnedBy, notes = '') {
+borrowSchema.methods.returnBook = function(returnedBy, notes = '', calendar = LibraryCalendar.current()) {
   if (this.status === 'returned') {
     throw new Error('Book is already returned');
   }
   
+  // Calculate final fine before the loan is closed. Lost and disputed loans
+  // stopped accruing when their status changed.
+  if (this.constructor.LIVE_STATUSES.includes(this.status)) {
+    this.fineAmount = this.calculateFine(calendar);
+  }
+  
   this.returnDate = new Date();
   this.status = 'returned';
   this.returnedBy = returnedBy;
   this.notes = notes;
   
-  // Calculate final fine if overdue
-  if (this.status === 'overdue') {
-    this.fineAmount = this.calculateFine();
+  return this;
+};
+
+// Instance method to declare the book lost. The fine accrued so far is
+// recorded; the loan stops accruing from then on.
+borrowSchema.methods.declareLost = function(calendar = LibraryCalendar.current()) {
+  if (!this.constructor.LIVE_STATUSES.includes(this.status) && this.status !== 'claims_returned') {
+    throw new Error('Only books on loan can be declared lost');
   }
   
+  if (this.constructor.LIVE_STATUSES.includes(this.status)) {
+    this.fineAmount = this.calculateFine(calendar);
+  }
+  
+  this.status = 'lost';
+  this.lostAt = new Date();
+  
+  return this;
+};
+
+// Instance method to record the patron's claim that the book was returned
+borrowSchema.methods.claimReturned = function() {
+  if (!this.constructor.LIVE_STATUSES.includes(this.status)) {
+    throw new Error('Only books on loan can be claimed as returned');
+  }
+  
+  this.status = 'claims_returned';
+  this.claimedReturnedAt = new Date();
+  
+  return this;
+};
+
+// Instance method to record the condition of a book returned damaged
+borrowSchema.methods.recordDamage = function(reportedBy, notes, repairFee = 0) {
+  this.damage = {
+    notes,
+    repairFee,
+    reportedBy,
+    reportedAt: new Date()
+  };
+  
   return this;
 };
 
@@ -231,7 +382,7 @@ borrowSchema.methods.returnBook = function(returnedBy, notes = '') {
 borrowSchema.statics.findOverdueBorrows = function() {
   const now = new Date();
   return this.find({
-    status: 'borrowed',
+    status: { $in: this.LIVE_STATUSES },
     dueDate: { $lt: now },
     isActive: true
   }).populate('user', 'firstName lastName email')
@@ -281,7 +432,7 @@ borrowSchema.statics.getOverdueStats = function() {
   return this.aggregate([
     {
       $match: {
-        status: 'borrowed',
+        status: { $in: this.LIVE_STATUSES },
         dueDate: { $lt: now },
         isActive: true
       }
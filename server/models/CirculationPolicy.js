@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+const circulationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Policy name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Matching criteria - a null value matches anything
+  // Key of a built-in or admin-defined Role
+  userRole: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  patronCategory: {
+    type: String,
+    trim: true,
+    default: null,
+    maxlength: [50, 'Patron category cannot exceed 50 characters']
+  },
+  bookCategory: {
+    type: String,
+    trim: true,
+    default: null,
+    maxlength: [50, 'Book category cannot exceed 50 characters']
+  },
+  // Loan terms
+  loanPeriodDays: {
+    type: Number,
+    required: [true, 'Loan period is required'],
+    min: [1, 'Loan period must be at least 1 day'],
+    max: [365, 'Loan period cannot exceed 365 days']
+  },
+  renewalPeriodDays: {
+    type: Number,
+    required: [true, 'Renewal period is required'],
+    min: [1, 'Renewal period must be at least 1 day'],
+    max: [365, 'Renewal period cannot exceed 365 days']
+  },
+  maxRenewals: {
+    type: Number,
+    required: [true, 'Maximum renewals is required'],
+    min: [0, 'Maximum renewals cannot be negative'],
+    max: [20, 'Maximum renewals cannot exceed 20']
+  },
+  finePerDay: {
+    type: Number,
+    required: [true, 'Fine per day is required'],
+    min: [0, 'Fine per day cannot be negative']
+  },
+  maxFine: {
+    type: Number,
+    required: [true, 'Fine cap is required'],
+    min: [0, 'Fine cap cannot be negative']
+  },
+  maxLoans: {
+    type: Number,
+    required: [true, 'Maximum loans is required'],
+    min: [0, 'Maximum loans cannot be negative'],
+    max: [500, 'Maximum loans cannot exceed 500']
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Criteria a policy can be matched on
+const MATCH_FIELDS = ['userRole', 'patronCategory', 'bookCategory'];
+
+const isWildcard = value => value === null || value === undefined || value === '';
+
+const specificityOf = policy => MATCH_FIELDS.filter(field => !isWildcard(policy[field])).length;
+
+// Virtual for how specific the policy's matching criteria are
+circulationPolicySchema.virtual('specificity').get(function() {
+  return specificityOf(this);
+});
+
+// Indexes for better query performance
+circulationPolicySchema.index({ userRole: 1, patronCategory: 1, bookCategory: 1 });
+circulationPolicySchema.index({ isActive: 1 });
+
+// Terms used when no policy matches
+const getDefaultTerms = () => ({
+  policyId: null,
+  name: 'Default',
+  loanPeriodDays: config.BORROW_DURATION_DAYS,
+  renewalPeriodDays: config.RENEWAL_DURATION_DAYS,
+  maxRenewals: config.MAX_RENEWALS,
+  finePerDay: config.FINE_PER_DAY,
+  maxFine: config.MAX_FINE_AMOUNT,
+  maxLoans: config.MAX_LOANS
+});
+
+// Static method to pick the best matching policy from a list. A policy matches
+// when each of its criteria is either unset or equal to the requested value;
+// the most specific match wins, then the highest priority.
+circulationPolicySchema.statics.pickBestMatch = function(policies, criteria = {}) {
+  const matches = policies.filter(policy => MATCH_FIELDS.every(field =>
+    isWildcard(policy[field]) || policy[field] === criteria[field]
+  ));
+
+  matches.sort((a, b) =>
+    (specificityOf(b) - specificityOf(a)) || ((b.priority || 0) - (a.priority || 0))
+  );
+
+  return matches[0] || null;
+};
+
+// Static method to turn a policy (or nothing) into loan terms
+circulationPolicySchema.statics.toTerms = function(policy) {
+  if (!policy) {
+    return getDefaultTerms();
+  }
+
+  return {
+    policyId: policy._id,
+    name: policy.name,
+    loanPeriodDays: policy.loanPeriodDays,
+    renewalPeriodDays: policy.renewalPeriodDays,
+    maxRenewals: policy.maxRenewals,
+    finePerDay: policy.finePerDay,
+    maxFine: policy.maxFine,
+    maxLoans: policy.maxLoans
+  };
+};
+
+// Static method to resolve loan terms for a patron and book category
+circulationPolicySchema.statics.resolve = async function(criteria = {}, session = null) {
+  const policies = await this.find({ isActive: true }).session(session);
+  return this.toTerms(this.pickBestMatch(policies, criteria));
+};
+
+// Static method to resolve loan terms for a user and book document
+circulationPolicySchema.statics.resolveFor = function(user, book, session = null) {
+  return this.resolve({
+    userRole: user ? user.role : undefined,
+    patronCategory: user ? user.patronCategory : undefined,
+    bookCategory: book ? book.category : undefined
+  }, session);
+};
+
+circulationPolicySchema.statics.getDefaultTerms = getDefaultTerms;
+
+module.exports = mongoose.model('CirculationPolicy', circulationPolicySchema);
@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const copySchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: [true, 'Book is required']
+  },
+  barcode: {
+    type: String,
+    required: [true, 'Accession barcode is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Barcode cannot exceed 30 characters']
+  },
+  condition: {
+    type: String,
+    enum: ['new', 'good', 'fair', 'poor', 'damaged'],
+    default: 'good'
+  },
+  status: {
+    type: String,
+    enum: ['available', 'on_loan', 'on_hold', 'lost', 'in_repair', 'withdrawn'],
+    default: 'available'
+  },
+  location: {
+    shelf: {
+      type: String,
+      trim: true,
+      maxlength: [20, 'Shelf cannot exceed 20 characters']
+    },
+    section: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Section cannot exceed 50 characters']
+    },
+    floor: {
+      type: Number,
+      min: [1, 'Floor must be at least 1'],
+      max: [10, 'Floor cannot exceed 10']
+    }
+  },
+  currentBorrow: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Borrow',
+    default: null
+  },
+  acquiredAt: {
+    type: Date,
+    default: Date.now
+  },
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the copy can go out on loan
+copySchema.virtual('isLendable').get(function() {
+  return this.status === 'available' && this.isActive;
+});
+
+// Indexes for better query performance
+copySchema.index({ book: 1, status: 1 });
+copySchema.index({ status: 1 });
+copySchema.index({ isActive: 1 });
+
+// Statuses that still count towards a book's holdings
+const HELD_STATUSES = ['available', 'on_loan', 'on_hold', 'in_repair'];
+
+// Static method to generate the next accession barcode. Numbers come from a
+// counter so copies added at the same time never share one; the counter
+// starts after the highest barcode already in the catalogue.
+copySchema.statics.generateBarcode = async function() {
+  const next = await Counter.next('copyBarcode', async () => {
+    const last = await this.findOne({ barcode: /^ACC\d+$/ })
+      .sort({ barcode: -1 })
+      .select('barcode');
+
+    return last ? parseInt(last.barcode.slice(3), 10) : 0;
+  });
+
+  return `ACC${String(next).padStart(8, '0')}`;
+};
+
+// Static method to create copies for a book
+copySchema.statics.createCopiesForBook = async function(book, count, data = {}) {
+  const copies = [];
+
+  for (let i = 0; i < count; i++) {
+    const barcode = await this.generateBarcode();
+    const copy = await this.create({
+      book: book._id,
+      barcode,
+      location: data.location || book.location,
+      price: data.price !== undefined ? data.price : book.price,
+      condition: data.condition,
+      addedBy: data.addedBy
+    });
+    copies.push(copy);
+  }
+
+  return copies;
+};
+
+// Static method to add or withdraw copies so a book has `total` of them, then
+// store the book's copy counts. Only available copies are withdrawn, oldest
+// first; throws if there are not enough.
+copySchema.statics.setCopyCount = async function(book, total, data = {}) {
+  if (total > book.totalCopies) {
+    await this.createCopiesForBook(book, total - book.totalCopies, data);
+  } else if (total < book.totalCopies) {
+    const toWithdraw = book.totalCopies - total;
+    const availableCopies = await this.find({ book: book._id, status: 'available', isActive: true })
+      .sort({ acquiredAt: 1 })
+      .limit(toWithdraw);
+
+    if (availableCopies.length < toWithdraw) {
+      throw new Error('Cannot reduce total copies below the number of copies on loan or in repair');
+    }
+
+    await this.updateMany(
+      { _id: { $in: availableCopies.map(copy => copy._id) } },
+      { status: 'withdrawn' }
+    );
+  }
+
+  await book.syncAvailability();
+  await mongoose.model('Book').updateOne(
+    { _id: book._id },
+    { totalCopies: book.totalCopies, availableCopies: book.availableCopies }
+  );
+
+  return book;
+};
+
+// Static method to find a copy by its accession barcode
+copySchema.statics.findByBarcode = function(barcode) {
+  return this.findOne({ barcode: String(barcode).trim().toUpperCase(), isActive: true });
+};
+
+// Static method to count a book's copies by status
+copySchema.statics.countByStatus = async function(bookId) {
+  const results = await this.aggregate([
+    { $match: { book: new mongoose.Types.ObjectId(bookId), isActive: true } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  return results.reduce((counts, { _id, count }) => {
+    counts[_id] = count;
+    return counts;
+  }, {});
+};
+
+// Static method to get the loan history of a copy, most recent first
+copySchema.statics.getLoanHistory = function(copyId, limit = 20) {
+  const Borrow = mongoose.model('Borrow');
+  return Borrow.find({ copy: copyId })
+    .populate('user', 'firstName lastName email studentId')
+    .sort({ borrowDate: -1 })
+    .limit(limit);
+};
+
+// Static method to find the last patron who had a copy
+copySchema.statics.getLastBorrower = async function(copyId) {
+  const [lastBorrow] = await this.getLoanHistory(copyId, 1);
+  return lastBorrow ? lastBorrow.user : null;
+};
+
+copySchema.statics.HELD_STATUSES = HELD_STATUSES;
+
+module.exports = mongoose.model('Copy', copySchema);
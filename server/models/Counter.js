@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A named sequence, advanced atomically so concurrent requests never get the
+// same value
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: [true, 'Counter name is required']
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Static method to advance a counter and return its new value. A counter that
+// does not exist yet starts from whatever `seed` resolves to.
+counterSchema.statics.next = async function(name, seed = async () => 0) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true }
+  );
+  if (counter) {
+    return counter.seq;
+  }
+
+  try {
+    await this.updateOne(
+      { _id: name },
+      { $setOnInsert: { seq: await seed() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another request created the counter at the same time
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  return this.next(name, seed);
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,396 @@
+const mongoose = require('mongoose');
+
+// How each transaction type moves the patron's balance (amount owed).
+// Charges and refunds increase it; payments and waivers reduce it.
+const SIGNS = {
+  charge: 1,
+  refund: 1,
+  payment: -1,
+  waiver: -1
+};
+
+const fineTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // The loan a charge belongs to, or that a payment/waiver was applied to.
+  // Empty for charges and credits not tied to a loan.
+  borrow: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Borrow',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: Object.keys(SIGNS),
+    required: [true, 'Transaction type is required']
+  },
+  category: {
+    type: String,
+    enum: ['overdue', 'lost', 'processing', 'damage', 'manual'],
+    default: undefined
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than zero']
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'card', 'online', 'other'],
+    default: undefined
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Shared by the transactions created when one payment or waiver is spread
+  // over several loans
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the signed effect on the patron's balance
+fineTransactionSchema.virtual('signedAmount').get(function() {
+  return SIGNS[this.type] * this.amount;
+});
+
+// Indexes for better query performance
+fineTransactionSchema.index({ user: 1, createdAt: 1 });
+fineTransactionSchema.index({ borrow: 1 });
+fineTransactionSchema.index({ type: 1, createdAt: -1 });
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+const signedAmountExpression = {
+  $cond: [{ $in: ['$type', ['charge', 'refund']] }, '$amount', { $multiply: ['$amount', -1] }]
+};
+
+// Static method to get a patron's balance (positive means money owed)
+fineTransactionSchema.statics.getBalance = async function(userId, session = null) {
+  const [result] = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: null, balance: { $sum: signedAmountExpression } } }
+  ]).session(session);
+
+  return roundMoney(result ? result.balance : 0);
+};
+
+// Static method to get a patron's outstanding balance per loan, oldest first.
+// Charges not tied to a loan are grouped under a null borrow. Credit left on
+// one loan, e.g. by waiving a charge already paid, is set against the others.
+fineTransactionSchema.statics.getOutstandingByBorrow = async function(userId, session = null) {
+  const results = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    {
+      $group: {
+        _id: '$borrow',
+        balance: { $sum: signedAmountExpression },
+        firstCharge: { $min: '$createdAt' }
+      }
+    },
+    { $sort: { firstCharge: 1 } }
+  ]).session(session);
+
+  let credit = roundMoney(results
+    .filter(result => result.balance < 0)
+    .reduce((sum, result) => sum - result.balance, 0));
+
+  return results
+    .filter(result => result.balance > 0)
+    .map(result => {
+      const applied = Math.min(credit, result.balance);
+      credit = roundMoney(credit - applied);
+      return { borrow: result._id, balance: roundMoney(result.balance - applied) };
+    })
+    .filter(entry => entry.balance > 0);
+};
+
+// Static method to record a charge against a patron
+fineTransactionSchema.statics.charge = async function(data, session = null) {
+  const [transaction] = await this.create([{
+    ...data,
+    type: 'charge',
+    amount: roundMoney(data.amount)
+  }], { session });
+
+  await this.syncBorrowFineStatus(data.borrow, session);
+  return transaction;
+};
+
+// Static method to get how much of a loan's charges can still be waived.
+// Paid charges can be waived too, which leaves the patron in credit.
+fineTransactionSchema.statics.getWaivableAmount = async function(userId, borrowId, session = null) {
+  const [result] = await this.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(userId),
+        borrow: new mongoose.Types.ObjectId(borrowId),
+        type: { $in: ['charge', 'waiver'] }
+      }
+    },
+    { $group: { _id: '$borrow', balance: { $sum: signedAmountExpression } } }
+  ]).session(session);
+
+  return roundMoney(result ? result.balance : 0);
+};
+
+// Static method to apply a payment or waiver. The amount is applied to the
+// given loan, or spread over the patron's outstanding charges oldest first.
+// Throws when it exceeds what is owed.
+fineTransactionSchema.statics.settle = async function(type, data, session = null) {
+  if (!['payment', 'waiver'].includes(type)) {
+    throw new Error(`Cannot settle with a ${type}`);
+  }
+
+  let outstanding = await this.getOutstandingByBorrow(data.user, session);
+  if (data.borrow) {
+    outstanding = outstanding.filter(entry => entry.borrow && entry.borrow.toString() === data.borrow.toString());
+
+    // A waiver on a single loan may reverse charges already paid
+    if (type === 'waiver') {
+      const waivable = await this.getWaivableAmount(data.user, data.borrow, session);
+      outstanding = waivable > 0 ? [{ borrow: data.borrow, balance: waivable }] : [];
+    }
+  }
+
+  const owed = roundMoney(outstanding.reduce((sum, entry) => sum + entry.balance, 0));
+  const amount = data.amount === undefined ? owed : roundMoney(data.amount);
+
+  if (owed <= 0) {
+    throw new Error('No outstanding fines');
+  }
+
+  if (amount > owed) {
+    throw new Error(`Amount exceeds outstanding balance of ${owed.toFixed(2)}`);
+  }
+
+  const reference = data.reference || new mongoose.Types.ObjectId().toString();
+  const entries = [];
+  let remaining = amount;
+
+  for (const entry of outstanding) {
+    if (remaining <= 0) {
+      break;
+    }
+
+    const applied = roundMoney(Math.min(remaining, entry.balance));
+    entries.push({
+      user: data.user,
+      borrow: entry.borrow,
+      type,
+      amount: applied,
+      method: data.method,
+      reason: data.reason,
+      reference,
+      recordedBy: data.recordedBy
+    });
+    remaining = roundMoney(remaining - applied);
+  }
+
+  const transactions = await this.create(entries, { session, ordered: true });
+
+  for (const entry of entries) {
+    await this.syncBorrowFineStatus(entry.borrow, session);
+  }
+
+  return transactions;
+};
+
+// Static method to refund credit (a negative balance) back to a patron. Credit
+// arises when a charge that was already paid is waived; a refund of that credit
+// is recorded against the loan it came from when known.
+fineTransactionSchema.statics.refund = async function(data, session = null) {
+  const balance = await this.getBalance(data.user, session);
+  const credit = roundMoney(-balance);
+  const amount = roundMoney(data.amount);
+
+  if (credit <= 0) {
+    throw new Error('Patron has no credit to refund');
+  }
+
+  if (amount > credit) {
+    throw new Error(`Amount exceeds available credit of ${credit.toFixed(2)}`);
+  }
+
+  const [transaction] = await this.create([{
+    user: data.user,
+    borrow: data.borrow || null,
+    type: 'refund',
+    amount,
+    method: data.method,
+    reason: data.reason,
+    reference: data.reference,
+    recordedBy: data.recordedBy
+  }], { session });
+
+  await this.syncBorrowFineStatus(data.borrow, session);
+  return transaction;
+};
+
+// Static method to cancel a loan's charges of the given categories, e.g. the
+// replacement cost of a lost book that was found. Whatever is unpaid is
+// waived and whatever was paid is refunded.
+fineTransactionSchema.statics.reverseCharges = async function(borrow, categories, data, session = null) {
+  const [charged] = await this.aggregate([
+    { $match: { borrow: borrow._id, type: 'charge', category: { $in: categories } } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]).session(session);
+
+  const waivable = await this.getWaivableAmount(borrow.user, borrow._id, session);
+  const amount = roundMoney(Math.min(charged ? charged.amount : 0, waivable));
+  if (amount <= 0) {
+    return [];
+  }
+
+  const transactions = await this.settle('waiver', {
+    user: borrow.user,
+    borrow: borrow._id,
+    amount,
+    reason: data.reason,
+    recordedBy: data.recordedBy
+  }, session);
+
+  // A waiver of charges already paid leaves the patron in credit
+  const credit = roundMoney(-(await this.getBalance(borrow.user, session)));
+  if (credit > 0) {
+    transactions.push(await this.refund({
+      user: borrow.user,
+      borrow: borrow._id,
+      amount: Math.min(credit, amount),
+      reason: data.reason,
+      recordedBy: data.recordedBy
+    }, session));
+  }
+
+  return transactions;
+};
+
+// Static method to keep Borrow.finePaid in step with the loan's ledger
+// balance
+fineTransactionSchema.statics.syncBorrowFineStatus = async function(borrowId, session = null) {
+  if (!borrowId) {
+    return;
+  }
+
+  const [result] = await this.aggregate([
+    { $match: { borrow: new mongoose.Types.ObjectId(borrowId) } },
+    {
+      $group: {
+        _id: null,
+        charged: { $sum: { $cond: [{ $eq: ['$type', 'charge'] }, '$amount', 0] } },
+        balance: { $sum: signedAmountExpression }
+      }
+    }
+  ]).session(session);
+
+  if (!result || result.charged <= 0) {
+    return;
+  }
+
+  const paid = roundMoney(result.balance) <= 0;
+  await mongoose.model('Borrow').updateOne(
+    { _id: borrowId },
+    { finePaid: paid, finePaidDate: paid ? new Date() : null },
+    { session }
+  );
+};
+
+// Static method to build an itemized statement with a running balance
+fineTransactionSchema.statics.getStatement = async function(userId, { from, to } = {}) {
+  const match = { user: new mongoose.Types.ObjectId(userId) };
+  let openingBalance = 0;
+
+  if (from) {
+    const [opening] = await this.aggregate([
+      { $match: { ...match, createdAt: { $lt: from } } },
+      { $group: { _id: null, balance: { $sum: signedAmountExpression } } }
+    ]);
+    openingBalance = roundMoney(opening ? opening.balance : 0);
+  }
+
+  const createdAt = {};
+  if (from) createdAt.$gte = from;
+  if (to) createdAt.$lte = to;
+
+  const transactions = await this.find(from || to ? { ...match, createdAt } : match)
+    .populate({ path: 'borrow', select: 'book dueDate returnDate', populate: { path: 'book', select: 'title isbn' } })
+    .populate('recordedBy', 'firstName lastName')
+    .sort({ createdAt: 1 });
+
+  let balance = openingBalance;
+  const entries = transactions.map(transaction => {
+    balance = roundMoney(balance + transaction.signedAmount);
+    return { ...transaction.toObject(), balance };
+  });
+
+  return {
+    openingBalance,
+    closingBalance: balance,
+    entries
+  };
+};
+
+// Static method to summarise the ledger over a period
+fineTransactionSchema.statics.getSummary = async function(startDate, endDate) {
+  const match = {};
+  if (startDate || endDate) {
+    match.createdAt = {};
+    if (startDate) match.createdAt.$gte = startDate;
+    if (endDate) match.createdAt.$lte = endDate;
+  }
+
+  const [period, outstanding] = await Promise.all([
+    this.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          totalFines: { $sum: { $cond: [{ $eq: ['$type', 'charge'] }, '$amount', 0] } },
+          paidFines: { $sum: { $cond: [{ $eq: ['$type', 'payment'] }, '$amount', 0] } },
+          waivedFines: { $sum: { $cond: [{ $eq: ['$type', 'waiver'] }, '$amount', 0] } },
+          refundedFines: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, '$amount', 0] } },
+          chargeCount: { $sum: { $cond: [{ $eq: ['$type', 'charge'] }, 1, 0] } },
+          averageFine: { $avg: { $cond: [{ $eq: ['$type', 'charge'] }, '$amount', null] } }
+        }
+      }
+    ]),
+    this.aggregate([
+      { $group: { _id: '$user', balance: { $sum: signedAmountExpression } } },
+      { $match: { balance: { $gt: 0.005 } } },
+      { $group: { _id: null, unpaidFines: { $sum: '$balance' }, patronsOwing: { $sum: 1 } } }
+    ])
+  ]);
+
+  const totals = period[0] || {};
+  return {
+    totalFines: roundMoney(totals.totalFines || 0),
+    paidFines: roundMoney((totals.paidFines || 0) - (totals.refundedFines || 0)),
+    waivedFines: roundMoney(totals.waivedFines || 0),
+    refundedFines: roundMoney(totals.refundedFines || 0),
+    chargeCount: totals.chargeCount || 0,
+    averageFine: roundMoney(totals.averageFine || 0),
+    // Outstanding balances are a point-in-time figure, not limited to the period
+    unpaidFines: roundMoney(outstanding[0] ? outstanding[0].unpaidFines : 0),
+    patronsOwing: outstanding[0] ? outstanding[0].patronsOwing : 0
+  };
+};
+
+fineTransactionSchema.statics.SIGNS = SIGNS;
+fineTransactionSchema.statics.SIGNED_AMOUNT = signedAmountExpression;
+
+module.exports = mongoose.model('FineTransaction', fineTransactionSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+// One run of a scheduled job, kept as run history
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: [true, 'Job name is required'],
+    trim: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    required: [true, 'Trigger is required']
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  instance: {
+    type: String,
+    required: [true, 'Instance is required']
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  // Summary returned by the job, e.g. how many records it changed
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1 });
+
+// Run history is kept for JOB_HISTORY_DAYS
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: config.JOB_HISTORY_DAYS * 24 * 60 * 60 });
+
+// Instance method to record the end of the run
+jobRunSchema.methods.finish = function(error = null, result = null) {
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt - this.startedAt;
+  this.status = error ? 'failed' : 'succeeded';
+  this.error = error ? error.message : null;
+  this.result = result;
+
+  return this;
+};
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const kioskDeviceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Device name is required'],
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters']
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Location cannot exceed 200 characters']
+  },
+  // Only a hash of the device token is stored; the token itself is shown
+  // once, when the device is registered
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  lastSeenAt: {
+    type: Date,
+    default: null
+  },
+  registeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+kioskDeviceSchema.index({ isActive: 1 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Static method to register a device. Returns the device and its plain token.
+kioskDeviceSchema.statics.register = async function(data) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const device = await this.create({ ...data, tokenHash: hashToken(token) });
+  return { device, token };
+};
+
+// Static method to find an active device by its plain token
+kioskDeviceSchema.statics.findByToken = function(token) {
+  if (!token) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ tokenHash: hashToken(token), isActive: true });
+};
+
+kioskDeviceSchema.statics.hashToken = hashToken;
+
+module.exports = mongoose.model('KioskDevice', kioskDeviceSchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const config = require('../config');
+
+const kioskSessionSchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KioskDevice',
+    required: [true, 'Device is required']
+  },
+  patron: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patron is required']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Sliding expiry: every request made with the session pushes it forward
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  transactions: [{
+    type: {
+      type: String,
+      enum: ['checkout', 'return'],
+      required: true
+    },
+    borrow: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Borrow',
+      required: true
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Expired sessions are removed by MongoDB a day after they lapse
+kioskSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+kioskSessionSchema.index({ device: 1, endedAt: 1 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const idleTimeoutMs = () => config.KIOSK_IDLE_TIMEOUT_MINUTES * 60 * 1000;
+
+// Virtual for whether the session can still be used
+kioskSessionSchema.virtual('isLive').get(function() {
+  return !this.endedAt && this.expiresAt > new Date();
+});
+
+// Instance method to push the idle expiry forward
+kioskSessionSchema.methods.touch = function() {
+  this.expiresAt = new Date(Date.now() + idleTimeoutMs());
+  return this;
+};
+
+// Static method to start a session for a patron on a device. Any session
+// still open on the device is ended first. Returns the session and its plain
+// token.
+kioskSessionSchema.statics.start = async function(deviceId, patronId) {
+  await this.updateMany(
+    { device: deviceId, endedAt: null },
+    { endedAt: new Date() }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const session = await this.create({
+    device: deviceId,
+    patron: patronId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + idleTimeoutMs())
+  });
+
+  return { session, token };
+};
+
+// Static method to find a live session for a device by its plain token
+kioskSessionSchema.statics.findLive = function(deviceId, token) {
+  if (!token) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({
+    device: deviceId,
+    tokenHash: hashToken(token),
+    endedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('KioskSession', kioskSessionSchema);
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// How long a loaded calendar is reused before it is read again
+const CACHE_TTL_MS = 60 * 1000;
+
+// Never look further than this for an open day, so a calendar that is closed
+// every day cannot loop forever
+const MAX_LOOKAHEAD_DAYS = 366;
+
+const openingHoursSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    required: [true, 'Day of week is required'],
+    min: [0, 'Day of week must be between 0 (Sunday) and 6 (Saturday)'],
+    max: [6, 'Day of week must be between 0 (Sunday) and 6 (Saturday)']
+  },
+  opens: {
+    type: String,
+    required: [true, 'Opening time is required'],
+    match: [TIME_PATTERN, 'Opening time must be in HH:MM format']
+  },
+  closes: {
+    type: String,
+    required: [true, 'Closing time is required'],
+    match: [TIME_PATTERN, 'Closing time must be in HH:MM format']
+  }
+}, { _id: false });
+
+const holidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Holiday name is required'],
+    trim: true,
+    maxlength: [200, 'Holiday name cannot exceed 200 characters']
+  },
+  // Dates are YYYY-MM-DD in the library's (server's) local time zone
+  startDate: {
+    type: String,
+    required: [true, 'Start date is required'],
+    match: [DATE_PATTERN, 'Start date must be in YYYY-MM-DD format']
+  },
+  // Inclusive; defaults to the start date for single-day closures
+  endDate: {
+    type: String,
+    match: [DATE_PATTERN, 'End date must be in YYYY-MM-DD format']
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'ical'],
+    default: 'manual'
+  },
+  // UID of the imported iCal event, used to update it on re-import
+  uid: {
+    type: String,
+    trim: true
+  }
+});
+
+const libraryCalendarSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    default: 'default',
+    unique: true,
+    trim: true
+  },
+  closedWeekdays: [{
+    type: Number,
+    min: [0, 'Closed weekday must be between 0 (Sunday) and 6 (Saturday)'],
+    max: [6, 'Closed weekday must be between 0 (Sunday) and 6 (Saturday)']
+  }],
+  openingHours: [openingHoursSchema],
+  holidays: [holidaySchema],
+  lastImportedAt: {
+    type: Date,
+    default: null
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Format a date as YYYY-MM-DD in local time
+const toDayKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+// Instance method to find the holiday covering a date, if any
+libraryCalendarSchema.methods.getHoliday = function(date) {
+  const key = toDayKey(date);
+  return this.holidays.find(holiday =>
+    holiday.startDate <= key && key <= (holiday.endDate || holiday.startDate)
+  ) || null;
+};
+
+// Instance method to check whether the library is open on a date
+libraryCalendarSchema.methods.isOpen = function(date) {
+  const weekday = new Date(date).getDay();
+  return !this.closedWeekdays.includes(weekday) && !this.getHoliday(date);
+};
+
+// Instance method to get the opening hours for a date (null when closed)
+libraryCalendarSchema.methods.getOpeningHours = function(date) {
+  if (!this.isOpen(date)) {
+    return null;
+  }
+
+  const weekday = new Date(date).getDay();
+  const hours = this.openingHours.find(entry => entry.dayOfWeek === weekday);
+  return hours ? { opens: hours.opens, closes: hours.closes } : null;
+};
+
+// Instance method to roll a date forward, a whole day at a time, to the next
+// open day. The time of day is kept.
+libraryCalendarSchema.methods.nextOpenDay = function(date) {
+  let candidate = new Date(date);
+
+  for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+    if (this.isOpen(candidate)) {
+      return candidate;
+    }
+    candidate = new Date(candidate.getTime() + DAY_MS);
+  }
+
+  return new Date(date);
+};
+
+// Instance method to count the open days in an overdue period. Each started
+// day after `from` counts once, and only if the library was open on it.
+libraryCalendarSchema.methods.countOpenDaysBetween = function(from, to) {
+  const start = new Date(from).getTime();
+  const days = Math.ceil((new Date(to).getTime() - start) / DAY_MS);
+  let open = 0;
+
+  for (let i = 1; i <= days; i++) {
+    if (this.isOpen(new Date(start + i * DAY_MS))) {
+      open += 1;
+    }
+  }
+
+  return open;
+};
+
+let cached = null;
+let cachedAt = 0;
+
+// Static method to load the library calendar. Returns an empty (always open)
+// calendar when none has been configured.
+libraryCalendarSchema.statics.getCalendar = async function(session = null) {
+  if (cached && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cached;
+  }
+
+  const calendar = await this.findOne({ name: 'default' }).session(session);
+  return this.setCached(calendar || new this());
+};
+
+// Static method to get the last loaded calendar without touching the database
+libraryCalendarSchema.statics.current = function() {
+  return cached || new this();
+};
+
+// Static method to replace the cached calendar, e.g. after an admin edit
+libraryCalendarSchema.statics.setCached = function(calendar) {
+  cached = calendar;
+  cachedAt = Date.now();
+  return calendar;
+};
+
+// Static method to load the calendar for editing, creating it if needed
+libraryCalendarSchema.statics.getOrCreate = async function() {
+  const calendar = await this.findOne({ name: 'default' });
+  return calendar || new this({ name: 'default' });
+};
+
+libraryCalendarSchema.statics.toDayKey = toDayKey;
+
+module.exports = mongoose.model('LibraryCalendar', libraryCalendarSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// The MARC record a book was imported from. Books only model some of a
+// record's fields, so the whole record is kept here and used as the base when
+// the book is exported again.
+const marcRecordSchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: [true, 'Book is required'],
+    unique: true
+  },
+  leader: {
+    type: String,
+    required: [true, 'Leader is required'],
+    minlength: [24, 'Leader must be 24 characters'],
+    maxlength: [24, 'Leader must be 24 characters']
+  },
+  // Every field of the record, in order: { tag, value } for control fields and
+  // { tag, ind1, ind2, subfields: [{ code, value }] } for data fields
+  fields: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // The format the record was uploaded in
+  format: {
+    type: String,
+    enum: ['marc21', 'marcxml'],
+    required: [true, 'Format is required']
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Keep a record for a book, replacing the one it had
+marcRecordSchema.statics.attach = function(bookId, record, { format, importedBy }) {
+  return this.findOneAndUpdate(
+    { book: bookId },
+    { leader: record.leader, fields: record.fields, format, importedBy },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('MarcRecord', marcRecordSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A single sign-on login in progress: the values sent to the identity
+// provider that its response has to match. The PKCE code verifier never
+// leaves the server. Each request is used once and removed after it expires.
+const oidcLoginRequestSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: [true, 'State is required'],
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: [true, 'Nonce is required']
+  },
+  codeVerifier: {
+    type: String,
+    required: [true, 'Code verifier is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Remove requests once they expire
+oidcLoginRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcLoginRequest', oidcLoginRequestSchema);
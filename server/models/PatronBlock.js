@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// A block placed on a patron's account by staff. It stays in place until it
+// is lifted or its expiry date passes.
+const patronBlockSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  liftedAt: {
+    type: Date,
+    default: null
+  },
+  liftedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  liftNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the block is in force
+patronBlockSchema.virtual('isInForce').get(function() {
+  if (this.liftedAt) {
+    return false;
+  }
+
+  return !this.expiresAt || this.expiresAt > new Date();
+});
+
+// Indexes for better query performance
+patronBlockSchema.index({ user: 1, liftedAt: 1 });
+
+// Instance method to lift the block
+patronBlockSchema.methods.lift = function(liftedBy, note) {
+  if (this.liftedAt) {
+    throw new Error('Block is already lifted');
+  }
+
+  this.liftedAt = new Date();
+  this.liftedBy = liftedBy;
+  this.liftNote = note;
+  return this;
+};
+
+// Static method to find the blocks in force for a patron
+patronBlockSchema.statics.findInForce = function(userId, session = null) {
+  return this.find({
+    user: userId,
+    liftedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  }).session(session).sort({ createdAt: 1 });
+};
+
+module.exports = mongoose.model('PatronBlock', patronBlockSchema);
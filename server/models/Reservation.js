@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const config = require('../config');
+const LibraryCalendar = require('./LibraryCalendar');
 
 const reservationSchema = new mongoose.Schema({
     user: {
@@ -23,7 +24,7 @@ const reservationSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['active', 'fulfilled', 'expired', 'cancelled'],
+        enum: ['active', 'ready', 'fulfilled', 'expired', 'cancelled'],
         default: 'active'
     },
     priority: {
@@ -31,6 +32,20 @@ const reservationSchema = new mongoose.Schema({
         default: 1,
         min: [1, 'Priority must be at least 1']
     },
+    // Set once a returned copy is put on the hold shelf for this reservation
+    copy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Copy',
+        default: null
+    },
+    readyAt: {
+        type: Date,
+        default: null
+    },
+    pickupBy: {
+        type: Date,
+        default: null
+    },
     fulfilledAt: {
         type: Date,
         default: null
@@ -79,6 +94,7 @@ reservationSchema.index({ expiryDate: 1 });
 reservationSchema.index({ reservationDate: -1 });
 reservationSchema.index({ isActive: 1 });
 reservationSchema.index({ priority: 1 });
+reservationSchema.index({ status: 1, pickupBy: 1 });
 
 // Compound index for unique active reservations
 reservationSchema.index(
@@ -92,11 +108,12 @@ reservationSchema.index(
     }
 );
 
-// Pre-save middleware to calculate expiry date
-reservationSchema.pre('save', function (next) {
+// Pre-validate middleware to calculate expiry date (it is required, so this
+// has to run before validation)
+reservationSchema.pre('validate', function (next) {
     if (this.isNew && !this.expiryDate) {
         const reservationDate = new Date(this.reservationDate);
-        this.expiryDate = new Date(reservationDate.getTime() + (3 * 24 * 60 * 60 * 1000)); // 3 days
+        this.expiryDate = new Date(reservationDate.getTime() + (config.RESERVATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000));
     }
     next();
 });
@@ -109,9 +126,27 @@ reservationSchema.pre('save', function (next) {
     next();
 });
 
+// Instance method to mark a reservation ready for pickup with the copy held
+// for it. The patron has HOLD_PICKUP_DAYS to collect it, rolled forward to a
+// day the library is open.
+reservationSchema.methods.markReady = function (copyId, calendar = LibraryCalendar.current()) {
+    if (this.status !== 'active') {
+        throw new Error('Only active reservations can be made ready for pickup');
+    }
+
+    const now = new Date();
+    this.status = 'ready';
+    this.copy = copyId;
+    this.readyAt = now;
+    this.pickupBy = calendar.nextOpenDay(new Date(now.getTime() + config.HOLD_PICKUP_DAYS * 24 * 60 * 60 * 1000));
+    this.expiryDate = this.pickupBy;
+
+    return this;
+};
+
 // Instance method to fulfill reservation
 reservationSchema.methods.fulfillReservation = function (fulfilledBy) {
-    if (this.status !== 'active') {
+    if (!['active', 'ready'].includes(this.status)) {
         throw new Error('Only active reservations can be fulfilled');
     }
 
@@ -124,7 +159,7 @@ reservationSchema.methods.fulfillReservation = function (fulfilledBy) {
 
 // Instance method to cancel reservation
 reservationSchema.methods.cancelReservation = function () {
-    if (this.status !== 'active') {
+    if (!['active', 'ready'].includes(this.status)) {
         throw new Error('Only active reservations can be cancelled');
     }
 
@@ -197,7 +232,7 @@ reservationSchema.statics.createReservation = async function (userId, bookId) {
     const existingReservation = await this.findOne({
         user: userId,
         book: bookId,
-        status: 'active',
+        status: { $in: ['active', 'ready'] },
         isActive: true
     });
 
@@ -228,77 +263,64 @@ reservationSchema.statics.createReservation = async function (userId, bookId) {
     return reservation;
 };
 
-// Static method to process reservation queue when book becomes available
-reservationSchema.statics.processReservationQueue = async function (bookId) {
-    const Book = mongoose.model('Book');
-    const Borrow = mongoose.model('Borrow');
-    const Notification = mongoose.model('Notification');
-
-    const book = await Book.findById(bookId);
-    if (!book || !book.isBookAvailable()) {
-        return null;
-    }
+// Static method to find the hold waiting on the shelf for a patron, if any
+reservationSchema.statics.findReadyHold = function (userId, bookId, session = null) {
+    return this.findOne({
+        user: userId,
+        book: bookId,
+        status: 'ready',
+        isActive: true
+    }).session(session);
+};
 
-    // Get the next reservation in queue
+// Static method to process reservation queue when a copy becomes available.
+// The copy (or, when none is given, any available copy) goes on the hold
+// shelf for the first patron in the queue. Runs in the caller's session;
+// returns the reservation made ready, or null when nobody is waiting.
+reservationSchema.statics.processReservationQueue = async function (book, copyId = null, session = null) {
     const nextReservation = await this.findOne({
-        book: bookId,
+        book: book._id,
         status: 'active',
         isActive: true
-    }).sort({ priority: 1, reservationDate: 1 });
+    }).sort({ priority: 1, reservationDate: 1 }).session(session);
 
     if (!nextReservation) {
         return null;
     }
 
-    // Fulfill the reservation
-    nextReservation.fulfillReservation();
-    await nextReservation.save();
-
-    // Create borrow record
-    const borrow = await Borrow.create({
-        user: nextReservation.user,
-        book: bookId,
-        borrowedBy: nextReservation.user
-    });
-
-    // Update book availability
-    book.borrowCopy();
-    await book.save();
+    const copy = await book.holdCopy(copyId, session);
+    if (!copy) {
+        return null;
+    }
 
-    // Create notification for user
-    await Notification.createNotification({
-        user: nextReservation.user,
-        type: 'reservation_available',
-        title: 'Reserved Book Available',
-        message: `Your reserved book "${book.title}" is now available for pickup. You have 3 days to collect it.`,
-        priority: 'high',
-        relatedEntity: {
-            type: 'reservation',
-            id: nextReservation._id
-        },
-        metadata: {
-            bookTitle: book.title,
-            borrowId: borrow._id
-        }
-    });
+    const calendar = await LibraryCalendar.getCalendar(session);
+    nextReservation.markReady(copy._id, calendar);
+    await nextReservation.save({ session });
 
     // Update priorities for remaining reservations
     await this.updateMany(
         {
-            book: bookId,
+            book: book._id,
             status: 'active',
             isActive: true,
             priority: { $gt: nextReservation.priority }
         },
         {
             $inc: { priority: -1 }
-        }
+        },
+        { session }
     );
 
-    return {
-        reservation: nextReservation,
-        borrow: borrow
-    };
+    return nextReservation;
+};
+
+// Static method to get holds whose pickup deadline has passed
+reservationSchema.statics.getUncollectedHolds = function (now = new Date()) {
+    return this.find({
+        status: 'ready',
+        pickupBy: { $lt: now },
+        isActive: true
+    });
 };
 
 // Static method to get reservation statistics
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { ALL_PERMISSIONS, SYSTEM_ROLES } = require('../config/permissions');
+
+// A named bundle of permissions. Users refer to their role by key.
+const roleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Role key is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9-]{1,39}$/, 'Role key must be 2-40 lowercase letters, digits or hyphens, starting with a letter']
+  },
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    trim: true,
+    maxlength: [100, 'Role name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (permissions) => permissions.every(permission => ALL_PERMISSIONS.includes(permission)),
+      message: 'Unknown permission'
+    }
+  },
+  // Built-in roles cannot be deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Pre-save middleware to drop repeated permissions
+roleSchema.pre('save', function(next) {
+  if (this.isModified('permissions')) {
+    this.permissions = [...new Set(this.permissions)];
+  }
+  next();
+});
+
+// Static method to create the built-in roles that do not exist yet. Existing
+// ones are left alone so edits to their permissions are kept.
+roleSchema.statics.ensureSystemRoles = async function() {
+  await this.bulkWrite(Object.entries(SYSTEM_ROLES).map(([key, role]) => ({
+    updateOne: {
+      filter: { key },
+      update: {
+        $setOnInsert: {
+          key,
+          name: role.name,
+          description: role.description,
+          permissions: role.permissions,
+          isSystem: true
+        }
+      },
+      upsert: true
+    }
+  })));
+};
+
+module.exports = mongoose.model('Role', roleSchema);
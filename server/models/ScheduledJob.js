@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// Persistent state of a background job defined in server/utils/scheduledJobs.js.
+// The lock fields let only one server instance run a job at a time; a lock
+// left behind by a crashed instance lapses at lockedUntil.
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    unique: true,
+    trim: true
+  },
+  schedule: {
+    type: String,
+    required: [true, 'Schedule is required'],
+    trim: true
+  },
+  paused: {
+    type: Boolean,
+    default: false
+  },
+  pausedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  pausedAt: {
+    type: Date,
+    default: null
+  },
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastStatus: {
+    type: String,
+    enum: ['succeeded', 'failed', null],
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  lastDurationMs: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether an instance currently holds the job's lock
+scheduledJobSchema.virtual('isRunning').get(function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+});
+
+// Indexes for better query performance
+scheduledJobSchema.index({ paused: 1, nextRunAt: 1 });
+
+// Static method to claim a job's lock for `instance`. Pass `due` to only claim
+// it when an unpaused job is due, moving nextRunAt on so no other instance
+// picks up the same run. Returns the locked job, or null when it is locked
+// elsewhere (or not due).
+scheduledJobSchema.statics.acquireLock = function(name, instance, { lockMs, due = false, nextRunAt = null, now = new Date() }) {
+  const filter = {
+    name,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  };
+  const update = {
+    lockedBy: instance,
+    lockedUntil: new Date(now.getTime() + lockMs)
+  };
+
+  if (due) {
+    filter.paused = false;
+    filter.nextRunAt = { $lte: now };
+    update.nextRunAt = nextRunAt;
+  }
+
+  return this.findOneAndUpdate(filter, update, { new: true });
+};
+
+// Static method to release a job's lock and record how its run went
+scheduledJobSchema.statics.releaseLock = function(name, instance, run) {
+  return this.updateOne(
+    { name, lockedBy: instance },
+    {
+      lockedBy: null,
+      lockedUntil: null,
+      lastRunAt: run.startedAt,
+      lastStatus: run.status,
+      lastError: run.error || null,
+      lastDurationMs: run.durationMs
+    }
+  );
+};
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
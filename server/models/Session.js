@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A signed-in device. Its refresh token is rotated on every refresh and only
+// the hash of the current one is kept, so presenting any earlier token of the
+// session means it was copied and the whole session is revoked.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Refresh token hash is required'],
+    select: false
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the current refresh token expires; the record is removed after that
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_others', 'token_reuse', 'password_reset', 'deactivated', 'admin']
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = function(reason, revokedBy = null) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  this.revokedBy = revokedBy;
+};
+
+// Static method to hash a refresh token for storage
+sessionSchema.statics.hashToken = function(refreshToken) {
+  return crypto.createHash('sha256').update(String(refreshToken)).digest('hex');
+};
+
+// Static method to find a user's sessions that can still be used
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke all of a user's sessions, optionally keeping one
+sessionSchema.statics.revokeForUser = function(userId, reason, { except = null, revokedBy = null } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (except) {
+    filter._id = { $ne: except };
+  }
+
+  return this.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+    revokedBy
+  });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
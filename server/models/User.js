@@ -1,7 +1,15 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const config = require('../config');
+const totp = require('../utils/totp');
+const { getPermissions } = require('../utils/permissions');
+
+// Audiences of the signed tokens that are not access tokens. They also carry a
+// `type`, which the auth middleware refuses.
+const EMAIL_VERIFICATION_AUDIENCE = 'email-verification';
+const TWO_FACTOR_AUDIENCE = 'two-factor-login';
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -30,11 +38,18 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Last name cannot exceed 50 characters']
   },
+  // Key of a built-in or admin-defined Role
   role: {
     type: String,
-    enum: ['student', 'admin', 'librarian'],
+    trim: true,
+    lowercase: true,
     default: 'student'
   },
+  patronCategory: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Patron category cannot exceed 50 characters']
+  },
   studentId: {
     type: String,
     unique: true,
@@ -60,13 +75,99 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Library membership end date; patrons without one never expire
+  membershipExpiresAt: {
+    type: Date,
+    default: null
+  },
   isEmailVerified: {
     type: Boolean,
     default: false
   },
-  emailVerificationToken: String,
-  passwordResetToken: String,
-  passwordResetExpires: Date,
+  // SHA-256 hash of the latest signed verification link's token, so only that
+  // link works and only once
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationSentAt: Date,
+  // SHA-256 hash of the emailed reset token; the token itself is never stored
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // TOTP two-factor authentication
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret being enrolled, until the user confirms it with a code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted code, so each code works only once
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // PIN entered at self-service kiosks after scanning a library card. Cards
+  // carry no secret, so a kiosk session needs both.
+  kioskPin: {
+    hash: {
+      type: String,
+      select: false
+    },
+    setAt: Date,
+    // Wrong PINs in a row; enough of them lock the PIN for a while
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date
+  },
+  // Identity provider account this user signs in with, when linked through
+  // single sign-on
+  sso: {
+    issuer: String,
+    subject: String,
+    linkedAt: Date,
+    lastLoginAt: Date
+  },
+  // LDAP directory entry the account is synced from
+  ldap: {
+    dn: String,
+    syncedAt: Date,
+    // Set when the sync deactivated the account because it left the directory
+    deactivatedAt: Date
+  },
+  // Set when the user's personal data was erased; the account stays,
+  // anonymized, so their loans still count in statistics
+  erasedAt: {
+    type: Date,
+    default: null
+  },
+  // Included in every issued token; bumping it invalidates all of them
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   lastLogin: Date,
   loginAttempts: {
     type: Number,
@@ -104,6 +205,12 @@ const userSchema = new mongoose.Schema({
       type: String,
       enum: ['light', 'dark'],
       default: 'light'
+    },
+    // Keep returned loans linked to the account. Turning this off anonymizes
+    // them and keeps them out of the dashboard and recommendations.
+    readingHistory: {
+      type: Boolean,
+      default: true
     }
   }
 }, {
@@ -127,6 +234,10 @@ userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ studentId: 1 });
+userSchema.index(
+  { 'sso.issuer': 1, 'sso.subject': 1 },
+  { unique: true, partialFilterExpression: { 'sso.subject': { $exists: true } } }
+);
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -143,6 +254,15 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Pre-save middleware to require a changed email address to be verified again
+userSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('email')) {
+    this.isEmailVerified = false;
+    this.emailVerificationToken = undefined;
+  }
+  next();
+});
+
 // Pre-save middleware to generate student ID for students
 userSchema.pre('save', async function(next) {
   if (this.isNew && this.role === 'student' && !this.studentId) {
@@ -164,33 +284,167 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Instance method to generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Instance method to generate JWT token, tied to the session it was issued for
+userSchema.methods.generateAuthToken = function(sessionId = null) {
   const payload = {
     id: this._id,
     email: this.email,
     role: this.role,
     firstName: this.firstName,
-    lastName: this.lastName
+    lastName: this.lastName,
+    tokenVersion: this.tokenVersion
   };
 
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+
   return jwt.sign(payload, config.JWT_SECRET, {
     expiresIn: config.JWT_EXPIRE
   });
 };
 
-// Instance method to generate refresh token
-userSchema.methods.generateRefreshToken = function() {
+// Instance method to generate refresh token for a session. Each token gets a
+// unique ID so a rotated token never repeats an earlier one.
+userSchema.methods.generateRefreshToken = function(sessionId) {
   const payload = {
     id: this._id,
-    type: 'refresh'
+    type: 'refresh',
+    sid: sessionId,
+    tokenVersion: this.tokenVersion
   };
 
   return jwt.sign(payload, config.JWT_REFRESH_SECRET, {
-    expiresIn: config.JWT_REFRESH_EXPIRE
+    expiresIn: config.JWT_REFRESH_EXPIRE,
+    jwtid: crypto.randomBytes(16).toString('hex')
   });
 };
 
+// Instance method to check a decoded access or refresh token was issued since
+// the user's sessions were last revoked
+userSchema.methods.isTokenCurrent = function(decoded) {
+  return (decoded.tokenVersion || 0) === this.tokenVersion;
+};
+
+// Instance method to sign the user out everywhere; takes effect once saved
+userSchema.methods.revokeSessions = function() {
+  this.tokenVersion += 1;
+};
+
+// Instance method to start a password reset. Returns the token to email to
+// the user; only its hash is kept. Takes effect once saved.
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + config.PASSWORD_RESET_EXPIRE_MINUTES * 60 * 1000);
+
+  return resetToken;
+};
+
+// Instance method to start email verification. Returns a signed token for the
+// verification link, tied to the current email address. Takes effect once
+// saved.
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = jwt.sign(
+    { id: this._id, email: this.email, type: 'email-verification' },
+    config.JWT_SECRET,
+    { expiresIn: `${config.EMAIL_VERIFICATION_EXPIRE_HOURS}h`, audience: EMAIL_VERIFICATION_AUDIENCE }
+  );
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationSentAt = new Date();
+
+  return verificationToken;
+};
+
+// Instance method to check whether the user has to sign in through single
+// sign-on rather than with a password
+userSchema.methods.isLocalLoginDisabled = function() {
+  return config.OIDC_DISABLE_LOCAL_LOGIN && !!(this.sso && this.sso.subject);
+};
+
+// Instance method to check whether the user logs in with their LDAP directory
+// password rather than a local one
+userSchema.methods.usesDirectoryPassword = function() {
+  return config.LDAP_AUTH_ENABLED && !!(this.ldap && this.ldap.dn);
+};
+
+// Instance method to check whether the 2FA policy applies to the user's role.
+// A role holding any permission is staff; one with none only lets patrons use
+// their own account.
+userSchema.methods.requiresTwoFactor = async function() {
+  if (!config.REQUIRE_STAFF_2FA) {
+    return false;
+  }
+
+  return (await getPermissions(this.role)).size > 0;
+};
+
+// Instance method to issue the short-lived token that links the two steps of
+// a two-factor login
+userSchema.methods.generateTwoFactorToken = function() {
+  return jwt.sign(
+    { id: this._id, type: '2fa', tokenVersion: this.tokenVersion },
+    config.JWT_SECRET,
+    { expiresIn: `${config.TWO_FACTOR_LOGIN_MINUTES}m`, audience: TWO_FACTOR_AUDIENCE }
+  );
+};
+
+// Instance method to check an authenticator code against the enabled secret,
+// or the pending one during enrolment. Needs the twoFactor secrets selected.
+// Takes effect once saved.
+userSchema.methods.verifyTwoFactorCode = function(code, { pending = false } = {}) {
+  const secret = pending ? this.twoFactor.pendingSecret : this.twoFactor.secret;
+  if (!secret) {
+    return false;
+  }
+
+  const step = totp.verifyCode(secret, code, {
+    afterStep: this.twoFactor.lastUsedStep === undefined ? -1 : this.twoFactor.lastUsedStep
+  });
+  if (step === null) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Instance method to replace the recovery codes. Returns the new codes to
+// show the user once; only their hashes are kept. Takes effect once saved.
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: 10 }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.substring(0, 5)}-${code.substring(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code => crypto.createHash('sha256').update(code).digest('hex'));
+
+  return codes;
+};
+
+// Instance method to use up a recovery code. Needs the recovery codes
+// selected. Takes effect once saved.
+userSchema.methods.useRecoveryCode = function(code) {
+  const normalised = String(code || '').trim().toLowerCase();
+  const hash = crypto.createHash('sha256').update(normalised).digest('hex');
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(hash);
+
+  if (index === -1) {
+    return false;
+  }
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Instance method to switch two-factor authentication off and forget its
+// secrets. Takes effect once saved.
+userSchema.methods.clearTwoFactor = function() {
+  this.twoFactor = { enabled: false };
+};
+
 // Instance method to increment login attempts
 userSchema.methods.incLoginAttempts = function() {
   // If we have a previous lock that has expired, restart at 1
@@ -223,6 +477,160 @@ userSchema.statics.findByEmailWithPassword = function(email) {
   return this.findOne({ email }).select('+password');
 };
 
+const KIOSK_PIN_MAX_ATTEMPTS = 5;
+const KIOSK_PIN_LOCK_MS = 15 * 60 * 1000;
+
+// Instance method to set the kiosk PIN. Takes effect once saved.
+userSchema.methods.setKioskPin = async function(pin) {
+  const salt = await bcrypt.genSalt(config.BCRYPT_ROUNDS);
+  this.kioskPin = {
+    hash: await bcrypt.hash(String(pin), salt),
+    setAt: new Date(),
+    failedAttempts: 0
+  };
+};
+
+// Instance method to check a PIN entered at a kiosk; needs kioskPin.hash
+// selected. Returns 'ok', 'wrong', 'locked' or 'unset'. Wrong PINs are
+// counted, and five in a row lock the PIN for 15 minutes.
+userSchema.methods.checkKioskPin = async function(pin) {
+  const kioskPin = this.kioskPin || {};
+  if (!kioskPin.hash) {
+    return 'unset';
+  }
+  if (kioskPin.lockedUntil && kioskPin.lockedUntil > Date.now()) {
+    return 'locked';
+  }
+
+  if (await bcrypt.compare(String(pin), kioskPin.hash)) {
+    if (kioskPin.failedAttempts || kioskPin.lockedUntil) {
+      await this.updateOne({
+        $set: { 'kioskPin.failedAttempts': 0 },
+        $unset: { 'kioskPin.lockedUntil': 1 }
+      });
+    }
+    return 'ok';
+  }
+
+  if ((kioskPin.failedAttempts || 0) + 1 >= KIOSK_PIN_MAX_ATTEMPTS) {
+    await this.updateOne({
+      $set: { 'kioskPin.failedAttempts': 0, 'kioskPin.lockedUntil': new Date(Date.now() + KIOSK_PIN_LOCK_MS) }
+    });
+  } else {
+    await this.updateOne({
+      $inc: { 'kioskPin.failedAttempts': 1 },
+      $unset: { 'kioskPin.lockedUntil': 1 }
+    });
+  }
+  return 'wrong';
+};
+
+// Static method to find a patron from a scanned library card: the card
+// barcode (student ID) or the card QR payload. Unlike findByPatronIdentifier
+// it does not accept email addresses, and it loads the kiosk PIN hash.
+userSchema.statics.findByLibraryCard = function(card) {
+  const value = String(card || '').trim();
+  if (!value) {
+    return Promise.resolve(null);
+  }
+
+  if (value.startsWith('{')) {
+    try {
+      const qrData = JSON.parse(value);
+      if (qrData.type === 'user' && mongoose.Types.ObjectId.isValid(qrData.id)) {
+        return this.findById(qrData.id).select('+kioskPin.hash');
+      }
+    } catch (error) {
+      // Not a library card QR payload; treat it as a card barcode
+    }
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({ studentId: value.toUpperCase() }).select('+kioskPin.hash');
+};
+
+// Static method to find a patron from a scanned or typed identifier: the
+// library card barcode (student ID), the library card QR payload, or an email
+userSchema.statics.findByPatronIdentifier = function(identifier) {
+  const value = String(identifier || '').trim();
+  if (!value) {
+    return Promise.resolve(null);
+  }
+
+  if (value.startsWith('{')) {
+    try {
+      const qrData = JSON.parse(value);
+      if (qrData.type === 'user' && mongoose.Types.ObjectId.isValid(qrData.id)) {
+        return this.findById(qrData.id);
+      }
+    } catch (error) {
+      // Not a library card QR payload; fall through to the other formats
+    }
+  }
+
+  if (value.includes('@')) {
+    return this.findOne({ email: value.toLowerCase() });
+  }
+
+  return this.findOne({ studentId: value.toUpperCase() });
+};
+
+// Static method to claim a password reset token. The token is cleared in the
+// same update so it can only be used once; returns null when it is unknown or
+// has expired.
+userSchema.statics.consumePasswordResetToken = function(resetToken) {
+  const hashedToken = crypto.createHash('sha256').update(String(resetToken)).digest('hex');
+
+  return this.findOneAndUpdate(
+    {
+      passwordResetToken: hashedToken,
+      passwordResetExpires: { $gt: new Date() }
+    },
+    { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to check the token linking the two steps of a two-factor
+// login. Returns its claims, or null when it is invalid or has expired.
+userSchema.statics.decodeTwoFactorToken = function(twoFactorToken) {
+  try {
+    const decoded = jwt.verify(String(twoFactorToken), config.JWT_SECRET, { audience: TWO_FACTOR_AUDIENCE });
+    return decoded.type === '2fa' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Static method to verify an email address from a verification link. Returns
+// the verified user, or null when the link is invalid, expired, superseded by
+// a newer one or for an email address the user no longer has.
+userSchema.statics.consumeEmailVerificationToken = function(verificationToken) {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(verificationToken), config.JWT_SECRET, { audience: EMAIL_VERIFICATION_AUDIENCE });
+  } catch (error) {
+    return Promise.resolve(null);
+  }
+
+  if (decoded.type !== 'email-verification') {
+    return Promise.resolve(null);
+  }
+
+  return this.findOneAndUpdate(
+    {
+      _id: decoded.id,
+      email: decoded.email,
+      emailVerificationToken: crypto.createHash('sha256').update(String(verificationToken)).digest('hex')
+    },
+    {
+      $set: { isEmailVerified: true },
+      $unset: { emailVerificationToken: 1 }
+    },
+    { new: true }
+  );
+};
+
 // Static method to find active users
 userSchema.statics.findActiveUsers = function() {
   return this.find({ isActive: true });
@@ -4,7 +4,7 @@ const {
     getAnalyticsDashboard,
     getCustomReport
 } = require('../controllers/analyticsController');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -30,7 +30,7 @@ const { authenticate, requireAdmin } = require('../middleware/auth');
  *       403:
  *         description: Forbidden (admin access only)
  */
-router.get('/dashboard', authenticate, requireAdmin, getAnalyticsDashboard);
+router.get('/dashboard', authenticate, requirePermission('reports.view'), getAnalyticsDashboard);
 
 /**
  * @swagger
@@ -88,6 +88,6 @@ router.get('/dashboard', authenticate, requireAdmin, getAnalyticsDashboard);
  *       403:
  *         description: Forbidden (admin access only)
  */
-router.post('/custom-report', authenticate, requireAdmin, getCustomReport);
+router.post('/custom-report', authenticate, requirePermission('reports.view'), getCustomReport);
 
 module.exports = router;
@@ -0,0 +1,169 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAuditEvents,
+  exportAuditEvents,
+  getAuditEventById
+} = require('../controllers/auditController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { auditRequest } = require('../utils/audit');
+const {
+  validateAuditQuery,
+  validateAuditExport,
+  validateAuditEventParam
+} = require('../middleware/auditValidation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEvent:
+ *       type: object
+ *       properties:
+ *         actor:
+ *           type: string
+ *           nullable: true
+ *           description: User who acted; null for the server itself
+ *         actorRole:
+ *           type: string
+ *         actorEmail:
+ *           type: string
+ *         action:
+ *           type: string
+ *           example: book.update
+ *         entity:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *             id:
+ *               type: string
+ *             label:
+ *               type: string
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               path:
+ *                 type: string
+ *               before: {}
+ *               after: {}
+ *         details:
+ *           type: object
+ *         outcome:
+ *           type: string
+ *           enum: [success, failure]
+ *         statusCode:
+ *           type: integer
+ *         ip:
+ *           type: string
+ *         requestId:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *   parameters:
+ *     auditFilters:
+ *       in: query
+ *       name: filters
+ *       style: form
+ *       explode: true
+ *       schema:
+ *         type: object
+ *         properties:
+ *           actor:
+ *             type: string
+ *           action:
+ *             type: string
+ *             description: Action or action prefix, e.g. fine or fine.waive
+ *           outcome:
+ *             type: string
+ *             enum: [success, failure]
+ *           entityType:
+ *             type: string
+ *           entityId:
+ *             type: string
+ *           requestId:
+ *             type: string
+ *           ip:
+ *             type: string
+ *           from:
+ *             type: string
+ *             format: date-time
+ *           to:
+ *             type: string
+ *             format: date-time
+ *           search:
+ *             type: string
+ *             description: Matches the actor's email and the entity's ID or label
+ */
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Search the audit log, newest first
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/auditFilters'
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Audit events retrieved successfully
+ */
+router.get('/', authenticate, requirePermission('audit.view'), validateAuditQuery, getAuditEvents);
+
+/**
+ * @swagger
+ * /api/audit/export:
+ *   get:
+ *     summary: Download the matching audit events as CSV
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/auditFilters'
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ */
+router.get('/export', authenticate, requirePermission('audit.view'), auditRequest('audit.export'), validateAuditExport, exportAuditEvents);
+
+/**
+ * @swagger
+ * /api/audit/{id}:
+ *   get:
+ *     summary: Get an audit event
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Audit event retrieved successfully
+ *       404:
+ *         description: Audit event not found
+ */
+router.get('/:id', authenticate, requirePermission('audit.view'), validateAuditEventParam, getAuditEventById);
+
+module.exports = router;
@@ -3,18 +3,47 @@ const router = express.Router();
 const {
   register,
   login,
+  verifyTwoFactorLogin,
+  startOidcLogin,
+  completeOidcLogin,
   logout,
   getMe,
   updateProfile,
   changePassword,
-  refreshToken
+  setKioskPin,
+  refreshToken,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getSessions,
+  revokeSession,
+  logoutOtherSessions
 } = require('../controllers/authController');
-const { authenticate } = require('../middleware/auth');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
+const { exportMyData, eraseMyAccount } = require('../controllers/privacyController');
+const { authenticate, authenticateForTwoFactorSetup } = require('../middleware/auth');
+const { auditRequest } = require('../utils/audit');
 const {
   validateRegistration,
   validateLogin,
   validateProfileUpdate,
-  validatePasswordChange
+  validatePasswordChange,
+  validateKioskPin,
+  validatePasswordReset,
+  validateEmail,
+  validateObjectId,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateDisableTwoFactor,
+  validateOidcCallback,
+  validateAccountErasure
 } = require('../middleware/validation');
 
 /**
@@ -127,13 +156,104 @@ router.post('/register', validateRegistration, register);
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or `twoFactorRequired` with a `twoFactorToken` for the second step
  *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: The account signs in through single sign-on
  *       500:
  *         description: Server error
  */
-router.post('/login', validateLogin, login);
+router.post('/login', auditRequest('auth.login', { failures: true }), validateLogin, login);
+
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Second step of a two-factor login
+ *     description: Send the token from the first step with a code from the authenticator app or an unused recovery code. Wrong codes count towards the account lock.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - twoFactorToken
+ *             properties:
+ *               twoFactorToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Wrong code, or the first step has expired
+ *       423:
+ *         description: Account is locked
+ */
+router.post('/login/2fa', auditRequest('auth.login_two_factor', { failures: true }), validateTwoFactorLogin, verifyTwoFactorLogin);
+
+/**
+ * @swagger
+ * /api/auth/oidc/authorize:
+ *   get:
+ *     summary: Start a single sign-on login
+ *     description: Returns the identity provider URL to send the browser to and sets the HttpOnly `oidc_state` cookie. The provider redirects back to `OIDC_REDIRECT_URI` with a `code` and `state` for the callback endpoint.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: loginHint
+ *         schema:
+ *           type: string
+ *         description: Email address to pass on to the provider as `login_hint`
+ *     responses:
+ *       200:
+ *         description: The authorization URL
+ *       404:
+ *         description: Single sign-on is not enabled
+ */
+router.get('/oidc/authorize', startOidcLogin);
+
+/**
+ * @swagger
+ * /api/auth/oidc/callback:
+ *   post:
+ *     summary: Finish a single sign-on login
+ *     description: Exchanges the code from the identity provider, then finds, links or creates the account. The `state` must match the `oidc_state` cookie set when the login started. Each login can be finished once.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - state
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or `twoFactorRequired` with a `twoFactorToken` for the second step
+ *       401:
+ *         description: The login expired, was started in another browser or the provider's response did not check out
+ *       403:
+ *         description: The account cannot be linked to this identity
+ *       409:
+ *         description: The student ID belongs to another account
+ */
+router.post('/oidc/callback', validateOidcCallback, completeOidcLogin);
 
 /**
  * @swagger
@@ -149,7 +269,7 @@ router.post('/login', validateLogin, login);
  *       401:
  *         description: Unauthorized
  */
-router.post('/logout', authenticate, logout);
+router.post('/logout', authenticateForTwoFactorSetup, logout);
 
 /**
  * @swagger
@@ -165,9 +285,424 @@ router.post('/logout', authenticate, logout);
  *       401:
  *         description: Unauthorized
  */
-router.get('/me', authenticate, getMe);
+router.get('/me', authenticateForTwoFactorSetup, getMe);
 router.put('/profile', authenticate, validateProfileUpdate, updateProfile);
-router.put('/change-password', authenticate, validatePasswordChange, changePassword);
+router.put('/change-password', authenticate, auditRequest('auth.password_change', { failures: true }), validatePasswordChange, changePassword);
+
+/**
+ * @swagger
+ * /api/auth/me/kiosk-pin:
+ *   put:
+ *     summary: Set the PIN you enter at self-service kiosks
+ *     description: Kiosks ask for this PIN after you scan your library card.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pin
+ *               - confirmPin
+ *             properties:
+ *               pin:
+ *                 type: string
+ *                 description: 4 to 8 digits
+ *               confirmPin:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Kiosk PIN set
+ *       400:
+ *         description: Invalid PIN
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/me/kiosk-pin', authenticate, auditRequest('auth.kiosk_pin_set'), validateKioskPin, setKioskPin);
+
+/**
+ * @swagger
+ * /api/auth/me/export:
+ *   get:
+ *     summary: Download everything the library stores about you
+ *     description: A zip archive of your profile, loans, reservations, reviews, notifications, fines and account history as JSON files.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Zip archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me/export', authenticate, exportMyData);
+
+/**
+ * @swagger
+ * /api/auth/me/erase:
+ *   post:
+ *     summary: Erase your personal data and close your account
+ *     description: >
+ *       Your details are removed and your account can no longer sign in. Loan history is kept
+ *       without your details so library statistics stay correct, as are audit records with
+ *       your email, names and student ID replaced. Refused while you have open loans or
+ *       unpaid fines.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - confirmEmail
+ *             properties:
+ *               confirmEmail:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 description: Required unless you sign in through single sign-on or the directory
+ *     responses:
+ *       200:
+ *         description: Personal data erased
+ *       400:
+ *         description: Confirmation failed
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Open loans or unpaid fines
+ */
+router.post('/me/erase', authenticate, validateAccountErasure, eraseMyAccount);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for new access and refresh tokens
+ *     description: Refresh tokens are single-use. Presenting one that was already exchanged signs out that device's session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *       401:
+ *         description: Refresh token is invalid, expired, already used or its session was signed out
+ */
 router.post('/refresh', refreshToken);
 
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the devices the current user is signed in on
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions; `current` marks the one making the request
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', authenticate, getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/logout-others:
+ *   post:
+ *     summary: Sign out every device except the current one
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions signed out
+ *       400:
+ *         description: The current session was started before sessions were recorded
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/sessions/logout-others', authenticate, auditRequest('auth.logout_others'), logoutOtherSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out one of the current user's devices
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session signed out
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:sessionId', authenticate, validateObjectId('sessionId'), revokeSession);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset link
+ *     description: Always responds the same way, whether or not the email is registered. The link expires after PASSWORD_RESET_EXPIRE_MINUTES and can only be used once.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Invalid input
+ */
+router.post('/forgot-password', validateEmail, forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password/{token}:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: Signs the user out of every existing session.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the reset link
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - confirmPassword
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *               confirmPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid input, or the link is invalid or has expired
+ */
+router.post('/reset-password/:token', auditRequest('auth.password_reset', { failures: true }), validatePasswordReset, resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/verify-email/{token}:
+ *   post:
+ *     summary: Verify an email address
+ *     description: Only the most recently sent link works, once, and only while the address is unchanged.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the verification link
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Link is invalid or has expired
+ */
+router.post('/verify-email/:token', verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new email verification link
+ *     description: Can be used once every EMAIL_VERIFICATION_RESEND_MINUTES. Earlier links stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Sent too recently; `data.retryAfter` gives the seconds to wait
+ */
+router.post('/resend-verification', authenticate, resendVerification);
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Get the current user's two-factor authentication status
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether 2FA is enabled or required, and how many recovery codes are left
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/2fa', authenticateForTwoFactorSetup, getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrolment
+ *     description: Returns a new secret as an otpauth URI and a QR code image. It takes effect once confirmed with /api/auth/2fa/enable.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret, otpauth URI and QR code data URL
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/2fa/setup', authenticateForTwoFactorSetup, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrolment with a code from the authenticator app
+ *     description: Returns ten one-time recovery codes, which are only shown this once.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code, or setup was not started
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/2fa/enable', authenticateForTwoFactorSetup, auditRequest('auth.two_factor_enable'), validateTwoFactorCode, enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn two-factor authentication off
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Wrong password or code
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Two-factor authentication is mandatory for the user's role
+ */
+router.post('/2fa/disable', authenticate, auditRequest('auth.two_factor_disable', { failures: true }), validateDisableTwoFactor, disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Invalid code, or two-factor authentication is not enabled
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/2fa/recovery-codes', authenticate, auditRequest('auth.recovery_codes_regenerate'), validateTwoFactorCode, regenerateRecoveryCodes);
+
 module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const {
     generateBookQRCode,
     generateBookBarcode,
+    generateCopyBarcode,
     generateUserQRCode,
     generateLibraryCardBarcode,
     generateBorrowQRCode,
@@ -10,8 +11,9 @@ const {
     generateBulkBookQRCodes,
     generateLibraryCard
 } = require('../utils/barcodeGenerator');
-const { authenticate, requireAdminOrLibrarian } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const Book = require('../models/Book');
+const Copy = require('../models/Copy');
 const User = require('../models/User');
 const Borrow = require('../models/Borrow');
 const Reservation = require('../models/Reservation');
@@ -124,6 +126,61 @@ router.get('/book/:bookId/barcode', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/barcode/copy/{copyId}/barcode:
+ *   get:
+ *     summary: Generate accession barcode label for a copy
+ *     tags: [Barcode]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: copyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Copy ID
+ *     responses:
+ *       200:
+ *         description: Barcode generated successfully
+ *       404:
+ *         description: Copy not found
+ */
+router.get('/copy/:copyId/barcode', authenticate, requirePermission('barcodes.generate'), async (req, res) => {
+    try {
+        const copy = await Copy.findById(req.params.copyId).populate('book', 'title isbn');
+        if (!copy) {
+            return res.status(404).json({
+                success: false,
+                message: 'Copy not found'
+            });
+        }
+
+        const barcode = generateCopyBarcode(copy.barcode);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                barcode,
+                copy: {
+                    id: copy._id,
+                    barcode: copy.barcode,
+                    title: copy.book ? copy.book.title : null,
+                    isbn: copy.book ? copy.book.isbn : null
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Generate copy barcode error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate barcode',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
 /**
  * @swagger
  * /api/barcode/user/{userId}/qr:
@@ -273,7 +330,8 @@ router.get('/borrow/:borrowId/qr', authenticate, async (req, res) => {
                 borrow: {
                     id: borrow._id,
                     book: borrow.book.title,
-                    user: `${borrow.user.firstName} ${borrow.user.lastName}`,
+                    // Anonymized loans no longer name their patron
+                    user: borrow.user ? `${borrow.user.firstName} ${borrow.user.lastName}` : null,
                     dueDate: borrow.dueDate
                 }
             }
@@ -378,7 +436,7 @@ router.get('/reservation/:reservationId/qr', authenticate, async (req, res) => {
  *       400:
  *         description: Invalid request
  */
-router.post('/books/bulk-qr', authenticate, requireAdminOrLibrarian, async (req, res) => {
+router.post('/books/bulk-qr', authenticate, requirePermission('barcodes.generate'), async (req, res) => {
     try {
         const { bookIds } = req.body;
 
@@ -11,12 +11,30 @@ const {
   getBookStats,
   searchBooks
 } = require('../controllers/bookController');
-const { authenticate, requireAdmin, requireAdminOrLibrarian } = require('../middleware/auth');
+const {
+  createBookImport,
+  getBookImports,
+  getBookImportById
+} = require('../controllers/bookImportController');
+const {
+  importMarcRecord,
+  exportMarcRecord,
+  exportMarcCatalogue
+} = require('../controllers/marcController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { uploadDataFile, handleUploadError } = require('../middleware/upload');
+const { auditRequest } = require('../utils/audit');
 const {
   validateBook,
   validateBookUpdate,
   validateBookQuery,
-  validateBookSearch
+  validateBookSearch,
+  validateBookImport,
+  validateBookImportQuery,
+  validateBookImportParam,
+  validateMarcImport,
+  validateMarcExport,
+  validateMarcRecordExport
 } = require('../middleware/bookValidation');
 
 /**
@@ -139,7 +157,234 @@ router.get('/', validateBookQuery, getBooks);
 router.get('/popular', getPopularBooks);
 router.get('/recent', getRecentlyAddedBooks);
 router.get('/search', validateBookSearch, searchBooks);
-router.get('/stats', authenticate, requireAdminOrLibrarian, getBookStats);
+router.get('/stats', authenticate, requirePermission('reports.summary'), getBookStats);
+
+/**
+ * @swagger
+ * /api/books/import:
+ *   post:
+ *     summary: Import books in bulk from a CSV, Excel or MARC file
+ *     description: >
+ *       In CSV and Excel files the first row names the columns: title, author, isbn, category,
+ *       totalCopies (or copies), description, publishedYear, publisher, language, pages, edition,
+ *       volume, series, tags (separated by semicolons), shelf, section, floor, price and
+ *       coverImage. Other columns are ignored. MARC 21 (.mrc, .marc) and MARCXML (.xml) files are
+ *       imported one record per row, reading fields 020, 100, 245, 250, 260/264, 300, 490 and 650;
+ *       the whole record is kept with the book. Rows are checked with the same rules as creating a
+ *       book and imported in the background; poll the returned import for its per-row report.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: A .csv, .xlsx, .mrc, .marc or .xml file
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Report what would happen without changing the catalogue
+ *               onDuplicate:
+ *                 type: string
+ *                 enum: [skip, merge]
+ *                 default: skip
+ *                 description: Skip rows whose ISBN is already catalogued, or fill in the existing book from them
+ *               category:
+ *                 type: string
+ *                 description: Category for new books whose row has none (MARC imports default to Other)
+ *               totalCopies:
+ *                 type: integer
+ *                 description: Copies for new books whose row does not say (MARC imports default to 1)
+ *     responses:
+ *       202:
+ *         description: Import started
+ *       400:
+ *         description: The file cannot be read or has no usable columns
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post(
+  '/import',
+  authenticate,
+  requirePermission('books.import'),
+  auditRequest('book.import', { entityType: 'BookImport' }),
+  uploadDataFile('file', ['.csv', '.xlsx', '.mrc', '.marc', '.xml']),
+  handleUploadError,
+  validateBookImport,
+  createBookImport
+);
+
+/**
+ * @swagger
+ * /api/books/marc:
+ *   post:
+ *     summary: Import a single MARC 21 or MARCXML record as a book
+ *     description: >
+ *       The file must hold exactly one record. It is checked and imported straight away, the same
+ *       way as a row of a bulk import, and the whole record is kept with the book.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: A .mrc, .marc or .xml file
+ *               onDuplicate:
+ *                 type: string
+ *                 enum: [skip, merge]
+ *                 default: skip
+ *               category:
+ *                 type: string
+ *                 default: Other
+ *               totalCopies:
+ *                 type: integer
+ *                 default: 1
+ *     responses:
+ *       201:
+ *         description: Book created from the record
+ *       200:
+ *         description: Existing book updated from the record
+ *       400:
+ *         description: The file cannot be read or the record is not a valid book
+ *       409:
+ *         description: A book with this ISBN is already in the catalogue
+ */
+router.post(
+  '/marc',
+  authenticate,
+  requirePermission('books.import'),
+  auditRequest('book.marc_import', { entityType: 'Book' }),
+  uploadDataFile('file', ['.mrc', '.marc', '.xml']),
+  handleUploadError,
+  validateMarcImport,
+  importMarcRecord
+);
+
+/**
+ * @swagger
+ * /api/books/marc/export:
+ *   get:
+ *     summary: Download the catalogue as MARC 21 or MARCXML
+ *     description: >
+ *       Every active book as a record. Books imported from MARC keep the fields the catalogue
+ *       does not model; fields it does model are rewritten only where the book has changed.
+ *       Books whose record cannot be written in the format (for example a field too long for
+ *       MARC 21) are left out. Their IDs are listed in the `X-Marc-Skipped` trailer and, for
+ *       MARCXML, in a comment at the end of the collection.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [marcxml, marc21]
+ *           default: marcxml
+ *     responses:
+ *       200:
+ *         description: A MARCXML collection or a file of MARC 21 records
+ */
+router.get('/marc/export', authenticate, requirePermission('books.import'), auditRequest('book.marc_export'), validateMarcExport, exportMarcCatalogue);
+
+/**
+ * @swagger
+ * /api/books/imports:
+ *   get:
+ *     summary: List bulk imports, newest first
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Imports retrieved successfully
+ */
+router.get('/imports', authenticate, requirePermission('books.import'), validateBookImportQuery, getBookImports);
+
+/**
+ * @swagger
+ * /api/books/imports/{id}:
+ *   get:
+ *     summary: Get a bulk import and its per-row report
+ *     description: Each row of the report has its row number, outcome (created, updated, skipped or failed) and the problems found.
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Import retrieved successfully
+ *       404:
+ *         description: Import not found
+ */
+router.get('/imports/:id', authenticate, requirePermission('books.import'), validateBookImportParam, getBookImportById);
+
+/**
+ * @swagger
+ * /api/books/{id}/marc:
+ *   get:
+ *     summary: Download a book as a MARC 21 or MARCXML record
+ *     tags: [Books]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [marcxml, marc21]
+ *           default: marcxml
+ *     responses:
+ *       200:
+ *         description: The book's record
+ *       404:
+ *         description: Book not found
+ *       422:
+ *         description: The record cannot be written in this format, for example a field too long for MARC 21
+ */
+router.get('/:id/marc', authenticate, requirePermission('books.import'), auditRequest('book.marc_export', { entityType: 'Book' }), validateMarcRecordExport, exportMarcRecord);
 
 /**
  * @swagger
@@ -186,7 +431,7 @@ router.get('/:id', getBookById);
  *       403:
  *         description: Forbidden (admin only)
  */
-router.post('/', authenticate, requireAdminOrLibrarian, validateBook, createBook);
+router.post('/', authenticate, requirePermission('books.create'), validateBook, createBook);
 
 /**
  * @swagger
@@ -221,7 +466,7 @@ router.post('/', authenticate, requireAdminOrLibrarian, validateBook, createBook
  *       404:
  *         description: Book not found
  */
-router.put('/:id', authenticate, requireAdminOrLibrarian, validateBookUpdate, updateBook);
+router.put('/:id', authenticate, requirePermission('books.update'), validateBookUpdate, updateBook);
 
 /**
  * @swagger
@@ -248,6 +493,6 @@ router.put('/:id', authenticate, requireAdminOrLibrarian, validateBookUpdate, up
  *       404:
  *         description: Book not found
  */
-router.delete('/:id', authenticate, requireAdmin, deleteBook);
+router.delete('/:id', authenticate, requirePermission('books.delete'), deleteBook);
 
 module.exports = router;
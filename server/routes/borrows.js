@@ -4,19 +4,29 @@ const {
   getBorrows,
   getBorrowById,
   borrowBook,
+  deskCheckout,
   returnBook,
+  declareBookLost,
+  claimReturned,
   renewBook,
   getUserBorrowHistory,
   getOverdueBorrows,
+  sweepOverdueBorrows,
   getBorrowStats
 } = require('../controllers/borrowController');
-const { authenticate, requireAdmin, requireAdminOrLibrarian } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { auditRequest } = require('../utils/audit');
 const {
   validateBorrowBook,
+  validateDeskCheckout,
+  validateRenewBook,
   validateReturnBook,
+  validateDeclareLost,
+  validateClaimReturned,
   validateBorrowQuery,
   validateUserBorrowHistory,
-  validateOverdueBorrows
+  validateOverdueBorrows,
+  validateOverdueSweep
 } = require('../middleware/borrowValidation');
 
 /**
@@ -40,6 +50,9 @@ const {
  *         book:
  *           type: string
  *           description: Book ID that was borrowed
+ *         copy:
+ *           type: string
+ *           description: Copy ID of the physical item that went out
  *         borrowDate:
  *           type: string
  *           format: date-time
@@ -54,8 +67,23 @@ const {
  *           description: Date when the book was actually returned
  *         status:
  *           type: string
- *           enum: [borrowed, returned, overdue]
+ *           enum: [borrowed, returned, overdue, lost, claims_returned]
  *           description: Current status of the borrow
+ *         lostAt:
+ *           type: string
+ *           format: date-time
+ *         claimedReturnedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the patron claimed to have returned the book; fines stop accruing
+ *         damage:
+ *           type: object
+ *           description: Condition report for a book returned damaged
+ *           properties:
+ *             notes:
+ *               type: string
+ *             repairFee:
+ *               type: number
  *         fineAmount:
  *           type: number
  *           description: Fine amount if overdue
@@ -117,9 +145,9 @@ const {
  *       401:
  *         description: Unauthorized
  */
-router.get('/', authenticate, requireAdminOrLibrarian, validateBorrowQuery, getBorrows);
-router.get('/overdue', authenticate, requireAdminOrLibrarian, validateOverdueBorrows, getOverdueBorrows);
-router.get('/stats', authenticate, requireAdminOrLibrarian, getBorrowStats);
+router.get('/', authenticate, requirePermission('circulation.view'), validateBorrowQuery, getBorrows);
+router.get('/overdue', authenticate, requirePermission('circulation.view'), validateOverdueBorrows, getOverdueBorrows);
+router.get('/stats', authenticate, requirePermission('reports.summary'), getBorrowStats);
 router.get('/user/:userId', authenticate, validateUserBorrowHistory, getUserBorrowHistory);
 
 /**
@@ -161,12 +189,16 @@ router.get('/:id', authenticate, getBorrowById);
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - bookId
  *             properties:
  *               bookId:
  *                 type: string
- *                 description: ID of the book to borrow
+ *                 description: ID of the book to borrow (required unless a copy is given)
+ *               copyId:
+ *                 type: string
+ *                 description: ID of a specific copy to borrow
+ *               copyBarcode:
+ *                 type: string
+ *                 description: Accession barcode of a specific copy to borrow
  *     responses:
  *       201:
  *         description: Book borrowed successfully
@@ -174,11 +206,85 @@ router.get('/:id', authenticate, getBorrowById);
  *         description: Invalid input or book not available
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: User is blocked from borrowing; `code` gives the reason and `blocks` lists every block
  *       409:
  *         description: User already has this book borrowed
  */
 router.post('/', authenticate, validateBorrowBook, borrowBook);
 
+/**
+ * @swagger
+ * /api/borrows/desk/checkout:
+ *   post:
+ *     summary: Check items out to a patron at the circulation desk
+ *     description: Each item is checked out independently and reported with its own result. The staff member is recorded in borrowedBy.
+ *     tags: [Borrows]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - patron
+ *               - items
+ *             properties:
+ *               patron:
+ *                 type: string
+ *                 description: Library card barcode (student ID), library card QR payload or email
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Copy accession barcodes, book QR payloads or ISBNs
+ *               notes:
+ *                 type: string
+ *               overrideNote:
+ *                 type: string
+ *                 description: Check out despite the patron's blocks; the override is audit-logged
+ *     responses:
+ *       200:
+ *         description: Per-item checkout results
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: Patron is blocked from borrowing; `code` gives the reason and `blocks` lists every block
+ *       404:
+ *         description: Patron not found
+ */
+router.post('/desk/checkout', authenticate, requirePermission('circulation.checkout'), auditRequest('borrow.desk_checkout'), validateDeskCheckout, deskCheckout);
+
+/**
+ * @swagger
+ * /api/borrows/overdue/sweep:
+ *   post:
+ *     summary: Mark loans past their due date overdue and accrue their fines
+ *     description: Runs the same sweep as the hourly overdue-sweep job. The report counts every change and lists up to 100 of them.
+ *     tags: [Borrows]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Report what would change without changing anything
+ *     responses:
+ *       200:
+ *         description: Sweep report
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/overdue/sweep', authenticate, requirePermission('circulation.manage'), auditRequest('borrow.overdue_sweep'), validateOverdueSweep, sweepOverdueBorrows);
+
 /**
  * @swagger
  * /api/borrows/{id}/return:
@@ -194,11 +300,30 @@ router.post('/', authenticate, validateBorrowBook, borrowBook);
  *         schema:
  *           type: string
  *         description: Borrow record ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *               damaged:
+ *                 type: boolean
+ *                 description: Staff only. The book came back damaged and goes to repair
+ *               damageNotes:
+ *                 type: string
+ *                 description: Condition notes, required for a damaged return
+ *               repairFee:
+ *                 type: number
+ *                 description: Optional repair fee charged to the patron
  *     responses:
  *       200:
- *         description: Book returned successfully
+ *         description: Book returned successfully. A lost book that is returned goes back into stock and its replacement cost is refunded.
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Only staff can report damage
  *       404:
  *         description: Borrow record not found
  *       400:
@@ -206,6 +331,78 @@ router.post('/', authenticate, validateBorrowBook, borrowBook);
  */
 router.post('/:id/return', authenticate, validateReturnBook, returnBook);
 
+/**
+ * @swagger
+ * /api/borrows/{id}/lost:
+ *   post:
+ *     summary: Declare a borrowed book lost
+ *     description: >
+ *       Writes the copy off and charges the patron the fine accrued so far, the
+ *       replacement cost (the book's price by default) and the lost book processing fee.
+ *     tags: [Borrows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Borrow record ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               replacementCost:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Book declared lost
+ *       400:
+ *         description: Loan is already closed
+ *       404:
+ *         description: Borrow record not found
+ */
+router.post('/:id/lost', authenticate, requirePermission('circulation.manage'), auditRequest('borrow.declare_lost', { entityType: 'Borrow' }), validateDeclareLost, declareBookLost);
+
+/**
+ * @swagger
+ * /api/borrows/{id}/claims-returned:
+ *   post:
+ *     summary: Record a patron's claim that a book was returned
+ *     description: Fines stop accruing while the claim is investigated. Resolve it by checking the book in or declaring it lost.
+ *     tags: [Borrows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Borrow record ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Claim recorded
+ *       400:
+ *         description: Book is not on loan
+ *       404:
+ *         description: Borrow record not found
+ */
+router.post('/:id/claims-returned', authenticate, requirePermission('circulation.manage'), auditRequest('borrow.claim_returned', { entityType: 'Borrow' }), validateClaimReturned, claimReturned);
+
 /**
  * @swagger
  * /api/borrows/{id}/renew:
@@ -221,16 +418,27 @@ router.post('/:id/return', authenticate, validateReturnBook, returnBook);
  *         schema:
  *           type: string
  *         description: Borrow record ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               overrideNote:
+ *                 type: string
+ *                 description: Staff only. Renew despite the patron's blocks; the override is audit-logged
  *     responses:
  *       200:
  *         description: Book renewed successfully
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Patron is blocked; `code` gives the reason and `blocks` lists every block
  *       404:
  *         description: Borrow record not found
  *       400:
  *         description: Cannot renew (max renewals reached or overdue)
  */
-router.post('/:id/renew', authenticate, renewBook);
+router.post('/:id/renew', authenticate, validateRenewBook, renewBook);
 
 module.exports = router;
@@ -0,0 +1,232 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCalendar,
+  getDayStatus,
+  updateCalendar,
+  addHoliday,
+  removeHoliday,
+  importHolidays
+} = require('../controllers/calendarController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { auditRequest } = require('../utils/audit');
+const { uploadDataFile, handleUploadError } = require('../middleware/upload');
+const {
+  validateUpdateCalendar,
+  validateAddHoliday,
+  validateDayStatus
+} = require('../middleware/calendarValidation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LibraryCalendar:
+ *       type: object
+ *       properties:
+ *         closedWeekdays:
+ *           type: array
+ *           items:
+ *             type: integer
+ *             minimum: 0
+ *             maximum: 6
+ *           description: Weekdays the library is always closed (0 = Sunday)
+ *         openingHours:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               dayOfWeek:
+ *                 type: integer
+ *               opens:
+ *                 type: string
+ *                 example: "09:00"
+ *               closes:
+ *                 type: string
+ *                 example: "17:00"
+ *         holidays:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 example: "2025-12-25"
+ *               endDate:
+ *                 type: string
+ *                 description: Last closed day (inclusive)
+ *               source:
+ *                 type: string
+ *                 enum: [manual, ical]
+ */
+
+/**
+ * @swagger
+ * /api/calendar:
+ *   get:
+ *     summary: Get the library calendar
+ *     tags: [Calendar]
+ *     responses:
+ *       200:
+ *         description: Calendar retrieved successfully
+ */
+router.get('/', getCalendar);
+
+/**
+ * @swagger
+ * /api/calendar/status:
+ *   get:
+ *     summary: Check whether the library is open on a date
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           example: "2025-12-25"
+ *         description: Date to check (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Opening status, hours and the next open day
+ *       400:
+ *         description: Invalid date
+ */
+router.get('/status', validateDayStatus, getDayStatus);
+
+/**
+ * @swagger
+ * /api/calendar:
+ *   put:
+ *     summary: Update opening hours and recurring closed weekdays
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               closedWeekdays:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               openingHours:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Calendar updated successfully
+ *       400:
+ *         description: Invalid input
+ */
+router.put('/', authenticate, requirePermission('calendar.manage'), auditRequest('calendar.update', { entityType: 'LibraryCalendar' }), validateUpdateCalendar, updateCalendar);
+
+/**
+ * @swagger
+ * /api/calendar/holidays:
+ *   post:
+ *     summary: Add a holiday or one-off closure
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - startDate
+ *             properties:
+ *               name:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *               endDate:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Holiday added successfully
+ *       400:
+ *         description: Invalid input
+ */
+router.post('/holidays', authenticate, requirePermission('calendar.manage'), auditRequest('calendar.holiday_add', { entityType: 'LibraryCalendar' }), validateAddHoliday, addHoliday);
+
+/**
+ * @swagger
+ * /api/calendar/holidays/import:
+ *   post:
+ *     summary: Import holidays from an iCalendar (.ics) file
+ *     description: Events are matched on UID, so re-importing a feed updates existing holidays instead of duplicating them.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               replace:
+ *                 type: boolean
+ *                 description: Remove previously imported holidays first
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ics:
+ *                 type: string
+ *                 description: iCalendar text
+ *               replace:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Holidays imported successfully
+ *       400:
+ *         description: No holidays found or invalid file
+ */
+router.post(
+  '/holidays/import',
+  authenticate,
+  requirePermission('calendar.manage'),
+  auditRequest('calendar.holiday_import', { entityType: 'LibraryCalendar' }),
+  uploadDataFile('file', ['.ics', '.ical', '.ifb']),
+  handleUploadError,
+  importHolidays
+);
+
+/**
+ * @swagger
+ * /api/calendar/holidays/{holidayId}:
+ *   delete:
+ *     summary: Remove a holiday
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: holidayId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Holiday removed successfully
+ *       404:
+ *         description: Holiday not found
+ */
+router.delete('/holidays/:holidayId', authenticate, requirePermission('calendar.manage'), auditRequest('calendar.holiday_remove', { entityType: 'Holiday', idParam: 'holidayId' }), removeHoliday);
+
+module.exports = router;
@@ -13,7 +13,7 @@ const {
     getCommentStats,
     getRatingDistribution
 } = require('../controllers/commentController');
-const { authenticate, requireAdmin, requireAdminOrLibrarian } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const {
     validateCreateComment,
     validateUpdateComment,
@@ -443,7 +443,7 @@ router.post('/:id/reply', authenticate, validateReply, addReply);
  *       403:
  *         description: Forbidden (admin/librarian only)
  */
-router.get('/stats', authenticate, requireAdminOrLibrarian, getCommentStats);
+router.get('/stats', authenticate, requirePermission('reports.summary'), getCommentStats);
 
 /**
  * @swagger
@@ -0,0 +1,245 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCopies,
+  getCopyById,
+  getCopyByBarcode,
+  createCopies,
+  updateCopy,
+  getCopyHistory
+} = require('../controllers/copyController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { auditRequest } = require('../utils/audit');
+const {
+  validateCreateCopies,
+  validateUpdateCopy,
+  validateCopyQuery
+} = require('../middleware/copyValidation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Copy:
+ *       type: object
+ *       required:
+ *         - book
+ *         - barcode
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The auto-generated id of the copy
+ *         book:
+ *           type: string
+ *           description: Book ID this copy belongs to
+ *         barcode:
+ *           type: string
+ *           description: Accession barcode printed on the copy
+ *         condition:
+ *           type: string
+ *           enum: [new, good, fair, poor, damaged]
+ *           description: Physical condition of the copy
+ *         status:
+ *           type: string
+ *           enum: [available, on_loan, on_hold, lost, in_repair, withdrawn]
+ *           description: Circulation status of the copy
+ *         location:
+ *           type: object
+ *           properties:
+ *             shelf:
+ *               type: string
+ *             section:
+ *               type: string
+ *             floor:
+ *               type: integer
+ *         currentBorrow:
+ *           type: string
+ *           description: Borrow record ID while the copy is on loan
+ */
+
+/**
+ * @swagger
+ * /api/copies:
+ *   get:
+ *     summary: Get copies
+ *     tags: [Copies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: book
+ *         schema:
+ *           type: string
+ *         description: Filter by book ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [available, on_loan, on_hold, lost, in_repair, withdrawn]
+ *         description: Filter by status
+ *       - in: query
+ *         name: condition
+ *         schema:
+ *           type: string
+ *           enum: [new, good, fair, poor, damaged]
+ *         description: Filter by condition
+ *     responses:
+ *       200:
+ *         description: List of copies retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, requirePermission('copies.view'), validateCopyQuery, getCopies);
+
+/**
+ * @swagger
+ * /api/copies/barcode/{barcode}:
+ *   get:
+ *     summary: Look up a copy by accession barcode
+ *     tags: [Copies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Accession barcode
+ *     responses:
+ *       200:
+ *         description: Copy retrieved successfully
+ *       404:
+ *         description: Copy not found
+ */
+router.get('/barcode/:barcode', authenticate, requirePermission('copies.view'), getCopyByBarcode);
+
+/**
+ * @swagger
+ * /api/copies/{id}:
+ *   get:
+ *     summary: Get copy by ID
+ *     tags: [Copies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Copy ID
+ *     responses:
+ *       200:
+ *         description: Copy retrieved successfully
+ *       404:
+ *         description: Copy not found
+ */
+router.get('/:id', authenticate, requirePermission('copies.view'), getCopyById);
+
+/**
+ * @swagger
+ * /api/copies/{id}/history:
+ *   get:
+ *     summary: Get the loan history of a copy, including its last borrower
+ *     tags: [Copies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Copy ID
+ *     responses:
+ *       200:
+ *         description: Loan history retrieved successfully
+ *       404:
+ *         description: Copy not found
+ */
+router.get('/:id/history', authenticate, requirePermission('copies.view'), getCopyHistory);
+
+/**
+ * @swagger
+ * /api/copies:
+ *   post:
+ *     summary: Add copies to a book
+ *     tags: [Copies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bookId
+ *             properties:
+ *               bookId:
+ *                 type: string
+ *               count:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *               condition:
+ *                 type: string
+ *                 enum: [new, good, fair, poor, damaged]
+ *               location:
+ *                 type: object
+ *               price:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Copies added successfully
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Book not found
+ */
+router.post('/', authenticate, requirePermission('copies.manage'), auditRequest('copy.create'), validateCreateCopies, createCopies);
+
+/**
+ * @swagger
+ * /api/copies/{id}:
+ *   put:
+ *     summary: Update a copy's condition, location or status
+ *     tags: [Copies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Copy ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               condition:
+ *                 type: string
+ *                 enum: [new, good, fair, poor, damaged]
+ *               status:
+ *                 type: string
+ *                 enum: [available, lost, in_repair, withdrawn]
+ *               location:
+ *                 type: object
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Copy updated successfully
+ *       400:
+ *         description: Invalid input or copy is on loan
+ *       404:
+ *         description: Copy not found
+ */
+router.put('/:id', authenticate, requirePermission('copies.manage'), auditRequest('copy.update', { entityType: 'Copy' }), validateUpdateCopy, updateCopy);
+
+module.exports = router;
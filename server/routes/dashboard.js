@@ -6,7 +6,7 @@ const {
     getLibrarianDashboard,
     getUserAnalytics
 } = require('../controllers/dashboardController');
-const { authenticate, requireAdmin, requireAdminOrLibrarian, requireStudent } = require('../middleware/auth');
+const { authenticate, requirePermission, requireStudent } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -49,6 +49,9 @@ const { authenticate, requireAdmin, requireAdminOrLibrarian, requireStudent } =
  *                 type: string
  *               count:
  *                 type: integer
+ *         readingHistory:
+ *           type: boolean
+ *           description: False when the user opted out; returned loans, reading stats and categories are then left out
  */
 
 /**
@@ -139,7 +142,7 @@ router.get('/student', authenticate, requireStudent, getStudentDashboard);
  *       403:
  *         description: Forbidden (admin access only)
  */
-router.get('/admin', authenticate, requireAdmin, getAdminDashboard);
+router.get('/admin', authenticate, requirePermission('reports.view'), getAdminDashboard);
 
 /**
  * @swagger
@@ -187,7 +190,7 @@ router.get('/admin', authenticate, requireAdmin, getAdminDashboard);
  *       403:
  *         description: Forbidden (librarian access only)
  */
-router.get('/librarian', authenticate, requireAdminOrLibrarian, getLibrarianDashboard);
+router.get('/librarian', authenticate, requirePermission('reports.summary'), getLibrarianDashboard);
 
 /**
  * @swagger
@@ -233,6 +236,6 @@ router.get('/librarian', authenticate, requireAdminOrLibrarian, getLibrarianDash
  *       403:
  *         description: Forbidden (admin access only)
  */
-router.get('/analytics', authenticate, requireAdmin, getUserAnalytics);
+router.get('/analytics', authenticate, requirePermission('reports.view'), getUserAnalytics);
 
 module.exports = router;
@@ -0,0 +1,337 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMyFines,
+  getUserFines,
+  getOutstandingBalances,
+  recordPayment,
+  waiveFines,
+  refundCredit,
+  addCharge
+} = require('../controllers/fineController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { auditRequest } = require('../utils/audit');
+const {
+  validateUserIdParam,
+  validateFineStatement,
+  validatePayment,
+  validateWaiver,
+  validateRefund,
+  validateCharge
+} = require('../middleware/fineValidation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FineTransaction:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         user:
+ *           type: string
+ *         borrow:
+ *           type: string
+ *           nullable: true
+ *           description: Loan the transaction belongs to
+ *         type:
+ *           type: string
+ *           enum: [charge, payment, waiver, refund]
+ *           description: Charges and refunds increase the balance; payments and waivers reduce it
+ *         category:
+ *           type: string
+ *           enum: [overdue, lost, damage, manual]
+ *           description: Kind of charge
+ *         amount:
+ *           type: number
+ *           description: Always positive
+ *         method:
+ *           type: string
+ *           enum: [cash, card, online, other]
+ *         reason:
+ *           type: string
+ *         reference:
+ *           type: string
+ *           description: Shared by the entries of a payment or waiver spread over several loans
+ *         recordedBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     FineAccount:
+ *       type: object
+ *       properties:
+ *         balance:
+ *           type: number
+ *           description: Amount owed (negative means the patron is in credit)
+ *         outstanding:
+ *           type: array
+ *           description: Outstanding balance per loan, oldest first
+ *         accruing:
+ *           type: array
+ *           description: Fines on overdue loans that will be charged when the book is returned
+ *         accruingTotal:
+ *           type: number
+ *         statement:
+ *           type: object
+ *           properties:
+ *             openingBalance:
+ *               type: number
+ *             closingBalance:
+ *               type: number
+ *             entries:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/FineTransaction'
+ */
+
+/**
+ * @swagger
+ * /api/fines/me:
+ *   get:
+ *     summary: Get current user's fine balance and statement
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Fine account retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FineAccount'
+ */
+router.get('/me', authenticate, validateFineStatement, getMyFines);
+
+/**
+ * @swagger
+ * /api/fines/outstanding:
+ *   get:
+ *     summary: List patrons with an outstanding balance, largest first
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Outstanding balances retrieved successfully
+ */
+router.get('/outstanding', authenticate, requirePermission('fines.view'), getOutstandingBalances);
+
+/**
+ * @swagger
+ * /api/fines/users/{userId}:
+ *   get:
+ *     summary: Get a patron's fine balance and statement
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Fine account retrieved successfully
+ *       403:
+ *         description: Students can only view their own account
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:userId', authenticate, validateUserIdParam, validateFineStatement, getUserFines);
+
+/**
+ * @swagger
+ * /api/fines/users/{userId}/payments:
+ *   post:
+ *     summary: Record a payment
+ *     description: >
+ *       Applied to the given loan, or spread over outstanding charges oldest first.
+ *       Without an amount the whole outstanding balance is paid.
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               borrowId:
+ *                 type: string
+ *               method:
+ *                 type: string
+ *                 enum: [cash, card, online, other]
+ *               reference:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment recorded; returns the transactions and new balance
+ *       400:
+ *         description: Nothing outstanding or amount exceeds the balance
+ */
+router.post('/users/:userId/payments', authenticate, requirePermission('fines.collect'), auditRequest('fine.payment', { entityType: 'User', idParam: 'userId' }), validatePayment, recordPayment);
+
+/**
+ * @swagger
+ * /api/fines/users/{userId}/waivers:
+ *   post:
+ *     summary: Waive outstanding fines
+ *     description: Without an amount the whole outstanding balance is waived.
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               borrowId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Fines waived; returns the transactions and new balance
+ *       400:
+ *         description: Nothing outstanding or amount exceeds the balance
+ */
+router.post('/users/:userId/waivers', authenticate, requirePermission('fines.waive'), auditRequest('fine.waive', { entityType: 'User', idParam: 'userId' }), validateWaiver, waiveFines);
+
+/**
+ * @swagger
+ * /api/fines/users/{userId}/refunds:
+ *   post:
+ *     summary: Refund a patron's credit
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               method:
+ *                 type: string
+ *                 enum: [cash, card, online, other]
+ *               reference:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Refund recorded
+ *       400:
+ *         description: No credit or amount exceeds the credit
+ */
+router.post('/users/:userId/refunds', authenticate, requirePermission('fines.refund'), auditRequest('fine.refund', { entityType: 'User', idParam: 'userId' }), validateRefund, refundCredit);
+
+/**
+ * @swagger
+ * /api/fines/users/{userId}/charges:
+ *   post:
+ *     summary: Charge a patron, e.g. for a lost or damaged item
+ *     tags: [Fines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               borrowId:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [lost, damage, manual]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Charge recorded
+ *       404:
+ *         description: User or loan not found
+ */
+router.post('/users/:userId/charges', authenticate, requirePermission('fines.collect'), auditRequest('fine.charge', { entityType: 'User', idParam: 'userId' }), validateCharge, addCharge);
+
+module.exports = router;
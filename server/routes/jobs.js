@@ -0,0 +1,219 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getJobs,
+  getJob,
+  getJobRuns,
+  triggerJob,
+  pauseJob,
+  resumeJob
+} = require('../controllers/jobController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { auditRequest } = require('../utils/audit');
+const { validateJobName, validateJobRunsQuery } = require('../middleware/jobValidation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ScheduledJob:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         schedule:
+ *           type: string
+ *           description: Cron expression (minute hour day-of-month month day-of-week) in server local time
+ *         paused:
+ *           type: boolean
+ *         isRunning:
+ *           type: boolean
+ *         lockedBy:
+ *           type: string
+ *           nullable: true
+ *           description: Server instance running the job
+ *         nextRunAt:
+ *           type: string
+ *           format: date-time
+ *         lastRunAt:
+ *           type: string
+ *           format: date-time
+ *         lastStatus:
+ *           type: string
+ *           enum: [succeeded, failed]
+ *         lastError:
+ *           type: string
+ *         lastDurationMs:
+ *           type: integer
+ *     JobRun:
+ *       type: object
+ *       properties:
+ *         job:
+ *           type: string
+ *         trigger:
+ *           type: string
+ *           enum: [schedule, manual]
+ *         triggeredBy:
+ *           type: string
+ *         instance:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [running, succeeded, failed]
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *         durationMs:
+ *           type: integer
+ *         result:
+ *           type: object
+ *           description: Summary of what the run did
+ *         error:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: Get all scheduled background jobs
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Jobs retrieved successfully
+ */
+router.get('/', authenticate, requirePermission('jobs.manage'), getJobs);
+
+/**
+ * @swagger
+ * /api/jobs/{name}:
+ *   get:
+ *     summary: Get a scheduled job and its most recent runs
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job retrieved successfully
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:name', authenticate, requirePermission('jobs.manage'), validateJobName, getJob);
+
+/**
+ * @swagger
+ * /api/jobs/{name}/runs:
+ *   get:
+ *     summary: Get the run history of a scheduled job
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, succeeded, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Runs retrieved successfully
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:name/runs', authenticate, requirePermission('jobs.manage'), validateJobRunsQuery, getJobRuns);
+
+/**
+ * @swagger
+ * /api/jobs/{name}/run:
+ *   post:
+ *     summary: Run a job now and wait for it to finish. Paused jobs can be run this way
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job ran; `success` is false when the run failed
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is already running
+ */
+router.post('/:name/run', authenticate, requirePermission('jobs.manage'), auditRequest('job.run', { entityType: 'ScheduledJob', idParam: 'name' }), validateJobName, triggerJob);
+
+/**
+ * @swagger
+ * /api/jobs/{name}/pause:
+ *   post:
+ *     summary: Stop a job from running on its schedule
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job paused
+ *       404:
+ *         description: Job not found
+ */
+router.post('/:name/pause', authenticate, requirePermission('jobs.manage'), auditRequest('job.pause', { entityType: 'ScheduledJob', idParam: 'name' }), validateJobName, pauseJob);
+
+/**
+ * @swagger
+ * /api/jobs/{name}/resume:
+ *   post:
+ *     summary: Resume a paused job from its next scheduled time
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job resumed
+ *       404:
+ *         description: Job not found
+ */
+router.post('/:name/resume', authenticate, requirePermission('jobs.manage'), auditRequest('job.resume', { entityType: 'ScheduledJob', idParam: 'name' }), validateJobName, resumeJob);
+
+module.exports = router;
@@ -0,0 +1,262 @@
+const express = require('express');
+const router = express.Router();
+const {
+  startSession,
+  getSession,
+  endSession,
+  checkoutItem,
+  returnItem,
+  getReceipt,
+  getDevices,
+  registerDevice,
+  revokeDevice
+} = require('../controllers/kioskController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { auditRequest } = require('../utils/audit');
+const { authenticateKiosk, requireKioskSession } = require('../middleware/kioskAuth');
+const {
+  validateStartSession,
+  validateKioskItem,
+  validateRegisterDevice,
+  validateDeviceId
+} = require('../middleware/kioskValidation');
+
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     kioskToken:
+ *       type: apiKey
+ *       in: header
+ *       name: X-Kiosk-Token
+ *       description: Token issued when the kiosk device was registered
+ *     kioskSession:
+ *       type: apiKey
+ *       in: header
+ *       name: X-Kiosk-Session
+ *       description: Patron session token returned by POST /api/kiosk/session
+ */
+
+/**
+ * @swagger
+ * /api/kiosk/devices:
+ *   get:
+ *     summary: List kiosk devices
+ *     tags: [Kiosk]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Devices retrieved successfully
+ */
+router.get('/devices', authenticate, requirePermission('kiosk.manage'), getDevices);
+
+/**
+ * @swagger
+ * /api/kiosk/devices:
+ *   post:
+ *     summary: Register a kiosk device
+ *     description: Returns the device token once. Enter it on the kiosk's setup screen.
+ *     tags: [Kiosk]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Device registered with its token
+ */
+router.post('/devices', authenticate, requirePermission('kiosk.manage'), auditRequest('kiosk.device_register', { entityType: 'KioskDevice' }), validateRegisterDevice, registerDevice);
+
+/**
+ * @swagger
+ * /api/kiosk/devices/{id}:
+ *   delete:
+ *     summary: Revoke a kiosk device and end its sessions
+ *     tags: [Kiosk]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Device revoked
+ *       400:
+ *         description: Invalid device ID
+ *       404:
+ *         description: Device not found
+ */
+router.delete('/devices/:id', authenticate, requirePermission('kiosk.manage'), auditRequest('kiosk.device_revoke', { entityType: 'KioskDevice' }), validateDeviceId, revokeDevice);
+
+/**
+ * @swagger
+ * /api/kiosk/session:
+ *   post:
+ *     summary: Start a patron session by scanning a library card and entering a PIN
+ *     description: >
+ *       Patrons set their PIN with PUT /api/auth/me/kiosk-pin. Five wrong PINs in a row lock it
+ *       for 15 minutes.
+ *     tags: [Kiosk]
+ *     security:
+ *       - kioskToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - card
+ *               - pin
+ *             properties:
+ *               card:
+ *                 type: string
+ *                 description: Library card barcode or QR payload
+ *               pin:
+ *                 type: string
+ *                 description: The patron's kiosk PIN, 4 to 8 digits
+ *     responses:
+ *       201:
+ *         description: Session started; returns the session token, current loans and any blocks on borrowing
+ *       401:
+ *         description: Unknown or revoked kiosk device, or library card or PIN not recognised
+ *       403:
+ *         description: Patron account is deactivated, or the patron has not set a kiosk PIN
+ *       429:
+ *         description: The PIN is locked after too many wrong attempts
+ */
+router.post('/session', authenticateKiosk, validateStartSession, startSession);
+
+/**
+ * @swagger
+ * /api/kiosk/session:
+ *   get:
+ *     summary: Get the current patron session and loans
+ *     tags: [Kiosk]
+ *     security:
+ *       - kioskToken: []
+ *         kioskSession: []
+ *     responses:
+ *       200:
+ *         description: Session retrieved successfully
+ *       401:
+ *         description: Session expired
+ */
+router.get('/session', authenticateKiosk, requireKioskSession, getSession);
+
+/**
+ * @swagger
+ * /api/kiosk/session:
+ *   delete:
+ *     summary: End the current patron session
+ *     tags: [Kiosk]
+ *     security:
+ *       - kioskToken: []
+ *         kioskSession: []
+ *     responses:
+ *       200:
+ *         description: Session ended
+ */
+router.delete('/session', authenticateKiosk, requireKioskSession, endSession);
+
+/**
+ * @swagger
+ * /api/kiosk/checkout:
+ *   post:
+ *     summary: Check out a scanned item
+ *     tags: [Kiosk]
+ *     security:
+ *       - kioskToken: []
+ *         kioskSession: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - item
+ *             properties:
+ *               item:
+ *                 type: string
+ *                 description: Copy accession barcode, book QR payload or ISBN
+ *     responses:
+ *       201:
+ *         description: Item checked out
+ *       400:
+ *         description: Item not available or borrowing limit reached
+ *       403:
+ *         description: Patron is blocked from borrowing; `code` gives the reason
+ *       404:
+ *         description: Item not recognised
+ */
+router.post('/checkout', authenticateKiosk, requireKioskSession, validateKioskItem, checkoutItem);
+
+/**
+ * @swagger
+ * /api/kiosk/return:
+ *   post:
+ *     summary: Return a scanned item
+ *     tags: [Kiosk]
+ *     security:
+ *       - kioskToken: []
+ *         kioskSession: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - item
+ *             properties:
+ *               item:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Item returned
+ *       404:
+ *         description: Item not recognised or not on loan to the patron
+ */
+router.post('/return', authenticateKiosk, requireKioskSession, validateKioskItem, returnItem);
+
+/**
+ * @swagger
+ * /api/kiosk/receipt:
+ *   post:
+ *     summary: Get a receipt for the current session
+ *     tags: [Kiosk]
+ *     security:
+ *       - kioskToken: []
+ *         kioskSession: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: boolean
+ *                 description: Also email the receipt to the patron
+ *     responses:
+ *       200:
+ *         description: Receipt listing checked out items with due dates and returned items
+ */
+router.post('/receipt', authenticateKiosk, requireKioskSession, getReceipt);
+
+module.exports = router;
@@ -11,7 +11,8 @@ const {
   sendDueDateReminders,
   sendOverdueNotices
 } = require('../controllers/notificationController');
-const { authenticate, requireAdmin, requireAdminOrLibrarian } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { auditRequest } = require('../utils/audit');
 
 /**
  * @swagger
@@ -99,9 +100,9 @@ const { authenticate, requireAdmin, requireAdminOrLibrarian } = require('../midd
  *         description: Unauthorized
  */
 router.get('/', authenticate, getNotifications);
-router.get('/stats', authenticate, requireAdminOrLibrarian, getNotificationStats);
-router.post('/send-due-reminders', authenticate, requireAdminOrLibrarian, sendDueDateReminders);
-router.post('/send-overdue-notices', authenticate, requireAdminOrLibrarian, sendOverdueNotices);
+router.get('/stats', authenticate, requirePermission('reports.summary'), getNotificationStats);
+router.post('/send-due-reminders', authenticate, requirePermission('notifications.send'), auditRequest('notification.due_reminders'), sendDueDateReminders);
+router.post('/send-overdue-notices', authenticate, requirePermission('notifications.send'), auditRequest('notification.overdue_notices'), sendOverdueNotices);
 
 /**
  * @swagger
@@ -193,6 +194,6 @@ router.patch('/read-all', authenticate, markAllAsRead);
  *         description: Notification not found
  */
 router.delete('/:id', authenticate, deleteNotification);
-router.post('/', authenticate, requireAdminOrLibrarian, createNotification);
+router.post('/', authenticate, requirePermission('notifications.send'), createNotification);
 
 module.exports = router;
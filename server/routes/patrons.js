@@ -0,0 +1,261 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMyStanding,
+  getStanding,
+  updateMembership,
+  getBlocks,
+  addBlock,
+  liftBlock,
+  getOverrides
+} = require('../controllers/patronController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { auditRequest } = require('../utils/audit');
+const {
+  validatePatronParam,
+  validateMembership,
+  validateAddBlock,
+  validateLiftBlock,
+  validateOverrideQuery
+} = require('../middleware/patronValidation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PatronStanding:
+ *       type: object
+ *       properties:
+ *         blocked:
+ *           type: boolean
+ *         blocks:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 enum: [ACCOUNT_INACTIVE, MEMBERSHIP_EXPIRED, FINES_EXCEEDED, OVERDUE_EXCEEDED, MANUAL_BLOCK]
+ *               message:
+ *                 type: string
+ *               overridable:
+ *                 type: boolean
+ *                 description: Whether staff can override the block with a note
+ *         fineBalance:
+ *           type: number
+ *         overdueCount:
+ *           type: integer
+ *         membershipExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         limits:
+ *           type: object
+ *           properties:
+ *             maxFineBalance:
+ *               type: number
+ *             maxOverdueLoans:
+ *               type: integer
+ */
+
+/**
+ * @swagger
+ * /api/patrons/me/standing:
+ *   get:
+ *     summary: Get current user's borrowing standing
+ *     tags: [Patrons]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Standing retrieved successfully
+ */
+router.get('/me/standing', authenticate, getMyStanding);
+
+/**
+ * @swagger
+ * /api/patrons/overrides:
+ *   get:
+ *     summary: Get the audit log of staff block overrides
+ *     tags: [Patrons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: patron
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: staff
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [checkout, renewal, reservation]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Overrides retrieved successfully
+ */
+router.get('/overrides', authenticate, requirePermission('patrons.view'), validateOverrideQuery, getOverrides);
+
+/**
+ * @swagger
+ * /api/patrons/{userId}/standing:
+ *   get:
+ *     summary: Get a patron's borrowing standing
+ *     tags: [Patrons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Standing retrieved successfully
+ *       404:
+ *         description: User not found
+ */
+router.get('/:userId/standing', authenticate, requirePermission('patrons.view'), validatePatronParam, getStanding);
+
+/**
+ * @swagger
+ * /api/patrons/{userId}/membership:
+ *   put:
+ *     summary: Set or clear a patron's membership expiry date
+ *     tags: [Patrons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresAt:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *                 description: Omit or pass null for a membership that never expires
+ *     responses:
+ *       200:
+ *         description: Membership updated
+ *       404:
+ *         description: User not found
+ */
+router.put('/:userId/membership', authenticate, requirePermission('patrons.manage'), auditRequest('patron.membership_update', { entityType: 'User', idParam: 'userId' }), validateMembership, updateMembership);
+
+/**
+ * @swagger
+ * /api/patrons/{userId}/blocks:
+ *   get:
+ *     summary: Get a patron's manual blocks, including lifted ones
+ *     tags: [Patrons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Blocks retrieved successfully
+ */
+router.get('/:userId/blocks', authenticate, requirePermission('patrons.view'), validatePatronParam, getBlocks);
+
+/**
+ * @swagger
+ * /api/patrons/{userId}/blocks:
+ *   post:
+ *     summary: Block a patron from borrowing, renewing and reserving
+ *     tags: [Patrons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Lift the block automatically at this time
+ *     responses:
+ *       201:
+ *         description: Patron blocked
+ *       404:
+ *         description: User not found
+ */
+router.post('/:userId/blocks', authenticate, requirePermission('patrons.manage'), auditRequest('patron.block_add', { entityType: 'User', idParam: 'userId' }), validateAddBlock, addBlock);
+
+/**
+ * @swagger
+ * /api/patrons/{userId}/blocks/{blockId}:
+ *   delete:
+ *     summary: Lift a manual block
+ *     tags: [Patrons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: blockId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Block lifted
+ *       400:
+ *         description: Block is already lifted
+ *       404:
+ *         description: Block not found
+ */
+router.delete('/:userId/blocks/:blockId', authenticate, requirePermission('patrons.manage'), auditRequest('patron.block_lift', { entityType: 'PatronBlock', idParam: 'blockId' }), validateLiftBlock, liftBlock);
+
+module.exports = router;
@@ -0,0 +1,241 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPolicies,
+  getPolicyById,
+  resolvePolicy,
+  createPolicy,
+  updatePolicy,
+  deletePolicy
+} = require('../controllers/circulationPolicyController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { auditRequest } = require('../utils/audit');
+const {
+  validateCreatePolicy,
+  validateUpdatePolicy,
+  validateResolvePolicy
+} = require('../middleware/policyValidation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CirculationPolicy:
+ *       type: object
+ *       required:
+ *         - name
+ *         - loanPeriodDays
+ *         - renewalPeriodDays
+ *         - maxRenewals
+ *         - finePerDay
+ *         - maxFine
+ *         - maxLoans
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The auto-generated id of the policy
+ *         name:
+ *           type: string
+ *           description: Unique policy name
+ *         description:
+ *           type: string
+ *         userRole:
+ *           type: string
+ *           nullable: true
+ *           description: Key of the built-in or custom role the policy applies to (null matches any role)
+ *         patronCategory:
+ *           type: string
+ *           nullable: true
+ *           description: Patron category the policy applies to (null matches any category)
+ *         bookCategory:
+ *           type: string
+ *           nullable: true
+ *           description: Book category the policy applies to (null matches any category)
+ *         loanPeriodDays:
+ *           type: integer
+ *         renewalPeriodDays:
+ *           type: integer
+ *         maxRenewals:
+ *           type: integer
+ *         finePerDay:
+ *           type: number
+ *         maxFine:
+ *           type: number
+ *           description: Cap on the fine for a single loan
+ *         maxLoans:
+ *           type: integer
+ *           description: Maximum active loans for the patron
+ *         priority:
+ *           type: integer
+ *           description: Breaks ties between equally specific policies (higher wins)
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/policies:
+ *   get:
+ *     summary: Get circulation policies and the configured defaults
+ *     tags: [Circulation Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: userRole
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: bookCategory
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Policies retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticate, requirePermission('policies.view'), getPolicies);
+
+/**
+ * @swagger
+ * /api/policies/resolve:
+ *   get:
+ *     summary: Resolve the loan terms that apply to a user and book
+ *     description: Pass userId/bookId, or the raw userRole, patronCategory and bookCategory criteria.
+ *     tags: [Circulation Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: bookId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userRole
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: patronCategory
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: bookCategory
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Loan terms resolved successfully
+ *       404:
+ *         description: User or book not found
+ */
+router.get('/resolve', authenticate, requirePermission('policies.view'), validateResolvePolicy, resolvePolicy);
+
+/**
+ * @swagger
+ * /api/policies/{id}:
+ *   get:
+ *     summary: Get circulation policy by ID
+ *     tags: [Circulation Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Policy retrieved successfully
+ *       404:
+ *         description: Policy not found
+ */
+router.get('/:id', authenticate, requirePermission('policies.view'), getPolicyById);
+
+/**
+ * @swagger
+ * /api/policies:
+ *   post:
+ *     summary: Create a circulation policy
+ *     tags: [Circulation Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CirculationPolicy'
+ *     responses:
+ *       201:
+ *         description: Policy created successfully
+ *       400:
+ *         description: Invalid input
+ *       409:
+ *         description: A policy with this name already exists
+ */
+router.post('/', authenticate, requirePermission('policies.manage'), auditRequest('policy.create', { entityType: 'CirculationPolicy' }), validateCreatePolicy, createPolicy);
+
+/**
+ * @swagger
+ * /api/policies/{id}:
+ *   put:
+ *     summary: Update a circulation policy
+ *     description: Changes apply to new loans; existing loans keep the terms they were issued under.
+ *     tags: [Circulation Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CirculationPolicy'
+ *     responses:
+ *       200:
+ *         description: Policy updated successfully
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Policy not found
+ */
+router.put('/:id', authenticate, requirePermission('policies.manage'), auditRequest('policy.update', { entityType: 'CirculationPolicy' }), validateUpdatePolicy, updatePolicy);
+
+/**
+ * @swagger
+ * /api/policies/{id}:
+ *   delete:
+ *     summary: Delete a circulation policy
+ *     tags: [Circulation Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Policy deleted successfully
+ *       404:
+ *         description: Policy not found
+ */
+router.delete('/:id', authenticate, requirePermission('policies.manage'), auditRequest('policy.delete', { entityType: 'CirculationPolicy' }), deletePolicy);
+
+module.exports = router;
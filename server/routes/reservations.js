@@ -1,8 +1,11 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Reservation = require('../models/Reservation');
-const Book = require('../models/Book');
-const { authenticate, requireAdminOrLibrarian } = require('../middleware/auth');
+const User = require('../models/User');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { getStandingBlock } = require('../utils/patronStanding');
+const { closeReservation } = require('../utils/holdService');
 const { validationResult } = require('express-validator');
 
 /**
@@ -35,11 +38,18 @@ const { validationResult } = require('express-validator');
  *           description: Date when the reservation expires
  *         status:
  *           type: string
- *           enum: [active, fulfilled, expired, cancelled]
- *           description: Current status of the reservation
+ *           enum: [active, ready, fulfilled, expired, cancelled]
+ *           description: Current status of the reservation. `ready` means a copy is on the hold shelf waiting for pickup
  *         priority:
  *           type: integer
  *           description: Priority in the reservation queue
+ *         copy:
+ *           type: string
+ *           description: Copy on the hold shelf for the patron, once the reservation is ready
+ *         pickupBy:
+ *           type: string
+ *           format: date-time
+ *           description: Deadline to collect the held copy before it goes to the next patron
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -76,7 +86,7 @@ const { validationResult } = require('express-validator');
  *         name: status
  *         schema:
  *           type: string
- *           enum: [active, fulfilled, expired, cancelled]
+ *           enum: [active, ready, fulfilled, expired, cancelled]
  *         description: Filter by status
  *       - in: query
  *         name: user
@@ -97,7 +107,7 @@ const { validationResult } = require('express-validator');
 // @desc    Get all reservations
 // @route   GET /api/reservations
 // @access  Private (Admin/Librarian only)
-router.get('/', authenticate, requireAdminOrLibrarian, async (req, res) => {
+router.get('/', authenticate, requirePermission('reservations.view'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -179,7 +189,7 @@ router.get('/:id', authenticate, async (req, res) => {
     }
 
     // Check if user can access this reservation
-    if (req.user.role !== 'admin' && req.user.role !== 'librarian' &&
+    if (!req.permissions.has('reservations.view') &&
       reservation.user._id.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
@@ -221,6 +231,12 @@ router.get('/:id', authenticate, async (req, res) => {
  *               bookId:
  *                 type: string
  *                 description: ID of the book to reserve
+ *               userId:
+ *                 type: string
+ *                 description: Staff only. Patron to reserve the book for
+ *               overrideNote:
+ *                 type: string
+ *                 description: Staff only. Reserve despite the patron's blocks; the override is audit-logged
  *     responses:
  *       201:
  *         description: Reservation created successfully
@@ -228,13 +244,14 @@ router.get('/:id', authenticate, async (req, res) => {
  *         description: Invalid input or book available
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Patron is blocked; `code` gives the reason and `blocks` lists every block
  *       409:
  *         description: User already has an active reservation for this book
  */
 router.post('/', authenticate, async (req, res) => {
   try {
-    const { bookId } = req.body;
-    const userId = req.user._id;
+    const { bookId, overrideNote } = req.body;
 
     if (!bookId) {
       return res.status(400).json({
@@ -243,6 +260,44 @@ router.post('/', authenticate, async (req, res) => {
       });
     }
 
+    if (!mongoose.Types.ObjectId.isValid(bookId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid book ID'
+      });
+    }
+
+    // Staff can place a reservation on a patron's behalf
+    const userId = req.permissions.has('reservations.manage') && req.body.userId ? req.body.userId : req.user._id;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const patron = await User.findById(userId);
+    if (!patron) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Blocked patrons cannot reserve unless staff override with a note
+    const override = req.permissions.has('patrons.override') && overrideNote
+      ? { staff: req.user._id, note: String(overrideNote).trim(), action: 'reservation', book: bookId }
+      : null;
+    const block = await getStandingBlock(patron, override);
+    if (block) {
+      return res.status(block.status).json({
+        success: false,
+        message: block.message,
+        code: block.code,
+        blocks: block.blocks
+      });
+    }
+
     const reservation = await Reservation.createReservation(userId, bookId);
 
     const populatedReservation = await Reservation.findById(reservation._id)
@@ -290,7 +345,7 @@ router.post('/', authenticate, async (req, res) => {
  * @swagger
  * /api/reservations/{id}:
  *   delete:
- *     summary: Cancel a reservation
+ *     summary: Cancel a reservation. A copy held for it goes to the next patron in the queue
  *     tags: [Reservations]
  *     security:
  *       - bearerAuth: []
@@ -323,7 +378,7 @@ router.delete('/:id', authenticate, async (req, res) => {
     }
 
     // Check if user can cancel this reservation
-    if (req.user.role !== 'admin' && req.user.role !== 'librarian' &&
+    if (!req.permissions.has('reservations.manage') &&
       reservation.user.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
@@ -331,35 +386,14 @@ router.delete('/:id', authenticate, async (req, res) => {
       });
     }
 
-    if (reservation.status !== 'active') {
+    if (!['active', 'ready'].includes(reservation.status)) {
       return res.status(400).json({
         success: false,
         message: 'Only active reservations can be cancelled'
       });
     }
 
-    reservation.cancelReservation();
-    await reservation.save();
-
-    // Update book statistics
-    const book = await Book.findById(reservation.book);
-    if (book) {
-      book.cancelReservation();
-      await book.save();
-    }
-
-    // Update priorities for remaining reservations
-    await Reservation.updateMany(
-      {
-        book: reservation.book,
-        status: 'active',
-        isActive: true,
-        priority: { $gt: reservation.priority }
-      },
-      {
-        $inc: { priority: -1 }
-      }
-    );
+    await closeReservation(reservation._id);
 
     res.status(200).json({
       success: true,
@@ -367,6 +401,14 @@ router.delete('/:id', authenticate, async (req, res) => {
     });
   } catch (error) {
     console.error('Cancel reservation error:', error);
+
+    if (error.message === 'Only active reservations can be cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to cancel reservation',
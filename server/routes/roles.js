@@ -0,0 +1,174 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRoles,
+  getPermissionCatalogue,
+  createRole,
+  updateRole,
+  deleteRole
+} = require('../controllers/roleController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateCreateRole, validateUpdateRole } = require('../middleware/roleValidation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: Stored on users as their role
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *         isSystem:
+ *           type: boolean
+ *           description: Built-in roles (admin, librarian, student) cannot be deleted
+ *         userCount:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: List roles with their permissions and number of users
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ */
+router.get('/', authenticate, requirePermission('roles.manage', 'users.roles'), getRoles);
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: List the permissions roles can grant
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions retrieved successfully
+ */
+router.get('/permissions', authenticate, requirePermission('roles.manage', 'users.roles'), getPermissionCatalogue);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Create a role
+ *     description: Only permissions the caller holds can be granted.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - key
+ *               - name
+ *             properties:
+ *               key:
+ *                 type: string
+ *                 example: circulation-assistant
+ *               name:
+ *                 type: string
+ *                 example: Circulation assistant
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [circulation.view, circulation.checkout, patrons.view]
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       403:
+ *         description: Caller lacks some of the permissions
+ *       409:
+ *         description: A role with this key already exists
+ */
+router.post('/', authenticate, requirePermission('roles.manage'), validateCreateRole, createRole);
+
+/**
+ * @swagger
+ * /api/roles/{key}:
+ *   put:
+ *     summary: Update a role
+ *     description: The admin role's permissions cannot be changed. Only permissions the caller holds can be added or removed.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       403:
+ *         description: Caller lacks some of the permissions
+ *       404:
+ *         description: Role not found
+ */
+router.put('/:key', authenticate, requirePermission('roles.manage'), validateUpdateRole, updateRole);
+
+/**
+ * @swagger
+ * /api/roles/{key}:
+ *   delete:
+ *     summary: Delete a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       400:
+ *         description: Built-in roles cannot be deleted
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: Role is still assigned to users
+ */
+router.delete('/:key', authenticate, requirePermission('roles.manage'), deleteRole);
+
+module.exports = router;
@@ -1,11 +1,32 @@
 const express = require('express');
 const router = express.Router();
+const {
+  getUsers,
+  getUserById,
+  updateUser,
+  deactivateUser,
+  reactivateUser,
+  verifyUserEmail,
+  forceLogout,
+  resetTwoFactor,
+  syncDirectory
+} = require('../controllers/userController');
+const { exportUserData, eraseUserData } = require('../controllers/privacyController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  validateUserQuery,
+  validateUserParam,
+  validateUpdateUser,
+  validateAccountStatus,
+  validateUserErasure,
+  validateDirectorySync
+} = require('../middleware/userValidation');
 
 /**
  * @swagger
  * /api/users:
  *   get:
- *     summary: Get all users (admin only)
+ *     summary: Get all users (admin/librarian only)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -27,30 +48,76 @@ const router = express.Router();
  *         name: role
  *         schema:
  *           type: string
- *           enum: [student, admin, librarian]
- *         description: Filter by user role
+ *         description: Filter by role key
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive]
+ *         description: Filter by account status
+ *       - in: query
+ *         name: patronCategory
+ *         schema:
+ *           type: string
+ *         description: Filter by patron category
  *       - in: query
  *         name: search
  *         schema:
  *           type: string
- *         description: Search by name or email
+ *         description: Search by name, email or student ID
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, lastName, email, lastLogin]
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
  *     responses:
  *       200:
  *         description: List of users retrieved successfully
  *       401:
  *         description: Unauthorized
  *       403:
+ *         description: Forbidden (admin/librarian only)
+ */
+router.get('/', authenticate, requirePermission('users.view'), validateUserQuery, getUsers);
+
+/**
+ * @swagger
+ * /api/users/directory-sync:
+ *   post:
+ *     summary: Sync accounts with the LDAP directory
+ *     description: Runs the same sync as the nightly ldap-sync job. Creates and updates accounts keyed by student ID and deactivates synced accounts that left the directory. The report counts every change and lists up to 100 of them.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Report what would change without changing anything
+ *     responses:
+ *       200:
+ *         description: Sync report
+ *       400:
+ *         description: LDAP is not configured, or the search found no users
+ *       403:
  *         description: Forbidden (admin only)
  */
-router.get('/', (req, res) => {
-  res.status(501).json({ message: 'Get users endpoint - to be implemented' });
-});
+router.post('/directory-sync', authenticate, requirePermission('users.sync'), validateDirectorySync, syncDirectory);
 
 /**
  * @swagger
  * /api/users/{id}:
  *   get:
- *     summary: Get user by ID
+ *     summary: Get a user with their current loans, holds, fines and recent activity (admin/librarian only)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -66,18 +133,21 @@ router.get('/', (req, res) => {
  *         description: User retrieved successfully
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin/librarian only)
  *       404:
  *         description: User not found
  */
-router.get('/:id', (req, res) => {
-  res.status(501).json({ message: 'Get user by ID endpoint - to be implemented' });
-});
+router.get('/:id', authenticate, requirePermission('users.view'), validateUserParam, getUserById);
 
 /**
  * @swagger
  * /api/users/{id}:
  *   put:
- *     summary: Update user (admin only)
+ *     summary: Update user (admin/librarian only)
+ *     description: >
+ *       Only admins can change a user's role; role changes are recorded. Staff cannot edit users whose
+ *       role has permissions they lack. Use the deactivate and reactivate endpoints to change account status.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -102,30 +172,122 @@ router.get('/:id', (req, res) => {
  *               email:
  *                 type: string
  *                 format: email
+ *               phone:
+ *                 type: string
+ *               patronCategory:
+ *                 type: string
+ *               membershipExpiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
  *               role:
  *                 type: string
- *                 enum: [student, admin, librarian]
- *               isActive:
- *                 type: boolean
+ *                 description: Key of a built-in or custom role. Admin only
+ *               reason:
+ *                 type: string
+ *                 description: Recorded with a role change
  *     responses:
  *       200:
  *         description: User updated successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (role changes are admin only, and the user's role has permissions the caller lacks)
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Email is already in use
+ */
+router.put('/:id', authenticate, requirePermission('users.update'), validateUpdateUser, updateUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/deactivate:
+ *   post:
+ *     summary: Deactivate a user's account (admin only)
+ *     description: Refused while the user has items out unless `force` is set. The user's reservations are cancelled and their ready holds passed on. The deactivation is recorded.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               force:
+ *                 type: boolean
+ *                 description: Deactivate even though the user still has items out
+ *     responses:
+ *       200:
+ *         description: User deactivated successfully
+ *       400:
+ *         description: User is already deactivated, or is the current admin
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden (admin only)
  *       404:
  *         description: User not found
+ *       409:
+ *         description: User still has items out (`code` ITEMS_OUT)
  */
-router.put('/:id', (req, res) => {
-  res.status(501).json({ message: 'Update user endpoint - to be implemented' });
-});
+router.post('/:id/deactivate', authenticate, requirePermission('users.deactivate'), validateAccountStatus, deactivateUser);
 
 /**
  * @swagger
- * /api/users/{id}:
- *   delete:
- *     summary: Delete user (admin only)
+ * /api/users/{id}/reactivate:
+ *   post:
+ *     summary: Reactivate a deactivated account (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User reactivated successfully
+ *       400:
+ *         description: User is already active
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/reactivate', authenticate, requirePermission('users.deactivate'), validateAccountStatus, reactivateUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/verify-email:
+ *   post:
+ *     summary: Mark a user's email address verified (admin only)
+ *     description: For users who cannot use the verification link. The change is recorded.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -136,9 +298,19 @@ router.put('/:id', (req, res) => {
  *         schema:
  *           type: string
  *         description: User ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
  *     responses:
  *       200:
- *         description: User deleted successfully
+ *         description: Email marked as verified
+ *       400:
+ *         description: Email is already verified
  *       401:
  *         description: Unauthorized
  *       403:
@@ -146,8 +318,155 @@ router.put('/:id', (req, res) => {
  *       404:
  *         description: User not found
  */
-router.delete('/:id', (req, res) => {
-  res.status(501).json({ message: 'Delete user endpoint - to be implemented' });
-});
+router.post('/:id/verify-email', authenticate, requirePermission('users.security'), validateAccountStatus, verifyUserEmail);
+
+/**
+ * @swagger
+ * /api/users/{id}/logout:
+ *   post:
+ *     summary: Sign a user out of every device (admin only)
+ *     description: Revokes all of the user's sessions and invalidates their tokens immediately. The change is recorded.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User signed out of all sessions
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/logout', authenticate, requirePermission('users.security'), validateAccountStatus, forceLogout);
+
+/**
+ * @swagger
+ * /api/users/{id}/2fa/reset:
+ *   post:
+ *     summary: Turn off a user's two-factor authentication (admin only)
+ *     description: For users who lost their authenticator and recovery codes. The change is recorded.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *       400:
+ *         description: Two-factor authentication is not enabled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (admin only)
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/2fa/reset', authenticate, requirePermission('users.security'), validateAccountStatus, resetTwoFactor);
+
+/**
+ * @swagger
+ * /api/users/{id}/export:
+ *   get:
+ *     summary: Download everything stored about a user (subject access request)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Zip archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/export', authenticate, requirePermission('users.privacy'), validateUserParam, exportUserData);
+
+/**
+ * @swagger
+ * /api/users/{id}/erase:
+ *   post:
+ *     summary: Erase a user's personal data (erasure request)
+ *     description: >
+ *       The account is closed and its details removed; loan history is kept without them.
+ *       Audit events and account changes are kept with the user's email, names and student
+ *       ID replaced. Refused while the user has open loans or unpaid fines. The change is recorded.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Personal data erased
+ *       400:
+ *         description: Own account, or already erased
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Open loans or unpaid fines
+ */
+router.post('/:id/erase', authenticate, requirePermission('users.privacy'), validateUserErasure, eraseUserData);
 
 module.exports = router;
@@ -0,0 +1,132 @@
+const { EventEmitter } = require('events');
+const AuditEvent = require('../models/AuditEvent');
+const Book = require('../models/Book');
+const User = require('../models/User');
+const { auditRequest, diff, recordAudit, redact, snapshot } = require('../utils/audit');
+const { toCsvRow } = require('../utils/csv');
+
+describe('Audit log', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should list only the fields an update changed', () => {
+        const book = new Book({ title: 'Old title', author: 'Author', isbn: '9780306406157', category: 'Fiction' });
+        const before = snapshot(book);
+
+        book.title = 'New title';
+        book.isActive = false;
+
+        expect(diff(before, book)).toEqual([
+            { path: 'title', before: 'Old title', after: 'New title' },
+            { path: 'isActive', before: true, after: false }
+        ]);
+    });
+
+    it('should leave hidden fields such as password hashes out of snapshots', () => {
+        const user = new User({
+            email: 'student@example.com',
+            password: 'Secret123',
+            firstName: 'Test',
+            lastName: 'Student',
+            studentId: 'S1000001'
+        });
+        user.twoFactor.secret = 'JBSWY3DPEHPK3PXP';
+
+        const copy = snapshot(user);
+
+        expect(copy.email).toBe('student@example.com');
+        expect(copy).not.toHaveProperty('password');
+        expect(copy.twoFactor).not.toHaveProperty('secret');
+    });
+
+    it('should redact credentials in request bodies', () => {
+        expect(redact({
+            email: 'a@example.com',
+            password: 'Secret123',
+            twoFactorToken: 'abc',
+            code: '123456',
+            address: { zipCode: '12345' }
+        })).toEqual({
+            email: 'a@example.com',
+            password: '[redacted]',
+            twoFactorToken: '[redacted]',
+            code: '[redacted]',
+            address: { zipCode: '12345' }
+        });
+    });
+
+    it('should refuse to change or delete events', async () => {
+        await expect(AuditEvent.updateOne({}, { action: 'x' })).rejects.toThrow('Audit events cannot be changed or deleted');
+        await expect(AuditEvent.deleteMany({})).rejects.toThrow('Audit events cannot be changed or deleted');
+    });
+
+    it('should record the actor and request with each event', async () => {
+        const create = jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+        const req = {
+            user: { _id: 'u1', role: 'librarian', email: 'librarian@example.com' },
+            ip: '10.0.0.1',
+            requestId: 'req-12345678',
+            method: 'PUT',
+            baseUrl: '/api/books',
+            route: { path: '/:id' },
+            get: () => 'jest'
+        };
+
+        await recordAudit(req, {
+            action: 'book.update',
+            entity: { type: 'Book', id: 'b1', label: 'Title' },
+            before: { title: 'A' },
+            after: { title: 'B' }
+        });
+
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            actor: 'u1',
+            actorRole: 'librarian',
+            ip: '10.0.0.1',
+            requestId: 'req-12345678',
+            path: '/api/books/:id',
+            changes: [{ path: 'title', before: 'A', after: 'B' }]
+        }));
+    });
+
+    it('should not fail the action when an event cannot be written', async () => {
+        jest.spyOn(AuditEvent, 'create').mockRejectedValue(new Error('write failed'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(recordAudit(null, { action: 'job.run' })).resolves.toBeNull();
+    });
+
+    it('should record failed requests only when asked to', () => {
+        const create = jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+        const request = () => ({
+            params: { userId: 'u2' },
+            body: { amount: 5, password: 'x' },
+            query: {},
+            get: () => ''
+        });
+        const respond = (middleware, statusCode) => {
+            const res = new EventEmitter();
+            middleware(request(), res, () => {});
+            res.statusCode = statusCode;
+            res.emit('finish');
+        };
+
+        respond(auditRequest('fine.waive', { entityType: 'User', idParam: 'userId' }), 400);
+        expect(create).not.toHaveBeenCalled();
+
+        respond(auditRequest('auth.login', { failures: true }), 401);
+        respond(auditRequest('fine.waive', { entityType: 'User', idParam: 'userId' }), 200);
+
+        expect(create).toHaveBeenNthCalledWith(1, expect.objectContaining({ action: 'auth.login', outcome: 'failure', statusCode: 401 }));
+        expect(create).toHaveBeenNthCalledWith(2, expect.objectContaining({
+            action: 'fine.waive',
+            entity: { type: 'User', id: 'u2', label: undefined },
+            details: { body: { amount: 5, password: '[redacted]' } }
+        }));
+    });
+
+    it('should quote CSV values and defuse formulas', () => {
+        expect(toCsvRow(['plain', 'a,b', 'say "hi"', '=SUM(A1)', null])).toBe('plain,"a,b","say ""hi""",\'=SUM(A1),\r\n');
+    });
+});
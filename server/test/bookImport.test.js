@@ -0,0 +1,194 @@
+const ExcelJS = require('exceljs');
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const Copy = require('../models/Copy');
+const AuditEvent = require('../models/AuditEvent');
+const BookImport = require('../models/BookImport');
+const { importRow, isbnKey, parseImportFile, processBookImport, runQueuedImports } = require('../utils/bookImport');
+const { parseCsv } = require('../utils/csv');
+
+describe('Book import', () => {
+    const createdBy = new mongoose.Types.ObjectId();
+    const importOf = (options = {}) => ({ _id: new mongoose.Types.ObjectId(), createdBy, onDuplicate: 'skip', dryRun: false, ...options });
+    const dune = {
+        title: 'Dune',
+        author: 'Frank Herbert',
+        isbn: '978-0-441-01359-3',
+        category: 'Science Fiction',
+        totalCopies: '2'
+    };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should parse quoted CSV values and keep blank lines as rows', () => {
+        expect(parseCsv('\uFEFFa,b\r\n"x, y","say ""hi"""\n\n"two\nlines",z\n')).toEqual([
+            ['a', 'b'],
+            ['x, y', 'say "hi"'],
+            [''],
+            ['two\nlines', 'z']
+        ]);
+    });
+
+    it('should treat ISBN-10 and ISBN-13 forms of a book as the same', () => {
+        expect(isbnKey('0-306-40615-2')).toBe('9780306406157');
+        expect(isbnKey('ISBN 978 0 306 40615 7')).toBe('9780306406157');
+        expect(isbnKey('not an isbn')).toBeNull();
+    });
+
+    it('should map CSV columns to book fields', async () => {
+        const csv = 'Title,Author,ISBN,Category,Copies,Location Shelf,section,Tags,Notes\n' +
+            'Dune,Frank Herbert,9780441013593,Science Fiction,2,A1,SF,classic; desert,ignored\n\n' +
+            'Emma,Jane Austen,9780141439587,Fiction,1,,,,\n';
+
+        const parsed = await parseImportFile(Buffer.from(csv), 'books.csv');
+
+        expect(parsed.ignoredColumns).toEqual(['Notes']);
+        expect(parsed.rows).toEqual([
+            {
+                row: 2,
+                data: {
+                    title: 'Dune',
+                    author: 'Frank Herbert',
+                    isbn: '9780441013593',
+                    category: 'Science Fiction',
+                    totalCopies: '2',
+                    location: { shelf: 'A1', section: 'SF' },
+                    tags: ['classic', 'desert']
+                }
+            },
+            { row: 4, data: { title: 'Emma', author: 'Jane Austen', isbn: '9780141439587', category: 'Fiction', totalCopies: '1' } }
+        ]);
+    });
+
+    it('should read the first sheet of an Excel workbook', async () => {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('Books');
+        sheet.addRow(['title', 'author', 'isbn', 'category', 'totalCopies']);
+        sheet.addRow(['Dune', 'Frank Herbert', 9780441013593, 'Science Fiction', 2]);
+
+        const parsed = await parseImportFile(Buffer.from(await workbook.xlsx.writeBuffer()), 'books.xlsx');
+
+        expect(parsed.format).toBe('xlsx');
+        expect(parsed.rows[0].data).toMatchObject({ isbn: '9780441013593', totalCopies: '2' });
+    });
+
+    it('should refuse files it cannot use', async () => {
+        await expect(parseImportFile(Buffer.from('a,b\n1,2\n'), 'books.csv')).rejects.toThrow('No columns match book fields');
+        await expect(parseImportFile(Buffer.from('title,author\n'), 'books.csv')).rejects.toThrow('The file has no rows to import');
+        await expect(parseImportFile(Buffer.from('title'), 'books.txt')).rejects.toThrow('Only .csv, .xlsx, .mrc, .marc and .xml files can be imported');
+    });
+
+    it('should report every rule a row breaks', async () => {
+        const result = await importRow(importOf(), { row: 3, data: { title: 'Bad', isbn: 'nope', category: 'Nope', totalCopies: '0' } }, new Map(), new Map());
+
+        expect(result.outcome).toBe('failed');
+        expect(result.problems.map(problem => problem.field)).toEqual(['author', 'isbn', 'category', 'totalCopies']);
+    });
+
+    it('should skip books already in the catalogue and repeated ISBNs in the file', async () => {
+        const existing = { _id: new mongoose.Types.ObjectId(), isActive: true };
+        const catalogue = new Map([['9780441013593', existing]]);
+        const seen = new Map();
+
+        const skipped = await importRow(importOf(), { row: 2, data: dune }, catalogue, seen);
+        const repeated = await importRow(importOf(), { row: 5, data: { ...dune, isbn: '0441013597' } }, catalogue, seen);
+
+        expect(skipped).toMatchObject({ outcome: 'skipped', book: existing._id });
+        expect(repeated).toMatchObject({ outcome: 'failed', problems: [{ field: 'isbn', message: 'Same ISBN as row 2' }] });
+    });
+
+    it('should not change the catalogue on a dry run', async () => {
+        const create = jest.spyOn(Book, 'create');
+        const existing = { _id: new mongoose.Types.ObjectId(), isActive: true };
+        const catalogue = new Map([['9780441013593', existing]]);
+
+        const created = await importRow(importOf({ dryRun: true }), { row: 2, data: { ...dune, isbn: '9780141439587' } }, catalogue, new Map());
+        const merged = await importRow(importOf({ dryRun: true, onDuplicate: 'merge' }), { row: 3, data: { isbn: dune.isbn, tags: ['classic'] } }, catalogue, new Map());
+
+        expect(created.outcome).toBe('created');
+        expect(merged).toMatchObject({ outcome: 'updated', book: existing._id });
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should create the book and its copies', async () => {
+        jest.spyOn(Book, 'create').mockImplementation(async data => new Book(data));
+        const createCopies = jest.spyOn(Copy, 'createCopiesForBook').mockResolvedValue([]);
+        jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+        const catalogue = new Map();
+
+        const result = await importRow(importOf(), { row: 2, data: dune }, catalogue, new Map());
+
+        expect(result.outcome).toBe('created');
+        expect(createCopies).toHaveBeenCalledWith(expect.objectContaining({ title: 'Dune', totalCopies: 2 }), 2, { addedBy: createdBy });
+        expect(catalogue.get('9780441013593')._id).toEqual(result.book);
+    });
+
+    it('should fail imports left running past the timeout instead of running them again', async () => {
+        const updateMany = jest.spyOn(BookImport, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+        jest.spyOn(BookImport, 'findOne').mockReturnValue({
+            sort: () => ({ select: () => Promise.resolve(null) })
+        });
+
+        const result = await runQueuedImports();
+
+        expect(result).toEqual({ processed: 0, stalled: 1 });
+        const [filter, update] = updateMany.mock.calls[0];
+        expect(filter.status).toBe('running');
+        expect(filter.$or[0].heartbeatAt.$lt.getTime()).toBeLessThanOrEqual(Date.now() - 60 * 60 * 1000);
+        expect(update).toMatchObject({ status: 'failed', finishedAt: expect.any(Date) });
+    });
+
+    describe('processBookImport', () => {
+        const running = () => new BookImport({ ...importOf({ dryRun: true }), status: 'running', fileName: 'books.csv', format: 'csv', rows: [{ row: 2, data: dune }] });
+
+        beforeEach(() => {
+            jest.spyOn(Book, 'find').mockReturnValue({ select: async () => [] });
+        });
+
+        it('should store the report once the import finishes', async () => {
+            const bookImport = running();
+            const update = jest.spyOn(BookImport, 'findOneAndUpdate')
+                .mockResolvedValueOnce(bookImport)
+                .mockResolvedValueOnce(bookImport);
+
+            await expect(processBookImport(bookImport._id)).resolves.toBe(bookImport);
+
+            const [filter, outcome] = update.mock.calls[1];
+            expect(filter).toEqual({ _id: bookImport._id, status: 'running' });
+            expect(outcome).toMatchObject({ status: 'completed', summary: { total: 1, created: 1 }, rows: [], finishedAt: expect.any(Date) });
+        });
+
+        it('should leave an import failed as stalled while it ran failed', async () => {
+            const bookImport = running();
+            const failed = { _id: bookImport._id, status: 'failed' };
+            jest.spyOn(BookImport, 'findOneAndUpdate')
+                .mockResolvedValueOnce(bookImport)
+                .mockResolvedValueOnce(null);
+            jest.spyOn(BookImport, 'findById').mockResolvedValue(failed);
+
+            await expect(processBookImport(bookImport._id)).resolves.toBe(failed);
+        });
+
+        it('should stop once it has been marked failed', async () => {
+            const bookImport = running();
+            bookImport.rows.push({ row: 3, data: { ...dune, isbn: '9780141439587' } });
+            const update = jest.spyOn(BookImport, 'findOneAndUpdate')
+                .mockResolvedValueOnce(bookImport)
+                .mockResolvedValueOnce(null);
+            jest.spyOn(BookImport, 'findById').mockResolvedValue({ _id: bookImport._id, status: 'failed' });
+            const heartbeat = jest.spyOn(BookImport, 'updateOne').mockResolvedValue({ matchedCount: 0, modifiedCount: 0 });
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const now = Date.now();
+            jest.spyOn(Date, 'now')
+                .mockReturnValueOnce(now)
+                .mockReturnValue(now + 2 * 60 * 1000);
+
+            await processBookImport(bookImport._id);
+
+            expect(heartbeat).toHaveBeenCalledWith({ _id: bookImport._id, status: 'running' }, { heartbeatAt: expect.any(Date) });
+            expect(update.mock.calls[1][1]).toMatchObject({ status: 'failed', error: 'Import was stopped while it was running' });
+        });
+    });
+});
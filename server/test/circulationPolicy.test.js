@@ -0,0 +1,110 @@
+const { validationResult } = require('express-validator');
+const CirculationPolicy = require('../models/CirculationPolicy');
+const Borrow = require('../models/Borrow');
+const Role = require('../models/Role');
+const { validateCreatePolicy } = require('../middleware/policyValidation');
+const config = require('../config');
+
+describe('Circulation policies', () => {
+    const policies = [
+        { name: 'Everyone', userRole: null, patronCategory: null, bookCategory: null, priority: 0 },
+        { name: 'Students', userRole: 'student', patronCategory: null, bookCategory: null, priority: 0 },
+        { name: 'Student reference', userRole: 'student', patronCategory: null, bookCategory: 'Reference', priority: 0 },
+        { name: 'Graduate', userRole: 'student', patronCategory: 'graduate', bookCategory: null, priority: 5 }
+    ];
+
+    describe('pickBestMatch', () => {
+        it('should prefer the most specific matching policy', () => {
+            const match = CirculationPolicy.pickBestMatch(policies, {
+                userRole: 'student',
+                bookCategory: 'Reference'
+            });
+
+            expect(match.name).toBe('Student reference');
+        });
+
+        it('should use priority to break ties between equally specific policies', () => {
+            const match = CirculationPolicy.pickBestMatch(policies, {
+                userRole: 'student',
+                patronCategory: 'graduate',
+                bookCategory: 'Reference'
+            });
+
+            expect(match.name).toBe('Graduate');
+        });
+
+        it('should fall back to wildcard policies', () => {
+            const match = CirculationPolicy.pickBestMatch(policies, {
+                userRole: 'librarian',
+                bookCategory: 'Fiction'
+            });
+
+            expect(match.name).toBe('Everyone');
+        });
+
+        it('should return null when nothing matches', () => {
+            expect(CirculationPolicy.pickBestMatch(policies.slice(1), { userRole: 'admin' })).toBeNull();
+        });
+    });
+
+    describe('roles', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        const validate = async (userRole) => {
+            const req = {
+                body: { name: 'Archivists', userRole, loanPeriodDays: 28, renewalPeriodDays: 14, maxRenewals: 2, finePerDay: 0, maxFine: 0, maxLoans: 20 }
+            };
+            await Promise.all(validateCreatePolicy.map(rule => rule.run(req)));
+            return validationResult(req).array().map(error => error.msg);
+        };
+
+        it('should accept policies for custom roles and refuse unknown ones', async () => {
+            jest.spyOn(Role, 'exists').mockImplementation(async ({ key }) => (key === 'archivist' ? { _id: key } : null));
+
+            await expect(validate('archivist')).resolves.toEqual([]);
+            await expect(validate('librarian')).resolves.toEqual([]);
+            await expect(validate('')).resolves.toEqual([]);
+            await expect(validate('superuser')).resolves.toEqual(['Role does not exist']);
+
+            const policy = new CirculationPolicy({ name: 'Archivists', userRole: 'Archivist', loanPeriodDays: 28, renewalPeriodDays: 14, maxRenewals: 2, finePerDay: 0, maxFine: 0, maxLoans: 20 });
+            expect(policy.validateSync()).toBeUndefined();
+            expect(policy.userRole).toBe('archivist');
+        });
+    });
+
+    describe('loan terms', () => {
+        it('should use the configured defaults when no policy matches', () => {
+            const terms = CirculationPolicy.toTerms(null);
+
+            expect(terms.loanPeriodDays).toBe(config.BORROW_DURATION_DAYS);
+            expect(terms.maxRenewals).toBe(config.MAX_RENEWALS);
+            expect(terms.maxLoans).toBe(config.MAX_LOANS);
+        });
+
+        it('should calculate fines from the loan\'s own terms', () => {
+            const borrow = new Borrow({
+                status: 'overdue',
+                dueDate: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000),
+                loanTerms: { finePerDay: 0.5, maxFine: 3 }
+            });
+
+            expect(borrow.calculateFine()).toBe(3);
+        });
+
+        it('should allow renewals up to the loan\'s own limit', () => {
+            const borrow = new Borrow({
+                status: 'borrowed',
+                dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+                renewals: 2,
+                loanTerms: { maxRenewals: 3, renewalPeriodDays: 10 }
+            });
+
+            expect(borrow.canRenew).toBe(true);
+            borrow.renewBook();
+            expect(borrow.renewals).toBe(3);
+            expect(borrow.canRenew).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const Copy = require('../models/Copy');
+const Counter = require('../models/Counter');
+const { query } = require('./helpers');
+
+describe('Copy model', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('generateBarcode', () => {
+        it('should take the next number from the barcode counter', async () => {
+            const advance = jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({ _id: 'copyBarcode', seq: 42 });
+            const findOne = jest.spyOn(Copy, 'findOne');
+
+            await expect(Copy.generateBarcode()).resolves.toBe('ACC00000042');
+            expect(advance).toHaveBeenCalledWith({ _id: 'copyBarcode' }, { $inc: { seq: 1 } }, { new: true });
+            expect(findOne).not.toHaveBeenCalled();
+        });
+
+        it('should start the counter after the highest barcode already used', async () => {
+            jest.spyOn(Counter, 'findOneAndUpdate')
+                .mockResolvedValueOnce(null)
+                .mockResolvedValueOnce({ _id: 'copyBarcode', seq: 108 });
+            const create = jest.spyOn(Counter, 'updateOne').mockResolvedValue({ upsertedCount: 1 });
+            jest.spyOn(Copy, 'findOne').mockReturnValue(query({ barcode: 'ACC00000107' }));
+
+            await expect(Copy.generateBarcode()).resolves.toBe('ACC00000108');
+            expect(create).toHaveBeenCalledWith({ _id: 'copyBarcode' }, { $setOnInsert: { seq: 107 } }, { upsert: true });
+        });
+
+        it('should start from one in an empty catalogue', async () => {
+            jest.spyOn(Counter, 'findOneAndUpdate')
+                .mockResolvedValueOnce(null)
+                .mockResolvedValueOnce({ _id: 'copyBarcode', seq: 1 });
+            const create = jest.spyOn(Counter, 'updateOne').mockResolvedValue({ upsertedCount: 1 });
+            jest.spyOn(Copy, 'findOne').mockReturnValue(query(null));
+
+            await expect(Copy.generateBarcode()).resolves.toBe('ACC00000001');
+            expect(create).toHaveBeenCalledWith({ _id: 'copyBarcode' }, { $setOnInsert: { seq: 0 } }, { upsert: true });
+        });
+
+        it('should use the counter another request created at the same time', async () => {
+            jest.spyOn(Counter, 'findOneAndUpdate')
+                .mockResolvedValueOnce(null)
+                .mockResolvedValueOnce({ _id: 'copyBarcode', seq: 6 });
+            jest.spyOn(Counter, 'updateOne').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+            jest.spyOn(Copy, 'findOne').mockReturnValue(query({ barcode: 'ACC00000004' }));
+
+            await expect(Copy.generateBarcode()).resolves.toBe('ACC00000006');
+        });
+
+        it('should pass on other errors creating the counter', async () => {
+            jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue(null);
+            jest.spyOn(Counter, 'updateOne').mockRejectedValue(new Error('connection lost'));
+            jest.spyOn(Copy, 'findOne').mockReturnValue(query(null));
+
+            await expect(Copy.generateBarcode()).rejects.toThrow('connection lost');
+        });
+    });
+
+    describe('createCopiesForBook', () => {
+        it('should give every copy its own barcode and the book defaults', async () => {
+            let seq = 10;
+            jest.spyOn(Counter, 'findOneAndUpdate').mockImplementation(async () => ({ _id: 'copyBarcode', seq: ++seq }));
+            const create = jest.spyOn(Copy, 'create').mockImplementation(async data => new Copy(data));
+            const book = { _id: new mongoose.Types.ObjectId(), location: { shelf: 'A1' }, price: 12 };
+            const addedBy = new mongoose.Types.ObjectId();
+
+            const copies = await Copy.createCopiesForBook(book, 3, { addedBy });
+
+            expect(copies.map(copy => copy.barcode)).toEqual(['ACC00000011', 'ACC00000012', 'ACC00000013']);
+            expect(create).toHaveBeenCalledTimes(3);
+            expect(create).toHaveBeenCalledWith(expect.objectContaining({ book: book._id, price: 12, addedBy }));
+        });
+    });
+
+    it('should only be lendable while available and active', () => {
+        const copy = new Copy({ book: new mongoose.Types.ObjectId(), barcode: 'acc00000001' });
+
+        expect(copy.barcode).toBe('ACC00000001');
+        expect(copy.isLendable).toBe(true);
+
+        copy.status = 'on_loan';
+        expect(copy.isLendable).toBe(false);
+
+        copy.status = 'available';
+        copy.isActive = false;
+        expect(copy.isLendable).toBe(false);
+    });
+});
@@ -0,0 +1,40 @@
+const { parseSchedule, getNextRun } = require('../utils/cronSchedule');
+
+describe('Cron schedules', () => {
+    // Friday 31 January 2025, 10:07:30 local time
+    const from = new Date(2025, 0, 31, 10, 7, 30);
+
+    it('should find the next run of step and fixed-time schedules', () => {
+        expect(getNextRun('*/15 * * * *', from)).toEqual(new Date(2025, 0, 31, 10, 15));
+        expect(getNextRun('0 8 * * *', from)).toEqual(new Date(2025, 1, 1, 8, 0));
+    });
+
+    it('should always run strictly after the given time', () => {
+        expect(getNextRun('0 8 * * *', new Date(2025, 0, 31, 8, 0))).toEqual(new Date(2025, 1, 1, 8, 0));
+    });
+
+    it('should roll over month ends and match weekdays', () => {
+        expect(getNextRun('0 0 1 * *', from)).toEqual(new Date(2025, 1, 1, 0, 0));
+        expect(getNextRun('30 3 * * 0', from)).toEqual(new Date(2025, 1, 2, 3, 30));
+        expect(getNextRun('30 3 * * 7', from)).toEqual(new Date(2025, 1, 2, 3, 30));
+    });
+
+    it('should support ranges with steps', () => {
+        expect(getNextRun('0 9-17/2 * * 1-5', from)).toEqual(new Date(2025, 0, 31, 11, 0));
+        // Saturday and Sunday are skipped
+        expect(getNextRun('0 9-17/2 * * 1-5', new Date(2025, 0, 31, 17, 0))).toEqual(new Date(2025, 1, 3, 9, 0));
+    });
+
+    it('should run on either day field when both are restricted', () => {
+        // The 13th of the month or any Friday
+        expect(getNextRun('0 0 13 * 5', from)).toEqual(new Date(2025, 1, 7, 0, 0));
+        expect(getNextRun('0 0 13 * 5', new Date(2025, 1, 8))).toEqual(new Date(2025, 1, 13, 0, 0));
+    });
+
+    it('should reject malformed schedules', () => {
+        expect(() => parseSchedule('0 8 * *')).toThrow('five fields');
+        expect(() => parseSchedule('61 * * * *')).toThrow('minute must be between 0 and 59');
+        expect(() => parseSchedule('0 17-9 * * *')).toThrow('Invalid hour range');
+        expect(() => getNextRun('0 0 31 2 *', from)).toThrow('never runs');
+    });
+});
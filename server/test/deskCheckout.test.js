@@ -0,0 +1,173 @@
+jest.mock('../utils/circulationService', () => ({
+    ...jest.requireActual('../utils/circulationService'),
+    resolveItem: jest.fn(),
+    getPatronBlock: jest.fn(),
+    getCheckoutBlock: jest.fn(),
+    checkout: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Borrow = require('../models/Borrow');
+const { resolveItem, getPatronBlock, getCheckoutBlock, checkout } = require('../utils/circulationService');
+const { deskCheckout } = require('../controllers/borrowController');
+const { query, response } = require('./helpers');
+
+describe('Desk checkout', () => {
+    const staffId = new mongoose.Types.ObjectId();
+    const patron = new User({
+        firstName: 'Ada',
+        lastName: 'Lovelace',
+        email: 'ada@example.com',
+        password: 'password123',
+        role: 'student',
+        studentId: 'STU000001'
+    });
+    const finesBlock = {
+        status: 403,
+        code: 'PATRON_BLOCKED',
+        message: 'Patron cannot borrow',
+        blocks: [{ code: 'FINES_EXCEEDED', overridable: true }]
+    };
+
+    const requestFor = (body, permissions = ['circulation.checkout']) => ({
+        body: { patron: 'STU000001', items: ['ACC00000001'], ...body },
+        user: { _id: staffId },
+        permissions: new Set(permissions)
+    });
+
+    const lendable = () => {
+        const book = { _id: new mongoose.Types.ObjectId() };
+        const copy = { _id: new mongoose.Types.ObjectId(), barcode: 'ACC00000001' };
+        resolveItem.mockResolvedValue({ book, copy });
+        getCheckoutBlock.mockResolvedValue(null);
+        checkout.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+        jest.spyOn(Borrow, 'findById').mockReturnValue(query({ book: book._id, copy: copy._id }));
+        return { book, copy };
+    };
+
+    beforeEach(() => {
+        jest.spyOn(User, 'findByPatronIdentifier').mockResolvedValue(patron);
+        getPatronBlock.mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        jest.resetAllMocks();
+        jest.restoreAllMocks();
+    });
+
+    describe('patron lookup', () => {
+        it('should find the patron by card barcode, email or card QR payload', () => {
+            const findOne = jest.spyOn(User, 'findOne').mockReturnValue(query(patron));
+            const findById = jest.spyOn(User, 'findById').mockReturnValue(query(patron));
+            User.findByPatronIdentifier.mockRestore();
+
+            User.findByPatronIdentifier(' stu000001 ');
+            User.findByPatronIdentifier('Ada@Example.com');
+            User.findByPatronIdentifier(JSON.stringify({ type: 'user', id: patron._id.toString() }));
+
+            expect(findOne).toHaveBeenCalledWith({ studentId: 'STU000001' });
+            expect(findOne).toHaveBeenCalledWith({ email: 'ada@example.com' });
+            expect(findById).toHaveBeenCalledWith(patron._id.toString());
+        });
+
+        it('should not look up an empty identifier', async () => {
+            const findOne = jest.spyOn(User, 'findOne');
+            User.findByPatronIdentifier.mockRestore();
+
+            await expect(User.findByPatronIdentifier('  ')).resolves.toBeNull();
+            expect(findOne).not.toHaveBeenCalled();
+        });
+
+        it('should report an unknown patron', async () => {
+            User.findByPatronIdentifier.mockResolvedValue(null);
+            const res = response();
+
+            await deskCheckout(requestFor({ patron: 'STU999999' }), res);
+
+            expect(User.findByPatronIdentifier).toHaveBeenCalledWith('STU999999');
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Patron not found' });
+            expect(resolveItem).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('overrides', () => {
+        it('should turn away a blocked patron without checking any item', async () => {
+            getPatronBlock.mockResolvedValue(finesBlock);
+            const res = response();
+
+            await deskCheckout(requestFor(), res);
+
+            expect(getPatronBlock).toHaveBeenCalledWith(patron, null);
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'PATRON_BLOCKED', blocks: finesBlock.blocks }));
+            expect(resolveItem).not.toHaveBeenCalled();
+        });
+
+        it('should pass the override note on for staff allowed to override', async () => {
+            lendable();
+            const res = response();
+
+            await deskCheckout(requestFor({ overrideNote: 'Fine paid in cash' }, ['circulation.checkout', 'patrons.override']), res);
+
+            expect(getPatronBlock).toHaveBeenCalledWith(patron, { staff: staffId, note: 'Fine paid in cash' });
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json.mock.calls[0][0].data.summary).toEqual({ total: 1, succeeded: 1, failed: 0 });
+        });
+
+        it('should ignore the override note from staff without the override permission', async () => {
+            getPatronBlock.mockResolvedValue(finesBlock);
+            const res = response();
+
+            await deskCheckout(requestFor({ overrideNote: 'Fine paid in cash' }), res);
+
+            expect(getPatronBlock).toHaveBeenCalledWith(patron, null);
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(checkout).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('items', () => {
+        it('should check each item out on its own and report the outcome of each', async () => {
+            const { book, copy } = lendable();
+            resolveItem
+                .mockResolvedValueOnce(null)
+                .mockResolvedValueOnce({ book, copy })
+                .mockResolvedValueOnce({ book, copy });
+            getCheckoutBlock
+                .mockResolvedValueOnce({ status: 400, code: 'COPY_UNAVAILABLE', message: 'Copy ACC00000002 is not available for borrowing' })
+                .mockResolvedValueOnce(null);
+            const res = response();
+
+            await deskCheckout(requestFor({ items: ['UNKNOWN', 'ACC00000002', 'ACC00000001'], notes: 'Desk loan' }), res);
+
+            const { data, message, success } = res.json.mock.calls[0][0];
+            expect(success).toBe(true);
+            expect(message).toBe('1 of 3 items checked out');
+            expect(data.results.map(result => [result.item, result.success, result.message])).toEqual([
+                ['UNKNOWN', false, 'Item not found'],
+                ['ACC00000002', false, 'Copy ACC00000002 is not available for borrowing'],
+                ['ACC00000001', true, 'Checked out']
+            ]);
+            expect(getCheckoutBlock).toHaveBeenCalledWith(patron, book, copy, { skipPatronBlock: true });
+            expect(checkout).toHaveBeenCalledTimes(1);
+            expect(checkout).toHaveBeenCalledWith({ patron, book, copy, borrowedBy: staffId, notes: 'Desk loan' });
+        });
+
+        it('should report a duplicate loan found while checking out', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            lendable();
+            checkout.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+            const res = response();
+
+            await deskCheckout(requestFor(), res);
+
+            const { data, success } = res.json.mock.calls[0][0];
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(success).toBe(false);
+            expect(data.results[0]).toMatchObject({ success: false, message: 'Patron already has this book borrowed' });
+            expect(data.summary).toEqual({ total: 1, succeeded: 0, failed: 1 });
+        });
+    });
+});
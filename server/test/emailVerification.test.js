@@ -0,0 +1,48 @@
+const User = require('../models/User');
+const { authenticate } = require('../middleware/auth');
+const { query, response } = require('./helpers');
+
+describe('Email verification', () => {
+    const newUser = () => new User({
+        email: 'reader@example.com',
+        password: 'Secret123',
+        firstName: 'Test',
+        lastName: 'Reader'
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should verify the address the link was sent to', async () => {
+        const user = newUser();
+        const verificationToken = user.createEmailVerificationToken();
+        const update = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(user);
+
+        await expect(User.consumeEmailVerificationToken(verificationToken)).resolves.toBe(user);
+        expect(update).toHaveBeenCalledWith(
+            { _id: user._id.toString(), email: 'reader@example.com', emailVerificationToken: user.emailVerificationToken },
+            { $set: { isEmailVerified: true }, $unset: { emailVerificationToken: 1 } },
+            { new: true }
+        );
+    });
+
+    it('should not take an access token as a verification link', async () => {
+        const update = jest.spyOn(User, 'findOneAndUpdate');
+
+        await expect(User.consumeEmailVerificationToken(newUser().generateAuthToken())).resolves.toBeNull();
+        expect(update).not.toHaveBeenCalled();
+    });
+
+    it('should not sign anyone in with a verification link', async () => {
+        const user = newUser();
+        jest.spyOn(User, 'findById').mockReturnValue(query(user));
+        const res = response();
+        const next = jest.fn();
+
+        await authenticate({ headers: { authorization: `Bearer ${user.createEmailVerificationToken()}` } }, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(next).not.toHaveBeenCalled();
+    });
+});
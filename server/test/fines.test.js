@@ -0,0 +1,378 @@
+const mongoose = require('mongoose');
+const FineTransaction = require('../models/FineTransaction');
+const Borrow = require('../models/Borrow');
+const LibraryCalendar = require('../models/LibraryCalendar');
+const { recordPayment, waiveFines, refundCredit } = require('../controllers/fineController');
+const { query, response } = require('./helpers');
+
+describe('Fines ledger', () => {
+    const userId = new mongoose.Types.ObjectId();
+
+    describe('FineTransaction', () => {
+        it('should increase the balance for charges and refunds', () => {
+            const charge = new FineTransaction({ user: userId, type: 'charge', amount: 4.5 });
+            const refund = new FineTransaction({ user: userId, type: 'refund', amount: 1 });
+
+            expect(charge.signedAmount).toBe(4.5);
+            expect(refund.signedAmount).toBe(1);
+        });
+
+        it('should reduce the balance for payments and waivers', () => {
+            const payment = new FineTransaction({ user: userId, type: 'payment', amount: 2 });
+            const waiver = new FineTransaction({ user: userId, type: 'waiver', amount: 0.5 });
+
+            expect(payment.signedAmount).toBe(-2);
+            expect(waiver.signedAmount).toBe(-0.5);
+        });
+
+        it('should reject zero and negative amounts', () => {
+            const transaction = new FineTransaction({ user: userId, type: 'payment', amount: 0 });
+            const error = transaction.validateSync();
+
+            expect(error.errors.amount).toBeDefined();
+        });
+
+        it('should reject unknown transaction types', () => {
+            const transaction = new FineTransaction({ user: userId, type: 'credit', amount: 1 });
+            const error = transaction.validateSync();
+
+            expect(error.errors.type).toBeDefined();
+        });
+    });
+
+    describe('ledger', () => {
+        const staffId = new mongoose.Types.ObjectId();
+        const olderLoan = new mongoose.Types.ObjectId();
+        const newerLoan = new mongoose.Types.ObjectId();
+
+        let create;
+
+        beforeEach(() => {
+            create = jest.spyOn(FineTransaction, 'create').mockImplementation(async entries => entries.map(entry => new FineTransaction(entry)));
+            jest.spyOn(FineTransaction, 'syncBorrowFineStatus').mockResolvedValue();
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        describe('getOutstandingByBorrow', () => {
+            it('should list what is owed on each loan, oldest first', async () => {
+                jest.spyOn(FineTransaction, 'aggregate').mockReturnValue(query([
+                    { _id: olderLoan, balance: 4.5 },
+                    { _id: newerLoan, balance: 0 },
+                    { _id: null, balance: 2 }
+                ]));
+
+                await expect(FineTransaction.getOutstandingByBorrow(userId)).resolves.toEqual([
+                    { borrow: olderLoan, balance: 4.5 },
+                    { borrow: null, balance: 2 }
+                ]);
+            });
+
+            it('should set credit on one loan against what is owed on the others', async () => {
+                jest.spyOn(FineTransaction, 'aggregate').mockReturnValue(query([
+                    { _id: olderLoan, balance: -5 },
+                    { _id: newerLoan, balance: 3 },
+                    { _id: null, balance: 4 }
+                ]));
+
+                await expect(FineTransaction.getOutstandingByBorrow(userId)).resolves.toEqual([
+                    { borrow: null, balance: 2 }
+                ]);
+            });
+
+            it('should not count a refund of credit as owed', async () => {
+                // A paid charge waived on one loan, then refunded without a loan
+                jest.spyOn(FineTransaction, 'aggregate').mockReturnValue(query([
+                    { _id: olderLoan, balance: -20 },
+                    { _id: null, balance: 20 }
+                ]));
+
+                await expect(FineTransaction.getOutstandingByBorrow(userId)).resolves.toEqual([]);
+            });
+        });
+
+        describe('settle', () => {
+            beforeEach(() => {
+                jest.spyOn(FineTransaction, 'getOutstandingByBorrow').mockResolvedValue([
+                    { borrow: olderLoan, balance: 4 },
+                    { borrow: newerLoan, balance: 6 }
+                ]);
+            });
+
+            it('should take a partial payment against the oldest loan', async () => {
+                const transactions = await FineTransaction.settle('payment', { user: userId, amount: 3, method: 'cash', recordedBy: staffId });
+
+                expect(transactions).toHaveLength(1);
+                expect(transactions[0]).toMatchObject({ borrow: olderLoan, type: 'payment', amount: 3, method: 'cash' });
+                expect(FineTransaction.syncBorrowFineStatus).toHaveBeenCalledWith(olderLoan, null);
+            });
+
+            it('should spread a payment over the loans oldest first under one reference', async () => {
+                const transactions = await FineTransaction.settle('payment', { user: userId, amount: 7.5, method: 'card' });
+
+                expect(transactions.map(transaction => [transaction.borrow, transaction.amount])).toEqual([
+                    [olderLoan, 4],
+                    [newerLoan, 3.5]
+                ]);
+                expect(transactions[0].reference).toBeDefined();
+                expect(transactions[1].reference).toBe(transactions[0].reference);
+            });
+
+            it('should settle everything owed when no amount is given', async () => {
+                const transactions = await FineTransaction.settle('waiver', { user: userId, reason: 'Goodwill' });
+
+                expect(transactions.map(transaction => transaction.amount)).toEqual([4, 6]);
+            });
+
+            it('should refuse to take more than is owed', async () => {
+                await expect(FineTransaction.settle('payment', { user: userId, amount: 10.01 }))
+                    .rejects.toThrow('Amount exceeds outstanding balance of 10.00');
+                expect(create).not.toHaveBeenCalled();
+            });
+
+            it('should refuse a payment when nothing is owed', async () => {
+                FineTransaction.getOutstandingByBorrow.mockResolvedValue([]);
+
+                await expect(FineTransaction.settle('payment', { user: userId, amount: 1 })).rejects.toThrow('No outstanding fines');
+            });
+
+            it('should only apply a payment for one loan to that loan', async () => {
+                await expect(FineTransaction.settle('payment', { user: userId, borrow: newerLoan, amount: 7 }))
+                    .rejects.toThrow('Amount exceeds outstanding balance of 6.00');
+            });
+
+            it('should waive charges on a loan that were already paid', async () => {
+                FineTransaction.getOutstandingByBorrow.mockResolvedValue([]);
+                const waivable = jest.spyOn(FineTransaction, 'getWaivableAmount').mockResolvedValue(5);
+
+                const transactions = await FineTransaction.settle('waiver', { user: userId, borrow: olderLoan, reason: 'Charged in error' });
+
+                expect(waivable).toHaveBeenCalledWith(userId, olderLoan, null);
+                expect(transactions).toHaveLength(1);
+                expect(transactions[0]).toMatchObject({ borrow: olderLoan, type: 'waiver', amount: 5 });
+            });
+
+            it('should not settle with any other transaction type', async () => {
+                await expect(FineTransaction.settle('refund', { user: userId, amount: 1 })).rejects.toThrow('Cannot settle with a refund');
+            });
+        });
+
+        describe('refund', () => {
+            it('should refund credit against the loan it came from', async () => {
+                jest.spyOn(FineTransaction, 'getBalance').mockResolvedValue(-5);
+
+                const transaction = await FineTransaction.refund({ user: userId, borrow: olderLoan, amount: 5, method: 'cash' });
+
+                expect(transaction).toMatchObject({ borrow: olderLoan, type: 'refund', amount: 5, method: 'cash' });
+                expect(FineTransaction.syncBorrowFineStatus).toHaveBeenCalledWith(olderLoan, null);
+            });
+
+            it('should refuse to refund a patron without credit', async () => {
+                jest.spyOn(FineTransaction, 'getBalance').mockResolvedValue(2);
+
+                await expect(FineTransaction.refund({ user: userId, amount: 1 })).rejects.toThrow('Patron has no credit to refund');
+                expect(create).not.toHaveBeenCalled();
+            });
+
+            it('should refuse to refund more than the credit', async () => {
+                jest.spyOn(FineTransaction, 'getBalance').mockResolvedValue(-5);
+
+                await expect(FineTransaction.refund({ user: userId, amount: 6 })).rejects.toThrow('Amount exceeds available credit of 5.00');
+            });
+        });
+
+        describe('reverseCharges', () => {
+            const borrow = { _id: olderLoan, user: userId };
+            const data = { reason: 'Lost book found', recordedBy: staffId };
+
+            it('should waive an unpaid lost charge', async () => {
+                jest.spyOn(FineTransaction, 'aggregate').mockReturnValue(query([{ _id: null, amount: 20 }]));
+                jest.spyOn(FineTransaction, 'getWaivableAmount').mockResolvedValue(23);
+                jest.spyOn(FineTransaction, 'getOutstandingByBorrow').mockResolvedValue([{ borrow: olderLoan, balance: 23 }]);
+                jest.spyOn(FineTransaction, 'getBalance').mockResolvedValue(3);
+
+                const transactions = await FineTransaction.reverseCharges(borrow, ['lost'], data);
+
+                expect(transactions).toHaveLength(1);
+                expect(transactions[0]).toMatchObject({ borrow: olderLoan, type: 'waiver', amount: 20, reason: 'Lost book found' });
+            });
+
+            it('should refund a paid lost charge against the loan', async () => {
+                jest.spyOn(FineTransaction, 'aggregate').mockReturnValue(query([{ _id: null, amount: 20 }]));
+                jest.spyOn(FineTransaction, 'getWaivableAmount').mockResolvedValue(20);
+                jest.spyOn(FineTransaction, 'getOutstandingByBorrow').mockResolvedValue([]);
+                jest.spyOn(FineTransaction, 'getBalance').mockResolvedValue(-20);
+
+                const transactions = await FineTransaction.reverseCharges(borrow, ['lost'], data);
+
+                expect(transactions.map(transaction => [transaction.type, transaction.borrow, transaction.amount])).toEqual([
+                    ['waiver', olderLoan, 20],
+                    ['refund', olderLoan, 20]
+                ]);
+            });
+
+            it('should do nothing when there is no charge to reverse', async () => {
+                jest.spyOn(FineTransaction, 'aggregate').mockReturnValue(query([]));
+                jest.spyOn(FineTransaction, 'getWaivableAmount').mockResolvedValue(0);
+
+                await expect(FineTransaction.reverseCharges(borrow, ['lost'], data)).resolves.toEqual([]);
+                expect(create).not.toHaveBeenCalled();
+            });
+        });
+
+        describe('getStatement', () => {
+            const at = (day) => new Date(Date.UTC(2026, 0, day));
+            const transactions = [
+                new FineTransaction({ user: userId, borrow: olderLoan, type: 'charge', amount: 10, createdAt: at(5) }),
+                new FineTransaction({ user: userId, borrow: olderLoan, type: 'payment', amount: 4, createdAt: at(6) }),
+                new FineTransaction({ user: userId, borrow: olderLoan, type: 'waiver', amount: 10, createdAt: at(7) }),
+                new FineTransaction({ user: userId, type: 'refund', amount: 4, createdAt: at(8) })
+            ];
+
+            it('should keep a running balance', async () => {
+                jest.spyOn(FineTransaction, 'find').mockReturnValue(query(transactions));
+
+                const statement = await FineTransaction.getStatement(userId);
+
+                expect(statement.openingBalance).toBe(0);
+                expect(statement.entries.map(entry => entry.balance)).toEqual([10, 6, -4, 0]);
+                expect(statement.closingBalance).toBe(0);
+            });
+
+            it('should start from the balance before the period', async () => {
+                const aggregate = jest.spyOn(FineTransaction, 'aggregate').mockReturnValue(query([{ _id: null, balance: 2.5 }]));
+                const find = jest.spyOn(FineTransaction, 'find').mockReturnValue(query(transactions.slice(0, 2)));
+
+                const statement = await FineTransaction.getStatement(userId, { from: at(5), to: at(6) });
+
+                expect(aggregate.mock.calls[0][0][0].$match.createdAt).toEqual({ $lt: at(5) });
+                expect(find.mock.calls[0][0].createdAt).toEqual({ $gte: at(5), $lte: at(6) });
+                expect(statement.openingBalance).toBe(2.5);
+                expect(statement.entries.map(entry => entry.balance)).toEqual([12.5, 8.5]);
+                expect(statement.closingBalance).toBe(8.5);
+            });
+        });
+    });
+
+    describe('fine endpoints', () => {
+        const staffId = new mongoose.Types.ObjectId();
+        const loanId = new mongoose.Types.ObjectId();
+
+        const requestFor = (body) => ({
+            params: { userId: userId.toString() },
+            body,
+            user: { _id: staffId }
+        });
+
+        beforeEach(() => {
+            jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+                withTransaction: async (work) => work(),
+                endSession: async () => {}
+            });
+            jest.spyOn(FineTransaction, 'create').mockImplementation(async entries => entries.map(entry => new FineTransaction(entry)));
+            jest.spyOn(FineTransaction, 'syncBorrowFineStatus').mockResolvedValue();
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should record a payment and return the new balance', async () => {
+            jest.spyOn(FineTransaction, 'getOutstandingByBorrow').mockResolvedValue([{ borrow: loanId, balance: 8 }]);
+            jest.spyOn(FineTransaction, 'getBalance').mockResolvedValue(3);
+            const res = response();
+
+            await recordPayment(requestFor({ amount: 5, method: 'cash' }), res);
+
+            expect(res.status).toHaveBeenCalledWith(201);
+            const { data } = res.json.mock.calls[0][0];
+            expect(data.balance).toBe(3);
+            expect(data.transactions[0]).toMatchObject({ borrow: loanId, type: 'payment', amount: 5, method: 'cash', recordedBy: staffId });
+        });
+
+        it('should turn away a payment larger than what is owed', async () => {
+            jest.spyOn(FineTransaction, 'getOutstandingByBorrow').mockResolvedValue([{ borrow: loanId, balance: 8 }]);
+            const res = response();
+
+            await recordPayment(requestFor({ amount: 9, method: 'cash' }), res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Amount exceeds outstanding balance of 8.00' });
+            expect(FineTransaction.create).not.toHaveBeenCalled();
+        });
+
+        it('should waive the fines on one loan', async () => {
+            jest.spyOn(FineTransaction, 'getOutstandingByBorrow').mockResolvedValue([]);
+            jest.spyOn(FineTransaction, 'getWaivableAmount').mockResolvedValue(8);
+            jest.spyOn(FineTransaction, 'getBalance').mockResolvedValue(-8);
+            const res = response();
+
+            await waiveFines(requestFor({ borrowId: loanId.toString(), reason: 'Charged in error' }), res);
+
+            expect(res.status).toHaveBeenCalledWith(201);
+            const { data } = res.json.mock.calls[0][0];
+            expect(data.balance).toBe(-8);
+            expect(data.transactions[0]).toMatchObject({ type: 'waiver', amount: 8, reason: 'Charged in error' });
+        });
+
+        it('should refund credit', async () => {
+            jest.spyOn(FineTransaction, 'getBalance')
+                .mockResolvedValueOnce(-8)
+                .mockResolvedValueOnce(0);
+            const res = response();
+
+            await refundCredit(requestFor({ amount: 8, method: 'cash' }), res);
+
+            expect(res.status).toHaveBeenCalledWith(201);
+            const { data } = res.json.mock.calls[0][0];
+            expect(data.balance).toBe(0);
+            expect(data.transaction).toMatchObject({ type: 'refund', amount: 8, method: 'cash' });
+        });
+
+        it('should turn away a refund for a patron without credit', async () => {
+            jest.spyOn(FineTransaction, 'getBalance').mockResolvedValue(0);
+            const res = response();
+
+            await refundCredit(requestFor({ amount: 8, method: 'cash' }), res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Patron has no credit to refund' });
+        });
+    });
+
+    describe('Borrow.returnBook', () => {
+        const calendar = new LibraryCalendar({ name: 'default' });
+
+        it('should record the final fine for an overdue loan', () => {
+            const borrow = new Borrow({
+                user: userId,
+                book: new mongoose.Types.ObjectId(),
+                borrowedBy: userId,
+                borrowDate: new Date(Date.now() - 20 * 24 * 60 * 60 * 1000),
+                dueDate: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000 - 60 * 1000),
+                status: 'overdue'
+            });
+
+            borrow.returnBook(userId, '', calendar);
+
+            expect(borrow.status).toBe('returned');
+            expect(borrow.fineAmount).toBeGreaterThan(0);
+        });
+
+        it('should not fine a loan returned on time', () => {
+            const borrow = new Borrow({
+                user: userId,
+                book: new mongoose.Types.ObjectId(),
+                borrowedBy: userId,
+                dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000)
+            });
+
+            borrow.returnBook(userId, '', calendar);
+
+            expect(borrow.fineAmount).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,26 @@
+// Stand-ins for Mongoose queries and Express responses, shared by the tests
+
+const QUERY_METHODS = ['populate', 'select', 'sort', 'skip', 'limit', 'lean', 'session'];
+
+// A stand-in for a Mongoose query that resolves to `result`. Chained query
+// methods return the same query.
+const query = (result) => {
+    const chain = {
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    QUERY_METHODS.forEach(method => {
+        chain[method] = () => chain;
+    });
+    return chain;
+};
+
+// A stand-in for an Express response that records its status and body
+const response = () => ({
+    status: jest.fn(function() { return this; }),
+    json: jest.fn(function() { return this; })
+});
+
+module.exports = {
+    query,
+    response
+};
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Reservation = require('../models/Reservation');
+const LibraryCalendar = require('../models/LibraryCalendar');
+const config = require('../config');
+
+describe('Holds', () => {
+    const day = 24 * 60 * 60 * 1000;
+
+    const queuedReservation = () => new Reservation({
+        user: new mongoose.Types.ObjectId(),
+        book: new mongoose.Types.ObjectId(),
+        expiryDate: new Date(Date.now() + 3 * day)
+    });
+
+    it('should hold a copy until the pickup deadline', () => {
+        const reservation = queuedReservation();
+        const copyId = new mongoose.Types.ObjectId();
+
+        reservation.markReady(copyId, new LibraryCalendar());
+
+        expect(reservation.status).toBe('ready');
+        expect(reservation.copy).toEqual(copyId);
+        expect(reservation.readyAt).toBeInstanceOf(Date);
+        expect(reservation.pickupBy - reservation.readyAt).toBe(config.HOLD_PICKUP_DAYS * day);
+        expect(reservation.expiryDate).toEqual(reservation.pickupBy);
+    });
+
+    it('should move the pickup deadline to a day the library is open', () => {
+        // Open on Wednesdays only
+        const calendar = new LibraryCalendar({ closedWeekdays: [0, 1, 2, 4, 5, 6] });
+        const reservation = queuedReservation();
+
+        reservation.markReady(new mongoose.Types.ObjectId(), calendar);
+
+        expect(reservation.pickupBy.getDay()).toBe(3);
+        expect(reservation.pickupBy - reservation.readyAt).toBeGreaterThanOrEqual(config.HOLD_PICKUP_DAYS * day);
+    });
+
+    it('should only hold a copy for a reservation still in the queue', () => {
+        const reservation = queuedReservation();
+        reservation.cancelReservation();
+
+        expect(() => reservation.markReady(new mongoose.Types.ObjectId())).toThrow('Only active reservations can be made ready for pickup');
+    });
+
+    it('should fulfil a hold when the patron collects it', () => {
+        const reservation = queuedReservation();
+        const staffId = new mongoose.Types.ObjectId();
+        reservation.markReady(new mongoose.Types.ObjectId(), new LibraryCalendar());
+
+        reservation.fulfillReservation(staffId);
+
+        expect(reservation.status).toBe('fulfilled');
+        expect(reservation.fulfilledBy).toEqual(staffId);
+    });
+});
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Borrow = require('../models/Borrow');
+const KioskDevice = require('../models/KioskDevice');
+const KioskSession = require('../models/KioskSession');
+const FineTransaction = require('../models/FineTransaction');
+const PatronBlock = require('../models/PatronBlock');
+const { authenticateKiosk, requireKioskSession } = require('../middleware/kioskAuth');
+const { startSession, revokeDevice } = require('../controllers/kioskController');
+const { validateDeviceId } = require('../middleware/kioskValidation');
+const { query, response } = require('./helpers');
+
+describe('Self-service kiosk', () => {
+    const device = new KioskDevice({ name: 'Front desk', tokenHash: 'x' });
+
+    const patronWithPin = async (pin, fields = {}) => {
+        const patron = new User({
+            firstName: 'Ada',
+            lastName: 'Lovelace',
+            email: 'ada@example.com',
+            password: 'password123',
+            role: 'student',
+            studentId: 'STU000001',
+            ...fields
+        });
+        if (pin) {
+            await patron.setKioskPin(pin);
+        }
+        jest.spyOn(patron, 'updateOne').mockResolvedValue({});
+        return patron;
+    };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('devices and sessions', () => {
+        it('should store only a hash of a registered device token', async () => {
+            const create = jest.spyOn(KioskDevice, 'create').mockImplementation(async data => new KioskDevice(data));
+
+            const { device: registered, token } = await KioskDevice.register({ name: 'Lobby' });
+
+            expect(token).toMatch(/^[0-9a-f]{64}$/);
+            expect(registered.tokenHash).toBe(KioskDevice.hashToken(token));
+            expect(create.mock.calls[0][0]).not.toHaveProperty('token');
+        });
+
+        it('should end sessions still open on the device when a new one starts', async () => {
+            const updateMany = jest.spyOn(KioskSession, 'updateMany').mockResolvedValue({});
+            jest.spyOn(KioskSession, 'create').mockImplementation(async data => new KioskSession(data));
+            const patronId = new mongoose.Types.ObjectId();
+
+            const { session, token } = await KioskSession.start(device._id, patronId);
+
+            expect(updateMany).toHaveBeenCalledWith({ device: device._id, endedAt: null }, { endedAt: expect.any(Date) });
+            expect(session.tokenHash).not.toBe(token);
+            expect(session.isLive).toBe(true);
+
+            session.endedAt = new Date();
+            expect(session.isLive).toBe(false);
+        });
+
+        it('should turn away unknown devices', async () => {
+            jest.spyOn(KioskDevice, 'findOne').mockResolvedValue(null);
+            const res = response();
+            const next = jest.fn();
+
+            await authenticateKiosk({ headers: { 'x-kiosk-token': 'nope' } }, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should end the session of a patron deactivated since it started', async () => {
+            const session = new KioskSession({ device: device._id, patron: new mongoose.Types.ObjectId(), tokenHash: 'y', expiresAt: new Date(Date.now() + 60000) });
+            jest.spyOn(KioskSession, 'findOne').mockResolvedValue(session);
+            jest.spyOn(session, 'save').mockResolvedValue(session);
+            jest.spyOn(User, 'findById').mockResolvedValue({ _id: session.patron, isActive: false });
+            const res = response();
+            const next = jest.fn();
+
+            await requireKioskSession({ kiosk: device, headers: { 'x-kiosk-session': 'token' } }, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(session.endedAt).toBeInstanceOf(Date);
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should refuse to revoke a device with a malformed ID', async () => {
+            const findById = jest.spyOn(KioskDevice, 'findById');
+            const req = { params: { id: 'not-an-id' } };
+            await Promise.all(validateDeviceId.map(rule => rule.run(req)));
+            const res = response();
+
+            await revokeDevice(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json.mock.calls[0][0].errors[0].msg).toBe('Device ID must be a valid MongoDB ObjectId');
+            expect(findById).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('library cards and PINs', () => {
+        it('should only find patrons by card barcode or card QR, never by email', async () => {
+            const findOne = jest.spyOn(User, 'findOne').mockReturnValue(query(null));
+            const findById = jest.spyOn(User, 'findById').mockReturnValue(query(null));
+            const id = new mongoose.Types.ObjectId().toString();
+
+            await User.findByLibraryCard('stu000001');
+            await User.findByLibraryCard(JSON.stringify({ type: 'user', id }));
+
+            expect(findOne).toHaveBeenCalledWith({ studentId: 'STU000001' });
+            expect(findById).toHaveBeenCalledWith(id);
+            // An email address is only ever compared with card numbers
+            await User.findByLibraryCard('ada@example.com');
+            expect(findOne).toHaveBeenLastCalledWith({ studentId: 'ADA@EXAMPLE.COM' });
+            await expect(User.findByLibraryCard('{"type":"book","id":"x"}')).resolves.toBeNull();
+        });
+
+        it('should lock the PIN after five wrong attempts in a row', async () => {
+            const patron = await patronWithPin('4321');
+
+            await expect(patron.checkKioskPin('1234')).resolves.toBe('wrong');
+            expect(patron.updateOne).toHaveBeenLastCalledWith(expect.objectContaining({ $inc: { 'kioskPin.failedAttempts': 1 } }));
+
+            patron.kioskPin.failedAttempts = 4;
+            await expect(patron.checkKioskPin('1234')).resolves.toBe('wrong');
+            expect(patron.updateOne).toHaveBeenLastCalledWith({
+                $set: { 'kioskPin.failedAttempts': 0, 'kioskPin.lockedUntil': expect.any(Date) }
+            });
+
+            patron.kioskPin.lockedUntil = new Date(Date.now() + 60000);
+            await expect(patron.checkKioskPin('4321')).resolves.toBe('locked');
+        });
+
+        it('should clear wrong attempts once the right PIN is entered', async () => {
+            const patron = await patronWithPin('4321');
+            patron.kioskPin.failedAttempts = 2;
+
+            await expect(patron.checkKioskPin('4321')).resolves.toBe('ok');
+            expect(patron.updateOne).toHaveBeenCalledWith({
+                $set: { 'kioskPin.failedAttempts': 0 },
+                $unset: { 'kioskPin.lockedUntil': 1 }
+            });
+            expect(patron.kioskPin.hash).not.toBe('4321');
+        });
+    });
+
+    describe('starting a session', () => {
+        const startWith = async (patron, pin) => {
+            jest.spyOn(User, 'findByLibraryCard').mockResolvedValue(patron);
+            const res = response();
+            await startSession({ kiosk: device, body: { card: 'STU000001', pin } }, res);
+            return res;
+        };
+
+        it('should give the same answer for an unknown card and a wrong PIN', async () => {
+            const unknown = await startWith(null, '1234');
+            const wrong = await startWith(await patronWithPin('4321'), '1234');
+
+            expect(unknown.status).toHaveBeenCalledWith(401);
+            expect(wrong.status).toHaveBeenCalledWith(401);
+            expect(wrong.json.mock.calls[0][0].message).toBe(unknown.json.mock.calls[0][0].message);
+        });
+
+        it('should ask patrons without a PIN to set one', async () => {
+            const res = await startWith(await patronWithPin(null), '1234');
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json.mock.calls[0][0].code).toBe('KIOSK_PIN_NOT_SET');
+        });
+
+        it('should refuse a locked PIN', async () => {
+            const patron = await patronWithPin('4321');
+            patron.kioskPin.lockedUntil = new Date(Date.now() + 60000);
+
+            const res = await startWith(patron, '4321');
+
+            expect(res.status).toHaveBeenCalledWith(429);
+        });
+
+        it('should start a session with the right PIN', async () => {
+            const patron = await patronWithPin('4321');
+            jest.spyOn(FineTransaction, 'getBalance').mockResolvedValue(0);
+            jest.spyOn(Borrow, 'countDocuments').mockResolvedValue(0);
+            jest.spyOn(PatronBlock, 'findInForce').mockResolvedValue([]);
+            jest.spyOn(Borrow, 'find').mockReturnValue(query([]));
+            const start = jest.spyOn(KioskSession, 'start').mockResolvedValue({ session: { expiresAt: new Date() }, token: 'session-token' });
+
+            const res = await startWith(patron, '4321');
+
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(start).toHaveBeenCalledWith(device._id, patron._id);
+            expect(res.json.mock.calls[0][0].data).toMatchObject({
+                sessionToken: 'session-token',
+                patron: { firstName: 'Ada', lastName: 'Lovelace' }
+            });
+        });
+    });
+});
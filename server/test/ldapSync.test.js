@@ -0,0 +1,178 @@
+jest.mock('../utils/ldapDirectory', () => ({
+    ...jest.requireActual('../utils/ldapDirectory'),
+    searchUsers: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Borrow = require('../models/Borrow');
+const Role = require('../models/Role');
+const ldapDirectory = require('../utils/ldapDirectory');
+const { runDirectorySync } = require('../utils/ldapSync');
+const { parseRoleMap, loadRoleMap, resolveRole } = require('../utils/roleMapping');
+const { clearRoleCache } = require('../utils/permissions');
+const config = require('../config');
+
+describe('LDAP directory sync', () => {
+    const entry = (uid, employeeNumber, extra = {}) => ({
+        dn: `uid=${uid},ou=people,dc=library,dc=local`,
+        employeeNumber,
+        mail: `${uid}@library.local`,
+        givenName: uid,
+        sn: 'Test',
+        ...extra
+    });
+
+    // The built-in roles have their default permissions, plus a custom
+    // archivist role between student and librarian
+    const archivist = { key: 'archivist', permissions: ['copies.view', 'copies.manage'] };
+
+    beforeEach(() => {
+        jest.spyOn(Role, 'distinct').mockResolvedValue([archivist.key]);
+        jest.spyOn(Role, 'findOne').mockImplementation(({ key }) => ({
+            select: () => ({ lean: async () => (key === archivist.key ? archivist : null) })
+        }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        clearRoleCache();
+        config.LDAP_ROLE_MAP = '';
+    });
+
+    it('should map groups given as DNs to roles', async () => {
+        const roleMap = parseRoleMap(
+            'cn=Library Staff, ou=groups,dc=library,dc=local:librarian,cn=admins,ou=groups,dc=library,dc=local:admin;broken;x:superuser'
+        );
+
+        expect(roleMap.size).toBe(2);
+        await expect(resolveRole(['CN=library staff,OU=groups,DC=library,DC=local'], roleMap)).resolves.toBe('librarian');
+        await expect(resolveRole([
+            'cn=library staff,ou=groups,dc=library,dc=local',
+            'cn=admins,ou=groups,dc=library,dc=local'
+        ], roleMap)).resolves.toBe('admin');
+        await expect(resolveRole(['cn=other'], roleMap)).resolves.toBeNull();
+    });
+
+    it('should ignore malformed role map entries', () => {
+        const roleMap = parseRoleMap('staff:librarian,broken,root:superuser,cn=a:b:admin');
+
+        expect([...roleMap.entries()]).toEqual([['staff', 'librarian'], ['cn=a:b', 'admin']]);
+        expect([...parseRoleMap('broken,root:librarian;:admin;nogroup').entries()]).toEqual([['root', 'librarian']]);
+    });
+
+    it('should map groups to custom roles, ranked by their permissions', async () => {
+        const roleMap = await loadRoleMap('cn=readers,dc=library,dc=local:student,cn=archive,dc=library,dc=local:archivist,x:superuser');
+
+        expect([...roleMap.values()]).toEqual(['student', 'archivist']);
+        await expect(resolveRole(['cn=readers,dc=library,dc=local', 'cn=archive,dc=library,dc=local'], roleMap)).resolves.toBe('archivist');
+    });
+
+    it('should read entry attributes whatever their case', () => {
+        const profile = ldapDirectory.toProfile({
+            dn: 'uid=a,dc=library,dc=local',
+            EMPLOYEENUMBER: 's1000001',
+            mail: ['A@Library.Local'],
+            givenName: Buffer.from('Ada'),
+            sn: 'Lovelace',
+            memberOf: ['cn=one', 'cn=two']
+        });
+
+        expect(profile).toEqual({
+            dn: 'uid=a,dc=library,dc=local',
+            studentId: 'S1000001',
+            email: 'a@library.local',
+            firstName: 'Ada',
+            lastName: 'Lovelace',
+            groups: ['cn=one', 'cn=two']
+        });
+    });
+
+    it('should not try to bind with an empty password', async () => {
+        await expect(ldapDirectory.authenticate('S1000001', '')).resolves.toBe(false);
+    });
+
+    it('should refuse to sync when the search finds nobody', async () => {
+        ldapDirectory.searchUsers.mockResolvedValue([]);
+
+        await expect(runDirectorySync({ dryRun: true })).rejects.toThrow('LDAP search returned no users');
+    });
+
+    it('should report creations, skips and leavers on a dry run without writing', async () => {
+        config.LDAP_ROLE_MAP = 'cn=library-staff,ou=groups,dc=library,dc=local:librarian';
+        ldapDirectory.searchUsers.mockResolvedValue([
+            entry('sstudent', 'S1000001'),
+            entry('llibrarian', 'E2000001', { memberOf: 'cn=library-staff,ou=groups,dc=library,dc=local' }),
+            entry('nomail', 'S1000003', { mail: [] }),
+            entry('twin', 'S1000001')
+        ]);
+
+        const leaver = new User({
+            email: 'gone@library.local',
+            password: 'Secret123',
+            firstName: 'Gone',
+            lastName: 'Test',
+            studentId: 'S0999999',
+            ldap: { dn: 'uid=gone,ou=people,dc=library,dc=local' }
+        });
+
+        const find = jest.spyOn(User, 'find')
+            .mockResolvedValueOnce([])
+            .mockResolvedValueOnce([leaver]);
+        jest.spyOn(User, 'findOne').mockResolvedValue(null);
+        jest.spyOn(Borrow, 'countDocuments').mockResolvedValue(1);
+        const create = jest.spyOn(User, 'create');
+        const save = jest.spyOn(mongoose.Model.prototype, 'save');
+
+        const report = await runDirectorySync({ dryRun: true });
+
+        expect(report).toMatchObject({
+            dryRun: true,
+            entriesFound: 4,
+            created: 2,
+            skipped: 2,
+            deactivated: 1,
+            failed: 0
+        });
+        expect(report.changes).toContainEqual(expect.objectContaining({
+            action: 'created',
+            studentId: 'E2000001',
+            role: 'librarian'
+        }));
+        expect(report.changes).toContainEqual(expect.objectContaining({
+            action: 'deactivated',
+            studentId: 'S0999999',
+            itemsOut: 1
+        }));
+        // An entry without an email is incomplete, not gone
+        expect(find.mock.calls[1][0].studentId.$nin).toContain('S1000003');
+        expect(create).not.toHaveBeenCalled();
+        expect(save).not.toHaveBeenCalled();
+    });
+
+    it('should keep roles the role map does not grant for users in no mapped group', async () => {
+        config.LDAP_ROLE_MAP = 'cn=library-staff,ou=groups,dc=library,dc=local:librarian';
+        ldapDirectory.searchUsers.mockResolvedValue([entry('aarchivist', 'E2000002'), entry('fformer', 'E2000003')]);
+        const synced = (studentId, role) => new User({
+            email: `${studentId.toLowerCase()}@library.local`,
+            password: 'Secret123',
+            firstName: 'Synced',
+            lastName: 'Test',
+            role,
+            studentId,
+            ldap: { dn: `uid=${studentId},ou=people,dc=library,dc=local` }
+        });
+
+        jest.spyOn(User, 'find')
+            .mockResolvedValueOnce([synced('E2000002', 'archivist'), synced('E2000003', 'librarian')])
+            .mockResolvedValueOnce([]);
+
+        const report = await runDirectorySync({ dryRun: true });
+        const roleChanges = report.changes.filter(change => change.fields && change.fields.role);
+
+        expect(roleChanges).toEqual([expect.objectContaining({
+            studentId: 'E2000003',
+            fields: expect.objectContaining({ role: { from: 'librarian', to: 'student' } })
+        })]);
+    });
+});
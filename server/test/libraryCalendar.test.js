@@ -0,0 +1,108 @@
+const LibraryCalendar = require('../models/LibraryCalendar');
+const Borrow = require('../models/Borrow');
+const { parseHolidays } = require('../utils/icalParser');
+
+describe('Library calendar', () => {
+    // 2025-12-20 is a Saturday
+    const calendar = new LibraryCalendar({
+        closedWeekdays: [0],
+        openingHours: [{ dayOfWeek: 1, opens: '09:00', closes: '17:00' }],
+        holidays: [
+            { name: 'Christmas', startDate: '2025-12-25', endDate: '2025-12-26' }
+        ]
+    });
+
+    describe('opening days', () => {
+        it('should be closed on recurring closed weekdays and holidays', () => {
+            expect(calendar.isOpen(new Date(2025, 11, 21))).toBe(false);
+            expect(calendar.isOpen(new Date(2025, 11, 26))).toBe(false);
+            expect(calendar.isOpen(new Date(2025, 11, 22))).toBe(true);
+        });
+
+        it('should report opening hours only on open days', () => {
+            expect(calendar.getOpeningHours(new Date(2025, 11, 22))).toEqual({ opens: '09:00', closes: '17:00' });
+            expect(calendar.getOpeningHours(new Date(2025, 11, 21))).toBeNull();
+        });
+
+        it('should roll a date forward to the next open day', () => {
+            const rolled = calendar.nextOpenDay(new Date(2025, 11, 25, 14, 30));
+
+            expect(LibraryCalendar.toDayKey(rolled)).toBe('2025-12-27');
+            expect(rolled.getHours()).toBe(14);
+        });
+
+        it('should count only open days in an overdue period', () => {
+            // 21st (Sunday), 25th and 26th are closed
+            const open = calendar.countOpenDaysBetween(new Date(2025, 11, 20, 12), new Date(2025, 11, 27, 12));
+
+            expect(open).toBe(4);
+        });
+    });
+
+    describe('fines', () => {
+        it('should skip closed days when calculating a fine', () => {
+            const borrow = new Borrow({
+                status: 'overdue',
+                dueDate: new Date(2025, 11, 20, 12),
+                loanTerms: { finePerDay: 1, maxFine: 50 }
+            });
+
+            const days = calendar.countOpenDaysBetween(borrow.dueDate, new Date());
+            expect(borrow.calculateFine(calendar)).toBe(Math.min(days, 50));
+            expect(borrow.calculateFine(new LibraryCalendar())).toBeGreaterThanOrEqual(borrow.calculateFine(calendar));
+        });
+
+        it('should roll renewed due dates forward to an open day', () => {
+            const day = 24 * 60 * 60 * 1000;
+            const dueDate = new Date(Date.now() + day);
+            const borrow = new Borrow({
+                status: 'borrowed',
+                dueDate,
+                loanTerms: { maxRenewals: 2, renewalPeriodDays: 7 }
+            });
+            // Close the weekday the renewed loan would otherwise fall due on
+            const closed = new LibraryCalendar({ closedWeekdays: [new Date(dueDate.getTime() + 7 * day).getDay()] });
+
+            borrow.renewBook(null, closed);
+
+            expect(LibraryCalendar.toDayKey(borrow.dueDate))
+                .toBe(LibraryCalendar.toDayKey(new Date(dueDate.getTime() + 8 * day)));
+        });
+    });
+
+    describe('iCal import', () => {
+        const ics = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'BEGIN:VEVENT',
+            'UID:xmas-2025@example.com',
+            'DTSTART;VALUE=DATE:20251225',
+            'DTEND;VALUE=DATE:20251227',
+            'SUMMARY:Christmas\\, Boxing Day',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:staff-day',
+            'DTSTART:20260105T090000',
+            'DTEND:20260105T170000',
+            'SUMMARY:Staff train',
+            ' ing day',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:cancelled',
+            'DTSTART;VALUE=DATE:20260110',
+            'STATUS:CANCELLED',
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ].join('\r\n');
+
+        it('should read all-day and timed events with exclusive end dates', () => {
+            const { holidays, errors } = parseHolidays(ics);
+
+            expect(errors).toHaveLength(0);
+            expect(holidays).toEqual([
+                { uid: 'xmas-2025@example.com', name: 'Christmas, Boxing Day', startDate: '2025-12-25', endDate: '2025-12-26' },
+                { uid: 'staff-day', name: 'Staff training day', startDate: '2026-01-05', endDate: '2026-01-05' }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const Borrow = require('../models/Borrow');
+const Book = require('../models/Book');
+const Copy = require('../models/Copy');
+const FineTransaction = require('../models/FineTransaction');
+const LibraryCalendar = require('../models/LibraryCalendar');
+const { checkin } = require('../utils/circulationService');
+const { returnBook } = require('../controllers/borrowController');
+const { query, response } = require('./helpers');
+
+describe('Lost, damaged and claims-returned loans', () => {
+    const calendar = new LibraryCalendar({ name: 'default' });
+    const userId = new mongoose.Types.ObjectId();
+    const day = 24 * 60 * 60 * 1000;
+
+    const overdueLoan = () => new Borrow({
+        user: userId,
+        book: new mongoose.Types.ObjectId(),
+        borrowedBy: userId,
+        borrowDate: new Date(Date.now() - 20 * day),
+        dueDate: new Date(Date.now() - 3 * day - 60 * 1000),
+        status: 'overdue'
+    });
+
+    it('should record the fine accrued so far when a book is declared lost', () => {
+        const borrow = overdueLoan();
+
+        borrow.declareLost(calendar);
+
+        expect(borrow.status).toBe('lost');
+        expect(borrow.lostAt).toBeInstanceOf(Date);
+        expect(borrow.fineAmount).toBeGreaterThan(0);
+        expect(borrow.calculateFine(calendar)).toBe(0);
+    });
+
+    it('should not declare a returned book lost', () => {
+        const borrow = overdueLoan();
+        borrow.returnBook(userId, '', calendar);
+
+        expect(() => borrow.declareLost(calendar)).toThrow('Only books on loan can be declared lost');
+    });
+
+    it('should stop fines while a claims-returned loan is investigated', () => {
+        const borrow = overdueLoan();
+
+        borrow.claimReturned();
+
+        expect(borrow.status).toBe('claims_returned');
+        expect(borrow.calculateFine(calendar)).toBe(0);
+    });
+
+    it('should keep the fine recorded when a lost book is returned', () => {
+        const borrow = overdueLoan();
+        borrow.declareLost(calendar);
+        const fineAtLoss = borrow.fineAmount;
+
+        borrow.returnBook(userId, 'Found on the shelf', calendar);
+
+        expect(borrow.status).toBe('returned');
+        expect(borrow.fineAmount).toBe(fineAtLoss);
+    });
+
+    it('should record a damage report', () => {
+        const borrow = overdueLoan();
+
+        borrow.recordDamage(userId, 'Water damage to the cover', 7.5);
+
+        expect(borrow.damage.notes).toBe('Water damage to the cover');
+        expect(borrow.damage.repairFee).toBe(7.5);
+        expect(borrow.damage.reportedAt).toBeInstanceOf(Date);
+    });
+
+    describe('checking in a lost book', () => {
+        const lostLoan = () => {
+            const book = new Book({ title: 'Dune', author: 'Frank Herbert', isbn: '9780441013593', category: 'Fiction', totalCopies: 1, availableCopies: 0 });
+            const borrow = overdueLoan();
+            borrow.book = book._id;
+            borrow.copy = new mongoose.Types.ObjectId();
+            borrow.declareLost(calendar);
+
+            jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+                withTransaction: async (work) => work(),
+                endSession: async () => {}
+            });
+            jest.spyOn(Borrow, 'findById').mockReturnValue(query(borrow));
+            jest.spyOn(borrow, 'save').mockResolvedValue(borrow);
+            jest.spyOn(Book, 'findById').mockReturnValue(query(book));
+            jest.spyOn(Book, 'updateOne').mockResolvedValue({});
+            jest.spyOn(LibraryCalendar, 'getCalendar').mockResolvedValue(calendar);
+            jest.spyOn(FineTransaction, 'charge').mockResolvedValue({});
+            jest.spyOn(FineTransaction, 'reverseCharges').mockResolvedValue([]);
+            return { borrow, book };
+        };
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should send a lost copy that comes back damaged to repair and count it again', async () => {
+            const { borrow, book } = lostLoan();
+            const update = jest.spyOn(Copy, 'findOneAndUpdate').mockResolvedValue({ _id: borrow.copy, status: 'in_repair' });
+
+            await checkin({ borrowId: borrow._id, returnedBy: userId, damage: { notes: 'Torn pages', repairFee: 5 } });
+
+            expect(update).toHaveBeenCalledWith(
+                { _id: borrow.copy, book: book._id, status: 'lost' },
+                expect.objectContaining({ status: 'in_repair', condition: 'damaged' }),
+                expect.anything()
+            );
+            expect(Book.updateOne).toHaveBeenCalledWith({ _id: book._id }, { $inc: { totalCopies: 1 } }, expect.anything());
+            expect(FineTransaction.reverseCharges).toHaveBeenCalledWith(borrow, ['lost'], expect.anything(), expect.anything());
+            expect(FineTransaction.charge).toHaveBeenCalledWith(expect.objectContaining({ category: 'damage', amount: 5 }), expect.anything());
+        });
+
+        it('should not let a patron check in their own lost book', async () => {
+            const { borrow } = lostLoan();
+            const res = response();
+
+            await returnBook({
+                params: { id: borrow._id },
+                body: {},
+                user: { _id: userId, role: 'student' },
+                permissions: new Set()
+            }, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(FineTransaction.reverseCharges).not.toHaveBeenCalled();
+            expect(borrow.status).toBe('lost');
+        });
+    });
+});
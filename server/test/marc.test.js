@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const MarcRecord = require('../models/MarcRecord');
+const AuditEvent = require('../models/AuditEvent');
+const Copy = require('../models/Copy');
+const {
+    parseMarc21,
+    serializeMarc21,
+    parseMarcXml,
+    toMarcXml,
+    recordToBook,
+    bookToRecord
+} = require('../utils/marc');
+const { importRow, parseImportFile } = require('../utils/bookImport');
+const { exportMarcRecord, exportMarcCatalogue } = require('../controllers/marcController');
+const config = require('../config');
+
+const response = () => {
+    const res = {
+        body: '',
+        headersSent: false,
+        destroyed: false,
+        status: jest.fn(function() { return this; }),
+        set: jest.fn(function() { this.headersSent = true; return this; }),
+        json: jest.fn(function() { return this; }),
+        send: jest.fn(function() { return this; }),
+        write: jest.fn(function(chunk) { this.body += chunk.toString(); return true; }),
+        addTrailers: jest.fn(),
+        end: jest.fn(),
+        on: jest.fn(),
+        off: jest.fn()
+    };
+    return res;
+};
+
+describe('MARC records', () => {
+    const dataField = (tag, ind1, ind2, subfields) => ({
+        tag,
+        ind1,
+        ind2,
+        subfields: Object.entries(subfields).map(([code, value]) => ({ code: code[0], value }))
+    });
+
+    const dune = {
+        leader: '01000cam a2200289 i 4500',
+        fields: [
+            { tag: '001', value: 'ocm00012345' },
+            { tag: '008', value: '650101s1965    nyu           000 1 eng d' },
+            dataField('020', ' ', ' ', { a: '9780441013593 (pbk.)' }),
+            dataField('100', '1', ' ', { a: 'Herbert, Frank,', d: '1920-1986.' }),
+            dataField('245', '1', '0', { a: 'Dune /', c: 'Frank Herbert.' }),
+            dataField('250', ' ', ' ', { a: '40th anniversary ed.' }),
+            dataField('264', ' ', '1', { a: 'New York :', b: 'Ace Books,', c: '©2005.' }),
+            dataField('300', ' ', ' ', { a: '528 pages ;', c: '18 cm' }),
+            dataField('490', '1', ' ', { a: 'Dune chronicles ;', v: '1' }),
+            dataField('504', ' ', ' ', { a: 'Includes glossary.' }),
+            dataField('650', ' ', '0', { a: 'Deserts', v: 'Fiction.' }),
+            dataField('650', ' ', '4', { a: 'Ecology.' }),
+            dataField('650', ' ', '4', { a: 'Ecology.' })
+        ]
+    };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should write and read back ISO 2709 records', () => {
+        const record = { ...dune, fields: [...dune.fields, dataField('500', ' ', ' ', { a: 'Über Arrakis — “Dune”' })] };
+
+        const buffer = Buffer.concat([serializeMarc21(record), Buffer.from('\n'), serializeMarc21(record)]);
+        const [first, second] = parseMarc21(buffer);
+
+        expect(first).toEqual({ ...record, leader: expect.any(String) });
+        expect(second).toEqual(first);
+        // The leader is brought in line with the record that was written
+        expect(first.leader.slice(0, 5)).toBe(String(serializeMarc21(record).length).padStart(5, '0'));
+    });
+
+    it('should refuse files that are not MARC 21 and MARC-8 text it cannot read', () => {
+        expect(() => parseMarc21(Buffer.from('title,author\n'))).toThrow('Record 1 has an invalid length');
+
+        const marc8 = serializeMarc21({ leader: '00000cam  2200000   4500', fields: [dataField('245', '0', '0', { a: 'Café' })] });
+        marc8[9] = 0x20;
+        expect(() => parseMarc21(marc8)).toThrow('Record 1 uses MARC-8 characters');
+    });
+
+    it('should write and read back MARCXML', () => {
+        const xml = toMarcXml([dune, { ...dune, fields: [dataField('245', '0', '0', { a: 'Fish & <Chips>' })] }]);
+
+        const records = parseMarcXml(xml);
+
+        expect(records).toHaveLength(2);
+        expect(records[0]).toEqual(dune);
+        expect(records[1].fields[0].subfields[0].value).toBe('Fish & <Chips>');
+        expect(() => parseMarcXml('<collection><record>')).toThrow('The file is not valid MARCXML');
+    });
+
+    it('should read book fields from a record', () => {
+        expect(recordToBook(dune)).toEqual({
+            isbn: '9780441013593',
+            author: 'Frank Herbert',
+            title: 'Dune',
+            edition: '40th anniversary ed.',
+            publisher: 'Ace Books',
+            publishedYear: '2005',
+            pages: '528',
+            series: 'Dune chronicles',
+            volume: '1',
+            tags: ['Deserts', 'Ecology']
+        });
+
+        const older = {
+            leader: dune.leader,
+            fields: [
+                dataField('245', '0', '0', { a: 'Collected papers :', b: 'a selection.' }),
+                dataField('260', ' ', ' ', { b: 'Penguin,', c: 'c1979.' }),
+                dataField('300', ' ', ' ', { a: 'xii, 310 p. :' })
+            ]
+        };
+        expect(recordToBook(older)).toEqual({ title: 'Collected papers: a selection', publisher: 'Penguin', publishedYear: '1979', pages: '310' });
+    });
+
+    it('should keep fields the catalogue does not model when a book is exported', () => {
+        const book = new Book({ ...recordToBook(dune), title: 'Dune', tags: ['Ecology', 'Classics'], pages: 535 });
+
+        const record = bookToRecord(book, dune);
+        const tags = record.fields.filter(field => field.tag === '650').map(field => field.subfields[0].value);
+
+        // Unchanged fields are left exactly as imported
+        expect(record.fields.find(field => field.tag === '100')).toEqual(dune.fields[3]);
+        expect(record.fields.find(field => field.tag === '504')).toEqual(dune.fields[9]);
+        expect(record.fields.find(field => field.tag === '008')).toEqual(dune.fields[1]);
+        // Changed ones only have their mapped subfields rewritten
+        expect(record.fields.find(field => field.tag === '300').subfields).toEqual([{ code: 'a', value: '535 pages' }, { code: 'c', value: '18 cm' }]);
+        expect(tags).toEqual(['Ecology.', 'Ecology.', 'Classics']);
+        expect(recordToBook(record)).toMatchObject({ pages: '535', tags: ['Ecology', 'Classics'] });
+    });
+
+    it('should build a record for a book that was not imported', () => {
+        const book = new Book({ title: 'Emma', author: 'Jane Austen', isbn: '9780141439587', publishedYear: 1815, tags: ['Classics'] });
+
+        const record = bookToRecord(book);
+
+        expect(record.fields.map(field => field.tag)).toEqual(['001', '020', '100', '245', '264', '650']);
+        expect(record.fields[0].value).toBe(book._id.toString());
+        expect(record.fields[2].subfields[0].value).toBe('Austen, Jane');
+        expect(recordToBook(parseMarc21(serializeMarc21(record))[0])).toEqual({
+            isbn: '9780141439587',
+            author: 'Jane Austen',
+            title: 'Emma',
+            publishedYear: '1815',
+            tags: ['Classics']
+        });
+    });
+
+    it('should import each record of a MARC file and keep the record with the book', async () => {
+        const parsed = await parseImportFile(serializeMarc21(dune), 'catalogue.mrc');
+        jest.spyOn(Book, 'create').mockImplementation(async data => new Book(data));
+        jest.spyOn(Copy, 'createCopiesForBook').mockResolvedValue([]);
+        jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+        const attach = jest.spyOn(MarcRecord, 'attach').mockResolvedValue({});
+        const createdBy = new mongoose.Types.ObjectId();
+
+        const result = await importRow({ format: parsed.format, onDuplicate: 'skip', dryRun: false, createdBy }, parsed.rows[0], new Map(), new Map());
+
+        expect(parsed.format).toBe('marc21');
+        expect(result.outcome).toBe('created');
+        expect(Book.create).toHaveBeenCalledWith(expect.objectContaining({ title: 'Dune', category: 'Other', totalCopies: 1 }));
+        expect(attach).toHaveBeenCalledWith(result.book, parsed.rows[0].marc, { format: 'marc21', importedBy: createdBy });
+    });
+
+    it('should refuse a file whose records would not fit on the import', async () => {
+        const maxDataMb = config.BOOK_IMPORT_MAX_DATA_MB;
+        const file = Buffer.concat([serializeMarc21(dune), serializeMarc21(dune)]);
+        const { rows } = await parseImportFile(file, 'catalogue.mrc');
+        const size = mongoose.mongo.BSON.calculateObjectSize({ rows });
+
+        try {
+            config.BOOK_IMPORT_MAX_DATA_MB = size / (1024 * 1024);
+            await expect(parseImportFile(file, 'catalogue.mrc')).resolves.toMatchObject({ rows: { length: 2 } });
+
+            config.BOOK_IMPORT_MAX_DATA_MB = (size - 1) / (1024 * 1024);
+            await expect(parseImportFile(file, 'catalogue.mrc')).rejects.toThrow('split it into smaller files');
+        } finally {
+            config.BOOK_IMPORT_MAX_DATA_MB = maxDataMb;
+        }
+    });
+
+    describe('exporting records that cannot be written', () => {
+        const longNote = { ...dune, fields: [...dune.fields, dataField('505', ' ', ' ', { a: 'x'.repeat(10000) })] };
+        const book = new Book({ title: 'Dune', author: 'Frank Herbert', isbn: '9780441013593' });
+
+        it('should explain why a single record cannot be exported', async () => {
+            jest.spyOn(Book, 'findById').mockResolvedValue(book);
+            jest.spyOn(MarcRecord, 'findOne').mockResolvedValue(longNote);
+            const res = response();
+
+            await exportMarcRecord({ params: { id: book._id }, query: { format: 'marc21' } }, res);
+
+            expect(res.status).toHaveBeenCalledWith(422);
+            expect(res.json.mock.calls[0][0].message).toBe('The record cannot be written as MARC 21: Field 505 is too long for MARC 21');
+            expect(res.send).not.toHaveBeenCalled();
+        });
+
+        it('should leave records out of a catalogue export and list them', async () => {
+            const other = new Book({ title: 'Emma', author: 'Jane Austen', isbn: '9780141439587' });
+            const rows = [
+                { ...book.toObject(), marcRecords: [longNote] },
+                { ...other.toObject(), marcRecords: [] }
+            ];
+            jest.spyOn(Book, 'aggregate').mockReturnValue({
+                cursor: () => ({
+                    close: async () => {},
+                    [Symbol.asyncIterator]: async function* () { yield* rows; }
+                })
+            });
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+            const marc21 = response();
+            await exportMarcCatalogue({ query: { format: 'marc21' } }, marc21);
+
+            expect(marc21.write).toHaveBeenCalledTimes(1);
+            expect(marc21.addTrailers).toHaveBeenCalledWith({ 'X-Marc-Skipped': book._id.toString() });
+            expect(marc21.end).toHaveBeenCalled();
+
+            // MARCXML has no length limits, so a malformed record stands in
+            rows[0].marcRecords = [{ fields: [{ tag: '650' }] }];
+            const xml = response();
+            await exportMarcCatalogue({ query: { format: 'marcxml' } }, xml);
+
+            expect(parseMarcXml(xml.body)).toHaveLength(1);
+            expect(xml.body).toContain(`<!-- Skipped 1 record(s) that could not be written: book ${book._id}`);
+            expect(xml.body.trim().endsWith('</collection>')).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,199 @@
+const http = require('http');
+const axios = require('axios');
+const config = require('../config');
+const OidcLoginRequest = require('../models/OidcLoginRequest');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const oidc = require('../utils/oidc');
+const { startOidcLogin, completeOidcLogin } = require('../controllers/authController');
+const { response } = require('./helpers');
+const { clearRoleCache } = require('../utils/permissions');
+const { createMockProvider } = require('../../scripts/mockOidcProvider');
+
+describe('OpenID Connect single sign-on', () => {
+    const settings = {
+        OIDC_CLIENT_ID: 'library-app',
+        OIDC_CLIENT_SECRET: 'mock-secret',
+        OIDC_REDIRECT_URI: 'http://localhost:3000/auth/callback',
+        OIDC_ROLE_CLAIM: 'groups',
+        OIDC_ROLE_MAP: 'library-admins:admin, library-staff:librarian',
+        OIDC_STUDENT_ID_CLAIM: 'student_id'
+    };
+    const original = {};
+    let server;
+
+    // Walk the browser leg of the flow: the mock provider signs the user in
+    // straight away and redirects back with a code
+    const authorize = async ({ nonce = 'nonce-1', codeVerifier = 'verifier-'.padEnd(50, 'x'), loginHint } = {}) => {
+        const metadata = await oidc.getProviderMetadata();
+        const url = oidc.buildAuthorizationUrl(metadata, {
+            state: 'state-1',
+            nonce,
+            codeChallenge: oidc.codeChallengeFor(codeVerifier),
+            loginHint
+        });
+
+        const response = await axios.get(url, { maxRedirects: 0, validateStatus: () => true });
+        return new URL(response.headers.location).searchParams;
+    };
+
+    beforeAll(async () => {
+        // Listen first so the issuer URL can include the free port picked
+        server = http.createServer();
+        await new Promise(resolve => server.listen(0, resolve));
+        const issuer = `http://localhost:${server.address().port}`;
+        server.on('request', createMockProvider({ issuer, clientSecret: 'mock-secret' }));
+
+        Object.keys(settings).concat('OIDC_ISSUER').forEach(key => { original[key] = config[key]; });
+        Object.assign(config, settings, { OIDC_ISSUER: issuer });
+        oidc.clearProviderCache();
+    });
+
+    afterAll(async () => {
+        Object.assign(config, original);
+        oidc.clearProviderCache();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    // Only the built-in roles exist, with their default permissions
+    beforeEach(() => {
+        jest.spyOn(Role, 'distinct').mockResolvedValue([]);
+        jest.spyOn(Role, 'findOne').mockReturnValue({ select: () => ({ lean: async () => null }) });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        clearRoleCache();
+    });
+
+    it('should derive the PKCE challenge from the RFC 7636 example', () => {
+        expect(oidc.codeChallengeFor('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk'))
+            .toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+    });
+
+    it('should complete a login against the mock provider', async () => {
+        const codeVerifier = 'a'.repeat(43);
+        const params = await authorize({ codeVerifier, loginHint: 'librarian@campus.example' });
+        expect(params.get('state')).toBe('state-1');
+
+        jest.spyOn(OidcLoginRequest, 'findOneAndDelete').mockResolvedValue({ nonce: 'nonce-1', codeVerifier });
+
+        const claims = await oidc.finishLogin({ code: params.get('code'), state: 'state-1', browserState: 'state-1' });
+
+        expect(claims.sub).toBe('mock-librarian-1');
+        await expect(oidc.mapClaims(claims)).resolves.toMatchObject({
+            subject: 'mock-librarian-1',
+            email: 'librarian@campus.example',
+            emailVerified: true,
+            firstName: 'Lee',
+            lastName: 'Librarian',
+            role: 'librarian'
+        });
+    });
+
+    it('should refuse an unknown or expired login request', async () => {
+        jest.spyOn(OidcLoginRequest, 'findOneAndDelete').mockResolvedValue(null);
+
+        await expect(oidc.finishLogin({ code: 'code', state: 'state-1', browserState: 'state-1' }))
+            .rejects.toThrow('Login request is invalid or has expired');
+    });
+
+    it('should refuse a login started in another browser', async () => {
+        const findOneAndDelete = jest.spyOn(OidcLoginRequest, 'findOneAndDelete');
+
+        await expect(oidc.finishLogin({ code: 'code', state: 'state-1' }))
+            .rejects.toThrow('Login request is invalid or has expired');
+        await expect(oidc.finishLogin({ code: 'code', state: 'state-1', browserState: 'state-2' }))
+            .rejects.toThrow('Login request is invalid or has expired');
+        expect(findOneAndDelete).not.toHaveBeenCalled();
+    });
+
+    it('should keep the state in an HttpOnly cookie and check it on the callback', async () => {
+        jest.spyOn(OidcLoginRequest, 'create').mockResolvedValue({});
+        const enabled = config.OIDC_ENABLED;
+        config.OIDC_ENABLED = true;
+
+        try {
+            const startRes = { ...response(), cookie: jest.fn() };
+            await startOidcLogin({ query: {} }, startRes);
+
+            const [name, state, options] = startRes.cookie.mock.calls[0];
+            expect(name).toBe('oidc_state');
+            expect(options).toMatchObject({ httpOnly: true, sameSite: 'lax' });
+            expect(new URL(startRes.json.mock.calls[0][0].data.authorizationUrl).searchParams.get('state')).toBe(state);
+
+            // A callback from a browser without the cookie, e.g. one an attacker sent there
+            const callbackRes = { ...response(), clearCookie: jest.fn() };
+            await completeOidcLogin({ body: { code: 'code', state }, cookies: {} }, callbackRes);
+
+            expect(callbackRes.clearCookie).toHaveBeenCalledWith('oidc_state', expect.objectContaining({ httpOnly: true }));
+            expect(callbackRes.status).toHaveBeenCalledWith(401);
+        } finally {
+            config.OIDC_ENABLED = enabled;
+        }
+    });
+
+    it('should refuse a code without the matching PKCE verifier', async () => {
+        const params = await authorize({ codeVerifier: 'b'.repeat(43) });
+
+        await expect(oidc.exchangeCode(params.get('code'), 'c'.repeat(43)))
+            .rejects.toThrow('Identity provider rejected the authorization code');
+    });
+
+    it('should refuse an ID token issued for another login', async () => {
+        const codeVerifier = 'd'.repeat(43);
+        const params = await authorize({ codeVerifier, nonce: 'nonce-2' });
+        const tokens = await oidc.exchangeCode(params.get('code'), codeVerifier);
+
+        await expect(oidc.verifyIdToken(tokens.id_token, { nonce: 'nonce-1' })).rejects.toThrow('Invalid ID token');
+        await expect(oidc.verifyIdToken(`${tokens.id_token}x`, { nonce: 'nonce-2' })).rejects.toThrow('Invalid ID token');
+    });
+
+    it('should map groups to the most privileged role', async () => {
+        const claims = { iss: 'issuer', sub: '1', email: 'A@Campus.example', name: 'Ada King Lovelace' };
+
+        expect((await oidc.mapClaims({ ...claims, groups: ['library-staff', 'library-admins'] })).role).toBe('admin');
+        expect((await oidc.mapClaims({ ...claims, groups: 'other' })).role).toBeNull();
+        await expect(oidc.mapClaims(claims)).resolves.toMatchObject({
+            email: 'a@campus.example',
+            emailVerified: false,
+            firstName: 'Ada',
+            lastName: 'King Lovelace',
+            studentId: null,
+            managedRoles: ['admin', 'librarian']
+        });
+    });
+
+    it('should demote users in no mapped group but keep roles the map does not grant', async () => {
+        const profile = await oidc.mapClaims({ iss: 'issuer', sub: '1', email: 'a@campus.example', email_verified: true, groups: 'other' });
+        const userWith = (role) => {
+            const user = new User({ email: 'a@campus.example', password: 'Secret123', firstName: 'Ada', lastName: 'Lovelace', role });
+            user.sso = { issuer: 'issuer', subject: '1' };
+            jest.spyOn(user, 'save').mockResolvedValue(user);
+            return user;
+        };
+
+        jest.spyOn(User, 'findOne').mockResolvedValueOnce(userWith('librarian')).mockResolvedValueOnce(userWith('archivist'));
+
+        expect((await oidc.provisionUser(profile)).role).toBe('student');
+        expect((await oidc.provisionUser(profile)).role).toBe('archivist');
+    });
+
+    it('should leave roles alone without a role map', async () => {
+        config.OIDC_ROLE_MAP = '';
+        try {
+            await expect(oidc.mapClaims({ iss: 'issuer', sub: '1', groups: ['library-admins'] })).resolves.toMatchObject({ role: null, managedRoles: [] });
+        } finally {
+            config.OIDC_ROLE_MAP = settings.OIDC_ROLE_MAP;
+        }
+    });
+
+    it('should read nested claims by path', async () => {
+        config.OIDC_STUDENT_ID_CLAIM = 'campus.id';
+        try {
+            expect((await oidc.mapClaims({ iss: 'issuer', sub: '1', campus: { id: ' S42 ' } })).studentId).toBe('S42');
+        } finally {
+            config.OIDC_STUDENT_ID_CLAIM = settings.OIDC_STUDENT_ID_CLAIM;
+        }
+    });
+});
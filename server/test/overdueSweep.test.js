@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const Borrow = require('../models/Borrow');
+const LibraryCalendar = require('../models/LibraryCalendar');
+const Notification = require('../models/Notification');
+const circulationEvents = require('../utils/circulationEvents');
+const loanNotices = require('../utils/loanNotices');
+const { runOverdueSweep } = require('../utils/overdueSweep');
+const { query } = require('./helpers');
+require('../utils/scheduledJobs');
+
+// Let work started without being awaited finish
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Overdue sweep', () => {
+    const day = 24 * 60 * 60 * 1000;
+
+    const loan = (status, daysOverdue, fineAmount = 0) => new Borrow({
+        user: new mongoose.Types.ObjectId(),
+        book: new mongoose.Types.ObjectId(),
+        status,
+        dueDate: new Date(Date.now() - daysOverdue * day + 60 * 1000),
+        fineAmount,
+        loanTerms: { loanPeriodDays: 14, finePerDay: 0.5, maxFine: 50 }
+    });
+
+    let loans;
+    let bulkWrite;
+    let updateOne;
+    let overdueEvents;
+    const onOverdue = event => overdueEvents.push(event);
+
+    beforeEach(() => {
+        loans = [];
+        overdueEvents = [];
+        jest.spyOn(LibraryCalendar, 'getCalendar').mockResolvedValue(new LibraryCalendar());
+        jest.spyOn(Borrow, 'find').mockImplementation(() => ({ cursor: () => loans }));
+        bulkWrite = jest.spyOn(Borrow, 'bulkWrite').mockResolvedValue({});
+        updateOne = jest.spyOn(Borrow, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+        // Loans the notice listener looks up, unless a test says otherwise
+        jest.spyOn(Borrow, 'findById').mockReturnValue(query(null));
+        circulationEvents.on('loan:overdue', onOverdue);
+    });
+
+    afterEach(() => {
+        circulationEvents.off('loan:overdue', onOverdue);
+        jest.restoreAllMocks();
+    });
+
+    it('should mark past-due loans overdue with the fine so far', async () => {
+        const borrow = loan('borrowed', 3);
+        loans.push(borrow);
+
+        const report = await runOverdueSweep();
+
+        expect(report).toMatchObject({ loansChecked: 1, newlyOverdue: 1, finesUpdated: 1, fineIncrease: 1.5 });
+        expect(updateOne).toHaveBeenCalledWith(
+            { _id: borrow._id, status: 'borrowed' },
+            { $set: { status: 'overdue', fineAmount: 1.5 } }
+        );
+        expect(bulkWrite).not.toHaveBeenCalled();
+        expect(overdueEvents).toEqual([expect.objectContaining({ borrowId: borrow._id, fineAmount: 1.5 })]);
+    });
+
+    it('should not announce a loan returned before the sweep reached it', async () => {
+        const returned = loan('borrowed', 3);
+        const overdue = loan('borrowed', 2);
+        loans.push(returned, overdue);
+        updateOne
+            .mockResolvedValueOnce({ matchedCount: 0, modifiedCount: 0 })
+            .mockResolvedValueOnce({ matchedCount: 1, modifiedCount: 1 });
+
+        const report = await runOverdueSweep();
+
+        expect(report).toMatchObject({ loansChecked: 2, newlyOverdue: 1 });
+        expect(report.changes.map(change => change.borrowId)).toEqual([overdue._id]);
+        expect(overdueEvents.map(event => event.borrowId)).toEqual([overdue._id]);
+    });
+
+    it('should only accrue fines on loans that are already overdue', async () => {
+        loans.push(loan('overdue', 4, 1.5), loan('overdue', 2, 1));
+
+        const report = await runOverdueSweep();
+
+        expect(report).toMatchObject({ loansChecked: 2, newlyOverdue: 0, finesUpdated: 1, fineIncrease: 0.5 });
+        expect(bulkWrite.mock.calls[0][0]).toHaveLength(1);
+        expect(updateOne).not.toHaveBeenCalled();
+        expect(overdueEvents).toHaveLength(0);
+    });
+
+    it('should report without writing or emitting on a dry run', async () => {
+        loans.push(loan('borrowed', 1));
+
+        const report = await runOverdueSweep({ dryRun: true });
+
+        expect(report).toMatchObject({ dryRun: true, newlyOverdue: 1 });
+        expect(report.changes[0].status).toEqual({ from: 'borrowed', to: 'overdue' });
+        expect(bulkWrite).not.toHaveBeenCalled();
+        expect(updateOne).not.toHaveBeenCalled();
+        expect(overdueEvents).toHaveLength(0);
+    });
+
+    describe('overdue notices', () => {
+        const patron = { _id: new mongoose.Types.ObjectId(), firstName: 'Ada', email: 'ada@example.com', preferences: { notifications: { email: false } } };
+        const book = { _id: new mongoose.Types.ObjectId(), title: 'Dune' };
+
+        const populated = (status) => {
+            const borrow = loan(status, 2, 1);
+            borrow.user = patron;
+            borrow.book = book;
+            return borrow;
+        };
+
+        beforeEach(() => {
+            jest.spyOn(Notification, 'createNotification').mockImplementation(async data => new Notification(data));
+        });
+
+        it('should notify the patron when the sweep marks their loan overdue', async () => {
+            const borrow = loan('borrowed', 3);
+            loans.push(borrow);
+            const overdue = populated('overdue');
+            Borrow.findById.mockReturnValue(query(overdue));
+
+            await runOverdueSweep();
+            await settle();
+
+            expect(Borrow.findById).toHaveBeenCalledWith(borrow._id);
+            expect(Notification.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+                user: patron._id,
+                type: 'overdue',
+                relatedEntity: { type: 'borrow', id: overdue._id }
+            }));
+        });
+
+        it('should not notify about a loan returned since the sweep', async () => {
+            Borrow.findById.mockReturnValue(query(populated('returned')));
+
+            await expect(loanNotices.sendOverdueNotice(new mongoose.Types.ObjectId())).resolves.toBeNull();
+            expect(Notification.createNotification).not.toHaveBeenCalled();
+        });
+
+        it('should skip loans already notified today in the daily notices', async () => {
+            const notifiedToday = populated('overdue');
+            const notYet = populated('overdue');
+            Borrow.find.mockReturnValue(query([notifiedToday, notYet]));
+            const distinct = jest.spyOn(Notification, 'distinct').mockResolvedValue([notifiedToday._id]);
+
+            const result = await loanNotices.sendOverdueNotices();
+
+            expect(result.notificationsSent).toBe(1);
+            expect(distinct).toHaveBeenCalledWith('relatedEntity.id', expect.objectContaining({ type: 'overdue', 'relatedEntity.type': 'borrow' }));
+            expect(Notification.createNotification).toHaveBeenCalledTimes(1);
+            expect(Notification.createNotification.mock.calls[0][0].relatedEntity.id).toBe(notYet._id);
+        });
+    });
+});
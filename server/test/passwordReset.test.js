@@ -0,0 +1,103 @@
+jest.mock('../utils/emailService', () => ({
+    ...jest.requireActual('../utils/emailService'),
+    sendPasswordResetEmail: jest.fn()
+}));
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const config = require('../config');
+const { sendPasswordResetEmail } = require('../utils/emailService');
+const { forgotPassword } = require('../controllers/authController');
+const { response } = require('./helpers');
+
+// Let work started after the response finish
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Password reset', () => {
+    const newUser = () => new User({
+        email: 'reader@example.com',
+        password: 'Secret123',
+        firstName: 'Test',
+        lastName: 'Reader'
+    });
+
+    it('should keep only a hash of the reset token', () => {
+        const user = newUser();
+
+        const resetToken = user.createPasswordResetToken();
+
+        expect(resetToken).toMatch(/^[0-9a-f]{64}$/);
+        expect(user.passwordResetToken).not.toBe(resetToken);
+        expect(user.passwordResetToken).toBe(crypto.createHash('sha256').update(resetToken).digest('hex'));
+    });
+
+    it('should expire the reset token after the configured time', () => {
+        const user = newUser();
+        const before = Date.now();
+
+        user.createPasswordResetToken();
+
+        const expiresIn = user.passwordResetExpires.getTime() - before;
+        expect(expiresIn).toBeGreaterThanOrEqual(config.PASSWORD_RESET_EXPIRE_MINUTES * 60 * 1000);
+        expect(expiresIn).toBeLessThan(config.PASSWORD_RESET_EXPIRE_MINUTES * 60 * 1000 + 1000);
+    });
+
+    it('should reject tokens issued before sessions were revoked', () => {
+        const user = newUser();
+        const accessToken = jwt.decode(user.generateAuthToken());
+        const refreshToken = jwt.decode(user.generateRefreshToken());
+
+        expect(user.isTokenCurrent(accessToken)).toBe(true);
+
+        user.revokeSessions();
+
+        expect(user.isTokenCurrent(accessToken)).toBe(false);
+        expect(user.isTokenCurrent(refreshToken)).toBe(false);
+        expect(user.isTokenCurrent(jwt.decode(user.generateAuthToken()))).toBe(true);
+    });
+
+    describe('requesting a reset link', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+            sendPasswordResetEmail.mockReset();
+        });
+
+        const request = (email) => ({ body: { email } });
+
+        it('should answer before the link is sent', async () => {
+            const user = newUser();
+            jest.spyOn(User, 'findOne').mockResolvedValue(user);
+            jest.spyOn(user, 'save').mockResolvedValue(user);
+            let delivered;
+            sendPasswordResetEmail.mockReturnValue(new Promise(resolve => { delivered = resolve; }));
+            const res = response();
+
+            await forgotPassword(request('reader@example.com'), res);
+            await settle();
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(sendPasswordResetEmail).toHaveBeenCalledWith(user, expect.stringContaining(`${config.CLIENT_URL}/reset-password/`), config.PASSWORD_RESET_EXPIRE_MINUTES);
+            delivered({ success: true });
+        });
+
+        it('should give the same answer whether or not the account exists or the email fails', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const user = newUser();
+            jest.spyOn(User, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(user);
+            jest.spyOn(user, 'save').mockResolvedValue(user);
+            sendPasswordResetEmail.mockRejectedValue(new Error('SMTP unavailable'));
+
+            const missing = response();
+            await forgotPassword(request('nobody@example.com'), missing);
+            const failing = response();
+            await forgotPassword(request('reader@example.com'), failing);
+            await settle();
+
+            expect(missing.status).toHaveBeenCalledWith(200);
+            expect(failing.status).toHaveBeenCalledWith(200);
+            expect(failing.json.mock.calls[0][0]).toEqual(missing.json.mock.calls[0][0]);
+            expect(console.error).toHaveBeenCalledWith('Password reset email error:', expect.any(Error));
+        });
+    });
+});
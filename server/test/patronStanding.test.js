@@ -0,0 +1,58 @@
+const { BLOCK_CODES, evaluateBlocks } = require('../utils/patronStanding');
+
+describe('Patron standing', () => {
+    const limits = { maxFineBalance: 10, maxOverdueLoans: 2 };
+    const now = new Date('2024-05-01T12:00:00Z');
+
+    const codesFor = (circumstances) => evaluateBlocks({
+        isActive: true,
+        limits,
+        now,
+        ...circumstances
+    }).map(block => block.code);
+
+    it('should not block a patron in good standing', () => {
+        expect(codesFor({ fineBalance: 10, overdueCount: 2 })).toEqual([]);
+    });
+
+    it('should block when outstanding fines exceed the limit', () => {
+        expect(codesFor({ fineBalance: 10.01 })).toEqual([BLOCK_CODES.FINES_EXCEEDED]);
+    });
+
+    it('should block when overdue loans exceed the limit', () => {
+        expect(codesFor({ overdueCount: 3 })).toEqual([BLOCK_CODES.OVERDUE_EXCEEDED]);
+    });
+
+    it('should block when the membership has expired', () => {
+        expect(codesFor({ membershipExpiresAt: new Date('2024-04-30T00:00:00Z') }))
+            .toEqual([BLOCK_CODES.MEMBERSHIP_EXPIRED]);
+        expect(codesFor({ membershipExpiresAt: new Date('2024-06-01T00:00:00Z') })).toEqual([]);
+    });
+
+    it('should report every manual block', () => {
+        const blocks = evaluateBlocks({
+            isActive: true,
+            limits,
+            now,
+            manualBlocks: [{ _id: 'a', reason: 'Damaged books' }, { _id: 'b', reason: 'Conduct' }]
+        });
+
+        expect(blocks.map(block => block.code)).toEqual([BLOCK_CODES.MANUAL_BLOCK, BLOCK_CODES.MANUAL_BLOCK]);
+        expect(blocks[0].message).toContain('Damaged books');
+    });
+
+    it('should block unverified email addresses only when verification is required', () => {
+        expect(codesFor({ isEmailVerified: false })).toEqual([]);
+        expect(codesFor({ isEmailVerified: false, limits: { ...limits, requireEmailVerification: true } }))
+            .toEqual([BLOCK_CODES.EMAIL_UNVERIFIED]);
+        expect(codesFor({ isEmailVerified: true, limits: { ...limits, requireEmailVerification: true } })).toEqual([]);
+    });
+
+    it('should not let staff override a deactivated account', () => {
+        const blocks = evaluateBlocks({ isActive: false, fineBalance: 50, limits, now });
+
+        expect(blocks.map(block => block.code)).toEqual([BLOCK_CODES.ACCOUNT_INACTIVE, BLOCK_CODES.FINES_EXCEEDED]);
+        expect(blocks[0].overridable).toBe(false);
+        expect(blocks[1].overridable).toBe(true);
+    });
+});
@@ -0,0 +1,89 @@
+const Role = require('../models/Role');
+const { requirePermission } = require('../middleware/auth');
+const { clearRoleCache, getPermissions, missingPermissions } = require('../utils/permissions');
+const { ALL_PERMISSIONS, SYSTEM_ROLES } = require('../config/permissions');
+const { response } = require('./helpers');
+
+describe('Role permissions', () => {
+    const lean = (value) => ({
+        select: () => ({ lean: () => Promise.resolve(value) })
+    });
+
+    const runMiddleware = (middleware, req) => {
+        const res = response();
+        const next = jest.fn();
+        middleware(req, res, next);
+        return { res, next };
+    };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        clearRoleCache();
+    });
+
+    it('should give admin every permission without reading the role', async () => {
+        const findOne = jest.spyOn(Role, 'findOne');
+
+        const permissions = await getPermissions('admin');
+
+        expect([...permissions]).toEqual(ALL_PERMISSIONS);
+        expect(findOne).not.toHaveBeenCalled();
+    });
+
+    it('should use the stored role and fall back to built-in defaults', async () => {
+        jest.spyOn(Role, 'findOne')
+            .mockReturnValueOnce(lean({ permissions: ['circulation.view', 'circulation.checkout'] }))
+            .mockReturnValueOnce(lean(null))
+            .mockReturnValueOnce(lean(null));
+
+        const assistant = await getPermissions('circulation-assistant');
+        const librarian = await getPermissions('librarian');
+        const unknown = await getPermissions('gone');
+
+        expect([...assistant]).toEqual(['circulation.view', 'circulation.checkout']);
+        expect([...librarian]).toEqual(SYSTEM_ROLES.librarian.permissions);
+        expect(librarian.has('books.delete')).toBe(false);
+        expect(unknown.size).toBe(0);
+    });
+
+    it('should cache roles until the cache is cleared', async () => {
+        const findOne = jest.spyOn(Role, 'findOne').mockReturnValue(lean({ permissions: ['books.update'] }));
+
+        await getPermissions('cataloguer');
+        await getPermissions('cataloguer');
+        expect(findOne).toHaveBeenCalledTimes(1);
+
+        clearRoleCache();
+        await getPermissions('cataloguer');
+        expect(findOne).toHaveBeenCalledTimes(2);
+    });
+
+    it('should list the permissions an editor lacks', () => {
+        const held = new Set(['books.create', 'books.update']);
+
+        expect(missingPermissions(held, ['books.update', 'books.delete'])).toEqual(['books.delete']);
+        expect(missingPermissions(held, [])).toEqual([]);
+    });
+
+    it('should reject unknown permissions and malformed keys', async () => {
+        const invalid = new Role({ key: 'cataloguer', name: 'Cataloguer', permissions: ['books.update', 'books.burn'] });
+        expect(invalid.validateSync().errors.permissions).toBeDefined();
+
+        const badKey = new Role({ key: 'Circulation Assistant', name: 'Circulation assistant' });
+        expect(badKey.validateSync().errors.key).toBeDefined();
+    });
+
+    it('should let a request through with any of the permissions', () => {
+        const req = { user: { role: 'cataloguer' }, permissions: new Set(['books.update']) };
+
+        const allowed = runMiddleware(requirePermission('books.create', 'books.update'), req);
+        expect(allowed.next).toHaveBeenCalled();
+
+        const denied = runMiddleware(requirePermission('books.delete'), req);
+        expect(denied.next).not.toHaveBeenCalled();
+        expect(denied.res.status).toHaveBeenCalledWith(403);
+        expect(denied.res.json).toHaveBeenCalledWith(expect.objectContaining({
+            message: 'Access denied. Required permission: books.delete'
+        }));
+    });
+});
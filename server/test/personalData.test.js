@@ -0,0 +1,247 @@
+const { PassThrough } = require('stream');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Borrow = require('../models/Borrow');
+const Reservation = require('../models/Reservation');
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const FineTransaction = require('../models/FineTransaction');
+const PatronBlock = require('../models/PatronBlock');
+const BlockOverride = require('../models/BlockOverride');
+const Session = require('../models/Session');
+const KioskSession = require('../models/KioskSession');
+const AccountChange = require('../models/AccountChange');
+const AuditEvent = require('../models/AuditEvent');
+const { collectPersonalData, eraseUser, getErasureBlock, writeExportArchive } = require('../utils/personalData');
+const { query } = require('./helpers');
+
+describe('Personal data', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const otherId = new mongoose.Types.ObjectId();
+
+    const stubStoredData = () => {
+        jest.spyOn(User, 'findById').mockReturnValue(query({ _id: userId, email: 'student@example.com' }));
+        jest.spyOn(Borrow, 'find').mockReturnValue(query([{ _id: 'b1' }]));
+        jest.spyOn(Reservation, 'find').mockReturnValue(query([]));
+        jest.spyOn(Comment, 'find')
+            .mockReturnValueOnce(query([{ _id: 'c1', content: 'A fine book indeed', likes: [otherId], dislikes: [], replies: [] }]))
+            .mockReturnValueOnce(query([{
+                _id: 'c2',
+                book: { title: 'Other' },
+                replies: [
+                    { user: userId, content: 'I agree' },
+                    { user: otherId, content: 'Not me' }
+                ]
+            }]));
+        jest.spyOn(Notification, 'find').mockReturnValue(query([]));
+        jest.spyOn(FineTransaction, 'getBalance').mockResolvedValue(0);
+        jest.spyOn(FineTransaction, 'find').mockReturnValue(query([]));
+        jest.spyOn(PatronBlock, 'find').mockReturnValue(query([]));
+        jest.spyOn(BlockOverride, 'find').mockReturnValue(query([]));
+        jest.spyOn(Session, 'find').mockReturnValue(query([]));
+        jest.spyOn(KioskSession, 'find').mockReturnValue(query([]));
+        jest.spyOn(AccountChange, 'find').mockReturnValue(query([]));
+        jest.spyOn(AuditEvent, 'find').mockReturnValue(query([]));
+    };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should refuse erasure while loans are open', async () => {
+        jest.spyOn(Borrow, 'countDocuments').mockResolvedValue(2);
+        jest.spyOn(FineTransaction, 'getBalance').mockResolvedValue(0);
+
+        await expect(getErasureBlock(userId)).resolves.toMatchObject({ code: 'OPEN_LOANS', itemsOut: 2 });
+    });
+
+    it('should refuse erasure while fines are unpaid', async () => {
+        jest.spyOn(Borrow, 'countDocuments').mockResolvedValue(0);
+        jest.spyOn(FineTransaction, 'getBalance').mockResolvedValue(3.5);
+
+        await expect(getErasureBlock(userId)).resolves.toMatchObject({ code: 'UNPAID_FINES', balance: 3.5 });
+    });
+
+    it('should allow erasure once loans are closed and fines settled', async () => {
+        jest.spyOn(Borrow, 'countDocuments').mockResolvedValue(0);
+        jest.spyOn(FineTransaction, 'getBalance').mockResolvedValue(0);
+
+        await expect(getErasureBlock(userId)).resolves.toBeNull();
+    });
+
+    it('should not erase an account that is blocked or already erased', async () => {
+        jest.spyOn(User, 'findById').mockReturnValueOnce(query({ _id: userId, erasedAt: new Date() }));
+        await expect(eraseUser(userId)).rejects.toThrow('User has already been erased');
+
+        jest.spyOn(User, 'findById').mockReturnValueOnce(query({ _id: userId, erasedAt: null }));
+        jest.spyOn(Borrow, 'countDocuments').mockResolvedValue(1);
+        jest.spyOn(FineTransaction, 'getBalance').mockResolvedValue(0);
+        const update = jest.spyOn(User, 'updateOne');
+
+        await expect(eraseUser(userId)).rejects.toMatchObject({ block: { code: 'OPEN_LOANS' } });
+        expect(update).not.toHaveBeenCalled();
+    });
+
+    it('should not erase an account charged a fine after the first check', async () => {
+        jest.spyOn(User, 'findById').mockReturnValue(query({ _id: userId, erasedAt: null }));
+        jest.spyOn(Borrow, 'countDocuments').mockReturnValue(query(0));
+        const getBalance = jest.spyOn(FineTransaction, 'getBalance').mockResolvedValueOnce(0).mockResolvedValueOnce(4);
+        jest.spyOn(Reservation, 'find').mockReturnValue(query([]));
+        const session = { withTransaction: async (work) => work(), endSession: async () => {} };
+        jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+        const update = jest.spyOn(User, 'updateOne');
+
+        await expect(eraseUser(userId)).rejects.toMatchObject({ block: { code: 'UNPAID_FINES', balance: 4 } });
+        expect(getBalance).toHaveBeenLastCalledWith(userId, session);
+        expect(update).not.toHaveBeenCalled();
+    });
+
+    describe('erasure', () => {
+        const adminId = new mongoose.Types.ObjectId();
+        const erasedEmail = `erased-${userId}@erased.invalid`;
+
+        const eraseWith = async ({ events = [], accountChanges = [] } = {}) => {
+            jest.spyOn(User, 'findById').mockReturnValue(query({
+                _id: userId,
+                erasedAt: null,
+                email: 'ada@example.com',
+                firstName: 'Ada',
+                lastName: 'Lovelace',
+                studentId: 'STU000001'
+            }));
+            jest.spyOn(Borrow, 'countDocuments').mockReturnValue(query(0));
+            jest.spyOn(FineTransaction, 'getBalance').mockResolvedValue(0);
+            jest.spyOn(Reservation, 'find').mockReturnValue(query([]));
+            jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+                withTransaction: async (work) => work(),
+                endSession: async () => {}
+            });
+            jest.spyOn(User, 'updateOne').mockResolvedValue({});
+            jest.spyOn(Borrow, 'updateMany').mockResolvedValue({ matchedCount: 0 });
+            jest.spyOn(Reservation, 'updateMany').mockResolvedValue({ matchedCount: 0 });
+            jest.spyOn(Comment, 'updateMany').mockResolvedValue({ matchedCount: 0 });
+            jest.spyOn(Notification, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+            jest.spyOn(PatronBlock, 'deleteMany').mockResolvedValue({});
+            jest.spyOn(Session, 'deleteMany').mockResolvedValue({});
+            jest.spyOn(KioskSession, 'deleteMany').mockResolvedValue({});
+            jest.spyOn(AuditEvent, 'find').mockReturnValue(query(events));
+            jest.spyOn(AccountChange, 'find').mockReturnValue(query(accountChanges));
+            const pseudonymise = jest.spyOn(AuditEvent, 'pseudonymise').mockImplementation(async updates => updates.length);
+            const bulkWrite = jest.spyOn(AccountChange, 'bulkWrite').mockResolvedValue({});
+
+            const result = await eraseUser(userId);
+            return { result, pseudonymise, bulkWrite };
+        };
+
+        it('should pseudonymise the user in audit events about their account', async () => {
+            const event = {
+                _id: new mongoose.Types.ObjectId(),
+                actor: adminId,
+                actorEmail: 'admin@example.com',
+                action: 'user.update',
+                entity: { type: 'User', id: userId.toString(), label: 'Ada Lovelace (ada@example.com)' },
+                changes: [
+                    { path: 'email', before: 'ada.byron@example.com', after: 'ada@example.com' },
+                    { path: 'address.city', before: null, after: 'London' },
+                    { path: 'role', before: 'student', after: 'librarian' }
+                ],
+                details: { body: { firstName: 'Ada', note: 'Was ada.byron@example.com' } }
+            };
+
+            const { result, pseudonymise } = await eraseWith({ events: [event] });
+
+            expect(result.auditEventsPseudonymized).toBe(1);
+            const [[[{ _id, set }]]] = pseudonymise.mock.calls;
+            expect(_id).toBe(event._id);
+            expect(set.actorEmail).toBe('admin@example.com');
+            expect(set.entity.label).toBe(`Erased Erased (${erasedEmail})`);
+            expect(set.changes).toEqual([
+                { path: 'email', before: '[erased]', after: '[erased]' },
+                { path: 'address.city', before: null, after: '[erased]' },
+                { path: 'role', before: 'student', after: 'librarian' }
+            ]);
+            expect(set.details).toEqual({ body: { firstName: 'Erased', note: `Was ${erasedEmail}` } });
+        });
+
+        it('should pseudonymise the actions the user took and leave other text alone', async () => {
+            const untouched = {
+                _id: new mongoose.Types.ObjectId(),
+                actor: userId,
+                action: 'reservation.create',
+                entity: { type: 'Book', id: 'b1', label: 'Ada and Zangemann' },
+                changes: []
+            };
+            const login = {
+                _id: new mongoose.Types.ObjectId(),
+                actor: userId,
+                actorEmail: 'ada@example.com',
+                action: 'auth.login',
+                changes: [],
+                details: { card: 'STU000001' }
+            };
+
+            const { result, pseudonymise } = await eraseWith({ events: [untouched, login] });
+
+            expect(result.auditEventsPseudonymized).toBe(1);
+            expect(pseudonymise.mock.calls[0][0]).toEqual([{
+                _id: login._id,
+                set: { actorEmail: erasedEmail, changes: [], details: { card: '[erased]' } }
+            }]);
+        });
+
+        it('should pseudonymise the reasons given for staff changes to the account', async () => {
+            const changeId = new mongoose.Types.ObjectId();
+
+            const { result, bulkWrite } = await eraseWith({
+                accountChanges: [
+                    { _id: changeId, reason: 'Ada Lovelace asked for the change' },
+                    { _id: new mongoose.Types.ObjectId(), reason: 'Left the school' }
+                ]
+            });
+
+            expect(result.accountChangesPseudonymized).toBe(1);
+            expect(bulkWrite).toHaveBeenCalledWith([{
+                updateOne: { filter: { _id: changeId }, update: { $set: { reason: 'Erased Erased asked for the change' } } }
+            }], expect.anything());
+        });
+
+        it('should write pseudonymised events past the append-only hooks', async () => {
+            const bulkWrite = jest.spyOn(AuditEvent.collection, 'bulkWrite').mockResolvedValue({ modifiedCount: 1 });
+            const eventId = new mongoose.Types.ObjectId();
+
+            await expect(AuditEvent.pseudonymise([{ _id: eventId, set: { actorEmail: erasedEmail } }])).resolves.toBe(1);
+            await expect(AuditEvent.pseudonymise([])).resolves.toBe(0);
+            expect(bulkWrite).toHaveBeenCalledTimes(1);
+            expect(bulkWrite.mock.calls[0][0]).toEqual([
+                { updateOne: { filter: { _id: eventId }, update: { $set: { actorEmail: erasedEmail } } } }
+            ]);
+        });
+    });
+
+    it('should collect only the user\'s own replies and leave out other people\'s votes', async () => {
+        stubStoredData();
+
+        const data = await collectPersonalData(userId);
+
+        expect(Object.keys(data)).toEqual(expect.arrayContaining(['profile.json', 'borrows.json', 'fines.json', 'audit-events.json']));
+        expect(data['comments.json'].reviews[0]).not.toHaveProperty('likes');
+        expect(data['comments.json'].replies).toEqual([
+            expect.objectContaining({ content: 'I agree', inReplyTo: 'c2' })
+        ]);
+        expect(data['fines.json']).toEqual({ balance: 0, transactions: [] });
+    });
+
+    it('should write the export as a zip archive', async () => {
+        stubStoredData();
+        const output = new PassThrough();
+        const chunks = [];
+        output.on('data', chunk => chunks.push(chunk));
+
+        await writeExportArchive(userId, output);
+
+        const zip = Buffer.concat(chunks);
+        expect(zip.subarray(0, 2).toString()).toBe('PK');
+        expect(zip.includes('profile.json')).toBe(true);
+        expect(zip.includes('README.txt')).toBe(true);
+    });
+});
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const Borrow = require('../models/Borrow');
+const User = require('../models/User');
+const config = require('../config');
+const { anonymizeReadingHistory, anonymizeUserHistory, keepsReadingHistory } = require('../utils/readingHistory');
+
+describe('Reading history', () => {
+    const retentionDays = config.READING_HISTORY_RETENTION_DAYS;
+    const optedOut = new mongoose.Types.ObjectId();
+
+    beforeEach(() => {
+        jest.spyOn(User, 'distinct').mockResolvedValue([optedOut]);
+        jest.spyOn(Borrow, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+    });
+
+    afterEach(() => {
+        config.READING_HISTORY_RETENTION_DAYS = retentionDays;
+        jest.restoreAllMocks();
+    });
+
+    it('should keep history unless the user opted out', () => {
+        expect(keepsReadingHistory(new User({}))).toBe(true);
+        expect(keepsReadingHistory(new User({ preferences: { readingHistory: false } }))).toBe(false);
+    });
+
+    it('should only anonymize opted-out users when there is no retention period', async () => {
+        config.READING_HISTORY_RETENTION_DAYS = 0;
+
+        await expect(anonymizeReadingHistory()).resolves.toEqual({ anonymized: 3, optedOutUsers: 1 });
+        expect(Borrow.updateMany).toHaveBeenCalledWith({
+            status: 'returned',
+            anonymizedAt: null,
+            $or: [{ user: { $in: [optedOut] } }]
+        }, expect.any(Array));
+    });
+
+    it('should anonymize loans returned before the retention period', async () => {
+        config.READING_HISTORY_RETENTION_DAYS = 30;
+        const now = new Date('2025-03-31T00:00:00Z');
+
+        await anonymizeReadingHistory({ now });
+
+        const [filter, pipeline] = Borrow.updateMany.mock.calls[0];
+        expect(filter.$or[1]).toEqual({ returnDate: { $lt: new Date('2025-03-01T00:00:00Z') } });
+        expect(pipeline[0].$set.anonymizedAt).toBe(now);
+        expect(pipeline[1].$unset).toEqual(expect.arrayContaining(['user', 'notes']));
+    });
+
+    it('should anonymize every returned loan of one user', async () => {
+        const userId = new mongoose.Types.ObjectId();
+
+        await expect(anonymizeUserHistory(userId)).resolves.toBe(3);
+        expect(Borrow.updateMany).toHaveBeenCalledWith(
+            { status: 'returned', anonymizedAt: null, user: userId },
+            expect.any(Array)
+        );
+    });
+
+    it('should accept anonymized loans without a patron', async () => {
+        const borrow = new Borrow({
+            book: new mongoose.Types.ObjectId(),
+            dueDate: new Date(),
+            status: 'returned',
+            anonymizedAt: new Date()
+        });
+
+        const error = borrow.validateSync(['user', 'borrowedBy']);
+        expect(error).toBeUndefined();
+
+        borrow.anonymizedAt = null;
+        expect(borrow.validateSync(['user']).errors.user.message).toBe('User is required');
+    });
+
+    it('should read anonymized loans back with a null patron', () => {
+        const borrow = Borrow.hydrate({
+            _id: new mongoose.Types.ObjectId(),
+            book: new mongoose.Types.ObjectId(),
+            status: 'returned',
+            anonymizedAt: new Date()
+        });
+
+        expect(borrow.user).toBeNull();
+        expect(borrow.toJSON().user).toBeNull();
+    });
+});
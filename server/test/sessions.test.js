@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { refreshToken } = require('../controllers/authController');
+const { query, response } = require('./helpers');
+
+describe('Sessions', () => {
+    const user = new User({
+        email: 'reader@example.com',
+        password: 'Secret123',
+        firstName: 'Test',
+        lastName: 'Reader'
+    });
+
+    it('should issue a different refresh token on every rotation', () => {
+        const sessionId = new mongoose.Types.ObjectId();
+
+        const first = user.generateRefreshToken(sessionId);
+        const second = user.generateRefreshToken(sessionId);
+
+        expect(first).not.toBe(second);
+        expect(Session.hashToken(first)).not.toBe(Session.hashToken(second));
+        expect(jwt.decode(first).sid).toBe(sessionId.toString());
+    });
+
+    it('should tie access tokens to their session', () => {
+        const sessionId = new mongoose.Types.ObjectId();
+
+        expect(jwt.decode(user.generateAuthToken(sessionId)).sid).toBe(sessionId.toString());
+        expect(jwt.decode(user.generateAuthToken()).sid).toBeUndefined();
+    });
+
+    it('should stop being active once revoked or expired', () => {
+        const session = new Session({
+            user: user._id,
+            tokenHash: Session.hashToken('token'),
+            expiresAt: new Date(Date.now() + 60 * 1000)
+        });
+        expect(session.isActive).toBe(true);
+
+        session.revoke('token_reuse');
+        expect(session.isActive).toBe(false);
+        expect(session.revokedReason).toBe('token_reuse');
+
+        const expired = new Session({ user: user._id, tokenHash: 'x', expiresAt: new Date(Date.now() - 1000) });
+        expect(expired.isActive).toBe(false);
+    });
+
+    describe('refreshing', () => {
+        // A stored session along with its current refresh token
+        const storeSession = () => {
+            const session = new Session({ user: user._id, tokenHash: 'x', expiresAt: new Date(Date.now() + 60 * 1000) });
+            const token = user.generateRefreshToken(session._id);
+            session.tokenHash = Session.hashToken(token);
+            const findById = jest.spyOn(Session, 'findById').mockReturnValue(query(session));
+            return { session, token, findById };
+        };
+
+        const refresh = async (token) => {
+            const res = response();
+            await refreshToken({ body: { refreshToken: token }, ip: '127.0.0.1' }, res);
+            return res;
+        };
+
+        beforeEach(() => {
+            jest.spyOn(User, 'findById').mockReturnValue(query(user));
+            jest.spyOn(Session.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should rotate the current refresh token and return a new pair', async () => {
+            const { session, token: current } = storeSession();
+            const findOneAndUpdate = jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(session);
+
+            const res = await refresh(current);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            const { token, refreshToken: next } = res.json.mock.calls[0][0].data;
+            expect(next).not.toBe(current);
+            expect(jwt.decode(token).sid).toBe(session._id.toString());
+            expect(findOneAndUpdate.mock.calls[0][0]).toMatchObject({ _id: session._id, tokenHash: Session.hashToken(current), revokedAt: null });
+            expect(findOneAndUpdate.mock.calls[0][1].tokenHash).toBe(Session.hashToken(next));
+        });
+
+        it('should revoke the session when an already rotated token is presented', async () => {
+            const { session, token: rotatedOut } = storeSession();
+            session.tokenHash = Session.hashToken(user.generateRefreshToken(session._id));
+            const findOneAndUpdate = jest.spyOn(Session, 'findOneAndUpdate');
+
+            const res = await refresh(rotatedOut);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(session.revokedAt).toBeInstanceOf(Date);
+            expect(session.revokedReason).toBe('token_reuse');
+            expect(Session.prototype.save).toHaveBeenCalled();
+            expect(findOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('should revoke the session when a concurrent refresh rotated it first', async () => {
+            const { session, token: current } = storeSession();
+            jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+            const updateOne = jest.spyOn(Session, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+            const res = await refresh(current);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(updateOne).toHaveBeenCalledWith(
+                { _id: session._id, revokedAt: null },
+                expect.objectContaining({ revokedReason: 'token_reuse' })
+            );
+        });
+
+        it('should refuse tokens of revoked or missing sessions', async () => {
+            const { session, token: current, findById } = storeSession();
+            session.revoke('logout');
+            const findOneAndUpdate = jest.spyOn(Session, 'findOneAndUpdate');
+
+            expect((await refresh(current)).status).toHaveBeenCalledWith(401);
+
+            findById.mockReturnValue(query(null));
+            expect((await refresh(current)).status).toHaveBeenCalledWith(401);
+            expect(findOneAndUpdate).not.toHaveBeenCalled();
+        });
+    });
+});
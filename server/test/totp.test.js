@@ -0,0 +1,54 @@
+const {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    getStep,
+    generateCode,
+    verifyCode,
+    buildOtpauthUrl
+} = require('../utils/totp');
+
+describe('TOTP', () => {
+    // Test secret from RFC 6238 appendix B
+    const secret = base32Encode(Buffer.from('12345678901234567890'));
+    const at = (seconds) => new Date(seconds * 1000);
+
+    it('should round-trip secrets through base32', () => {
+        expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+        expect(base32Decode(secret).toString()).toBe('12345678901234567890');
+        expect(base32Decode(generateSecret())).toHaveLength(20);
+        expect(() => base32Decode('not base32!')).toThrow('Invalid base32 secret');
+    });
+
+    it('should match the RFC 6238 test vectors', () => {
+        expect(generateCode(secret, getStep(at(59)), 8)).toBe('94287082');
+        expect(generateCode(secret, getStep(at(1111111109)), 8)).toBe('07081804');
+        expect(generateCode(secret, getStep(at(1234567890)), 8)).toBe('89005924');
+        expect(generateCode(secret, getStep(at(2000000000)), 8)).toBe('69279037');
+    });
+
+    it('should accept codes from neighbouring steps only', () => {
+        const now = at(1234567890);
+        const step = getStep(now);
+
+        expect(verifyCode(secret, generateCode(secret, step), { now })).toBe(step);
+        expect(verifyCode(secret, generateCode(secret, step - 1), { now })).toBe(step - 1);
+        expect(verifyCode(secret, generateCode(secret, step + 2), { now })).toBeNull();
+        expect(verifyCode(secret, 'abcdef', { now })).toBeNull();
+    });
+
+    it('should refuse a code from a step that was already used', () => {
+        const now = at(1234567890);
+        const step = getStep(now);
+
+        expect(verifyCode(secret, generateCode(secret, step), { now, afterStep: step })).toBeNull();
+    });
+
+    it('should build an otpauth URI for authenticator apps', () => {
+        const url = buildOtpauthUrl(secret, 'admin@example.com', 'Library');
+
+        expect(url).toMatch(/^otpauth:\/\/totp\/Library%3Aadmin%40example\.com\?/);
+        expect(url).toContain(`secret=${secret}`);
+        expect(url).toContain('issuer=Library');
+    });
+});
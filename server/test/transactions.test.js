@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const User = require('../models/User');
+const Book = require('../models/Book');
+const Copy = require('../models/Copy');
+const Borrow = require('../models/Borrow');
+const { checkout } = require('../utils/circulationService');
+
+// Circulation writes run in transactions, which need a replica set, so these
+// tests start a single-node one in memory. The first run downloads a MongoDB
+// binary.
+describe('Circulation transactions', () => {
+    let replSet;
+    let patron;
+
+    jest.setTimeout(120000);
+
+    beforeAll(async () => {
+        replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+        await mongoose.connect(replSet.getUri());
+        await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+    });
+
+    afterAll(async () => {
+        await mongoose.disconnect();
+        if (replSet) {
+            await replSet.stop();
+        }
+    });
+
+    beforeEach(async () => {
+        await Promise.all([User, Book, Copy, Borrow].map(model => model.deleteMany({})));
+        patron = await User.create({
+            firstName: 'Ada',
+            lastName: 'Lovelace',
+            email: 'ada@example.com',
+            password: 'Password123',
+            role: 'student',
+            isEmailVerified: true
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const createBook = async () => {
+        const book = await Book.create({
+            title: 'Dune',
+            author: 'Frank Herbert',
+            isbn: '9780441013593',
+            category: 'Fiction',
+            totalCopies: 1,
+            availableCopies: 1
+        });
+        const [copy] = await Copy.createCopiesForBook(book, 1);
+        return { book, copy };
+    };
+
+    it('should record the loan and claim the copy together', async () => {
+        const { book, copy } = await createBook();
+
+        const borrow = await checkout({ patron, book, copy, borrowedBy: patron._id });
+
+        const [storedCopy, storedBook] = await Promise.all([Copy.findById(copy._id), Book.findById(book._id)]);
+        expect(storedCopy.status).toBe('on_loan');
+        expect(storedCopy.currentBorrow).toEqual(borrow._id);
+        expect(storedBook.availableCopies).toBe(0);
+        await expect(Borrow.countDocuments({ user: patron._id })).resolves.toBe(1);
+    });
+
+    it('should undo every write of a checkout that fails part way', async () => {
+        const { book, copy } = await createBook();
+        jest.spyOn(Copy, 'updateOne').mockRejectedValueOnce(new Error('Connection lost'));
+
+        await expect(checkout({ patron, book, copy, borrowedBy: patron._id })).rejects.toThrow('Connection lost');
+
+        const [storedCopy, storedBook] = await Promise.all([Copy.findById(copy._id), Book.findById(book._id)]);
+        expect(storedCopy.status).toBe('available');
+        expect(storedBook.availableCopies).toBe(1);
+        await expect(Borrow.countDocuments({})).resolves.toBe(0);
+    });
+
+    it('should not lend the last copy twice', async () => {
+        const { book } = await createBook();
+        const other = await User.create({
+            firstName: 'Alan',
+            lastName: 'Turing',
+            email: 'alan@example.com',
+            password: 'Password123',
+            role: 'student'
+        });
+
+        const results = await Promise.allSettled([
+            checkout({ patron, book, borrowedBy: patron._id }),
+            checkout({ patron: other, book, borrowedBy: other._id })
+        ]);
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+        expect(results.find(result => result.status === 'rejected').reason.message).toBe('Book is not available for borrowing');
+        await expect(Borrow.countDocuments({})).resolves.toBe(1);
+    });
+});
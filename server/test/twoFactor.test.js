@@ -0,0 +1,148 @@
+const config = require('../config');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { clearRoleCache } = require('../utils/permissions');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const { generateSecret, generateCode, getStep } = require('../utils/totp');
+const { query, response } = require('./helpers');
+
+describe('Two-factor authentication', () => {
+    const enrolledUser = () => {
+        const user = new User({
+            email: 'librarian@example.com',
+            password: 'Secret123',
+            firstName: 'Test',
+            lastName: 'Librarian',
+            role: 'librarian'
+        });
+        user.twoFactor.secret = generateSecret();
+        user.twoFactor.enabled = true;
+        return user;
+    };
+
+    it('should accept each authenticator code only once', () => {
+        const user = enrolledUser();
+        const code = generateCode(user.twoFactor.secret, getStep());
+
+        expect(user.verifyTwoFactorCode(code)).toBe(true);
+        expect(user.verifyTwoFactorCode(code)).toBe(false);
+    });
+
+    it('should check the pending secret during enrolment', () => {
+        const user = enrolledUser();
+        user.twoFactor.pendingSecret = generateSecret();
+        const code = generateCode(user.twoFactor.pendingSecret, getStep());
+
+        expect(user.verifyTwoFactorCode(code, { pending: true })).toBe(true);
+    });
+
+    it('should store recovery codes hashed and use each once', () => {
+        const user = enrolledUser();
+
+        const codes = user.generateRecoveryCodes();
+
+        expect(codes).toHaveLength(10);
+        expect(codes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+        expect(user.twoFactor.recoveryCodes).not.toContain(codes[0]);
+        expect(user.useRecoveryCode(` ${codes[0].toUpperCase()} `)).toBe(true);
+        expect(user.useRecoveryCode(codes[0])).toBe(false);
+        expect(user.twoFactor.recoveryCodes).toHaveLength(9);
+    });
+
+    it('should forget the secrets when cleared', () => {
+        const user = enrolledUser();
+        user.generateRecoveryCodes();
+
+        user.clearTwoFactor();
+
+        expect(user.twoFactor.enabled).toBe(false);
+        expect(user.twoFactor.secret).toBeUndefined();
+        expect(user.verifyTwoFactorCode('123456')).toBe(false);
+    });
+
+    describe('staff policy', () => {
+        const policy = config.REQUIRE_STAFF_2FA;
+
+        const withRole = (role) => {
+            const user = enrolledUser();
+            user.role = role;
+            return user;
+        };
+
+        beforeEach(() => {
+            config.REQUIRE_STAFF_2FA = true;
+            clearRoleCache();
+        });
+
+        afterEach(() => {
+            config.REQUIRE_STAFF_2FA = policy;
+            jest.restoreAllMocks();
+        });
+
+        it('should require two-factor authentication for roles holding permissions', async () => {
+            jest.spyOn(Role, 'findOne').mockReturnValue(query({ permissions: ['circulation.checkout'] }));
+
+            await expect(withRole('admin').requiresTwoFactor()).resolves.toBe(true);
+            await expect(withRole('circulation-assistant').requiresTwoFactor()).resolves.toBe(true);
+        });
+
+        it('should not require it for patron roles without permissions', async () => {
+            jest.spyOn(Role, 'findOne').mockReturnValue(query({ permissions: [] }));
+
+            await expect(withRole('student').requiresTwoFactor()).resolves.toBe(false);
+            await expect(withRole('alumni').requiresTwoFactor()).resolves.toBe(false);
+        });
+
+        it('should not require it when the policy is off', async () => {
+            config.REQUIRE_STAFF_2FA = false;
+
+            await expect(withRole('admin').requiresTwoFactor()).resolves.toBe(false);
+        });
+    });
+
+    describe('two-factor login token', () => {
+        const admin = () => {
+            const user = enrolledUser();
+            user.role = 'admin';
+            return user;
+        };
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should only be accepted for the second step of the login', () => {
+            const user = admin();
+
+            expect(User.decodeTwoFactorToken(user.generateTwoFactorToken())).toMatchObject({ id: user._id.toString(), type: '2fa' });
+            expect(User.decodeTwoFactorToken(user.generateAuthToken())).toBeNull();
+            expect(User.decodeTwoFactorToken('not-a-token')).toBeNull();
+        });
+
+        it('should be refused by protected routes', async () => {
+            const user = admin();
+            jest.spyOn(User, 'findById').mockReturnValue(query(user));
+            const res = response();
+            const next = jest.fn();
+
+            await authenticate({ headers: { authorization: `Bearer ${user.generateTwoFactorToken()}` } }, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Invalid token.' });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should not sign the user in on routes where signing in is optional', async () => {
+            const user = admin();
+            jest.spyOn(User, 'findById').mockReturnValue(query(user));
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            const req = { headers: { authorization: `Bearer ${user.generateTwoFactorToken()}` } };
+            const next = jest.fn();
+
+            await optionalAuth(req, response(), next);
+
+            expect(req.user).toBeUndefined();
+            expect(next).toHaveBeenCalled();
+        });
+    });
+});
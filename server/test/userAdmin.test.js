@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Borrow = require('../models/Borrow');
+const Reservation = require('../models/Reservation');
+const Session = require('../models/Session');
+const AccountChange = require('../models/AccountChange');
+const AuditEvent = require('../models/AuditEvent');
+const {
+    getUsers,
+    updateUser,
+    deactivateUser,
+    reactivateUser,
+    verifyUserEmail,
+    forceLogout,
+    resetTwoFactor
+} = require('../controllers/userController');
+const { clearRoleCache } = require('../utils/permissions');
+const { ALL_PERMISSIONS, SYSTEM_ROLES } = require('../config/permissions');
+const { query, response } = require('./helpers');
+
+describe('User administration', () => {
+    const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+    const librarian = { _id: new mongoose.Types.ObjectId(), role: 'librarian' };
+    // A custom role holding only the account security permissions
+    const helpdesk = {
+        _id: new mongoose.Types.ObjectId(),
+        role: 'helpdesk',
+        permissions: new Set(['users.view', 'users.deactivate', 'users.security'])
+    };
+
+    const requestFrom = (actor, { params = {}, body = {}, query: queryString = {} } = {}) => ({
+        user: actor,
+        permissions: actor.permissions || new Set(actor.role === 'admin' ? ALL_PERMISSIONS : SYSTEM_ROLES[actor.role].permissions),
+        params,
+        body,
+        query: queryString,
+        headers: {},
+        get: () => undefined
+    });
+
+    const userWith = (fields) => new User({
+        firstName: 'Test',
+        lastName: 'User',
+        email: 'user@example.com',
+        password: 'password123',
+        ...fields
+    });
+
+    // Stored users are looked up by ID, both before and inside the transaction
+    const storeUser = (user) => {
+        jest.spyOn(User, 'findById').mockImplementation(() => query(user));
+        jest.spyOn(User.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+        return user;
+    };
+
+    beforeEach(() => {
+        jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+            withTransaction: async (work) => work(),
+            endSession: async () => {}
+        });
+        jest.spyOn(Role, 'findOne').mockReturnValue(query(null));
+        jest.spyOn(AccountChange, 'create').mockResolvedValue([]);
+        jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        clearRoleCache();
+    });
+
+    it('should list users matching a search, escaping the pattern', async () => {
+        const find = jest.spyOn(User, 'find').mockReturnValue(query([]));
+        jest.spyOn(User, 'countDocuments').mockResolvedValue(41);
+        const res = response();
+
+        await getUsers(requestFrom(librarian, { query: { search: 'a.b', role: 'student', page: '2' } }), res);
+
+        expect(find.mock.calls[0][0]).toMatchObject({ role: 'student' });
+        expect(find.mock.calls[0][0].$or[0].firstName.$regex).toBe('a\\.b');
+        expect(res.json.mock.calls[0][0].data.pagination).toMatchObject({ currentPage: 2, totalPages: 3, hasNextPage: true });
+    });
+
+    it('should let a librarian edit a student', async () => {
+        const student = storeUser(userWith({ role: 'student' }));
+        const res = response();
+
+        await updateUser(requestFrom(librarian, { params: { id: student._id }, body: { email: 'new@example.com' } }), res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(student.email).toBe('new@example.com');
+    });
+
+    it('should not let a librarian edit a user whose role has more permissions', async () => {
+        const target = storeUser(userWith({ role: 'admin', email: 'admin@example.com' }));
+        const res = response();
+
+        await updateUser(requestFrom(librarian, { params: { id: target._id }, body: { email: 'mine@example.com' } }), res);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json.mock.calls[0][0].message).toMatch('You cannot edit this user without the permissions');
+        expect(target.email).toBe('admin@example.com');
+        expect(User.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('should leave role changes to admins and record them', async () => {
+        const student = storeUser(userWith({ role: 'student' }));
+
+        const refused = response();
+        await updateUser(requestFrom(librarian, { params: { id: student._id }, body: { role: 'librarian' } }), refused);
+        expect(refused.status).toHaveBeenCalledWith(403);
+
+        const res = response();
+        await updateUser(requestFrom(admin, { params: { id: student._id }, body: { role: 'librarian', reason: 'New hire' } }), res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(student.role).toBe('librarian');
+        expect(AccountChange.create).toHaveBeenCalledWith([expect.objectContaining({
+            action: 'role_change',
+            fromRole: 'student',
+            toRole: 'librarian',
+            reason: 'New hire'
+        })], expect.anything());
+    });
+
+    it('should not let admins change their own role', async () => {
+        const self = storeUser(userWith({ _id: admin._id, role: 'admin' }));
+        const res = response();
+
+        await updateUser(requestFrom(admin, { params: { id: self._id }, body: { role: 'student' } }), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(self.role).toBe('admin');
+    });
+
+    it('should refuse to deactivate a patron with items out unless forced', async () => {
+        const student = storeUser(userWith({ role: 'student' }));
+        jest.spyOn(Borrow, 'countDocuments').mockReturnValue(query(2));
+        jest.spyOn(Session, 'updateMany').mockResolvedValue({});
+        jest.spyOn(Reservation, 'find').mockReturnValue(query([]));
+
+        const refused = response();
+        await deactivateUser(requestFrom(admin, { params: { id: student._id.toString() }, body: {} }), refused);
+
+        expect(refused.status).toHaveBeenCalledWith(409);
+        expect(refused.json.mock.calls[0][0]).toMatchObject({ code: 'ITEMS_OUT', data: { itemsOut: 2 } });
+        expect(student.isActive).toBe(true);
+
+        const res = response();
+        await deactivateUser(requestFrom(admin, { params: { id: student._id.toString() }, body: { force: true, reason: 'Left school' } }), res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(student.isActive).toBe(false);
+        expect(Session.updateMany).toHaveBeenCalledWith(
+            { user: student._id, revokedAt: null },
+            expect.objectContaining({ revokedReason: 'deactivated' }),
+            expect.anything()
+        );
+        expect(AccountChange.create).toHaveBeenCalledWith([expect.objectContaining({ action: 'deactivation', forced: true, itemsOut: 2 })], expect.anything());
+    });
+
+    it('should not let staff deactivate themselves', async () => {
+        const res = response();
+
+        await deactivateUser(requestFrom(admin, { params: { id: admin._id.toString() }, body: {} }), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should reactivate deactivated accounts but not erased ones', async () => {
+        const student = storeUser(userWith({ role: 'student', isActive: false }));
+
+        const res = response();
+        await reactivateUser(requestFrom(admin, { params: { id: student._id }, body: {} }), res);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(student.isActive).toBe(true);
+
+        const erased = storeUser(userWith({ role: 'student', isActive: false, erasedAt: new Date() }));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const refused = response();
+        await reactivateUser(requestFrom(admin, { params: { id: erased._id }, body: {} }), refused);
+        expect(refused.status).toHaveBeenCalledWith(400);
+        expect(refused.json.mock.calls[0][0].message).toBe('Erased accounts cannot be reactivated');
+    });
+
+    describe.each([
+        ['deactivate', deactivateUser, { isActive: true }],
+        ['reactivate', reactivateUser, { isActive: false }],
+        ['verify the email of', verifyUserEmail, { isEmailVerified: false }],
+        ['sign out', forceLogout, {}],
+        ['reset two-factor authentication for', resetTwoFactor, { twoFactor: { enabled: true, secret: 'secret' } }]
+    ])('when asked to %s a user', (action, handler, fields) => {
+        it('should refuse if their role has permissions the actor lacks', async () => {
+            const target = storeUser(userWith({ role: 'admin', email: 'admin@example.com', ...fields }));
+            const res = response();
+
+            await handler(requestFrom(helpdesk, { params: { id: target._id.toString() }, body: {} }), res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            const { message } = res.json.mock.calls[0][0];
+            expect(message).toMatch(`You cannot ${action} this user without the permissions:`);
+            expect(message).toContain('users.roles');
+            expect(User.prototype.save).not.toHaveBeenCalled();
+            expect(AccountChange.create).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+
+// Writing audit events. Controllers call `recordAudit` with the record before
+// and after an action; `auditRequest` covers routes that only need the
+// request itself recorded. A failure to write an event is logged rather than
+// failing the action, which has already happened by then.
+
+// Fields never worth recording as changes
+const IGNORED_PATHS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Request body keys that may hold credentials
+const SECRET_KEY_PATTERN = /password|token|secret|^code$|recoverycode/i;
+
+const REDACTED = '[redacted]';
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId) && !Buffer.isBuffer(value);
+
+// A plain copy of a document for the log, without fields its schema hides
+// from queries (password hashes, token hashes, two-factor secrets)
+const snapshot = (doc) => {
+    if (!doc) {
+        return null;
+    }
+    if (!(doc instanceof mongoose.Document)) {
+        return doc;
+    }
+
+    const plain = doc.toObject({ depopulate: true, virtuals: false });
+    doc.schema.eachPath((path, schemaType) => {
+        if (schemaType.options && schemaType.options.select === false) {
+            const parts = path.split('.');
+            const parent = parts.slice(0, -1).reduce((node, part) => (node ? node[part] : undefined), plain);
+            if (parent) {
+                delete parent[parts[parts.length - 1]];
+            }
+        }
+    });
+    return plain;
+};
+
+// Replace anything that looks like a credential in a request body
+const redact = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+    if (!isPlainObject(value)) {
+        return value;
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, field]) =>
+        [key, SECRET_KEY_PATTERN.test(key) ? REDACTED : redact(field)]
+    ));
+};
+
+const flatten = (value, prefix = '', out = {}) => {
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+        Object.entries(value).forEach(([key, field]) => flatten(field, prefix ? `${prefix}.${key}` : key, out));
+    } else if (prefix) {
+        out[prefix] = value;
+    }
+    return out;
+};
+
+const comparable = (value) => {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    return JSON.stringify(value);
+};
+
+// The fields that differ between two snapshots, as { path, before, after }.
+// Arrays are compared whole.
+const diff = (before, after) => {
+    const flatBefore = flatten(snapshot(before) || {});
+    const flatAfter = flatten(snapshot(after) || {});
+    const paths = [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])];
+
+    return paths
+        .filter(path => !IGNORED_PATHS.includes(path.split('.')[0]))
+        .filter(path => comparable(flatBefore[path]) !== comparable(flatAfter[path]))
+        .map(path => ({
+            path,
+            before: flatBefore[path] === undefined ? null : flatBefore[path],
+            after: flatAfter[path] === undefined ? null : flatAfter[path]
+        }));
+};
+
+// Who made the request and from where
+const requestContext = (req) => {
+    if (!req) {
+        return {};
+    }
+    return {
+        actor: req.user ? req.user._id : null,
+        actorRole: req.user ? req.user.role : undefined,
+        actorEmail: req.user ? req.user.email : undefined,
+        ip: req.ip,
+        userAgent: (req.get ? req.get('user-agent') || '' : '').substring(0, 500) || undefined,
+        requestId: req.requestId,
+        method: req.method,
+        // The route pattern rather than the URL, which can hold tokens
+        path: req.route ? `${req.baseUrl}${req.route.path}` : undefined
+    };
+};
+
+const entityOf = (entity) => {
+    if (!entity) {
+        return undefined;
+    }
+    return {
+        type: entity.type,
+        id: entity.id ? entity.id.toString() : undefined,
+        label: entity.label
+    };
+};
+
+// Record an action. `before` and `after` are documents or plain objects; a
+// create has no `before` and a delete no `after`. `actor` and `actorEmail`
+// override those taken from the request.
+const recordAudit = async (req, { action, entity, before = null, after = null, details, outcome, statusCode, actor, actorEmail }) => {
+    try {
+        return await AuditEvent.create({
+            ...requestContext(req),
+            ...(actor !== undefined ? { actor } : {}),
+            ...(actorEmail !== undefined ? { actorEmail } : {}),
+            action,
+            entity: entityOf(entity),
+            changes: diff(before, after),
+            details: details === undefined ? undefined : redact(details),
+            outcome,
+            statusCode
+        });
+    } catch (error) {
+        console.error(`Failed to record audit event ${action}:`, error);
+        return null;
+    }
+};
+
+// The request body and query string, whichever were sent
+const requestDetails = (req) => {
+    const details = {};
+    if (Object.keys(req.body || {}).length > 0) {
+        details.body = req.body;
+    }
+    if (Object.keys(req.query || {}).length > 0) {
+        details.query = req.query;
+    }
+    return Object.keys(details).length > 0 ? details : undefined;
+};
+
+// Middleware to record a request once it has been answered. The entity ID
+// comes from the named route parameter; the request body and query are kept
+// with credentials redacted. Only successful requests are recorded unless
+// `failures` is set.
+const auditRequest = (action, { entityType, idParam = 'id', failures = false } = {}) => (req, res, next) => {
+    const entityId = req.params[idParam];
+
+    res.on('finish', () => {
+        const succeeded = res.statusCode < 400;
+        if (!succeeded && !failures) {
+            return;
+        }
+
+        recordAudit(req, {
+            action,
+            entity: entityType ? { type: entityType, id: entityId } : undefined,
+            details: requestDetails(req),
+            outcome: succeeded ? 'success' : 'failure',
+            statusCode: res.statusCode
+        });
+    });
+    next();
+};
+
+module.exports = {
+    snapshot,
+    redact,
+    diff,
+    recordAudit,
+    auditRequest
+};
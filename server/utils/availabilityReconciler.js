@@ -0,0 +1,120 @@
+const Book = require('../models/Book');
+const Borrow = require('../models/Borrow');
+const Copy = require('../models/Copy');
+const Reservation = require('../models/Reservation');
+
+// Recompute a book's copy statuses and counters from its live Borrow records
+// and the holds waiting for pickup. Copies marked on loan or on hold without a
+// matching loan or hold are released, copies held by a live loan are marked on
+// loan, and totalCopies/availableCopies are rebuilt.
+const reconcileBook = async (book, { dryRun = false } = {}) => {
+    // Disputed (claims returned) loans keep their copy on loan until the claim
+    // is resolved
+    const liveBorrows = await Borrow.find({
+        book: book._id,
+        status: { $in: [...Borrow.LIVE_STATUSES, 'claims_returned'] },
+        isActive: true
+    }).select('_id copy');
+
+    const loanedCopyIds = new Set(
+        liveBorrows.filter(borrow => borrow.copy).map(borrow => borrow.copy.toString())
+    );
+    const borrowByCopy = new Map(
+        liveBorrows.filter(borrow => borrow.copy).map(borrow => [borrow.copy.toString(), borrow._id])
+    );
+
+    const readyHolds = await Reservation.find({
+        book: book._id,
+        status: 'ready',
+        isActive: true
+    }).select('copy');
+    const heldCopyIds = new Set(
+        readyHolds.filter(hold => hold.copy).map(hold => hold.copy.toString())
+    );
+
+    const copies = await Copy.find({ book: book._id, isActive: true });
+    const copyFixes = [];
+
+    for (const copy of copies) {
+        const id = copy._id.toString();
+
+        if (copy.status === 'on_loan' && !loanedCopyIds.has(id)) {
+            copyFixes.push({ copy: copy.barcode, from: 'on_loan', to: 'available' });
+            if (!dryRun) {
+                copy.status = 'available';
+                copy.currentBorrow = null;
+                await copy.save();
+            }
+        } else if (copy.status === 'on_hold' && !heldCopyIds.has(id)) {
+            copyFixes.push({ copy: copy.barcode, from: 'on_hold', to: 'available' });
+            if (!dryRun) {
+                copy.status = 'available';
+                await copy.save();
+            }
+        } else if (copy.status !== 'on_loan' && loanedCopyIds.has(id)) {
+            copyFixes.push({ copy: copy.barcode, from: copy.status, to: 'on_loan' });
+            if (!dryRun) {
+                copy.status = 'on_loan';
+                copy.currentBorrow = borrowByCopy.get(id);
+                await copy.save();
+            }
+        }
+    }
+
+    let totalCopies;
+    let availableCopies;
+
+    if (copies.length > 0) {
+        const statuses = copies.map(copy => {
+            const fix = copyFixes.find(f => f.copy === copy.barcode);
+            return fix ? fix.to : copy.status;
+        });
+        totalCopies = statuses.filter(status => Copy.HELD_STATUSES.includes(status)).length;
+        availableCopies = statuses.filter(status => status === 'available').length;
+    } else {
+        // Books that predate copy tracking only have the counters to go on
+        totalCopies = book.totalCopies;
+        availableCopies = Math.max(0, book.totalCopies - liveBorrows.length);
+    }
+
+    const changed = totalCopies !== book.totalCopies || availableCopies !== book.availableCopies;
+
+    if (changed && !dryRun) {
+        await Book.updateOne({ _id: book._id }, { totalCopies, availableCopies });
+    }
+
+    return {
+        bookId: book._id,
+        title: book.title,
+        liveLoans: liveBorrows.length,
+        before: { totalCopies: book.totalCopies, availableCopies: book.availableCopies },
+        after: { totalCopies, availableCopies },
+        copyFixes,
+        changed: changed || copyFixes.length > 0
+    };
+};
+
+// Reconcile every book and return a report of what changed
+const reconcileAll = async ({ dryRun = false } = {}) => {
+    const books = await Book.find({}).select('title totalCopies availableCopies');
+    const changes = [];
+
+    for (const book of books) {
+        const result = await reconcileBook(book, { dryRun });
+        if (result.changed) {
+            changes.push(result);
+        }
+    }
+
+    return {
+        dryRun,
+        booksChecked: books.length,
+        booksChanged: changes.length,
+        changes
+    };
+};
+
+module.exports = {
+    reconcileBook,
+    reconcileAll
+};
@@ -48,6 +48,26 @@ const generateBookBarcode = (isbn) => {
     }
 };
 
+// Generate accession barcode label for a physical copy
+const generateCopyBarcode = (accessionBarcode) => {
+    try {
+        const canvas = createCanvas(300, 100);
+        JsBarcode(canvas, accessionBarcode, {
+            format: 'CODE128',
+            width: 2,
+            height: 50,
+            displayValue: true,
+            fontSize: 12,
+            margin: 10
+        });
+
+        return canvas.toDataURL();
+    } catch (error) {
+        console.error('Error generating copy barcode:', error);
+        throw error;
+    }
+};
+
 // Generate QR Code for users
 const generateUserQRCode = async (userId, userInfo) => {
     try {
@@ -222,6 +242,7 @@ const generateLibraryCard = async (user) => {
 module.exports = {
     generateBookQRCode,
     generateBookBarcode,
+    generateCopyBarcode,
     generateUserQRCode,
     generateLibraryCardBarcode,
     generateBorrowQRCode,
@@ -0,0 +1,518 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const { validationResult } = require('express-validator');
+const Book = require('../models/Book');
+const BookImport = require('../models/BookImport');
+const Copy = require('../models/Copy');
+const MarcRecord = require('../models/MarcRecord');
+const { validateBook, validateBookUpdate } = require('../middleware/bookValidation');
+const { parseCsv } = require('./csv');
+const { parseMarc21, parseMarcXml, recordToBook } = require('./marc');
+const config = require('../config');
+const { recordAudit, snapshot } = require('./audit');
+
+// Bulk catalogue imports from CSV, Excel and MARC (MARC 21 or MARCXML) files.
+//
+// The upload is parsed straight away so a file that cannot be read is refused
+// in the request. Its rows are then processed in the background: each is
+// checked with the same rules as POST /api/books (or PUT for a merge), ISBNs
+// are compared with the catalogue and the rest of the file, and the outcome of
+// every row is kept as the import's report. A dry run does everything except
+// change the catalogue.
+//
+// MARC files have one row per record. The fields a book models are read from
+// each record (see utils/marc) and the whole record is kept with the book.
+
+// How often a running import records that it is still alive
+const HEARTBEAT_MS = 60 * 1000;
+
+// Column names accepted for each book field, compared without case, spaces or
+// punctuation, so "Location Shelf", "location.shelf" and "shelf" all match
+const COLUMN_ALIASES = {
+    title: ['title'],
+    author: ['author', 'authors'],
+    isbn: ['isbn', 'isbn13', 'isbn10'],
+    category: ['category'],
+    description: ['description', 'summary'],
+    totalCopies: ['totalcopies', 'copies', 'quantity'],
+    publishedYear: ['publishedyear', 'publicationyear', 'year'],
+    publisher: ['publisher'],
+    language: ['language'],
+    pages: ['pages'],
+    edition: ['edition'],
+    volume: ['volume'],
+    series: ['series'],
+    tags: ['tags', 'keywords'],
+    'location.shelf': ['locationshelf', 'shelf'],
+    'location.section': ['locationsection', 'section'],
+    'location.floor': ['locationfloor', 'floor'],
+    price: ['price'],
+    coverImage: ['coverimage', 'coverurl']
+};
+
+const FIELD_BY_ALIAS = new Map(Object.entries(COLUMN_ALIASES)
+    .flatMap(([field, aliases]) => aliases.map(alias => [alias, field])));
+
+const FORMATS = { '.csv': 'csv', '.xlsx': 'xlsx', '.mrc': 'marc21', '.marc': 'marc21', '.xml': 'marcxml' };
+
+const MARC_FORMATS = ['marc21', 'marcxml'];
+
+// Records do not say what shelf category or how many copies a book has
+const MARC_DEFAULTS = { category: 'Other', totalCopies: 1 };
+
+// Tags in one cell are separated by semicolons, commas or pipes
+const TAG_SEPARATOR = /[;,|]/;
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// ISBN-10 and ISBN-13 forms of the same book, with or without hyphens, give
+// the same key; null when the value is not an ISBN
+const isbnKey = (isbn) => {
+    const digits = String(isbn || '')
+        .trim()
+        .toUpperCase()
+        .replace(/^ISBN(?:-1[03])?:?/, '')
+        .replace(/[^0-9X]/g, '');
+
+    if (digits.length === 10) {
+        const stem = `978${digits.slice(0, 9)}`;
+        const sum = stem.split('').reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+        return `${stem}${(10 - (sum % 10)) % 10}`;
+    }
+    return /^\d{13}$/.test(digits) ? digits : null;
+};
+
+// The text of a spreadsheet cell, whatever kind of value it holds
+const cellText = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString().slice(0, 10);
+    }
+    if (typeof value === 'object') {
+        if (value.richText) {
+            return value.richText.map(part => part.text).join('').trim();
+        }
+        if (value.text !== undefined) {
+            return cellText(value.text);
+        }
+        if (value.result !== undefined) {
+            return cellText(value.result);
+        }
+        return '';
+    }
+    return String(value).trim();
+};
+
+// Every non-blank row of the file's first sheet as { row, values }, where
+// `row` is the number a spreadsheet shows for it
+const readRows = async (buffer, format) => {
+    if (format === 'csv') {
+        return parseCsv(buffer.toString('utf8'))
+            .map((values, index) => ({ row: index + 1, values: values.map(value => value.trim()) }))
+            .filter(({ values }) => values.some(Boolean));
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) {
+        throw new Error('The workbook has no sheets');
+    }
+
+    const rows = [];
+    sheet.eachRow((sheetRow, row) => {
+        // Row values are indexed from 1, like the columns
+        const values = sheetRow.values.slice(1).map(cellText);
+        if (values.some(Boolean)) {
+            rows.push({ row, values });
+        }
+    });
+    return rows;
+};
+
+// A row's values as book data. Blank cells are left out, so a merge only
+// changes the fields the file fills in.
+const toBookData = (fields, values) => {
+    const data = {};
+
+    fields.forEach((field, index) => {
+        const value = values[index];
+        if (!field || !value) {
+            return;
+        }
+
+        if (field === 'tags') {
+            data.tags = value.split(TAG_SEPARATOR).map(tag => tag.trim()).filter(Boolean);
+        } else if (field.startsWith('location.')) {
+            data.location = { ...data.location, [field.slice('location.'.length)]: value };
+        } else {
+            data[field] = value;
+        }
+    });
+
+    return data;
+};
+
+const checkRowCount = (count) => {
+    if (count > config.BOOK_IMPORT_MAX_ROWS) {
+        throw new Error(`The file has ${count} rows; at most ${config.BOOK_IMPORT_MAX_ROWS} can be imported at once`);
+    }
+};
+
+// The rows wait on the import's document, so they must fit in one document
+const checkRowsSize = (rows) => {
+    const megabytes = mongoose.mongo.BSON.calculateObjectSize({ rows }) / (1024 * 1024);
+    if (megabytes > config.BOOK_IMPORT_MAX_DATA_MB) {
+        throw new Error(`The file holds ${megabytes.toFixed(1)} MB of book data; at most ${config.BOOK_IMPORT_MAX_DATA_MB} MB can be imported at once, so split it into smaller files`);
+    }
+};
+
+// Read a MARC file into book data, one row per record, keeping each record
+const parseMarcFile = (buffer, format) => {
+    const records = format === 'marc21' ? parseMarc21(buffer) : parseMarcXml(buffer.toString('utf8'));
+    if (records.length === 0) {
+        throw new Error('The file has no records to import');
+    }
+    checkRowCount(records.length);
+
+    const rows = records.map((record, index) => ({ row: index + 1, data: recordToBook(record), marc: record }));
+    checkRowsSize(rows);
+
+    return {
+        format,
+        columns: [...new Set(rows.flatMap(({ data }) => Object.keys(data)))],
+        ignoredColumns: [],
+        rows
+    };
+};
+
+// Read an uploaded file into book data. Throws with a message for the
+// uploader when the file cannot be used.
+const parseImportFile = async (buffer, fileName) => {
+    const format = FORMATS[path.extname(fileName).toLowerCase()];
+    if (!format) {
+        throw new Error('Only .csv, .xlsx, .mrc, .marc and .xml files can be imported');
+    }
+    if (MARC_FORMATS.includes(format)) {
+        return parseMarcFile(buffer, format);
+    }
+
+    const [header, ...records] = await readRows(buffer, format);
+    if (!header) {
+        throw new Error('The file is empty');
+    }
+
+    const fields = header.values.map(name => FIELD_BY_ALIAS.get(normalizeHeader(name)) || null);
+    if (!fields.some(Boolean)) {
+        throw new Error('No columns match book fields; the first row must name the columns, e.g. title, author, isbn');
+    }
+
+    const repeated = fields.find((field, index) => field && fields.indexOf(field) !== index);
+    if (repeated) {
+        throw new Error(`More than one column maps to ${repeated}`);
+    }
+
+    if (records.length === 0) {
+        throw new Error('The file has no rows to import');
+    }
+    checkRowCount(records.length);
+
+    const rows = records.map(({ row, values }) => ({ row, data: toBookData(fields, values) }));
+    checkRowsSize(rows);
+
+    return {
+        format,
+        columns: fields.filter(Boolean),
+        ignoredColumns: header.values.filter((name, index) => name && !fields[index]),
+        rows
+    };
+};
+
+// Check book data with the API's validation rules. Returns the sanitized data
+// and any problems as { field, message }.
+const validateRow = async (data, rules) => {
+    const req = { body: JSON.parse(JSON.stringify(data)) };
+
+    for (const rule of rules) {
+        await rule.run(req);
+    }
+
+    const problems = validationResult(req).array().map(error => ({ field: error.path, message: error.msg }));
+    return { data: req.body, problems };
+};
+
+const createBook = async (data, bookImport) => {
+    const { availableCopies, ...fields } = data;
+
+    const book = await Book.create({
+        ...fields,
+        addedBy: bookImport.createdBy,
+        lastModifiedBy: bookImport.createdBy
+    });
+
+    // Every copy gets its own accession record
+    await Copy.createCopiesForBook(book, book.totalCopies, { addedBy: bookImport.createdBy });
+
+    await recordAudit(null, {
+        action: 'book.create',
+        actor: bookImport.createdBy,
+        entity: { type: 'Book', id: book._id, label: book.title },
+        after: book,
+        details: bookImport._id ? { import: bookImport._id } : undefined
+    });
+
+    return book;
+};
+
+// Fill in an existing book from the row. The ISBN is kept as the catalogue
+// has it; tags are added to the existing ones and the copy count is changed
+// the way an edit would.
+const mergeBook = async (bookId, data, bookImport) => {
+    const book = await Book.findById(bookId);
+    const before = snapshot(book);
+    const { isbn, tags, location, totalCopies, availableCopies, ...fields } = data;
+
+    book.set({ ...fields, lastModifiedBy: bookImport.createdBy });
+    Object.entries(location || {}).forEach(([field, value]) => book.set(`location.${field}`, value));
+    if (tags) {
+        book.tags = [...new Set([...book.tags, ...tags])];
+    }
+    await book.validate();
+
+    if (totalCopies !== undefined) {
+        await Copy.setCopyCount(book, parseInt(totalCopies), { addedBy: bookImport.createdBy });
+    }
+    await book.save();
+
+    await recordAudit(null, {
+        action: 'book.update',
+        actor: bookImport.createdBy,
+        entity: { type: 'Book', id: book._id, label: book.title },
+        before,
+        after: book,
+        details: bookImport._id ? { import: bookImport._id } : undefined
+    });
+
+    return book;
+};
+
+// Values for fields a row leaves blank when it creates a book
+const defaultsFor = (bookImport) => {
+    const defaults = MARC_FORMATS.includes(bookImport.format) ? { ...MARC_DEFAULTS } : {};
+    Object.entries(bookImport.defaults || {}).forEach(([field, value]) => {
+        if (value !== undefined && value !== null) {
+            defaults[field] = value;
+        }
+    });
+    return defaults;
+};
+
+// Import one row. `catalogue` maps ISBN keys to books already in the
+// catalogue and `seen` to the rows earlier in the file.
+const importRow = async (bookImport, { row, data, marc }, catalogue, seen) => {
+    const result = { row, isbn: data.isbn, title: data.title, problems: [] };
+    const failed = (problems) => ({ ...result, outcome: 'failed', problems });
+
+    const key = isbnKey(data.isbn);
+    if (key && seen.has(key)) {
+        return failed([{ field: 'isbn', message: `Same ISBN as row ${seen.get(key)}` }]);
+    }
+    if (key) {
+        seen.set(key, row);
+    }
+
+    const existing = key ? catalogue.get(key) : null;
+    if (existing && !existing.isActive) {
+        return failed([{ field: 'isbn', message: 'A deleted book has this ISBN' }]);
+    }
+    if (existing && bookImport.onDuplicate === 'skip') {
+        return {
+            ...result,
+            outcome: 'skipped',
+            book: existing._id,
+            problems: [{ field: 'isbn', message: 'A book with this ISBN is already in the catalogue' }]
+        };
+    }
+
+    const validated = existing
+        ? await validateRow(data, validateBookUpdate)
+        : await validateRow({ ...defaultsFor(bookImport), ...data }, validateBook);
+    if (validated.problems.length > 0) {
+        return failed(validated.problems);
+    }
+
+    const outcome = existing ? 'updated' : 'created';
+    if (bookImport.dryRun) {
+        return { ...result, outcome, book: existing ? existing._id : undefined };
+    }
+
+    try {
+        const book = existing
+            ? await mergeBook(existing._id, validated.data, bookImport)
+            : await createBook(validated.data, bookImport);
+        catalogue.set(key, book);
+
+        if (marc) {
+            await MarcRecord.attach(book._id, marc, { format: bookImport.format, importedBy: bookImport.createdBy });
+        }
+
+        return { ...result, outcome, book: book._id };
+    } catch (error) {
+        if (error.code === 11000) {
+            return failed([{ field: 'isbn', message: 'Book with this ISBN already exists' }]);
+        }
+        if (error.name === 'ValidationError') {
+            return failed(Object.values(error.errors).map(problem => ({ field: problem.path, message: problem.message })));
+        }
+        if (error.message === 'Cannot reduce total copies below the number of copies on loan or in repair') {
+            return failed([{ field: 'totalCopies', message: error.message }]);
+        }
+        throw error;
+    }
+};
+
+// Every book in the catalogue, deleted ones included, by ISBN key
+const loadCatalogue = async () => {
+    const catalogue = new Map();
+    const books = await Book.find({}).select('isbn isActive');
+    books.forEach((book) => {
+        const key = isbnKey(book.isbn);
+        if (key) {
+            catalogue.set(key, book);
+        }
+    });
+    return catalogue;
+};
+
+// Record that an import is still running. Stops it if it was marked failed
+// as stalled in the meantime.
+const heartbeat = async (bookImport) => {
+    const { modifiedCount } = await BookImport.updateOne(
+        { _id: bookImport._id, status: 'running' },
+        { heartbeatAt: new Date() }
+    );
+    if (modifiedCount === 0) {
+        throw new Error('Import was stopped while it was running');
+    }
+};
+
+// Import every row of an import, in file order
+const runImport = async (bookImport) => {
+    const catalogue = await loadCatalogue();
+    const seen = new Map();
+    const results = [];
+    let lastHeartbeat = Date.now();
+    for (const row of bookImport.rows) {
+        if (Date.now() - lastHeartbeat >= HEARTBEAT_MS) {
+            await heartbeat(bookImport);
+            lastHeartbeat = Date.now();
+        }
+        results.push(await importRow(bookImport, row, catalogue, seen));
+    }
+    return results;
+};
+
+const summarise = (results) => results.reduce((summary, { outcome }) => {
+    summary[outcome] += 1;
+    return summary;
+}, { total: results.length, created: 0, updated: 0, skipped: 0, failed: 0 });
+
+// Process a queued import. Returns null if it is not queued, e.g. because
+// another worker took it.
+const processBookImport = async (importId) => {
+    const startedAt = new Date();
+    const bookImport = await BookImport.findOneAndUpdate(
+        { _id: importId, status: 'queued' },
+        { status: 'running', startedAt, heartbeatAt: startedAt },
+        { new: true }
+    );
+    if (!bookImport) {
+        return null;
+    }
+
+    let outcome;
+    try {
+        const results = await runImport(bookImport);
+        // The report replaces the input
+        outcome = { status: 'completed', results, summary: summarise(results), rows: [] };
+    } catch (error) {
+        console.error(`Book import ${bookImport._id} failed:`, error);
+        outcome = { status: 'failed', error: error.message };
+    }
+
+    // An import marked failed as stalled while it ran stays failed
+    const finished = await BookImport.findOneAndUpdate(
+        { _id: bookImport._id, status: 'running' },
+        { ...outcome, finishedAt: new Date() },
+        { new: true }
+    );
+
+    return finished || BookImport.findById(bookImport._id);
+};
+
+// Fail running imports that have not shown any sign of life for a while,
+// which a crash or restart stopped part way. They are not run again because
+// the rows they had already imported would be imported twice.
+const failStalledImports = async () => {
+    const cutoff = new Date(Date.now() - config.BOOK_IMPORT_TIMEOUT_MINUTES * 60 * 1000);
+    const result = await BookImport.updateMany(
+        {
+            status: 'running',
+            $or: [
+                { heartbeatAt: { $lt: cutoff } },
+                // Started before imports kept a heartbeat
+                { heartbeatAt: null, startedAt: { $lt: cutoff } }
+            ]
+        },
+        {
+            status: 'failed',
+            error: 'The import stopped before it finished; check the catalogue before importing the file again',
+            finishedAt: new Date()
+        }
+    );
+    return result.modifiedCount;
+};
+
+// Process queued imports, oldest first. Picks up imports left waiting by a
+// restart or by an instance that does not run them itself, and fails those
+// left running.
+const runQueuedImports = async () => {
+    const stalled = await failStalledImports();
+    let processed = 0;
+    let next = await BookImport.findOne({ status: 'queued' }).sort({ createdAt: 1 }).select('_id');
+
+    while (next) {
+        if (await processBookImport(next._id)) {
+            processed += 1;
+        }
+        next = await BookImport.findOne({ status: 'queued' }).sort({ createdAt: 1 }).select('_id');
+    }
+
+    return { processed, stalled };
+};
+
+// Start processing a new import in the background
+const startBookImport = (bookImport) => {
+    setImmediate(() => {
+        processBookImport(bookImport._id).catch((error) => {
+            console.error(`Book import ${bookImport._id} failed:`, error);
+        });
+    });
+};
+
+module.exports = {
+    COLUMN_ALIASES,
+    FORMATS,
+    MARC_FORMATS,
+    isbnKey,
+    parseImportFile,
+    validateRow,
+    loadCatalogue,
+    importRow,
+    processBookImport,
+    runQueuedImports,
+    startBookImport
+};
@@ -0,0 +1,12 @@
+const { EventEmitter } = require('events');
+
+// Circulation events for other parts of the server to react to. Listeners run
+// synchronously inside the job or request that emits the event, so anything
+// slow should be handed off rather than awaited.
+//
+// - 'loan:overdue' ({ borrowId, userId, bookId, dueDate, fineAmount }): the
+//   overdue sweep found a loan past its due date and marked it overdue. The
+//   patron is sent an overdue notice (see scheduledJobs.js).
+const circulationEvents = new EventEmitter();
+
+module.exports = circulationEvents;
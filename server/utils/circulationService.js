@@ -0,0 +1,276 @@
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const Borrow = require('../models/Borrow');
+const Copy = require('../models/Copy');
+const CirculationPolicy = require('../models/CirculationPolicy');
+const FineTransaction = require('../models/FineTransaction');
+const LibraryCalendar = require('../models/LibraryCalendar');
+const Reservation = require('../models/Reservation');
+const { withTransaction } = require('./transaction');
+const config = require('../config');
+const { getStandingBlock } = require('./patronStanding');
+const { notifyHoldReady, passHoldOn } = require('./holdService');
+
+// Resolve a scanned item code to a book and, when the code identifies a
+// physical copy, that copy. Accepts an accession barcode, a book QR payload or
+// an ISBN (the book barcode). Returns null when nothing matches.
+const resolveItem = async (code) => {
+    const value = String(code || '').trim();
+    if (!value) {
+        return null;
+    }
+
+    const copy = await Copy.findByBarcode(value);
+    if (copy) {
+        const book = await Book.findById(copy.book);
+        return book ? { book, copy } : null;
+    }
+
+    if (value.startsWith('{')) {
+        try {
+            const qrData = JSON.parse(value);
+            if (qrData.type === 'book' && mongoose.Types.ObjectId.isValid(qrData.id)) {
+                const book = await Book.findById(qrData.id);
+                return book ? { book, copy: null } : null;
+            }
+        } catch (error) {
+            // Not a book QR payload; fall through to the ISBN lookup
+        }
+    }
+
+    const book = await Book.findOne({ isbn: value });
+    return book ? { book, copy: null } : null;
+};
+
+// Reasons a patron cannot borrow anything at all, or null when they can. See
+// getStandingBlock for the block format and staff overrides.
+const getPatronBlock = async (patron, override = null) => {
+    return getStandingBlock(patron, override && { ...override, action: 'checkout' });
+};
+
+// Reasons a patron cannot borrow a particular book or copy, or null when they
+// can. Covers the patron's standing (unless the caller has already checked it),
+// availability, duplicate loans and the circulation policy limit. A patron
+// collecting a hold can borrow the copy kept for them even when no copies are
+// on the open shelf.
+const getCheckoutBlock = async (patron, book, copy = null, { skipPatronBlock = false } = {}) => {
+    if (!skipPatronBlock) {
+        const patronBlock = await getPatronBlock(patron);
+        if (patronBlock) {
+            return patronBlock;
+        }
+    }
+
+    const hold = await Reservation.findReadyHold(patron._id, book._id);
+    const isHeldCopy = Boolean(hold && copy && copy._id.equals(hold.copy));
+
+    if (!hold && !book.isBookAvailable()) {
+        return { status: 400, code: 'BOOK_UNAVAILABLE', message: 'Book is not available for borrowing' };
+    }
+
+    if (copy && !copy.isLendable && !isHeldCopy) {
+        return { status: 400, code: 'COPY_UNAVAILABLE', message: `Copy ${copy.barcode} is not available for borrowing` };
+    }
+
+    const existingBorrow = await Borrow.findOne({
+        user: patron._id,
+        book: book._id,
+        status: { $in: Borrow.LIVE_STATUSES },
+        isActive: true
+    });
+
+    if (existingBorrow) {
+        return { status: 409, code: 'ALREADY_BORROWED', message: 'Patron already has this book borrowed' };
+    }
+
+    // Check the patron's loan limit under the matching circulation policy
+    const terms = await CirculationPolicy.resolveFor(patron, book);
+    const activeLoans = await Borrow.countDocuments({
+        user: patron._id,
+        status: { $in: Borrow.LIVE_STATUSES },
+        isActive: true
+    });
+
+    if (activeLoans >= terms.maxLoans) {
+        return { status: 400, code: 'LOAN_LIMIT_REACHED', message: `Maximum borrowing limit reached (${terms.maxLoans} books)` };
+    }
+
+    return null;
+};
+
+// Claim a copy, decrement availability and record the loan atomically.
+// `borrowedBy` is the user who performed the checkout (the patron themselves
+// or a staff member). Throws 'Book is not available for borrowing' when no
+// copy could be claimed.
+//
+// A patron with a hold waiting gets the copy kept for them and the hold is
+// fulfilled. If they take a different copy instead, the held one goes to the
+// next patron in the queue.
+const checkout = async ({ patron, book, copy = null, borrowedBy, notes }) => {
+    const { borrow, nextHold } = await withTransaction(async (session) => {
+        const hold = await Reservation.findReadyHold(patron._id, book._id, session);
+        const collectsHold = Boolean(hold && (!copy || copy._id.equals(hold.copy)));
+
+        const borrowedCopy = collectsHold
+            ? await book.borrowHeldCopy(hold.copy, session)
+            : await book.borrowCopy(copy ? copy._id : null, session);
+        if (!borrowedCopy) {
+            throw new Error('Book is not available for borrowing');
+        }
+
+        const [created] = await Borrow.create([{
+            user: patron._id,
+            book: book._id,
+            copy: borrowedCopy._id,
+            borrowedBy,
+            notes
+        }], { session });
+
+        await Copy.updateOne({ _id: borrowedCopy._id }, { currentBorrow: created._id }, { session });
+
+        let passedOn = null;
+        if (hold) {
+            hold.fulfillReservation(borrowedBy);
+            await hold.save({ session });
+
+            if (!collectsHold) {
+                passedOn = await passHoldOn(hold, session);
+            }
+        }
+
+        return { borrow: created, nextHold: passedOn };
+    });
+
+    if (nextHold) {
+        await notifyHoldReady(nextHold);
+    }
+
+    return borrow;
+};
+
+// Close a loan, charge any overdue fine to the patron and release its copy in
+// one transaction. Throws 'Book is already returned' when the loan was closed
+// in the meantime. Returns { borrow, hold }.
+//
+// When patrons are waiting for the book, the copy goes on the hold shelf for
+// the first of them instead of back on the open shelf; `hold` is their
+// reservation and they are notified once the return has committed.
+//
+// A lost book that turns up goes back into stock and its replacement cost is
+// reversed. Pass `damage` ({ notes, repairFee }) for a book that came back
+// damaged: its copy goes to repair and any repair fee is charged.
+const checkin = async ({ borrowId, returnedBy, notes, damage = null }) => {
+    const result = await withTransaction(async (session) => {
+        const borrow = await Borrow.findById(borrowId).session(session);
+        const calendar = await LibraryCalendar.getCalendar(session);
+        const wasLive = Borrow.LIVE_STATUSES.includes(borrow.status);
+        const wasLost = borrow.status === 'lost';
+
+        borrow.returnBook(returnedBy, notes, calendar);
+        if (damage) {
+            borrow.recordDamage(returnedBy, damage.notes, damage.repairFee || 0);
+        }
+        await borrow.save({ session });
+
+        // Overdue fines become a charge on the patron's ledger once the
+        // final amount is known. Lost books were charged when declared lost.
+        if (wasLive && borrow.fineAmount > 0) {
+            await FineTransaction.charge({
+                user: borrow.user,
+                borrow: borrow._id,
+                category: 'overdue',
+                amount: borrow.fineAmount,
+                recordedBy: returnedBy
+            }, session);
+        }
+
+        if (damage && damage.repairFee > 0) {
+            await FineTransaction.charge({
+                user: borrow.user,
+                borrow: borrow._id,
+                category: 'damage',
+                amount: damage.repairFee,
+                reason: damage.notes,
+                recordedBy: returnedBy
+            }, session);
+        }
+
+        const book = await Book.findById(borrow.book).session(session);
+        let hold = null;
+        if (book) {
+            if (damage) {
+                await (wasLost
+                    ? book.restoreDamagedLostCopy(borrow.copy, session)
+                    : book.returnDamagedCopy(borrow.copy, session));
+            } else {
+                const copy = wasLost
+                    ? await book.restoreLostCopy(borrow.copy, session)
+                    : await book.returnCopy(borrow.copy, session);
+                hold = await Reservation.processReservationQueue(book, copy ? copy._id : null, session);
+            }
+        }
+
+        if (wasLost) {
+            await FineTransaction.reverseCharges(borrow, ['lost'], {
+                reason: 'Lost book found',
+                recordedBy: returnedBy
+            }, session);
+        }
+
+        return { borrow, hold };
+    });
+
+    if (result.hold) {
+        await notifyHoldReady(result.hold);
+    }
+
+    return result;
+};
+
+// Declare a book on loan lost: write its copy off and charge the patron the
+// fine accrued so far, the replacement cost (the book's price unless
+// `replacementCost` is given) and the processing fee, in one transaction.
+// Throws 'Only books on loan can be declared lost' for closed loans.
+const declareLost = async ({ borrowId, declaredBy, replacementCost, notes }) => {
+    return withTransaction(async (session) => {
+        const borrow = await Borrow.findById(borrowId).session(session);
+        const calendar = await LibraryCalendar.getCalendar(session);
+        borrow.declareLost(calendar);
+        if (notes) {
+            borrow.notes = notes;
+        }
+        await borrow.save({ session });
+
+        const book = await Book.findById(borrow.book).session(session);
+        if (book) {
+            await book.loseCopy(borrow.copy, session);
+        }
+
+        const cost = replacementCost !== undefined ? replacementCost : (book && book.price) || 0;
+        const charges = [
+            { category: 'overdue', amount: borrow.fineAmount },
+            { category: 'lost', amount: cost, reason: 'Replacement cost' },
+            { category: 'processing', amount: config.LOST_PROCESSING_FEE, reason: 'Lost book processing fee' }
+        ];
+
+        for (const charge of charges.filter(entry => entry.amount > 0)) {
+            await FineTransaction.charge({
+                user: borrow.user,
+                borrow: borrow._id,
+                recordedBy: declaredBy,
+                ...charge
+            }, session);
+        }
+
+        return borrow;
+    });
+};
+
+module.exports = {
+    resolveItem,
+    getPatronBlock,
+    getCheckoutBlock,
+    checkout,
+    checkin,
+    declareLost
+};
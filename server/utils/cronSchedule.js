@@ -0,0 +1,126 @@
+// Minimal five-field cron reader for the job scheduler: minute, hour, day of
+// month, month and day of week, in server local time. Each field accepts `*`,
+// numbers, ranges (`1-5`), lists (`1,15`) and steps (`*/15`, `9-17/2`). Day of
+// week runs 0-6 from Sunday (7 is also Sunday). As in cron, when both day
+// fields are restricted a day matching either one is due.
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Give up looking for the next run after this many days (covers 29 February)
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+const parseNumber = (value, field) => {
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`Invalid ${field.name} in cron schedule: ${value}`);
+    }
+
+    const number = parseInt(value, 10);
+    if (number < field.min || number > field.max) {
+        throw new Error(`${field.name} must be between ${field.min} and ${field.max}`);
+    }
+
+    return number;
+};
+
+// Expand one field into the set of values it matches
+const parseField = (text, field) => {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseNumber(stepText, { ...field, min: 1 });
+        let from = field.min;
+        let to = field.max;
+
+        if (range !== '*') {
+            const [start, end] = range.split('-');
+            from = parseNumber(start, field);
+            to = end === undefined ? (stepText === undefined ? from : field.max) : parseNumber(end, field);
+        }
+
+        if (from > to) {
+            throw new Error(`Invalid ${field.name} range in cron schedule: ${range}`);
+        }
+
+        for (let value = from; value <= to; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+};
+
+// Parse a cron expression. Throws on malformed expressions.
+const parseSchedule = (expression) => {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error('Cron schedule must have five fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+    // Sunday can be written as 0 or 7
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.add(0);
+    }
+
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        anyDayOfMonth: parts[2] === '*',
+        anyDayOfWeek: parts[4] === '*'
+    };
+};
+
+const isDueDay = (schedule, date) => {
+    const monthDayMatches = schedule.daysOfMonth.has(date.getDate());
+    const weekDayMatches = schedule.daysOfWeek.has(date.getDay());
+
+    if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+        return monthDayMatches && weekDayMatches;
+    }
+    return monthDayMatches || weekDayMatches;
+};
+
+// Get the first time strictly after `from` that the schedule is due
+const getNextRun = (expression, from = new Date()) => {
+    const schedule = typeof expression === 'string' ? parseSchedule(expression) : expression;
+    const candidate = new Date(from);
+    candidate.setSeconds(0, 0);
+    candidate.setMinutes(candidate.getMinutes() + 1);
+
+    const limit = new Date(from);
+    limit.setDate(limit.getDate() + MAX_LOOKAHEAD_DAYS);
+
+    while (candidate <= limit) {
+        if (!schedule.months.has(candidate.getMonth() + 1)) {
+            candidate.setMonth(candidate.getMonth() + 1, 1);
+            candidate.setHours(0, 0, 0, 0);
+        } else if (!isDueDay(schedule, candidate)) {
+            candidate.setDate(candidate.getDate() + 1);
+            candidate.setHours(0, 0, 0, 0);
+        } else if (!schedule.hours.has(candidate.getHours())) {
+            candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+        } else if (!schedule.minutes.has(candidate.getMinutes())) {
+            candidate.setMinutes(candidate.getMinutes() + 1, 0, 0);
+        } else {
+            return candidate;
+        }
+    }
+
+    throw new Error(`Cron schedule never runs: ${expression}`);
+};
+
+module.exports = {
+    parseSchedule,
+    getNextRun
+};
@@ -0,0 +1,83 @@
+// Writing CSV for downloads and reading uploaded CSV. Values are quoted when
+// needed, and text that a spreadsheet would run as a formula is prefixed with
+// an apostrophe.
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCsvValue = (value) => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line, with its line ending
+const toCsvRow = (values) => `${values.map(toCsvValue).join(',')}\r\n`;
+
+// Parse CSV text into rows of values. Handles quoted values with commas,
+// doubled quotes and line breaks, either line ending and a leading byte order
+// mark. Blank lines are kept as a row with one empty value, so row numbers
+// match the ones a spreadsheet shows.
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+
+    const endValue = () => {
+        row.push(value);
+        value = '';
+    };
+    const endRow = () => {
+        endValue();
+        rows.push(row);
+        row = [];
+    };
+
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                value += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            endValue();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i += 1;
+            }
+            endRow();
+        } else {
+            value += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('CSV has an unterminated quoted value');
+    }
+    if (value !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return rows;
+};
+
+module.exports = {
+    toCsvValue,
+    toCsvRow,
+    parseCsv
+};
@@ -3,7 +3,7 @@ const config = require('../config');
 
 // Create transporter
 const createTransporter = () => {
-    return nodemailer.createTransporter({
+    return nodemailer.createTransport({
         host: config.EMAIL_HOST,
         port: config.EMAIL_PORT,
         secure: config.EMAIL_PORT === 465, // true for 465, false for other ports
@@ -76,7 +76,7 @@ const emailTemplates = {
     `
     }),
 
-    reservationAvailable: (userName, bookTitle) => ({
+    reservationAvailable: (userName, bookTitle, pickupBy) => ({
         subject: '📖 Reserved Book Available',
         html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -90,7 +90,7 @@ const emailTemplates = {
           </p>
           <div style="background: #d4edda; border: 1px solid #c3e6cb; padding: 15px; border-radius: 5px; margin: 20px 0;">
             <p style="margin: 0; color: #155724;">
-              <strong>📅 Pickup Deadline:</strong> You have 3 days to pick up the book before the reservation expires.
+              <strong>📅 Pickup Deadline:</strong> Please pick up the book by <strong>${new Date(pickupBy).toLocaleDateString()}</strong>. After that it goes to the next person waiting.
             </p>
           </div>
           <p style="color: #666; font-size: 14px;">
@@ -140,7 +140,7 @@ const emailTemplates = {
     `
     }),
 
-    passwordReset: (userName, resetLink) => ({
+    passwordReset: (userName, resetLink, expiresInMinutes) => ({
         subject: '🔐 Password Reset Request',
         html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -159,7 +159,7 @@ const emailTemplates = {
           </div>
           <div style="background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0;">
             <p style="margin: 0; color: #856404;">
-              <strong>⚠️ Security Note:</strong> This link will expire in 1 hour. If you didn't request this reset, please ignore this email.
+              <strong>⚠️ Security Note:</strong> This link will expire in ${expiresInMinutes} minutes and can only be used once. If you didn't request this reset, please ignore this email.
             </p>
           </div>
         </div>
@@ -170,6 +170,78 @@ const emailTemplates = {
         </div>
       </div>
     `
+    }),
+
+    emailVerification: (userName, verifyLink, expiresInHours) => ({
+        subject: '✉️ Please Verify Your Email Address',
+        html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
+          <h1 style="color: white; margin: 0;">✉️ Verify Your Email</h1>
+        </div>
+        <div style="padding: 30px; background: #f8f9fa;">
+          <h2 style="color: #333; margin-bottom: 20px;">Hello ${userName}!</h2>
+          <p style="color: #666; font-size: 16px; line-height: 1.6;">
+            Please confirm this is your email address to finish setting up your Library Management System account.
+          </p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${verifyLink}" style="background: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              Verify Email
+            </a>
+          </div>
+          <div style="background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0;">
+            <p style="margin: 0; color: #856404;">
+              <strong>⚠️ Note:</strong> This link will expire in ${expiresInHours} hours. If you didn't create an account, please ignore this email.
+            </p>
+          </div>
+        </div>
+        <div style="background: #343a40; padding: 20px; text-align: center;">
+          <p style="color: #adb5bd; margin: 0; font-size: 14px;">
+            © 2024 Library Management System. All rights reserved.
+          </p>
+        </div>
+      </div>
+    `
+    }),
+
+    kioskReceipt: (userName, receipt) => ({
+        subject: '🧾 Your Library Receipt',
+        html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
+          <h1 style="color: white; margin: 0;">🧾 Library Receipt</h1>
+        </div>
+        <div style="padding: 30px; background: #f8f9fa;">
+          <h2 style="color: #333; margin-bottom: 20px;">Hello ${userName}!</h2>
+          <p style="color: #666; font-size: 16px; line-height: 1.6;">
+            Here is a summary of your visit on <strong>${new Date(receipt.issuedAt).toLocaleString()}</strong>.
+          </p>
+          ${receipt.checkedOut.length > 0 ? `
+          <h3 style="color: #333;">Checked out</h3>
+          <table style="width: 100%; border-collapse: collapse; background: white;">
+            <tr>
+              <th style="text-align: left; padding: 8px; border-bottom: 1px solid #dee2e6;">Title</th>
+              <th style="text-align: left; padding: 8px; border-bottom: 1px solid #dee2e6;">Due date</th>
+            </tr>
+            ${receipt.checkedOut.map(item => `
+            <tr>
+              <td style="padding: 8px; border-bottom: 1px solid #dee2e6;">${item.title}</td>
+              <td style="padding: 8px; border-bottom: 1px solid #dee2e6;"><strong>${new Date(item.dueDate).toLocaleDateString()}</strong></td>
+            </tr>`).join('')}
+          </table>` : ''}
+          ${receipt.returned.length > 0 ? `
+          <h3 style="color: #333;">Returned</h3>
+          <ul style="color: #666;">
+            ${receipt.returned.map(item => `<li>${item.title}</li>`).join('')}
+          </ul>` : ''}
+        </div>
+        <div style="background: #343a40; padding: 20px; text-align: center;">
+          <p style="color: #adb5bd; margin: 0; font-size: 14px;">
+            © 2024 Library Management System. All rights reserved.
+          </p>
+        </div>
+      </div>
+    `
     })
 };
 
@@ -245,7 +317,7 @@ const sendOverdueNotices = async (overdueBorrows) => {
     for (const borrow of overdueBorrows) {
         if (borrow.user.email && borrow.user.preferences?.notifications?.email) {
             const daysOverdue = Math.ceil((new Date() - new Date(borrow.dueDate)) / (1000 * 60 * 60 * 24));
-            const fineAmount = daysOverdue * config.FINE_PER_DAY;
+            const fineAmount = borrow.calculateFine();
 
             const result = await sendEmail(
                 borrow.user.email,
@@ -274,7 +346,7 @@ const sendReservationAvailable = async (reservations) => {
             const result = await sendEmail(
                 reservation.user.email,
                 'reservationAvailable',
-                [reservation.user.firstName, reservation.book.title]
+                [reservation.user.firstName, reservation.book.title, reservation.pickupBy]
             );
 
             results.push({
@@ -301,13 +373,37 @@ const sendWelcomeEmail = async (user) => {
     return { success: false, error: 'No email address provided' };
 };
 
+// Send email address verification email
+const sendEmailVerificationEmail = async (user, verifyLink, expiresInHours) => {
+    if (user.email) {
+        return await sendEmail(
+            user.email,
+            'emailVerification',
+            [user.firstName, verifyLink, expiresInHours]
+        );
+    }
+    return { success: false, error: 'No email address provided' };
+};
+
 // Send password reset email
-const sendPasswordResetEmail = async (user, resetLink) => {
+const sendPasswordResetEmail = async (user, resetLink, expiresInMinutes) => {
     if (user.email) {
         return await sendEmail(
             user.email,
             'passwordReset',
-            [user.firstName, resetLink]
+            [user.firstName, resetLink, expiresInMinutes]
+        );
+    }
+    return { success: false, error: 'No email address provided' };
+};
+
+// Send kiosk receipt
+const sendKioskReceipt = async (user, receipt) => {
+    if (user.email) {
+        return await sendEmail(
+            user.email,
+            'kioskReceipt',
+            [user.firstName, receipt]
         );
     }
     return { success: false, error: 'No email address provided' };
@@ -334,5 +430,7 @@ module.exports = {
     sendReservationAvailable,
     sendWelcomeEmail,
     sendPasswordResetEmail,
+    sendEmailVerificationEmail,
+    sendKioskReceipt,
     testEmailConfiguration
 };
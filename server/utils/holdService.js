@@ -0,0 +1,167 @@
+const Book = require('../models/Book');
+const Notification = require('../models/Notification');
+const Reservation = require('../models/Reservation');
+const { withTransaction } = require('./transaction');
+const { sendReservationAvailable } = require('./emailService');
+
+// Tell a patron their reserved book is waiting on the hold shelf, in the app
+// and by email. Call this once the transaction that placed the hold has
+// committed; a failed notification is logged and does not undo the hold.
+const notifyHoldReady = async (reservation) => {
+    try {
+        const hold = await Reservation.findById(reservation._id)
+            .populate('user', 'firstName lastName email preferences')
+            .populate('book', 'title');
+
+        if (!hold || !hold.user || !hold.book) {
+            return;
+        }
+
+        await Notification.createNotification({
+            user: hold.user._id,
+            type: 'reservation_available',
+            title: 'Reserved Book Available',
+            message: `Your reserved book "${hold.book.title}" is now available for pickup. Please collect it by ${hold.pickupBy.toLocaleDateString()}.`,
+            priority: 'high',
+            relatedEntity: {
+                type: 'reservation',
+                id: hold._id
+            },
+            metadata: {
+                bookTitle: hold.book.title,
+                copyId: hold.copy,
+                pickupBy: hold.pickupBy
+            }
+        });
+
+        await sendReservationAvailable([hold]);
+    } catch (error) {
+        console.error('Hold notification error:', error);
+    }
+};
+
+// Take a copy off the hold shelf and pass it to the next patron in the queue,
+// or back to the open shelf when nobody is waiting. The reservation must
+// already be closed. Runs in the caller's session; returns the next patron's
+// reservation, or null.
+const passHoldOn = async (reservation, session) => {
+    const book = await Book.findById(reservation.book).session(session);
+    if (!book) {
+        return null;
+    }
+
+    const copy = await book.releaseHeldCopy(reservation.copy, session);
+    if (!copy) {
+        return null;
+    }
+
+    return Reservation.processReservationQueue(book, copy._id, session);
+};
+
+// Close a reservation, passing on the copy held for it if it was ready for
+// pickup. `status` is 'cancelled' or 'expired'. Returns the next patron's
+// reservation when the copy went to them, or null. Throws 'Only active
+// reservations can be cancelled' when the reservation is already closed.
+const closeReservation = async (reservationId, status = 'cancelled') => {
+    const nextHold = await withTransaction(async (session) => {
+        const reservation = await Reservation.findById(reservationId).session(session);
+        if (!reservation || !['active', 'ready'].includes(reservation.status)) {
+            throw new Error('Only active reservations can be cancelled');
+        }
+
+        const wasReady = reservation.status === 'ready';
+        reservation.status = status;
+        await reservation.save({ session });
+
+        await Book.updateOne(
+            { _id: reservation.book, 'statistics.totalReservations': { $gt: 0 } },
+            { $inc: { 'statistics.totalReservations': -1 } },
+            { session }
+        );
+
+        if (wasReady) {
+            return passHoldOn(reservation, session);
+        }
+
+        // Update priorities for remaining reservations
+        await Reservation.updateMany(
+            {
+                book: reservation.book,
+                status: 'active',
+                isActive: true,
+                priority: { $gt: reservation.priority }
+            },
+            {
+                $inc: { priority: -1 }
+            },
+            { session }
+        );
+
+        return null;
+    });
+
+    if (nextHold) {
+        await notifyHoldReady(nextHold);
+    }
+
+    return nextHold;
+};
+
+// Cancel all of a patron's open reservations, e.g. when their account is
+// deactivated. Cancelled one at a time so ready holds pass to the next patron.
+// Returns how many were cancelled.
+const cancelPatronReservations = async (userId) => {
+    const reservations = await Reservation.find({
+        user: userId,
+        status: { $in: ['active', 'ready'] },
+        isActive: true
+    }).select('_id');
+
+    let cancelled = 0;
+    for (const reservation of reservations) {
+        try {
+            await closeReservation(reservation._id);
+            cancelled += 1;
+        } catch (error) {
+            // Collected or cancelled in the meantime
+            if (error.message !== 'Only active reservations can be cancelled') {
+                throw error;
+            }
+        }
+    }
+
+    return cancelled;
+};
+
+// Expire holds that were not collected by their pickup deadline and pass
+// each copy on to the next patron in the queue
+const expireUncollectedHolds = async (now = new Date()) => {
+    const holds = await Reservation.getUncollectedHolds(now);
+    let expired = 0;
+    let passedOn = 0;
+
+    for (const hold of holds) {
+        try {
+            const nextHold = await closeReservation(hold._id, 'expired');
+            expired += 1;
+            if (nextHold) {
+                passedOn += 1;
+            }
+        } catch (error) {
+            // Collected or cancelled since the holds were listed
+            if (error.message !== 'Only active reservations can be cancelled') {
+                console.error(`Hold expiry error for reservation ${hold._id}:`, error);
+            }
+        }
+    }
+
+    return { checked: holds.length, expired, passedOn };
+};
+
+module.exports = {
+    notifyHoldReady,
+    passHoldOn,
+    closeReservation,
+    cancelPatronReservations,
+    expireUncollectedHolds
+};
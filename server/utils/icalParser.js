@@ -0,0 +1,140 @@
+// Minimal iCalendar (RFC 5545) reader for importing holiday lists. Only the
+// fields needed for closures are read: UID, SUMMARY, DTSTART, DTEND and
+// STATUS. Recurrence rules are not expanded, so feeds should list each
+// occurrence as its own event (as public holiday feeds normally do).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Join folded continuation lines (lines starting with a space or tab)
+const unfoldLines = (text) => {
+    return String(text)
+        .replace(/\r\n/g, '\n')
+        .replace(/\r/g, '\n')
+        .replace(/\n[ \t]/g, '')
+        .split('\n')
+        .filter(line => line.trim() !== '');
+};
+
+// Split "NAME;PARAM=VALUE:content" into its parts
+const parseLine = (line) => {
+    const colon = line.indexOf(':');
+    if (colon === -1) {
+        return null;
+    }
+
+    const [name, ...paramParts] = line.slice(0, colon).split(';');
+    const params = paramParts.reduce((result, part) => {
+        const [key, value] = part.split('=');
+        result[key.toUpperCase()] = value;
+        return result;
+    }, {});
+
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+const unescapeText = (value) => {
+    return value
+        .replace(/\\n/gi, ' ')
+        .replace(/\\([,;\\])/g, '$1')
+        .trim();
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const toDayKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Parse a DATE (YYYYMMDD) or DATE-TIME (YYYYMMDDTHHMMSS[Z]) value. UTC values
+// are converted to local time; floating and TZID values are read as local.
+const parseDateValue = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month, day, hour, minute, second, utc] = match;
+
+    if (hour === undefined) {
+        return { date: new Date(Number(year), Number(month) - 1, Number(day)), allDay: true };
+    }
+
+    const parts = [Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second || 0)];
+    const date = utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+    return { date, allDay: false };
+};
+
+// Convert an event's start/end into an inclusive YYYY-MM-DD range
+const toDayRange = (start, end) => {
+    const startDate = toDayKey(start.date);
+
+    if (!end) {
+        return { startDate, endDate: startDate };
+    }
+
+    // DTEND is exclusive: an all-day event ending on the 26th covers up to the
+    // 25th, and a timed event ending at midnight does not touch the next day
+    let last = end.date;
+    if (end.allDay || (last.getHours() === 0 && last.getMinutes() === 0 && last.getSeconds() === 0)) {
+        last = new Date(last.getTime() - DAY_MS);
+    }
+
+    const endDate = toDayKey(last);
+    return { startDate, endDate: endDate < startDate ? startDate : endDate };
+};
+
+// Parse an iCalendar document into holiday entries
+const parseHolidays = (text) => {
+    const holidays = [];
+    const errors = [];
+    let event = null;
+
+    for (const line of unfoldLines(text)) {
+        const property = parseLine(line);
+        if (!property) {
+            continue;
+        }
+
+        if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+            event = {};
+        } else if (property.name === 'END' && property.value.toUpperCase() === 'VEVENT') {
+            if (event && event.status !== 'CANCELLED') {
+                if (!event.start) {
+                    errors.push({ uid: event.uid || null, message: 'Event has no valid DTSTART' });
+                } else {
+                    holidays.push({
+                        uid: event.uid,
+                        name: event.summary || 'Library closed',
+                        ...toDayRange(event.start, event.end)
+                    });
+                }
+            }
+            event = null;
+        } else if (event) {
+            switch (property.name) {
+                case 'UID':
+                    event.uid = property.value.trim();
+                    break;
+                case 'SUMMARY':
+                    event.summary = unescapeText(property.value);
+                    break;
+                case 'DTSTART':
+                    event.start = parseDateValue(property.value);
+                    break;
+                case 'DTEND':
+                    event.end = parseDateValue(property.value);
+                    break;
+                case 'STATUS':
+                    event.status = property.value.trim().toUpperCase();
+                    break;
+                default:
+                    break;
+            }
+        }
+    }
+
+    return { holidays, errors };
+};
+
+module.exports = {
+    parseHolidays,
+    parseDateValue
+};
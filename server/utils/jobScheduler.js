@@ -0,0 +1,172 @@
+const os = require('os');
+const ScheduledJob = require('../models/ScheduledJob');
+const JobRun = require('../models/JobRun');
+const { parseSchedule, getNextRun } = require('./cronSchedule');
+const config = require('../config');
+
+// Identifies this server process in job locks and run history
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const definitions = new Map();
+let timer = null;
+let ticking = false;
+
+// Register a job. `handler` is an async function returning a summary of what
+// it did, which is kept in the run history. `lockMinutes` should comfortably
+// exceed the job's longest run: after that another instance may take over.
+const defineJob = ({ name, description, schedule, lockMinutes = 10, handler }) => {
+    parseSchedule(schedule);
+    definitions.set(name, { name, description, schedule, lockMinutes, handler });
+};
+
+const findDefinition = (name) => definitions.get(name) || null;
+
+const getDefinition = (name) => {
+    const definition = findDefinition(name);
+    if (!definition) {
+        throw new Error('Job not found');
+    }
+    return definition;
+};
+
+const getDefinitions = () => Array.from(definitions.values());
+
+// Create a record for every defined job and pick up schedule changes made in
+// code. Pause state is kept.
+const syncJobs = async (now = new Date()) => {
+    for (const definition of definitions.values()) {
+        try {
+            await ScheduledJob.updateOne(
+                { name: definition.name },
+                { $setOnInsert: { schedule: definition.schedule, nextRunAt: getNextRun(definition.schedule, now) } },
+                { upsert: true }
+            );
+        } catch (error) {
+            // Another instance created the record at the same time
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+
+        await ScheduledJob.updateOne(
+            { name: definition.name, $or: [{ schedule: { $ne: definition.schedule } }, { nextRunAt: null }] },
+            { schedule: definition.schedule, nextRunAt: getNextRun(definition.schedule, now) }
+        );
+    }
+};
+
+// Run a job whose lock this instance holds, record the run and release the lock
+const runLocked = async (definition, trigger, triggeredBy = null) => {
+    const run = await JobRun.create({
+        job: definition.name,
+        trigger,
+        triggeredBy,
+        instance: INSTANCE_ID
+    });
+
+    try {
+        const result = await definition.handler({ run });
+        run.finish(null, result === undefined ? null : result);
+    } catch (error) {
+        console.error(`Job ${definition.name} failed:`, error);
+        run.finish(error);
+    }
+
+    await run.save();
+    await ScheduledJob.releaseLock(definition.name, INSTANCE_ID, run);
+
+    return run;
+};
+
+// Run every job that is due, one at a time. A job locked by another instance
+// is skipped; that instance is running it.
+const tick = async () => {
+    if (ticking) {
+        return;
+    }
+    ticking = true;
+
+    try {
+        for (const definition of definitions.values()) {
+            const now = new Date();
+            const job = await ScheduledJob.acquireLock(definition.name, INSTANCE_ID, {
+                lockMs: definition.lockMinutes * 60 * 1000,
+                due: true,
+                nextRunAt: getNextRun(definition.schedule, now),
+                now
+            });
+
+            if (job) {
+                await runLocked(definition, 'schedule');
+            }
+        }
+    } catch (error) {
+        console.error('Job scheduler error:', error);
+    } finally {
+        ticking = false;
+    }
+};
+
+// Run a job now, whether or not it is paused. Throws 'Job not found' or 'Job
+// is already running'.
+const runJobNow = async (name, triggeredBy = null) => {
+    const definition = getDefinition(name);
+    await syncJobs();
+
+    const job = await ScheduledJob.acquireLock(name, INSTANCE_ID, {
+        lockMs: definition.lockMinutes * 60 * 1000
+    });
+    if (!job) {
+        throw new Error('Job is already running');
+    }
+
+    return runLocked(definition, 'manual', triggeredBy);
+};
+
+// Pause or resume a job's schedule. A resumed job next runs at its next
+// scheduled time; runs missed while paused are skipped.
+const setJobPaused = async (name, paused, user = null) => {
+    const definition = getDefinition(name);
+    await syncJobs();
+
+    const update = paused
+        ? { paused: true, pausedBy: user, pausedAt: new Date() }
+        : { paused: false, pausedBy: null, pausedAt: null, nextRunAt: getNextRun(definition.schedule) };
+
+    return ScheduledJob.findOneAndUpdate({ name }, update, { new: true });
+};
+
+// Start running due jobs in the background. Does nothing when JOBS_ENABLED is
+// off, e.g. on instances that should only serve requests.
+const startScheduler = async () => {
+    if (!config.JOBS_ENABLED || timer) {
+        return;
+    }
+
+    await syncJobs();
+    timer = setInterval(tick, config.JOB_POLL_SECONDS * 1000);
+    timer.unref();
+    console.log(`Job scheduler started (${definitions.size} jobs, instance ${INSTANCE_ID})`);
+
+    tick();
+};
+
+const stopScheduler = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = {
+    INSTANCE_ID,
+    defineJob,
+    findDefinition,
+    getDefinitions,
+    syncJobs,
+    tick,
+    runJobNow,
+    setJobPaused,
+    startScheduler,
+    stopScheduler
+};
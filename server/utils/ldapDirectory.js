@@ -0,0 +1,151 @@
+const { Client, EqualityFilter, InvalidCredentialsError, SizeLimitExceededError } = require('ldapts');
+const config = require('../config');
+
+// Access to the LDAP directory: searching it for user entries with the
+// service account, and checking a user's password by binding as them
+
+const PAGE_SIZE = 500;
+
+const userAttributes = () => [
+    config.LDAP_STUDENT_ID_ATTRIBUTE,
+    config.LDAP_EMAIL_ATTRIBUTE,
+    config.LDAP_FIRST_NAME_ATTRIBUTE,
+    config.LDAP_LAST_NAME_ATTRIBUTE,
+    config.LDAP_GROUP_ATTRIBUTE
+];
+
+const createClient = () => new Client({
+    url: config.LDAP_URL,
+    timeout: config.LDAP_TIMEOUT_MS,
+    connectTimeout: config.LDAP_TIMEOUT_MS
+});
+
+// Run `work(client)` with a client bound as the service account, or
+// anonymously when no bind DN is configured
+const withServiceClient = async (work) => {
+    if (!config.LDAP_BASE_DN) {
+        throw new Error('LDAP base DN is not configured');
+    }
+
+    const client = createClient();
+    try {
+        if (config.LDAP_BIND_DN) {
+            await client.bind(config.LDAP_BIND_DN, config.LDAP_BIND_PASSWORD);
+        }
+        return await work(client);
+    } finally {
+        await client.unbind().catch(() => {});
+    }
+};
+
+// All values of an attribute as strings. Attribute names are matched
+// case-insensitively, as servers may return them in a different case.
+const getValues = (entry, attribute) => {
+    const name = Object.keys(entry).find(key => key.toLowerCase() === String(attribute).toLowerCase());
+    if (!name) {
+        return [];
+    }
+
+    return [].concat(entry[name]).map(value => value.toString()).filter(Boolean);
+};
+
+const getValue = (entry, attribute) => {
+    const [value] = getValues(entry, attribute);
+    return value ? value.trim() : null;
+};
+
+// Turn a directory entry into account fields
+const toProfile = (entry) => {
+    const studentId = getValue(entry, config.LDAP_STUDENT_ID_ATTRIBUTE);
+    const email = getValue(entry, config.LDAP_EMAIL_ATTRIBUTE);
+
+    return {
+        dn: entry.dn,
+        studentId: studentId ? studentId.toUpperCase() : null,
+        email: email ? email.toLowerCase() : null,
+        firstName: (getValue(entry, config.LDAP_FIRST_NAME_ATTRIBUTE) || '').substring(0, 50),
+        lastName: (getValue(entry, config.LDAP_LAST_NAME_ATTRIBUTE) || '').substring(0, 50),
+        groups: getValues(entry, config.LDAP_GROUP_ATTRIBUTE)
+    };
+};
+
+// Every entry under the base DN matching the user filter, a page at a time
+const searchUsers = () => withServiceClient(async (client) => {
+    const entries = [];
+    const pages = client.searchPaginated(config.LDAP_BASE_DN, {
+        scope: 'sub',
+        filter: config.LDAP_USER_FILTER,
+        attributes: userAttributes(),
+        paged: { pageSize: PAGE_SIZE }
+    });
+
+    for await (const page of pages) {
+        entries.push(...page.searchEntries);
+    }
+
+    return entries;
+});
+
+// The entry for a student ID, or null when the directory has none
+const findUserByStudentId = (studentId) => withServiceClient(async (client) => {
+    const idFilter = new EqualityFilter({
+        attribute: config.LDAP_STUDENT_ID_ATTRIBUTE,
+        value: String(studentId)
+    });
+
+    const userFilter = config.LDAP_USER_FILTER.trim().startsWith('(')
+        ? config.LDAP_USER_FILTER.trim()
+        : `(${config.LDAP_USER_FILTER.trim()})`;
+
+    // An ambiguous ID must not let one person log in as another
+    try {
+        const { searchEntries } = await client.search(config.LDAP_BASE_DN, {
+            scope: 'sub',
+            filter: `(&${userFilter}${idFilter.toString()})`,
+            attributes: userAttributes(),
+            sizeLimit: 2
+        });
+
+        return searchEntries.length === 1 ? searchEntries[0] : null;
+    } catch (error) {
+        if (error instanceof SizeLimitExceededError) {
+            return null;
+        }
+        throw error;
+    }
+});
+
+// Check a password by binding as the directory entry for the student ID.
+// Returns false for a wrong password or unknown user; connection problems
+// throw.
+const authenticate = async (studentId, password) => {
+    // An empty password would be an unauthenticated bind, which servers accept
+    if (!password) {
+        return false;
+    }
+
+    const entry = await findUserByStudentId(studentId);
+    if (!entry) {
+        return false;
+    }
+
+    const client = createClient();
+    try {
+        await client.bind(entry.dn, password);
+        return true;
+    } catch (error) {
+        if (error instanceof InvalidCredentialsError) {
+            return false;
+        }
+        throw error;
+    } finally {
+        await client.unbind().catch(() => {});
+    }
+};
+
+module.exports = {
+    toProfile,
+    searchUsers,
+    findUserByStudentId,
+    authenticate
+};
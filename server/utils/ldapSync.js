@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Borrow = require('../models/Borrow');
+const Session = require('../models/Session');
+const AccountChange = require('../models/AccountChange');
+const { searchUsers, toProfile } = require('./ldapDirectory');
+const { cancelPatronReservations } = require('./holdService');
+const { loadRoleMap, resolveRole, mappedRoles, syncedRole } = require('./roleMapping');
+const config = require('../config');
+
+// Only this many individual changes are listed in a report; the counts cover
+// every entry
+const MAX_REPORTED_CHANGES = 100;
+
+const SYNC_REASON = 'LDAP directory sync';
+
+// The fields of a user that differ from their directory profile
+const diffProfile = (user, profile, role) => {
+    const fields = {};
+    const compare = (field, value) => {
+        if (value && user[field] !== value) {
+            fields[field] = { from: user[field], to: value };
+        }
+    };
+
+    compare('email', profile.email);
+    compare('firstName', profile.firstName);
+    compare('lastName', profile.lastName);
+    compare('studentId', profile.studentId);
+    compare('role', role);
+
+    return fields;
+};
+
+// Bring accounts in line with the LDAP directory. Entries are matched to
+// accounts by student ID, or linked to an unsynced account with the same
+// email. New entries get an account; synced accounts whose entry has gone are
+// deactivated, and reactivated if it comes back. With LDAP_ROLE_MAP set,
+// roles the map hands out follow directory groups. Pass `dryRun` to get the report without
+// changing anything.
+const runDirectorySync = async ({ dryRun = false, triggeredBy = null } = {}) => {
+    const syncedAt = new Date();
+    const roleMap = await loadRoleMap(config.LDAP_ROLE_MAP);
+    const managedRoles = mappedRoles(roleMap);
+    const entries = await searchUsers();
+
+    // An empty result is far more likely a wrong base DN or filter than
+    // everyone leaving, and would deactivate every synced account
+    if (entries.length === 0) {
+        throw new Error('LDAP search returned no users');
+    }
+
+    const report = {
+        dryRun,
+        syncedAt,
+        entriesFound: entries.length,
+        created: 0,
+        updated: 0,
+        unchanged: 0,
+        reactivated: 0,
+        deactivated: 0,
+        skipped: 0,
+        failed: 0,
+        changes: [],
+        changesTruncated: false
+    };
+
+    const record = (change) => {
+        if (report.changes.length < MAX_REPORTED_CHANGES) {
+            report.changes.push(change);
+        } else {
+            report.changesTruncated = true;
+        }
+    };
+
+    const profiles = new Map();
+    // Every student ID in the directory, including skipped entries, so an
+    // entry that is only incomplete does not count as having left
+    const directoryIds = new Set();
+    for (const entry of entries) {
+        const profile = toProfile(entry);
+        if (profile.studentId) {
+            directoryIds.add(profile.studentId);
+        }
+
+        if (!profile.studentId || !profile.email) {
+            report.skipped += 1;
+            record({ action: 'skipped', dn: profile.dn, reason: 'Entry has no student ID or email' });
+        } else if (profiles.has(profile.studentId)) {
+            report.skipped += 1;
+            record({ action: 'skipped', dn: profile.dn, reason: `Student ID ${profile.studentId} is on more than one entry` });
+        } else {
+            profiles.set(profile.studentId, profile);
+        }
+    }
+
+    const users = await User.find({ studentId: { $in: Array.from(profiles.keys()) } });
+    const usersByStudentId = new Map(users.map(user => [user.studentId, user]));
+
+    for (const profile of profiles.values()) {
+        const mappedRole = await resolveRole(profile.groups, roleMap);
+        let user = usersByStudentId.get(profile.studentId);
+
+        try {
+            if (!user) {
+                user = await User.findOne({ email: profile.email });
+
+                if (user && user.ldap && user.ldap.dn) {
+                    throw new Error(`Email is already used by the synced account for ${user.ldap.dn}`);
+                }
+            }
+
+            if (!user) {
+                report.created += 1;
+                record({ action: 'created', studentId: profile.studentId, email: profile.email, role: mappedRole || 'student' });
+
+                if (!dryRun) {
+                    // The random password is never used; directory users log in
+                    // with LDAP auth or set one with the forgot password flow
+                    await User.create({
+                        email: profile.email,
+                        password: crypto.randomBytes(32).toString('hex'),
+                        firstName: profile.firstName || profile.studentId,
+                        lastName: profile.lastName || '-',
+                        role: mappedRole || 'student',
+                        studentId: profile.studentId,
+                        isEmailVerified: true,
+                        ldap: { dn: profile.dn, syncedAt }
+                    });
+                }
+                continue;
+            }
+
+            const role = roleMap.size > 0 ? syncedRole(user.role, mappedRole, managedRoles) : null;
+            const fields = diffProfile(user, profile, role);
+            const reactivate = !user.isActive && !!(user.ldap && user.ldap.deactivatedAt);
+            const linked = !(user.ldap && user.ldap.dn);
+
+            if (Object.keys(fields).length === 0 && !reactivate && !linked && user.ldap.dn === profile.dn) {
+                report.unchanged += 1;
+                if (!dryRun) {
+                    await User.updateOne({ _id: user._id }, { 'ldap.syncedAt': syncedAt });
+                }
+                continue;
+            }
+
+            report.updated += 1;
+            if (reactivate) {
+                report.reactivated += 1;
+            }
+            record({
+                action: reactivate ? 'reactivated' : (linked ? 'linked' : 'updated'),
+                userId: user._id,
+                studentId: profile.studentId,
+                fields
+            });
+
+            if (dryRun) {
+                continue;
+            }
+
+            const fromRole = user.role;
+            Object.entries(fields).forEach(([field, { to }]) => {
+                user[field] = to;
+            });
+            if (reactivate) {
+                user.isActive = true;
+            }
+            user.ldap = { dn: profile.dn, syncedAt };
+            await user.save();
+
+            // The directory vouches for the address, so a changed email does
+            // not need verifying again
+            if (fields.email) {
+                await User.updateOne({ _id: user._id }, { isEmailVerified: true });
+            }
+
+            const accountChanges = [];
+            if (fields.role) {
+                accountChanges.push({ action: 'role_change', fromRole, toRole: user.role });
+            }
+            if (reactivate) {
+                accountChanges.push({ action: 'reactivation' });
+            }
+            if (accountChanges.length > 0) {
+                await AccountChange.insertMany(accountChanges.map(change => ({
+                    ...change,
+                    user: user._id,
+                    changedBy: triggeredBy,
+                    reason: SYNC_REASON
+                })));
+            }
+        } catch (error) {
+            report.failed += 1;
+            record({
+                action: 'failed',
+                studentId: profile.studentId,
+                reason: error.code === 11000 ? 'Email or student ID belongs to another account' : error.message
+            });
+        }
+    }
+
+    // Synced accounts whose entry has left the directory
+    const leavers = await User.find({
+        'ldap.dn': { $exists: true },
+        isActive: true,
+        studentId: { $nin: Array.from(directoryIds) }
+    });
+
+    for (const user of leavers) {
+        const itemsOut = await Borrow.countDocuments({
+            user: user._id,
+            status: { $in: Borrow.LIVE_STATUSES },
+            isActive: true
+        });
+
+        report.deactivated += 1;
+        record({ action: 'deactivated', userId: user._id, studentId: user.studentId, itemsOut });
+
+        if (dryRun) {
+            continue;
+        }
+
+        try {
+            user.isActive = false;
+            user.ldap.deactivatedAt = syncedAt;
+            await user.save();
+
+            await Session.revokeForUser(user._id, 'deactivated', { revokedBy: triggeredBy });
+            await AccountChange.create({
+                user: user._id,
+                changedBy: triggeredBy,
+                action: 'deactivation',
+                reason: SYNC_REASON,
+                forced: itemsOut > 0,
+                itemsOut
+            });
+            await cancelPatronReservations(user._id);
+        } catch (error) {
+            console.error(`Directory sync deactivation error for user ${user._id}:`, error);
+            report.failed += 1;
+        }
+    }
+
+    return report;
+};
+
+module.exports = {
+    runDirectorySync
+};
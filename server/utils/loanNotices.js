@@ -0,0 +1,163 @@
+const Notification = require('../models/Notification');
+const Borrow = require('../models/Borrow');
+const LibraryCalendar = require('../models/LibraryCalendar');
+const { sendEmail } = require('./emailService');
+
+// Create an in-app notification for a loan's patron and, when they have email
+// notifications turned on, email them too. Email results are appended to
+// `emailResults`.
+const notifyBorrower = async (borrow, notificationData, emailTemplate, emailData, emailResults) => {
+    const notification = await Notification.createNotification({
+        user: borrow.user._id,
+        relatedEntity: {
+            type: 'borrow',
+            id: borrow._id
+        },
+        ...notificationData
+    });
+
+    if (borrow.user.email && borrow.user.preferences?.notifications?.email) {
+        try {
+            const emailResult = await sendEmail(borrow.user.email, emailTemplate, emailData);
+
+            if (emailResult.success) {
+                notification.emailSent = true;
+                notification.emailSentAt = new Date();
+                await notification.save();
+            }
+
+            emailResults.push({
+                userEmail: borrow.user.email,
+                success: emailResult.success,
+                error: emailResult.error
+            });
+        } catch (emailError) {
+            emailResults.push({
+                userEmail: borrow.user.email,
+                success: false,
+                error: emailError.message
+            });
+        }
+    }
+
+    return notification;
+};
+
+// Remind patrons of loans due in two days
+const sendDueDateReminders = async () => {
+    const twoDaysFromNow = new Date();
+    twoDaysFromNow.setDate(twoDaysFromNow.getDate() + 2);
+
+    const dueBorrows = await Borrow.find({
+        status: 'borrowed',
+        dueDate: {
+            $gte: new Date(twoDaysFromNow.setHours(0, 0, 0, 0)),
+            $lt: new Date(twoDaysFromNow.setHours(23, 59, 59, 999))
+        },
+        isActive: true
+    })
+        .populate('user', 'firstName lastName email preferences')
+        .populate('book', 'title author');
+
+    const emailResults = [];
+
+    for (const borrow of dueBorrows) {
+        await notifyBorrower(borrow, {
+            type: 'due_date',
+            title: 'Book Due Date Reminder',
+            message: `Your book "${borrow.book.title}" is due on ${new Date(borrow.dueDate).toLocaleDateString()}. Please return it on time to avoid late fees.`,
+            priority: 'medium',
+            metadata: {
+                bookTitle: borrow.book.title,
+                dueDate: borrow.dueDate
+            }
+        }, 'dueDateReminder', [borrow.user.firstName, borrow.book.title, borrow.dueDate], emailResults);
+    }
+
+    return {
+        notificationsSent: dueBorrows.length,
+        emailResults
+    };
+};
+
+// Tell a loan's patron it is overdue and the fine so far
+const notifyOverdue = (borrow, calendar, emailResults) => {
+    const daysOverdue = Math.ceil((new Date() - new Date(borrow.dueDate)) / (1000 * 60 * 60 * 24));
+    const fineAmount = borrow.calculateFine(calendar);
+
+    return notifyBorrower(borrow, {
+        type: 'overdue',
+        title: 'Overdue Book Notice',
+        message: `Your book "${borrow.book.title}" is overdue by ${daysOverdue} day${daysOverdue > 1 ? 's' : ''}. Fine amount: $${fineAmount.toFixed(2)}. Please return the book immediately.`,
+        priority: 'high',
+        metadata: {
+            bookTitle: borrow.book.title,
+            daysOverdue,
+            fineAmount
+        }
+    }, 'overdueNotice', [borrow.user.firstName, borrow.book.title, daysOverdue, fineAmount], emailResults);
+};
+
+// Tell patrons about each of their overdue loans and the fine so far. Loans
+// already notified today, when the overdue sweep found them, are skipped.
+const sendOverdueNotices = async () => {
+    const overdueBorrows = await Borrow.find({
+        status: 'overdue',
+        isActive: true
+    })
+        .populate('user', 'firstName lastName email preferences')
+        .populate('book', 'title author');
+
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+    const notifiedToday = await Notification.distinct('relatedEntity.id', {
+        type: 'overdue',
+        'relatedEntity.type': 'borrow',
+        createdAt: { $gte: startOfToday }
+    });
+    const notified = new Set(notifiedToday.map(id => id.toString()));
+
+    const emailResults = [];
+    const calendar = await LibraryCalendar.getCalendar();
+    let notificationsSent = 0;
+
+    for (const borrow of overdueBorrows) {
+        if (notified.has(borrow._id.toString())) {
+            continue;
+        }
+
+        await notifyOverdue(borrow, calendar, emailResults);
+        notificationsSent += 1;
+    }
+
+    return {
+        notificationsSent,
+        emailResults
+    };
+};
+
+// Tell the patron as soon as the overdue sweep marks their loan overdue.
+// Returns null when the loan was returned or renewed in the meantime.
+const sendOverdueNotice = async (borrowId) => {
+    const borrow = await Borrow.findById(borrowId)
+        .populate('user', 'firstName lastName email preferences')
+        .populate('book', 'title author');
+
+    if (!borrow || borrow.status !== 'overdue' || !borrow.isActive || !borrow.user || !borrow.book) {
+        return null;
+    }
+
+    const emailResults = [];
+    await notifyOverdue(borrow, await LibraryCalendar.getCalendar(), emailResults);
+
+    return {
+        notificationsSent: 1,
+        emailResults
+    };
+};
+
+module.exports = {
+    sendDueDateReminders,
+    sendOverdueNotices,
+    sendOverdueNotice
+};
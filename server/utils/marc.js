@@ -0,0 +1,459 @@
+const { SaxesParser } = require('saxes');
+
+// Reading and writing MARC 21 bibliographic records, as ISO 2709 (.mrc) and
+// MARCXML, and mapping them to and from books.
+//
+// A record is { leader, fields }. Control fields (001-009) are { tag, value };
+// data fields are { tag, ind1, ind2, subfields: [{ code, value }] }. Records
+// are written as UTF-8; MARC-8 records are only read if they are plain ASCII.
+
+const FIELD_TERMINATOR = 0x1e;
+const RECORD_TERMINATOR = 0x1d;
+const SUBFIELD_DELIMITER = 0x1f;
+
+const DEFAULT_LEADER = '00000nam a2200000 i 4500';
+const MARCXML_NAMESPACE = 'http://www.loc.gov/MARC21/slim';
+
+const isControlTag = (tag) => tag < '010';
+
+const pad = (number, width) => String(number).padStart(width, '0');
+
+// Split a buffer on a delimiter byte
+const splitBuffer = (buffer, delimiter) => {
+    const parts = [];
+    let start = 0;
+    for (let i = 0; i < buffer.length; i++) {
+        if (buffer[i] === delimiter) {
+            parts.push(buffer.subarray(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(buffer.subarray(start));
+    return parts;
+};
+
+const parseMarc21Record = (data, number) => {
+    const leader = data.toString('latin1', 0, 24);
+    const baseAddress = parseInt(leader.slice(12, 17), 10);
+    if (leader.length < 24 || Number.isNaN(baseAddress) || baseAddress > data.length) {
+        throw new Error(`Record ${number} has an invalid leader`);
+    }
+
+    const unicode = leader[9] === 'a';
+    const decode = (bytes) => {
+        if (!unicode && bytes.some(byte => byte > 0x7f)) {
+            throw new Error(`Record ${number} uses MARC-8 characters; convert the file to UTF-8 first`);
+        }
+        return bytes.toString('utf8');
+    };
+
+    const fields = [];
+    for (let entry = 24; entry + 12 < baseAddress && data[entry] !== FIELD_TERMINATOR; entry += 12) {
+        const tag = data.toString('latin1', entry, entry + 3);
+        const length = parseInt(data.toString('latin1', entry + 3, entry + 7), 10);
+        const start = baseAddress + parseInt(data.toString('latin1', entry + 7, entry + 12), 10);
+        if (Number.isNaN(length) || Number.isNaN(start) || start + length > data.length) {
+            throw new Error(`Record ${number} has an invalid directory entry for field ${tag}`);
+        }
+
+        let content = data.subarray(start, start + length);
+        if (content[content.length - 1] === FIELD_TERMINATOR) {
+            content = content.subarray(0, -1);
+        }
+
+        if (isControlTag(tag)) {
+            fields.push({ tag, value: decode(content) });
+            continue;
+        }
+
+        // The first part, before any delimiter, holds the indicators
+        const [indicators, ...subfields] = splitBuffer(content, SUBFIELD_DELIMITER);
+        fields.push({
+            tag,
+            ind1: indicators.length > 0 ? String.fromCharCode(indicators[0]) : ' ',
+            ind2: indicators.length > 1 ? String.fromCharCode(indicators[1]) : ' ',
+            subfields: subfields
+                .filter(part => part.length > 0)
+                .map(part => ({ code: String.fromCharCode(part[0]), value: decode(part.subarray(1)) }))
+        });
+    }
+
+    return { leader, fields };
+};
+
+// Read ISO 2709 records. Line breaks between records, which some tools add,
+// are skipped.
+const parseMarc21 = (buffer) => {
+    const records = [];
+    let offset = 0;
+
+    while (offset < buffer.length) {
+        if (buffer[offset] === 0x0a || buffer[offset] === 0x0d) {
+            offset += 1;
+            continue;
+        }
+
+        const number = records.length + 1;
+        const length = parseInt(buffer.toString('latin1', offset, offset + 5), 10);
+        if (!length || offset + length > buffer.length || buffer[offset + length - 1] !== RECORD_TERMINATOR) {
+            throw new Error(`Record ${number} has an invalid length; is this a MARC 21 file?`);
+        }
+
+        records.push(parseMarc21Record(buffer.subarray(offset, offset + length), number));
+        offset += length;
+    }
+
+    return records;
+};
+
+// Write one record as ISO 2709, UTF-8 encoded
+const serializeMarc21 = (record) => {
+    const directory = [];
+    const contents = [];
+    let position = 0;
+
+    record.fields.forEach((field) => {
+        const content = isControlTag(field.tag)
+            ? Buffer.from(field.value, 'utf8')
+            : Buffer.concat([
+                Buffer.from(`${field.ind1 || ' '}${field.ind2 || ' '}`, 'latin1'),
+                ...field.subfields.map(subfield => Buffer.concat([
+                    Buffer.from([SUBFIELD_DELIMITER]),
+                    Buffer.from(`${subfield.code}${subfield.value}`, 'utf8')
+                ]))
+            ]);
+        const length = content.length + 1;
+        if (length > 9999) {
+            throw new Error(`Field ${field.tag} is too long for MARC 21`);
+        }
+
+        directory.push(`${field.tag}${pad(length, 4)}${pad(position, 5)}`);
+        contents.push(content, Buffer.from([FIELD_TERMINATOR]));
+        position += length;
+    });
+
+    const directoryBytes = Buffer.from(`${directory.join('')}\x1e`, 'latin1');
+    const baseAddress = 24 + directoryBytes.length;
+    const recordLength = baseAddress + position + 1;
+    if (recordLength > 99999) {
+        throw new Error('Record is too long for MARC 21');
+    }
+
+    const base = (record.leader || DEFAULT_LEADER).padEnd(24, ' ');
+    const leader = `${pad(recordLength, 5)}${base.slice(5, 9)}a22${pad(baseAddress, 5)}${base.slice(17, 20)}4500`;
+
+    return Buffer.concat([
+        Buffer.from(leader, 'latin1'),
+        directoryBytes,
+        ...contents,
+        Buffer.from([RECORD_TERMINATOR])
+    ]);
+};
+
+// Read the records of a MARCXML document: a <collection> or a single <record>
+const parseMarcXml = (text) => {
+    const parser = new SaxesParser({ xmlns: true });
+    const records = [];
+    let record = null;
+    let field = null;
+    let subfield = null;
+    let buffer = null;
+
+    parser.on('opentag', (node) => {
+        const attribute = (name) => (node.attributes[name] ? node.attributes[name].value : '');
+
+        switch (node.local) {
+            case 'record':
+                record = { leader: DEFAULT_LEADER, fields: [] };
+                break;
+            case 'leader':
+                buffer = '';
+                break;
+            case 'controlfield':
+                field = { tag: attribute('tag'), value: '' };
+                buffer = '';
+                break;
+            case 'datafield':
+                field = { tag: attribute('tag'), ind1: attribute('ind1') || ' ', ind2: attribute('ind2') || ' ', subfields: [] };
+                break;
+            case 'subfield':
+                subfield = { code: attribute('code'), value: '' };
+                buffer = '';
+                break;
+            default:
+                break;
+        }
+    });
+
+    parser.on('text', (text) => {
+        if (buffer !== null) {
+            buffer += text;
+        }
+    });
+
+    parser.on('closetag', (node) => {
+        switch (node.local) {
+            case 'record':
+                records.push(record);
+                record = null;
+                break;
+            case 'leader':
+                record.leader = buffer.padEnd(24, ' ').slice(0, 24);
+                buffer = null;
+                break;
+            case 'controlfield':
+                field.value = buffer;
+                record.fields.push(field);
+                field = null;
+                buffer = null;
+                break;
+            case 'datafield':
+                record.fields.push(field);
+                field = null;
+                break;
+            case 'subfield':
+                subfield.value = buffer;
+                field.subfields.push(subfield);
+                subfield = null;
+                buffer = null;
+                break;
+            default:
+                break;
+        }
+    });
+
+    try {
+        parser.write(text).close();
+    } catch (error) {
+        throw new Error(`The file is not valid MARCXML: ${error.message}`);
+    }
+
+    return records;
+};
+
+const escapeXml = (text) => String(text)
+    // Control characters other than tab and line breaks are not allowed in XML
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// One <record> element, indented to sit inside a <collection>
+const toMarcXmlRecord = (record) => {
+    const lines = ['  <record>', `    <leader>${escapeXml(record.leader || DEFAULT_LEADER)}</leader>`];
+
+    record.fields.forEach((field) => {
+        if (isControlTag(field.tag)) {
+            lines.push(`    <controlfield tag="${escapeXml(field.tag)}">${escapeXml(field.value)}</controlfield>`);
+            return;
+        }
+
+        lines.push(`    <datafield tag="${escapeXml(field.tag)}" ind1="${escapeXml(field.ind1 || ' ')}" ind2="${escapeXml(field.ind2 || ' ')}">`);
+        field.subfields.forEach((subfield) => {
+            lines.push(`      <subfield code="${escapeXml(subfield.code)}">${escapeXml(subfield.value)}</subfield>`);
+        });
+        lines.push('    </datafield>');
+    });
+
+    lines.push('  </record>');
+    return `${lines.join('\n')}\n`;
+};
+
+const MARCXML_HEADER = `<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="${MARCXML_NAMESPACE}">\n`;
+const MARCXML_FOOTER = '</collection>\n';
+
+const toMarcXml = (records) => `${MARCXML_HEADER}${records.map(toMarcXmlRecord).join('')}${MARCXML_FOOTER}`;
+
+// Mapping to and from books
+
+const subfieldValue = (field, code) => {
+    const subfield = field && field.subfields ? field.subfields.find(candidate => candidate.code === code) : null;
+    return subfield ? subfield.value : undefined;
+};
+
+// Remove the ISBD punctuation that ends a subfield (" /", " :", ";", ","
+// and a full stop after a word, but not after initials or abbreviations
+// such as "ed.")
+const trimPunctuation = (text) => {
+    if (!text) {
+        return undefined;
+    }
+    const trimmed = text.trim().replace(/\s*[/:;,=]$/, '').replace(/(?<=[a-z]{3})\.$/, '').trim();
+    return trimmed || undefined;
+};
+
+// "Herbert, Frank" as "Frank Herbert"; names in direct order are left alone
+const naturalName = (field) => {
+    const name = trimPunctuation(subfieldValue(field, 'a'));
+    if (!name || field.ind1 !== '1' || !name.includes(',')) {
+        return name;
+    }
+    const [surname, ...forenames] = name.split(',');
+    return `${forenames.join(',').trim()} ${surname.trim()}`.trim();
+};
+
+// "Frank Herbert" as "Herbert, Frank", taking the last word as the surname
+const invertedName = (name) => {
+    const words = name.trim().split(/\s+/);
+    return words.length > 1 ? `${words.pop()}, ${words.join(' ')}` : name.trim();
+};
+
+// Where each mapped field is found in a record
+const FIND = {
+    isbn: field => field.tag === '020' && Boolean(subfieldValue(field, 'a')),
+    author: field => field.tag === '100',
+    title: field => field.tag === '245',
+    edition: field => field.tag === '250',
+    publication: field => field.tag === '264' && field.ind2 === '1',
+    legacyPublication: field => field.tag === '260',
+    pages: field => field.tag === '300',
+    series: field => field.tag === '490',
+    tag: field => field.tag === '650' && Boolean(subfieldValue(field, 'a'))
+};
+
+const findPublication = (fields) => fields.find(FIND.publication) || fields.find(FIND.legacyPublication);
+
+const tagOf = (field) => trimPunctuation(subfieldValue(field, 'a'));
+
+// The book fields a record holds: 020 ISBN, 100 author, 245 title, 250
+// edition, 264 (or 260) publisher and year, 300 pages, 490 series and volume
+// and 650 subjects as tags. Fields without a value are left out.
+const recordToBook = (record) => {
+    const { fields } = record;
+    const isbnField = fields.find(FIND.isbn);
+    const authorField = fields.find(FIND.author);
+    const titleField = fields.find(FIND.title);
+    const publicationField = findPublication(fields);
+    const pagesField = fields.find(FIND.pages);
+    const seriesField = fields.find(FIND.series);
+
+    const title = trimPunctuation(subfieldValue(titleField, 'a'));
+    const subtitle = trimPunctuation(subfieldValue(titleField, 'b'));
+    const year = (subfieldValue(publicationField, 'c') || '').match(/\d{4}/);
+    const extent = subfieldValue(pagesField, 'a') || '';
+    const pages = extent.match(/(\d+)\s*(?:p\b|pages)/) || extent.match(/\d+/);
+    const tags = [...new Set(fields.filter(FIND.tag).map(tagOf).filter(Boolean))];
+
+    const book = {
+        // Qualifiers such as "(pbk.)" follow the number
+        isbn: isbnField ? subfieldValue(isbnField, 'a').trim().split(/\s+/)[0] : undefined,
+        author: authorField ? naturalName(authorField) : undefined,
+        title: title && subtitle ? `${title}: ${subtitle}` : title,
+        edition: trimPunctuation(subfieldValue(fields.find(FIND.edition), 'a')),
+        publisher: trimPunctuation(subfieldValue(publicationField, 'b')),
+        publishedYear: year ? year[0] : undefined,
+        pages: pages ? (pages[1] || pages[0]) : undefined,
+        series: trimPunctuation(subfieldValue(seriesField, 'a')),
+        volume: trimPunctuation(subfieldValue(seriesField, 'v')),
+        tags: tags.length > 0 ? tags : undefined
+    };
+
+    return Object.fromEntries(Object.entries(book).filter(([, value]) => value !== undefined));
+};
+
+// Insert a field in tag order
+const insertField = (fields, field) => {
+    const index = fields.findIndex(existing => existing.tag > field.tag);
+    fields.splice(index === -1 ? fields.length : index, 0, field);
+};
+
+// Set subfields of the first field matching `find`, creating the field if
+// needed. Empty values remove the subfield, and a field left with no
+// subfields is removed.
+const setSubfields = (fields, find, { tag, ind1 = ' ', ind2 = ' ' }, values) => {
+    let field = fields.find(find);
+    const empty = value => value === undefined || value === null || value === '';
+
+    if (!field) {
+        if (Object.values(values).every(empty)) {
+            return;
+        }
+        field = { tag, ind1, ind2, subfields: [] };
+        insertField(fields, field);
+    }
+
+    Object.entries(values).forEach(([code, value]) => {
+        const existing = field.subfields.find(subfield => subfield.code === code);
+        field.subfields = field.subfields.filter(subfield => subfield.code !== code || (subfield === existing && !empty(value)));
+        if (empty(value)) {
+            return;
+        }
+        if (existing) {
+            existing.value = String(value);
+        } else {
+            field.subfields.push({ code, value: String(value) });
+        }
+    });
+
+    if (field.subfields.length === 0) {
+        fields.splice(fields.indexOf(field), 1);
+    }
+};
+
+const sameValue = (a, b) => String(a === undefined || a === null ? '' : a) === String(b === undefined || b === null ? '' : b);
+
+// ISBNs that differ only in hyphens or spacing are the same
+const sameIsbn = (a, b) => sameValue(a, b) || String(a || '').replace(/[^0-9X]/gi, '') === String(b || '').replace(/[^0-9X]/gi, '');
+
+// A record for a book. Starting from the record it was imported from keeps
+// the fields the catalogue does not model; a mapped field is only rewritten
+// when the book no longer matches it, so unchanged fields keep their original
+// punctuation and extra subfields.
+const bookToRecord = (book, source = null) => {
+    const fields = source ? JSON.parse(JSON.stringify(source.fields)) : [];
+    const current = recordToBook({ fields });
+
+    if (!fields.some(field => field.tag === '001')) {
+        insertField(fields, { tag: '001', value: book._id.toString() });
+    }
+    if (!sameIsbn(current.isbn, book.isbn)) {
+        setSubfields(fields, FIND.isbn, { tag: '020' }, { a: book.isbn });
+    }
+    if (!sameValue(current.author, book.author)) {
+        setSubfields(fields, FIND.author, { tag: '100', ind1: '1' }, { a: book.author ? invertedName(book.author) : null });
+        const authorField = fields.find(FIND.author);
+        if (authorField) {
+            authorField.ind1 = '1';
+        }
+    }
+    if (!sameValue(current.title, book.title)) {
+        setSubfields(fields, FIND.title, { tag: '245', ind1: '1', ind2: '0' }, { a: book.title, b: null });
+    }
+    if (!sameValue(current.edition, book.edition)) {
+        setSubfields(fields, FIND.edition, { tag: '250' }, { a: book.edition });
+    }
+    if (!sameValue(current.publisher, book.publisher) || !sameValue(current.publishedYear, book.publishedYear)) {
+        const find = findPublication(fields) ? (field => field === findPublication(fields)) : FIND.publication;
+        setSubfields(fields, find, { tag: '264', ind2: '1' }, { b: book.publisher, c: book.publishedYear });
+    }
+    if (!sameValue(current.pages, book.pages)) {
+        setSubfields(fields, FIND.pages, { tag: '300' }, { a: book.pages ? `${book.pages} pages` : null });
+    }
+    if (!sameValue(current.series, book.series) || !sameValue(current.volume, book.volume)) {
+        setSubfields(fields, FIND.series, { tag: '490', ind1: '0' }, { a: book.series, v: book.volume });
+    }
+
+    // Subject headings are kept for tags the book still has; new tags become
+    // uncontrolled subjects
+    const tags = book.tags || [];
+    const kept = fields.filter(field => !FIND.tag(field) || tags.includes(tagOf(field)));
+    const covered = new Set(kept.filter(FIND.tag).map(tagOf));
+    tags.filter(tag => !covered.has(tag)).forEach((tag) => {
+        insertField(kept, { tag: '650', ind1: ' ', ind2: '4', subfields: [{ code: 'a', value: tag }] });
+    });
+
+    return { leader: source ? source.leader : DEFAULT_LEADER, fields: kept };
+};
+
+module.exports = {
+    MARCXML_HEADER,
+    MARCXML_FOOTER,
+    parseMarc21,
+    serializeMarc21,
+    parseMarcXml,
+    toMarcXml,
+    toMarcXmlRecord,
+    recordToBook,
+    bookToRecord
+};
@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const User = require('../models/User');
+const OidcLoginRequest = require('../models/OidcLoginRequest');
+const { loadRoleMap, resolveRole, mappedRoles, syncedRole } = require('./roleMapping');
+
+// OpenID Connect single sign-on: the authorization code flow with PKCE
+// against the identity provider at OIDC_ISSUER, and just-in-time accounts for
+// the people it signs in
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+// Unknown key IDs trigger a JWKS refetch, but not more often than this
+const JWKS_REFETCH_MS = 60 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+
+let metadataCache = null;
+let jwksCache = null;
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// The S256 PKCE challenge for a code verifier (RFC 7636)
+const codeChallengeFor = (codeVerifier) =>
+    crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+const normaliseIssuer = (issuer) => String(issuer || '').replace(/\/+$/, '');
+
+// Forget the cached discovery document and keys, e.g. after the issuer changes
+const clearProviderCache = () => {
+    metadataCache = null;
+    jwksCache = null;
+};
+
+// The provider's discovery document, cached for an hour
+const getProviderMetadata = async () => {
+    const issuer = normaliseIssuer(config.OIDC_ISSUER);
+    if (!issuer) {
+        throw new Error('OIDC issuer is not configured');
+    }
+
+    if (metadataCache && metadataCache.issuer === issuer &&
+        Date.now() - metadataCache.fetchedAt < METADATA_CACHE_MS) {
+        return metadataCache.metadata;
+    }
+
+    const { data } = await axios.get(`${issuer}/.well-known/openid-configuration`, {
+        timeout: HTTP_TIMEOUT_MS
+    });
+
+    if (normaliseIssuer(data.issuer) !== issuer) {
+        throw new Error('OIDC discovery document is for a different issuer');
+    }
+
+    metadataCache = { issuer, metadata: data, fetchedAt: Date.now() };
+    return data;
+};
+
+const fetchJwks = async (jwksUri) => {
+    const { data } = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT_MS });
+    jwksCache = { uri: jwksUri, keys: data.keys || [], fetchedAt: Date.now() };
+    return jwksCache.keys;
+};
+
+// The provider's public key for a key ID, refetching the key set once when
+// the ID is unknown since providers rotate their keys
+const getSigningKey = async (jwksUri, kid) => {
+    const findKey = (keys) => keys.find(key =>
+        (key.use === undefined || key.use === 'sig') && (kid ? key.kid === kid : keys.length === 1)
+    );
+
+    let keys = jwksCache && jwksCache.uri === jwksUri ? jwksCache.keys : await fetchJwks(jwksUri);
+    let jwk = findKey(keys);
+
+    if (!jwk && Date.now() - jwksCache.fetchedAt > JWKS_REFETCH_MS) {
+        keys = await fetchJwks(jwksUri);
+        jwk = findKey(keys);
+    }
+
+    if (!jwk) {
+        throw new Error('Invalid ID token');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const buildAuthorizationUrl = (metadata, { state, nonce, codeChallenge, loginHint }) => {
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: config.OIDC_CLIENT_ID,
+        redirect_uri: config.OIDC_REDIRECT_URI,
+        scope: config.OIDC_SCOPES,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+    });
+    if (loginHint) {
+        params.set('login_hint', loginHint);
+    }
+
+    const separator = metadata.authorization_endpoint.includes('?') ? '&' : '?';
+    return `${metadata.authorization_endpoint}${separator}${params.toString()}`;
+};
+
+// Exchange an authorization code at the token endpoint. Confidential clients
+// authenticate with HTTP Basic; public clients rely on PKCE alone.
+const exchangeCode = async (code, codeVerifier) => {
+    const metadata = await getProviderMetadata();
+    const params = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: config.OIDC_REDIRECT_URI,
+        client_id: config.OIDC_CLIENT_ID,
+        code_verifier: codeVerifier
+    });
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (config.OIDC_CLIENT_SECRET) {
+        const credentials = `${encodeURIComponent(config.OIDC_CLIENT_ID)}:${encodeURIComponent(config.OIDC_CLIENT_SECRET)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    let data;
+    try {
+        ({ data } = await axios.post(metadata.token_endpoint, params.toString(), {
+            headers,
+            timeout: HTTP_TIMEOUT_MS
+        }));
+    } catch (error) {
+        if (error.response) {
+            throw new Error('Identity provider rejected the authorization code');
+        }
+        throw error;
+    }
+
+    if (!data.id_token) {
+        throw new Error('Identity provider returned no ID token');
+    }
+
+    return data;
+};
+
+// Check an ID token's signature, issuer, audience, expiry and nonce, and
+// return its claims
+const verifyIdToken = async (idToken, { nonce }) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+        throw new Error('Invalid ID token');
+    }
+
+    const metadata = await getProviderMetadata();
+    const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+
+    let claims;
+    try {
+        claims = jwt.verify(idToken, key, {
+            algorithms: ID_TOKEN_ALGORITHMS,
+            issuer: metadata.issuer,
+            audience: config.OIDC_CLIENT_ID
+        });
+    } catch (error) {
+        throw new Error('Invalid ID token');
+    }
+
+    // A token for several audiences must name us as the party it was issued to
+    const audiences = [].concat(claims.aud);
+    if (claims.nonce !== nonce ||
+        (audiences.length > 1 && claims.azp !== config.OIDC_CLIENT_ID)) {
+        throw new Error('Invalid ID token');
+    }
+
+    return claims;
+};
+
+// Claims the provider only returns from its userinfo endpoint, such as
+// groups on some providers. Ignored unless they are about the same subject.
+const fetchUserInfo = async (accessToken, subject) => {
+    const metadata = await getProviderMetadata();
+    if (!metadata.userinfo_endpoint || !accessToken) {
+        return {};
+    }
+
+    const { data } = await axios.get(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+        timeout: HTTP_TIMEOUT_MS
+    });
+
+    return data && data.sub === subject ? data : {};
+};
+
+// Start a login: remember the state, nonce and code verifier, and return the
+// provider URL to send the browser to along with the state, which the caller
+// keeps in the browser to bind the login to it. A login hint (usually the
+// email address) lets the provider skip asking who is signing in.
+const beginLogin = async ({ loginHint } = {}) => {
+    const metadata = await getProviderMetadata();
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+
+    await OidcLoginRequest.create({
+        state,
+        nonce,
+        codeVerifier,
+        expiresAt: new Date(Date.now() + config.OIDC_LOGIN_MINUTES * 60 * 1000)
+    });
+
+    const authorizationUrl = buildAuthorizationUrl(metadata, {
+        state,
+        nonce,
+        codeChallenge: codeChallengeFor(codeVerifier),
+        loginHint
+    });
+
+    return { authorizationUrl, state };
+};
+
+// Finish a login with the code and state the provider redirected back with.
+// The state has to match the one kept by the browser that started the login,
+// so nobody can slip their own login into someone else's browser. Each login
+// request can be finished once. Returns the verified claims.
+const finishLogin = async ({ code, state, browserState }) => {
+    if (!browserState || String(browserState) !== String(state)) {
+        throw new Error('Login request is invalid or has expired');
+    }
+
+    const request = await OidcLoginRequest.findOneAndDelete({
+        state: String(state),
+        expiresAt: { $gt: new Date() }
+    });
+
+    if (!request) {
+        throw new Error('Login request is invalid or has expired');
+    }
+
+    const tokens = await exchangeCode(String(code), request.codeVerifier);
+    const claims = await verifyIdToken(tokens.id_token, { nonce: request.nonce });
+    const userInfo = await fetchUserInfo(tokens.access_token, claims.sub);
+
+    return { ...userInfo, ...claims };
+};
+
+// Read a claim by name, or by dotted path for nested claims such as
+// "realm_access.roles"
+const getClaim = (claims, path) => {
+    if (!path) {
+        return undefined;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(claims, path)) {
+        return claims[path];
+    }
+
+    return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), claims);
+};
+
+// Turn the provider's claims into account fields. `role` is the role the
+// user's groups map to, or null when none does; `managedRoles` are the roles
+// the map hands out, and are empty when no role map is configured, meaning
+// roles are managed locally.
+const mapClaims = async (claims) => {
+    const roleMap = await loadRoleMap(config.OIDC_ROLE_MAP);
+    const mappedRole = await resolveRole(getClaim(claims, config.OIDC_ROLE_CLAIM), roleMap);
+
+    const nameParts = String(claims.name || '').trim().split(/\s+/).filter(Boolean);
+    const email = claims.email ? String(claims.email).trim().toLowerCase() : null;
+    const studentId = getClaim(claims, config.OIDC_STUDENT_ID_CLAIM);
+
+    return {
+        issuer: claims.iss,
+        subject: String(claims.sub),
+        email,
+        emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+        firstName: String(claims.given_name || nameParts[0] || (email ? email.split('@')[0] : 'User')).substring(0, 50),
+        lastName: String(claims.family_name || nameParts.slice(1).join(' ') || '-').substring(0, 50),
+        studentId: studentId ? String(studentId).trim().toUpperCase() : null,
+        role: mappedRole,
+        managedRoles: mappedRoles(roleMap)
+    };
+};
+
+// Find the account for a provider identity, link an existing account with the
+// same verified email, or create one. Names, student ID and mapped role are
+// refreshed from the provider on every login.
+const provisionUser = async (profile) => {
+    let user = await User.findOne({ 'sso.issuer': profile.issuer, 'sso.subject': profile.subject });
+
+    if (!user) {
+        if (!profile.email) {
+            throw new Error('Identity provider did not share an email address');
+        }
+
+        user = await User.findOne({ email: profile.email });
+
+        if (user) {
+            // Linking by email is only safe when the provider vouches for the address
+            if (!profile.emailVerified) {
+                throw new Error('Identity provider has not verified the email address');
+            }
+            if (user.sso && user.sso.subject) {
+                throw new Error('Account is linked to a different single sign-on identity');
+            }
+        } else {
+            // The random password is never shown; users who may still sign in
+            // locally can set one with the forgot password flow
+            user = new User({
+                email: profile.email,
+                password: crypto.randomBytes(32).toString('hex'),
+                firstName: profile.firstName,
+                lastName: profile.lastName,
+                role: profile.role || 'student'
+            });
+        }
+
+        user.sso = {
+            issuer: profile.issuer,
+            subject: profile.subject,
+            linkedAt: new Date()
+        };
+    }
+
+    user.firstName = profile.firstName;
+    user.lastName = profile.lastName;
+    if (profile.studentId) {
+        user.studentId = profile.studentId;
+    }
+    if (profile.managedRoles.length > 0) {
+        user.role = syncedRole(user.role, profile.role, profile.managedRoles);
+    }
+    if (profile.emailVerified && profile.email === user.email) {
+        user.isEmailVerified = true;
+    }
+    user.sso.lastLoginAt = new Date();
+
+    await user.save();
+    return user;
+};
+
+module.exports = {
+    codeChallengeFor,
+    clearProviderCache,
+    getProviderMetadata,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken,
+    beginLogin,
+    finishLogin,
+    mapClaims,
+    provisionUser
+};
@@ -0,0 +1,125 @@
+const Borrow = require('../models/Borrow');
+const LibraryCalendar = require('../models/LibraryCalendar');
+const circulationEvents = require('./circulationEvents');
+
+const BATCH_SIZE = 500;
+
+// Only this many individual changes are listed in a report; the counts cover
+// every loan
+const MAX_REPORTED_CHANGES = 100;
+
+const roundToCents = (amount) => Math.round(amount * 100) / 100;
+
+// Mark loans past their due date overdue and bring the fine recorded on every
+// overdue loan up to date, one open day at a time. Loans are only updated while
+// their status is unchanged, so a loan returned mid-sweep is left alone. Fines
+// are updated in bulk; loans becoming overdue are updated one by one, and a
+// 'loan:overdue' event is emitted for each one this sweep actually changed.
+// Pass `dryRun` to get the report without changing anything.
+const runOverdueSweep = async ({ dryRun = false } = {}) => {
+    const calendar = await LibraryCalendar.getCalendar();
+    const now = new Date();
+    const report = {
+        dryRun,
+        sweptAt: now,
+        loansChecked: 0,
+        newlyOverdue: 0,
+        finesUpdated: 0,
+        fineIncrease: 0,
+        changes: [],
+        changesTruncated: false
+    };
+    const events = [];
+    let operations = [];
+
+    const flush = async () => {
+        if (!dryRun && operations.length > 0) {
+            await Borrow.bulkWrite(operations, { ordered: false });
+        }
+        operations = [];
+    };
+
+    const cursor = Borrow.find({
+        status: { $in: Borrow.LIVE_STATUSES },
+        dueDate: { $lt: now },
+        isActive: true
+    }).cursor();
+
+    for await (const borrow of cursor) {
+        report.loansChecked += 1;
+
+        const becameOverdue = borrow.status === 'borrowed';
+        const previousFine = roundToCents(borrow.fineAmount || 0);
+        const fineAmount = roundToCents(borrow.calculateFine(calendar));
+
+        if (!becameOverdue && fineAmount === previousFine) {
+            continue;
+        }
+
+        const filter = { _id: borrow._id, status: borrow.status };
+        const update = { $set: { status: 'overdue', fineAmount } };
+
+        if (becameOverdue) {
+            if (!dryRun) {
+                const { modifiedCount } = await Borrow.updateOne(filter, update);
+
+                // Returned or renewed since it was read
+                if (modifiedCount === 0) {
+                    continue;
+                }
+
+                events.push({
+                    borrowId: borrow._id,
+                    userId: borrow.user,
+                    bookId: borrow.book,
+                    dueDate: borrow.dueDate,
+                    fineAmount
+                });
+            }
+
+            report.newlyOverdue += 1;
+        } else {
+            operations.push({ updateOne: { filter, update } });
+        }
+
+        if (fineAmount !== previousFine) {
+            report.finesUpdated += 1;
+            report.fineIncrease += fineAmount - previousFine;
+        }
+
+        if (report.changes.length < MAX_REPORTED_CHANGES) {
+            report.changes.push({
+                borrowId: borrow._id,
+                user: borrow.user,
+                book: borrow.book,
+                status: { from: borrow.status, to: 'overdue' },
+                fineAmount: { from: previousFine, to: fineAmount }
+            });
+        } else {
+            report.changesTruncated = true;
+        }
+
+        if (operations.length >= BATCH_SIZE) {
+            await flush();
+        }
+    }
+
+    await flush();
+    report.fineIncrease = roundToCents(report.fineIncrease);
+
+    if (!dryRun) {
+        for (const event of events) {
+            try {
+                circulationEvents.emit('loan:overdue', event);
+            } catch (error) {
+                console.error(`Overdue event listener error for loan ${event.borrowId}:`, error);
+            }
+        }
+    }
+
+    return report;
+};
+
+module.exports = {
+    runOverdueSweep
+};
@@ -0,0 +1,173 @@
+const Borrow = require('../models/Borrow');
+const FineTransaction = require('../models/FineTransaction');
+const PatronBlock = require('../models/PatronBlock');
+const BlockOverride = require('../models/BlockOverride');
+const config = require('../config');
+
+// Machine-readable reasons a patron may not borrow, renew or reserve
+const BLOCK_CODES = {
+    ACCOUNT_INACTIVE: 'ACCOUNT_INACTIVE',
+    MEMBERSHIP_EXPIRED: 'MEMBERSHIP_EXPIRED',
+    EMAIL_UNVERIFIED: 'EMAIL_UNVERIFIED',
+    FINES_EXCEEDED: 'FINES_EXCEEDED',
+    OVERDUE_EXCEEDED: 'OVERDUE_EXCEEDED',
+    MANUAL_BLOCK: 'MANUAL_BLOCK'
+};
+
+// A deactivated account has to be reactivated; staff cannot override it
+const NON_OVERRIDABLE_CODES = [BLOCK_CODES.ACCOUNT_INACTIVE];
+
+const getLimits = () => ({
+    maxFineBalance: config.MAX_FINE_BALANCE,
+    maxOverdueLoans: config.MAX_OVERDUE_LOANS,
+    requireEmailVerification: config.REQUIRE_EMAIL_VERIFICATION
+});
+
+// Work out a patron's blocks from their circumstances. Kept free of database
+// access so the rules can be checked on their own.
+const evaluateBlocks = ({
+    isActive,
+    isEmailVerified = true,
+    membershipExpiresAt,
+    fineBalance = 0,
+    overdueCount = 0,
+    manualBlocks = [],
+    limits = getLimits(),
+    now = new Date()
+}) => {
+    const blocks = [];
+
+    if (!isActive) {
+        blocks.push({
+            code: BLOCK_CODES.ACCOUNT_INACTIVE,
+            message: 'Patron account is deactivated'
+        });
+    }
+
+    if (membershipExpiresAt && new Date(membershipExpiresAt) <= now) {
+        blocks.push({
+            code: BLOCK_CODES.MEMBERSHIP_EXPIRED,
+            message: `Library membership expired on ${new Date(membershipExpiresAt).toISOString().substring(0, 10)}`,
+            expiredAt: membershipExpiresAt
+        });
+    }
+
+    if (limits.requireEmailVerification && !isEmailVerified) {
+        blocks.push({
+            code: BLOCK_CODES.EMAIL_UNVERIFIED,
+            message: 'Patron has not verified their email address'
+        });
+    }
+
+    if (fineBalance > limits.maxFineBalance) {
+        blocks.push({
+            code: BLOCK_CODES.FINES_EXCEEDED,
+            message: `Outstanding fines of $${fineBalance.toFixed(2)} exceed the limit of $${limits.maxFineBalance.toFixed(2)}`,
+            fineBalance,
+            limit: limits.maxFineBalance
+        });
+    }
+
+    if (overdueCount > limits.maxOverdueLoans) {
+        blocks.push({
+            code: BLOCK_CODES.OVERDUE_EXCEEDED,
+            message: `${overdueCount} overdue loan${overdueCount === 1 ? '' : 's'} exceed${overdueCount === 1 ? 's' : ''} the limit of ${limits.maxOverdueLoans}`,
+            overdueCount,
+            limit: limits.maxOverdueLoans
+        });
+    }
+
+    manualBlocks.forEach(block => {
+        blocks.push({
+            code: BLOCK_CODES.MANUAL_BLOCK,
+            message: `Account blocked by staff: ${block.reason}`,
+            blockId: block._id,
+            expiresAt: block.expiresAt
+        });
+    });
+
+    return blocks.map(block => ({
+        ...block,
+        overridable: !NON_OVERRIDABLE_CODES.includes(block.code)
+    }));
+};
+
+// Get a patron's standing: the blocks in force and the figures behind them
+const getPatronStanding = async (patron) => {
+    const now = new Date();
+
+    const [fineBalance, overdueCount, manualBlocks] = await Promise.all([
+        FineTransaction.getBalance(patron._id),
+        // Loans past their due date count even before the overdue sweep has
+        // updated their status
+        Borrow.countDocuments({
+            user: patron._id,
+            status: { $in: Borrow.LIVE_STATUSES },
+            isActive: true,
+            dueDate: { $lt: now }
+        }),
+        PatronBlock.findInForce(patron._id)
+    ]);
+
+    const limits = getLimits();
+    const blocks = evaluateBlocks({
+        isActive: patron.isActive,
+        isEmailVerified: patron.isEmailVerified,
+        membershipExpiresAt: patron.membershipExpiresAt,
+        fineBalance,
+        overdueCount,
+        manualBlocks,
+        limits,
+        now
+    });
+
+    return {
+        blocked: blocks.length > 0,
+        blocks,
+        fineBalance,
+        overdueCount,
+        membershipExpiresAt: patron.membershipExpiresAt || null,
+        limits
+    };
+};
+
+// Reasons a patron cannot borrow, renew or reserve, as a block response
+// ({ status, code, message, blocks }), or null when they can.
+//
+// `override` lets staff proceed anyway: { staff, note, action, book, borrow }.
+// It only applies when every block is overridable, and is written to the
+// audit log as soon as it is granted.
+const getStandingBlock = async (patron, override = null) => {
+    const standing = await getPatronStanding(patron);
+    if (!standing.blocked) {
+        return null;
+    }
+
+    if (override && override.note && standing.blocks.every(block => block.overridable)) {
+        await BlockOverride.create({
+            patron: patron._id,
+            staff: override.staff,
+            action: override.action,
+            codes: standing.blocks.map(block => block.code),
+            note: override.note,
+            book: override.book,
+            borrow: override.borrow
+        });
+        return null;
+    }
+
+    const [block] = standing.blocks;
+    return {
+        status: 403,
+        code: block.code,
+        message: block.message,
+        blocks: standing.blocks
+    };
+};
+
+module.exports = {
+    BLOCK_CODES,
+    evaluateBlocks,
+    getPatronStanding,
+    getStandingBlock
+};
@@ -0,0 +1,57 @@
+const Role = require('../models/Role');
+const { ALL_PERMISSIONS, SYSTEM_ROLES } = require('../config/permissions');
+
+// Resolving a role key to its permissions. Roles are read on nearly every
+// request, so they are cached briefly; edits made through this server clear
+// the cache at once, other instances pick them up within a minute.
+
+const CACHE_MS = 60 * 1000;
+
+const cache = new Map();
+
+const clearRoleCache = () => {
+    cache.clear();
+};
+
+// The permissions of a role as a Set. Admin always has every permission, so
+// new permissions reach admins and they cannot lock themselves out. Built-in
+// roles fall back to their defaults until their record is created; unknown
+// roles have none.
+const getPermissions = async (roleKey) => {
+    const cached = cache.get(roleKey);
+    if (cached && Date.now() - cached.loadedAt < CACHE_MS) {
+        return cached.permissions;
+    }
+
+    let permissions;
+    if (roleKey === 'admin') {
+        permissions = ALL_PERMISSIONS;
+    } else {
+        const role = await Role.findOne({ key: roleKey }).select('permissions').lean();
+        if (role) {
+            permissions = role.permissions;
+        } else {
+            permissions = SYSTEM_ROLES[roleKey] ? SYSTEM_ROLES[roleKey].permissions : [];
+        }
+    }
+
+    const permissionSet = new Set(permissions);
+    cache.set(roleKey, { permissions: permissionSet, loadedAt: Date.now() });
+    return permissionSet;
+};
+
+// Whether a role key names a built-in or admin-defined role
+const roleExists = async (roleKey) =>
+    Object.prototype.hasOwnProperty.call(SYSTEM_ROLES, roleKey) || !!(await Role.exists({ key: roleKey }));
+
+// The permissions in `permissions` that `held` lacks, so staff cannot grant
+// more than they have themselves
+const missingPermissions = (held, permissions) =>
+    [...permissions].filter(permission => !held.has(permission));
+
+module.exports = {
+    clearRoleCache,
+    getPermissions,
+    roleExists,
+    missingPermissions
+};
@@ -0,0 +1,400 @@
+const crypto = require('crypto');
+const archiver = require('archiver');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Borrow = require('../models/Borrow');
+const Reservation = require('../models/Reservation');
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const FineTransaction = require('../models/FineTransaction');
+const PatronBlock = require('../models/PatronBlock');
+const BlockOverride = require('../models/BlockOverride');
+const Session = require('../models/Session');
+const KioskSession = require('../models/KioskSession');
+const AccountChange = require('../models/AccountChange');
+const AuditEvent = require('../models/AuditEvent');
+const { cancelPatronReservations } = require('./holdService');
+const { withTransaction } = require('./transaction');
+const config = require('../config');
+
+// Subject-access exports and erasure of a user's personal data.
+//
+// Erasure keeps the user record but strips everything that identifies the
+// person from it, so loans, reservations, ratings and fines stay linked to a
+// pseudonymous account and library statistics do not change. Free text
+// about them (loan and reservation notes, review text) is cleared, and
+// records that only exist for the person (notifications, sessions, blocks)
+// are deleted. Fine transactions are kept as financial records. Audit events
+// and account changes are kept too, but the user's email, names and student
+// ID in them are replaced with the same placeholders as the account's.
+
+const ERASED_NAME = 'Erased';
+const ERASED_VALUE = '[erased]';
+const REMOVED_REVIEW = 'This review was removed.';
+
+// Fields of a user record that identify the person. Audit events about the
+// user still show that these changed, but not the values.
+const PERSONAL_PATH = /^(email|firstName|lastName|studentId|phone|address|dateOfBirth|profileImage|sso|ldap)(\.|$)/;
+
+// Of those, the ones whose values may also turn up in labels and free text
+const IDENTIFIER_PATHS = ['email', 'firstName', 'lastName', 'studentId'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const README = `This archive holds the personal data the library stores about you.
+
+profile.json           your account and preferences
+borrows.json           every loan, with the book borrowed
+reservations.json      your reservations
+comments.json          reviews you wrote and replies you posted
+notifications.json     messages sent to you in the app
+fines.json             your fine balance and every charge, payment, waiver and refund
+blocks.json            borrowing blocks on your account and staff overrides of them
+sessions.json          devices you signed in on
+kiosk-sessions.json    self-service kiosk visits
+account-changes.json   staff changes to your account
+audit-events.json      recorded actions you took or that concerned your account
+
+Passwords, security codes and token hashes are stored only as one-way hashes
+and are not included.
+`;
+
+// Everything stored about a user, as plain objects keyed by archive file
+const collectPersonalData = async (userId) => {
+    const user = await User.findById(userId).lean({ virtuals: false });
+    if (!user) {
+        throw new Error('User not found');
+    }
+
+    const [
+        borrows,
+        reservations,
+        comments,
+        replies,
+        notifications,
+        balance,
+        transactions,
+        blocks,
+        overrides,
+        sessions,
+        kioskSessions,
+        accountChanges,
+        auditEvents
+    ] = await Promise.all([
+        Borrow.find({ user: userId }).populate('book', 'title author isbn').sort({ borrowDate: -1 }).lean(),
+        Reservation.find({ user: userId }).populate('book', 'title author isbn').sort({ createdAt: -1 }).lean(),
+        Comment.find({ user: userId }).populate('book', 'title author').sort({ createdAt: -1 }).lean(),
+        Comment.find({ 'replies.user': userId }).populate('book', 'title').lean(),
+        Notification.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+        FineTransaction.getBalance(userId),
+        FineTransaction.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+        PatronBlock.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+        BlockOverride.find({ patron: userId }).sort({ createdAt: -1 }).lean(),
+        Session.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+        KioskSession.find({ patron: userId }).sort({ createdAt: -1 }).lean(),
+        AccountChange.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+        AuditEvent.find({ $or: [{ actor: userId }, { 'entity.type': 'User', 'entity.id': userId.toString() }] })
+            .sort({ createdAt: -1 })
+            .lean()
+    ]);
+
+    // Only the user's own replies, not the rest of the thread
+    const ownReplies = replies.flatMap(comment => comment.replies
+        .filter(reply => reply.user.toString() === userId.toString())
+        .map(reply => ({ ...reply, inReplyTo: comment._id, book: comment.book })));
+
+    return {
+        'profile.json': user,
+        'borrows.json': borrows,
+        'reservations.json': reservations,
+        'comments.json': { reviews: comments.map(({ likes, dislikes, replies: thread, ...comment }) => comment), replies: ownReplies },
+        'notifications.json': notifications,
+        'fines.json': { balance, transactions },
+        'blocks.json': { blocks, overrides },
+        'sessions.json': sessions,
+        'kiosk-sessions.json': kioskSessions,
+        'account-changes.json': accountChanges,
+        'audit-events.json': auditEvents
+    };
+};
+
+// Stream a zip archive of everything stored about a user to `output`
+const writeExportArchive = async (userId, output) => {
+    const data = await collectPersonalData(userId);
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const finished = new Promise((resolve, reject) => {
+        archive.on('error', reject);
+        output.on('close', resolve);
+        output.on('finish', resolve);
+    });
+
+    archive.pipe(output);
+    archive.append(README, { name: 'README.txt' });
+    Object.entries(data).forEach(([name, content]) => {
+        archive.append(JSON.stringify(content, null, 2), { name });
+    });
+    await archive.finalize();
+    await finished;
+};
+
+// A pattern matching `text` as whole words, or only as the whole string
+const textPattern = (text, whole) => {
+    const escaped = escapeRegExp(text.trim());
+    return whole
+        ? new RegExp(`^\\s*${escaped}\\s*$`, 'i')
+        : new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu');
+};
+
+// Patterns for the user's identifiers, current and former, with their
+// placeholders. Emails, student IDs and the full name are replaced wherever
+// they appear as whole words; a first or last name on its own only when it is
+// the whole string, so a book called "Ada and Zangemann" keeps its title.
+const identifierReplacements = (user, erasedEmail, former) => {
+    const fullName = user.firstName && user.lastName ? `${user.firstName} ${user.lastName}` : null;
+    const entries = [
+        ...[user.email, ...former.email].map(text => [text, erasedEmail, false]),
+        [fullName, `${ERASED_NAME} ${ERASED_NAME}`, false],
+        ...[user.studentId, ...former.studentId].map(text => [text, ERASED_VALUE, false]),
+        ...[user.firstName, user.lastName, ...former.firstName, ...former.lastName].map(text => [text, ERASED_NAME, true])
+    ];
+
+    return entries
+        .filter(([text]) => typeof text === 'string' && text.trim())
+        .map(([text, placeholder, whole]) => [textPattern(text, whole), placeholder]);
+};
+
+// A copy of `value` with the replacements applied to every string in it
+const replaceIdentifiers = (value, replacements) => {
+    if (typeof value === 'string') {
+        return replacements.reduce((text, [pattern, placeholder]) => text.replace(pattern, placeholder), value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => replaceIdentifiers(item, replacements));
+    }
+    if (value && value.constructor === Object) {
+        return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, replaceIdentifiers(field, replacements)]));
+    }
+    return value;
+};
+
+// Pseudonymise the audit events the user took or that concern their account,
+// and the reasons given for staff changes to it. Returns how many of each
+// changed.
+const pseudonymiseRecords = async (userId, user, erasedEmail, session) => {
+    const events = await AuditEvent.find({
+        $or: [
+            { actor: userId },
+            { 'entity.type': 'User', 'entity.id': userId.toString() },
+            { actorEmail: user.email }
+        ]
+    }).session(session).lean();
+
+    const isAboutUser = (event) => Boolean(event.entity) && event.entity.type === 'User' && event.entity.id === userId.toString();
+
+    // Earlier emails and names, from changes to the account
+    const former = Object.fromEntries(IDENTIFIER_PATHS.map(path => [path, events
+        .filter(isAboutUser)
+        .flatMap(event => event.changes || [])
+        .filter(change => change.path === path)
+        .flatMap(change => [change.before, change.after])]));
+    const replacements = identifierReplacements(user, erasedEmail, former);
+
+    const eventUpdates = events.map(event => {
+        const original = {
+            actorEmail: event.actorEmail,
+            entity: event.entity,
+            changes: event.changes || [],
+            details: event.details
+        };
+        const set = replaceIdentifiers({
+            ...original,
+            changes: original.changes.map(change => (isAboutUser(event) && PERSONAL_PATH.test(change.path)
+                ? {
+                    path: change.path,
+                    before: change.before === null ? null : ERASED_VALUE,
+                    after: change.after === null ? null : ERASED_VALUE
+                }
+                : change))
+        }, replacements);
+
+        if (event.actor && event.actor.toString() === userId.toString() && event.actorEmail) {
+            set.actorEmail = erasedEmail;
+        }
+
+        if (JSON.stringify(set) === JSON.stringify(original)) {
+            return null;
+        }
+        // Fields the event never had stay unset
+        return { _id: event._id, set: Object.fromEntries(Object.entries(set).filter(([, field]) => field !== undefined)) };
+    }).filter(Boolean);
+
+    const auditEvents = await AuditEvent.pseudonymise(eventUpdates, session);
+
+    const changes = await AccountChange.find({ user: userId, reason: { $exists: true } }).select('reason').session(session).lean();
+    const changeUpdates = changes
+        .map(change => ({ _id: change._id, reason: replaceIdentifiers(change.reason, replacements) }))
+        .filter((update, index) => update.reason !== changes[index].reason);
+
+    if (changeUpdates.length > 0) {
+        await AccountChange.bulkWrite(changeUpdates.map(({ _id, reason }) => ({
+            updateOne: { filter: { _id }, update: { $set: { reason } } }
+        })), { session });
+    }
+
+    return { auditEvents, accountChanges: changeUpdates.length };
+};
+
+// Why a user cannot be erased yet, or null. Loans must be closed (including
+// disputed and lost ones) and fines settled first, so nothing owed is lost
+// with the person's details.
+const getErasureBlock = async (userId) => {
+    const [itemsOut, balance] = await Promise.all([
+        Borrow.countDocuments({ user: userId, status: { $in: Borrow.RETURNABLE_STATUSES }, isActive: true }),
+        FineTransaction.getBalance(userId)
+    ]);
+
+    if (itemsOut > 0) {
+        return { code: 'OPEN_LOANS', message: `User still has ${itemsOut} open loan(s); they must be closed first`, itemsOut };
+    }
+    if (balance > 0) {
+        return { code: 'UNPAID_FINES', message: `User owes ${balance.toFixed(2)} in fines; they must be settled first`, balance };
+    }
+    return null;
+};
+
+// Erase a user's personal data as described above. Throws 'User not found',
+// 'User has already been erased' or, when getErasureBlock finds a reason,
+// an error carrying that block as `error.block`.
+const eraseUser = async (userId) => {
+    const existing = await User.findById(userId).select('erasedAt email firstName lastName studentId');
+    if (!existing) {
+        throw new Error('User not found');
+    }
+    if (existing.erasedAt) {
+        throw new Error('User has already been erased');
+    }
+
+    const block = await getErasureBlock(userId);
+    if (block) {
+        const error = new Error(block.message);
+        error.block = block;
+        throw error;
+    }
+
+    // Cancelling passes any held copies on to the next patron in the queue
+    const reservationsCancelled = await cancelPatronReservations(userId);
+
+    // An unusable password: nobody knows it and it is never sent anywhere
+    const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), config.BCRYPT_ROUNDS);
+    const erasedAt = new Date();
+    const erasedEmail = `erased-${userId}@erased.invalid`;
+
+    const counts = await withTransaction(async (session) => {
+        // Checked again inside the transaction in case a loan started or a
+        // fine was charged meanwhile
+        const itemsOut = await Borrow.countDocuments({
+            user: userId,
+            status: { $in: Borrow.RETURNABLE_STATUSES },
+            isActive: true
+        }).session(session);
+        if (itemsOut > 0) {
+            const error = new Error(`User still has ${itemsOut} open loan(s); they must be closed first`);
+            error.block = { code: 'OPEN_LOANS', message: error.message, itemsOut };
+            throw error;
+        }
+
+        const balance = await FineTransaction.getBalance(userId, session);
+        if (balance > 0) {
+            const error = new Error(`User owes ${balance.toFixed(2)} in fines; they must be settled first`);
+            error.block = { code: 'UNPAID_FINES', message: error.message, balance };
+            throw error;
+        }
+
+        // Validators are skipped: the placeholder email and cleared fields
+        // would not pass the rules for a real account
+        await User.updateOne({ _id: userId }, {
+            $set: {
+                email: erasedEmail,
+                password,
+                firstName: ERASED_NAME,
+                lastName: ERASED_NAME,
+                isActive: false,
+                isEmailVerified: false,
+                erasedAt,
+                'twoFactor.enabled': false,
+                profileImage: null
+            },
+            $unset: {
+                studentId: 1,
+                phone: 1,
+                address: 1,
+                dateOfBirth: 1,
+                sso: 1,
+                ldap: 1,
+                lastLogin: 1,
+                emailVerificationToken: 1,
+                emailVerificationSentAt: 1,
+                passwordResetToken: 1,
+                passwordResetExpires: 1,
+                'twoFactor.secret': 1,
+                'twoFactor.pendingSecret': 1,
+                'twoFactor.recoveryCodes': 1,
+                'twoFactor.lastUsedStep': 1,
+                'twoFactor.enabledAt': 1,
+                kioskPin: 1,
+                preferences: 1,
+                lockUntil: 1
+            },
+            $inc: { tokenVersion: 1 }
+        }, { session, runValidators: false });
+
+        const borrows = await Borrow.updateMany(
+            { user: userId },
+            { $unset: { notes: 1, 'damage.notes': 1 } },
+            { session }
+        );
+        const reservations = await Reservation.updateMany(
+            { user: userId },
+            { $unset: { notes: 1 } },
+            { session }
+        );
+
+        // Reviews stay so ratings and review counts do not change; the text goes
+        const comments = await Comment.updateMany(
+            { user: userId },
+            { $set: { content: REMOVED_REVIEW } },
+            { session }
+        );
+        await Comment.updateMany(
+            { 'replies.user': userId },
+            { $pull: { replies: { user: userId } } },
+            { session }
+        );
+
+        const notifications = await Notification.deleteMany({ user: userId }, { session });
+        await PatronBlock.deleteMany({ user: userId }, { session });
+        await Session.deleteMany({ user: userId }, { session });
+        await KioskSession.deleteMany({ patron: userId }, { session });
+
+        const pseudonymised = await pseudonymiseRecords(userId, existing, erasedEmail, session);
+
+        return {
+            borrowsAnonymized: borrows.matchedCount,
+            reservationsAnonymized: reservations.matchedCount,
+            commentsRemoved: comments.matchedCount,
+            notificationsDeleted: notifications.deletedCount,
+            auditEventsPseudonymized: pseudonymised.auditEvents,
+            accountChangesPseudonymized: pseudonymised.accountChanges
+        };
+    });
+
+    return { erasedAt, reservationsCancelled, ...counts };
+};
+
+module.exports = {
+    collectPersonalData,
+    writeExportArchive,
+    getErasureBlock,
+    eraseUser
+};
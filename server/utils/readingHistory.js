@@ -0,0 +1,75 @@
+const Borrow = require('../models/Borrow');
+const User = require('../models/User');
+const config = require('../config');
+
+// Reading history privacy. Returned loans stay linked to the patron, which is
+// what the student dashboard and recommendations read. Patrons can opt out of
+// keeping that history, and READING_HISTORY_RETENTION_DAYS limits how long
+// anyone's is kept. Anonymizing a loan removes the patron (and their notes)
+// but keeps the book and dates, so circulation statistics do not change.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whether a user keeps their reading history; on unless they opted out
+const keepsReadingHistory = (user) => user?.preferences?.readingHistory !== false;
+
+// IDs of the users who opted out of keeping their reading history
+const getHistoryOptOuts = () => User.distinct('_id', { 'preferences.readingHistory': false });
+
+// Remove the patron from the returned loans matching `filter`. Where the
+// patron checked the book out or in themselves, or renewed it, that link goes
+// too.
+const anonymizeLoans = async (filter, now = new Date()) => {
+    const byPatron = (field) => ({ $cond: [{ $eq: [field, '$user'] }, '$$REMOVE', field] });
+
+    const result = await Borrow.updateMany({ status: 'returned', anonymizedAt: null, ...filter }, [
+        {
+            $set: {
+                borrowedBy: byPatron('$borrowedBy'),
+                returnedBy: byPatron('$returnedBy'),
+                renewalHistory: {
+                    $map: {
+                        input: { $ifNull: ['$renewalHistory', []] },
+                        as: 'renewal',
+                        in: {
+                            $cond: [
+                                { $eq: ['$$renewal.renewedBy', '$user'] },
+                                { $mergeObjects: ['$$renewal', { renewedBy: null }] },
+                                '$$renewal'
+                            ]
+                        }
+                    }
+                },
+                anonymizedAt: now
+            }
+        },
+        { $unset: ['user', 'notes', 'damage.notes'] }
+    ]);
+
+    return result.modifiedCount;
+};
+
+// Anonymize every returned loan of one user, e.g. when they opt out
+const anonymizeUserHistory = (userId) => anonymizeLoans({ user: userId });
+
+// Anonymize returned loans of users who opted out, and everyone's returned
+// loans past the retention period
+const anonymizeReadingHistory = async ({ now = new Date() } = {}) => {
+    const optOuts = await getHistoryOptOuts();
+    const expired = [{ user: { $in: optOuts } }];
+
+    if (config.READING_HISTORY_RETENTION_DAYS > 0) {
+        expired.push({ returnDate: { $lt: new Date(now.getTime() - config.READING_HISTORY_RETENTION_DAYS * DAY_MS) } });
+    }
+
+    const anonymized = await anonymizeLoans({ $or: expired }, now);
+
+    return { anonymized, optedOutUsers: optOuts.length };
+};
+
+module.exports = {
+    keepsReadingHistory,
+    getHistoryOptOuts,
+    anonymizeUserHistory,
+    anonymizeReadingHistory
+};
@@ -0,0 +1,90 @@
+const Role = require('../models/Role');
+const { SYSTEM_ROLES } = require('../config/permissions');
+const { getPermissions } = require('./permissions');
+
+// Mapping of identity provider and directory groups to user roles, configured
+// as "group:role,group:role". Groups may be LDAP DNs, which contain commas
+// themselves, so entries are split after each role (or at semicolons). Group
+// names are compared case-insensitively since DNs are.
+
+const normaliseGroup = (group) => String(group).trim().toLowerCase().replace(/\s*,\s*/g, ',');
+
+// Text before the last comma of a group that is not a DN belongs to earlier
+// entries without a valid role, e.g. "broken" in "broken,root:librarian"
+const dropMalformedPrefix = (group) => {
+    const parts = group.split(',');
+    return parts.every(part => part.includes('=')) ? group : parts[parts.length - 1];
+};
+
+// Parse a role map setting into a map of normalised group to role. Entries
+// without a role or naming one not in `roleKeys` are ignored.
+const parseRoleMap = (value, roleKeys = Object.keys(SYSTEM_ROLES)) => {
+    const roleMap = new Map();
+    const entryEnd = new RegExp(`;|(?<=:\\s*(?:${roleKeys.join('|')})\\s*),`, 'i');
+
+    String(value || '').split(entryEnd).forEach(entry => {
+        const separator = entry.lastIndexOf(':');
+        const group = dropMalformedPrefix(entry.substring(0, separator)).trim();
+        const role = entry.substring(separator + 1).trim().toLowerCase();
+
+        if (separator > 0 && group && roleKeys.includes(role)) {
+            roleMap.set(normaliseGroup(group), role);
+        }
+    });
+
+    return roleMap;
+};
+
+// Parse a role map setting against the built-in and admin-defined roles
+const loadRoleMap = async (value) => {
+    if (!value) {
+        return new Map();
+    }
+
+    const customKeys = await Role.distinct('key');
+    return parseRoleMap(value, [...new Set([...Object.keys(SYSTEM_ROLES), ...customKeys])]);
+};
+
+// The most privileged role any of the groups maps to, or null when none does.
+// The role with the most permissions wins; ties go to the one mapped first.
+const resolveRole = async (groups, roleMap) => {
+    const normalised = [].concat(groups || []).map(normaliseGroup);
+    const roles = [...new Set([...roleMap]
+        .filter(([group]) => normalised.includes(group))
+        .map(([, role]) => role))];
+
+    let best = null;
+    let bestCount = -1;
+    for (const role of roles) {
+        const count = (await getPermissions(role)).size;
+        if (count > bestCount) {
+            best = role;
+            bestCount = count;
+        }
+    }
+
+    return best;
+};
+
+// The roles a role map hands out
+const mappedRoles = (roleMap) => [...new Set(roleMap.values())];
+
+// The role a user should have after a sync or single sign-on login, given the
+// role their groups map to and the roles the map hands out. Users in a mapped
+// group get its role. Users in none lose any role the map hands out and become
+// students, but keep roles the map never grants, which are managed in the app.
+const syncedRole = (currentRole, mappedRole, managedRoles) => {
+    if (mappedRole) {
+        return mappedRole;
+    }
+
+    return managedRoles.includes(currentRole) ? 'student' : currentRole;
+};
+
+module.exports = {
+    parseRoleMap,
+    loadRoleMap,
+    resolveRole,
+    mappedRoles,
+    syncedRole
+};
@@ -0,0 +1,136 @@
+const path = require('path');
+const Book = require('../models/Book');
+const Notification = require('../models/Notification');
+const Reservation = require('../models/Reservation');
+const User = require('../models/User');
+const { defineJob } = require('./jobScheduler');
+const { sendDueDateReminders, sendOverdueNotices, sendOverdueNotice } = require('./loanNotices');
+const { expireUncollectedHolds } = require('./holdService');
+const { runOverdueSweep } = require('./overdueSweep');
+const circulationEvents = require('./circulationEvents');
+const { runDirectorySync } = require('./ldapSync');
+const { anonymizeReadingHistory } = require('./readingHistory');
+const { runQueuedImports } = require('./bookImport');
+const { cleanupOldFiles } = require('../middleware/upload');
+const config = require('../config');
+
+// Background jobs run by the job scheduler. Schedules are cron expressions in
+// server local time.
+
+// Email results are summarised so the run history stays small
+const summariseNotices = ({ notificationsSent, emailResults }) => ({
+    notificationsSent,
+    emailsSent: emailResults.filter(result => result.success).length,
+    emailsFailed: emailResults.filter(result => !result.success).length
+});
+
+defineJob({
+    name: 'overdue-sweep',
+    description: 'Mark loans past their due date overdue and accrue their fines',
+    schedule: '0 * * * *',
+    handler: async () => {
+        // The full change list is available from the on-demand sweep
+        const { changes, ...summary } = await runOverdueSweep();
+        return summary;
+    }
+});
+
+// Patrons hear about a loan as soon as the sweep finds it overdue rather than
+// at the next daily notice. The sweep does not wait for the notice.
+circulationEvents.on('loan:overdue', ({ borrowId }) => {
+    sendOverdueNotice(borrowId).catch(error => {
+        console.error(`Overdue notice error for loan ${borrowId}:`, error);
+    });
+});
+
+defineJob({
+    name: 'due-date-reminders',
+    description: 'Remind patrons of loans due in two days',
+    schedule: '0 8 * * *',
+    handler: async () => summariseNotices(await sendDueDateReminders())
+});
+
+defineJob({
+    name: 'overdue-notices',
+    description: 'Notify patrons of overdue loans and their fines so far',
+    schedule: '0 9 * * *',
+    handler: async () => summariseNotices(await sendOverdueNotices())
+});
+
+defineJob({
+    name: 'reservation-expiry',
+    description: 'Expire reservations past their expiry date and pass uncollected holds to the next patron',
+    schedule: '*/15 * * * *',
+    handler: async () => {
+        const expiredReservations = await Reservation.cleanupExpiredReservations();
+        const holds = await expireUncollectedHolds();
+
+        return {
+            expiredReservations,
+            expiredHolds: holds.expired,
+            holdsPassedOn: holds.passedOn
+        };
+    }
+});
+
+defineJob({
+    name: 'notification-cleanup',
+    description: 'Deactivate notifications past their expiry date',
+    schedule: '0 3 * * *',
+    handler: async () => {
+        const result = await Notification.cleanupExpired();
+        return { deactivated: result.modifiedCount };
+    }
+});
+
+defineJob({
+    name: 'upload-cleanup',
+    description: `Delete uploaded files older than ${config.UPLOAD_RETENTION_DAYS} days that no book or user refers to`,
+    schedule: '30 3 * * 0',
+    handler: async () => {
+        const [books, users] = await Promise.all([
+            Book.find({}).select('coverImage pdfFile'),
+            User.find({ profileImage: { $ne: null } }).select('profileImage')
+        ]);
+
+        const referenced = [
+            ...books.flatMap(book => [book.coverImage, book.pdfFile]),
+            ...users.map(user => user.profileImage)
+        ].filter(Boolean);
+
+        const deleted = cleanupOldFiles(config.UPLOAD_RETENTION_DAYS, {
+            keep: new Set(referenced.map(file => path.basename(file)))
+        });
+
+        return { deleted };
+    }
+});
+
+defineJob({
+    name: 'reading-history-anonymization',
+    description: 'Remove the patron from returned loans of users who opted out of reading history, or past the retention period',
+    schedule: '0 4 * * *',
+    handler: () => anonymizeReadingHistory()
+});
+
+defineJob({
+    name: 'book-imports',
+    description: 'Process catalogue imports still waiting, e.g. after a restart, and fail ones left running',
+    schedule: '*/5 * * * *',
+    lockMinutes: 30,
+    handler: () => runQueuedImports()
+});
+
+if (config.LDAP_SYNC_ENABLED) {
+    defineJob({
+        name: 'ldap-sync',
+        description: 'Create, update and deactivate accounts to match the LDAP directory',
+        schedule: '0 2 * * *',
+        lockMinutes: 30,
+        handler: async () => {
+            // The full change list is available from the on-demand sync
+            const { changes, ...summary } = await runDirectorySync();
+            return summary;
+        }
+    });
+}
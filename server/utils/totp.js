@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// HMAC-SHA1, 6 digits, 30-second steps, secrets in base32
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+const base32Decode = (secret) => {
+    const clean = String(secret).toUpperCase().replace(/[\s=-]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+// A new random 160-bit secret, base32 encoded
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// The time step a moment falls in
+const getStep = (now = new Date()) => Math.floor(now.getTime() / 1000 / STEP_SECONDS);
+
+// The code for a time step (HOTP, RFC 4226)
+const generateCode = (secret, step = getStep(), digits = DIGITS) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % (10 ** digits)).padStart(digits, '0');
+};
+
+// Check a code against the current step and `window` steps either side, to
+// allow for clock drift. Returns the matching step so callers can refuse a
+// code that was already used, or null when it does not match. Steps up to
+// `afterStep` are skipped.
+const verifyCode = (secret, code, { now = new Date(), window = 1, afterStep = -1 } = {}) => {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(candidate)) {
+        return null;
+    }
+
+    const current = getStep(now);
+    for (let step = current - window; step <= current + window; step++) {
+        if (step <= afterStep) {
+            continue;
+        }
+
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+// The otpauth:// URI authenticator apps read from a QR code
+const buildOtpauthUrl = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    getStep,
+    generateCode,
+    verifyCode,
+    buildOtpauthUrl
+};
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Run `work(session)` inside a MongoDB transaction. The driver retries the
+// callback on transient errors, so `work` must re-read anything it depends on
+// through the session rather than relying on documents loaded beforehand.
+// Transactions require MongoDB to run as a replica set.
+const withTransaction = async (work) => {
+    const session = await mongoose.startSession();
+
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
+module.exports = {
+    withTransaction
+};